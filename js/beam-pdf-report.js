@@ -1,6 +1,15 @@
 import * as THREE from 'three';
-import { state } from './state.js';
-import { getRingVertex } from './geometry.js';
+import { state, getVisibleLevelCount, getSectorCount, isEllipticalFootprint, getFootprintScale, getPoleLevel, getRingZ, getVisibleHeight } from './state.js';
+import { getRingVertex, getSectorRingPairs, getFaceVertexIds } from './geometry.js';
+import { boltParams } from './bolts.js';
+import { SAW_MITER_MAX_DEG, SAW_TILT_MAX_DEG, SAW_SIDES_NOTE } from './saw.js';
+
+// Nombre de cada miembro del muro de arranque (beamInfo.kind)
+const RISER_LABELS = {
+  riserTop: 'Solera superior',
+  riserBottom: 'Solera inferior',
+  riserPost: 'Pie derecho',
+};
 
 /**
  * Reporte PDF: 1 pagina por nivel K visible (1 viga representativa por nivel).
@@ -56,7 +65,7 @@ export class BeamPDFReporter {
     // - Si vemos algún k < cutLevel, entonces claramente ya estamos en espacio visible.
     // - Si no, y el máximo k observado cabe en el rango visible [0..N-cutLevel], asumimos visible.
     // - En caso contrario, asumimos keys originales.
-    const N = Number.isFinite(state.N) ? state.N : 0;
+    const N = Number.isFinite(state.N) ? getPoleLevel() : 0;
     const maxVisibleK = Math.max(0, N - cutLevel);
     this._keysAreVisible = (sawKBelowCut || (minK === 0) || (maxK >= 0 && maxK <= maxVisibleK));
   }
@@ -80,7 +89,7 @@ static async generateBeamsReport(structureGroup, sceneManager = null) {
       throw new Error('No hay vigas en la estructura');
     }
 
-    this._addCover(doc);
+    this._addCover(doc, beams.length);
 
     // Conteo real de instancias de vigas (evita heuristicas N vs 2N).
     const beamCountMap = BeamPDFReporter._countBeamInstances(structureGroup);
@@ -97,6 +106,9 @@ static async generateBeamsReport(structureGroup, sceneManager = null) {
       await this._addBeamPage(doc, extraBeams[j], beams.length + j + 1, sceneManager, beamCountMap);
     }
 
+    // Fabricacion de pletinas (contorno biselado y agujeros de pernos)
+    this._addPlatePages(doc, structureGroup);
+
     const filename = `Vigas_ZValdivia_N${state.N}_a${state.aDeg.toFixed(2)}.pdf`;
     doc.save(filename);
   }
@@ -223,7 +235,34 @@ static async generateBeamsReport(structureGroup, sceneManager = null) {
     }
     const L = (lenMm != null) ? `:L${lenMm}` : '';
 
-    return `${kind}:${touchesX}:${pair.kLo}-${pair.kHi}${L}`;
+    return `${kind}:${touchesX}:${pair.kLo}-${pair.kHi}${L}${BeamPDFReporter._sectorTag(info)}${BeamPDFReporter._footprintTag(info)}${BeamPDFReporter._overrideTag(info)}`;
+  }
+
+  // Sector parcial: las vigas del borde (o que llegan a un conector de borde) tienen
+  // biseles propios y no deben mezclarse con las interiores del mismo nivel.
+  static _sectorTag(info) {
+    if (info && info.isSectorBoundary) return ':SB';
+    if (info && info.touchesSectorBoundary) return ':Sb';
+    return '';
+  }
+
+  // Planta eliptica: vigas del mismo nivel y largo pueden llegar con angulos distintos
+  // a sus conectores; el par de angulos (ordenado) separa los tipos.
+  static _footprintTag(info) {
+    if (!isEllipticalFootprint() || !info) return '';
+    const a = Number.isFinite(info.angAdeg) ? Math.round(info.angAdeg * 10) / 10 : null;
+    const b = Number.isFinite(info.angBdeg) ? Math.round(info.angBdeg * 10) / 10 : null;
+    if (a == null || b == null) return '';
+    return `:E${Math.min(a, b)}/${Math.max(a, b)}`;
+  }
+
+  // Viga con override propio (structureBeamEdgeOverrides): tipo aparte, agrupado por
+  // seccion y material para que las vigas editadas igual compartan pagina.
+  static _overrideTag(info) {
+    if (!info || !info.hasEdgeOverride) return '';
+    const w = Number.isFinite(info.widthMm) ? Math.round(info.widthMm) : '';
+    const h = Number.isFinite(info.heightMm) ? Math.round(info.heightMm) : '';
+    return `:O${w}x${h}${info.material ? `/${info.material}` : ''}`;
   }
 
   
@@ -237,7 +276,7 @@ static _toVisibleK(kOriginal) {
 static _parseConnectorKey(key) {
   if (typeof key !== 'string') return null;
   if (key === 'pole_low') return { type: 'pole', pole: 'low', k: 0, i: null };
-  if (key === 'pole_top') return { type: 'pole', pole: 'top', k: state.N, i: null };
+  if (key === 'pole_top') return { type: 'pole', pole: 'top', k: getPoleLevel(), i: null };
 
   let m = /^k(\d+)_i(\d+)$/i.exec(key);
   if (m) return { type: 'k', k: Number(m[1]), i: Number(m[2]) };
@@ -245,6 +284,10 @@ static _parseConnectorKey(key) {
   m = /^X:(\d+):(\d+)$/i.exec(key);
   if (m) return { type: 'X', k: Number(m[1]), i: Number(m[2]) };
 
+  // Muro de arranque: RT/RB:k:i (solera superior / inferior bajo el anillo de corte k)
+  m = /^(RT|RB):(\d+):(\d+)$/.exec(key);
+  if (m) return { type: m[1], k: Number(m[2]), i: Number(m[3]) };
+
   return null;
 }
 
@@ -257,6 +300,8 @@ static _formatConnectorKeyVisible(key) {
   }
   const kVis = BeamPDFReporter._toVisibleK(parsed.k);
   if (parsed.type === 'X') return `X:${kVis}:${parsed.i}`;
+  // Muro de arranque: sin indice, todos los tramos iguales cuentan como un mismo tipo
+  if (parsed.type === 'RT' || parsed.type === 'RB') return `${parsed.type}:${kVis}`;
   return `k${kVis}`;
 }
 
@@ -275,6 +320,7 @@ static _beamCountKey(info, mesh) {
   // - Para extras:
   //    * Diagonales (diagH/diagV): agrupar por GEOMETRÍA dentro del mismo nivel (kLo-kHi) para
   //      colapsar repeticiones entre rombos distintos del mismo nivel (solo cambia el conteo).
+  //    * Muro de arranque (riser*): igual que diagonales, por geometria (inglete) y no por endpoints.
   //    * Otros extras (tramos hacia X / kind != edge): incluir endpoints visibles para separar
   //      conectores distintos (evita mezclar casos heterogéneos).
   const pair = BeamPDFReporter._normalizeConnPair(info);
@@ -298,13 +344,13 @@ static _beamCountKey(info, mesh) {
   const isExtra = (kind !== 'edge') || touchesX === 1;
 
   if (!isExtra) {
-    return `${kind}:${touchesX}:${kLoVis}-${kHiVis}${L}`;
+    return `${kind}:${touchesX}:${kLoVis}-${kHiVis}${L}${BeamPDFReporter._sectorTag(info)}${BeamPDFReporter._footprintTag(info)}${BeamPDFReporter._overrideTag(info)}`;
   }
 
   // --- Diagonales: agrupar por sección repetida (misma geometría) a nivel de k ---
   // Esto permite que el PDF muestre una sola página por "sección de diagonal" repetida
   // en varios rombos del mismo nivel, aumentando solo el contador de unidades.
-  if (kind === 'diagH' || kind === 'diagV') {
+  if (kind === 'diagH' || kind === 'diagV' || (info && info.isRiser)) {
     const w = Number.isFinite(info && info.widthMm) ? Math.round(info.widthMm) : null;
     const h = Number.isFinite(info && info.heightMm) ? Math.round(info.heightMm) : null;
     const aAng = Number.isFinite(info && info.angAdeg) ? (Math.round(info.angAdeg * 10) / 10) : null;
@@ -316,11 +362,11 @@ static _beamCountKey(info, mesh) {
     const B = (aMax != null) ? `:B${aMax}` : '';
     const W = (w != null) ? `:W${w}` : '';
     const H = (h != null) ? `:H${h}` : '';
-    return `${kind}:${touchesX}:${kLoVis}-${kHiVis}${L}${A}${B}${W}${H}`;
+    return `${kind}:${touchesX}:${kLoVis}-${kHiVis}${L}${A}${B}${W}${H}${BeamPDFReporter._overrideTag(info)}`;
   }
 
   const ep = BeamPDFReporter._endpointPairVisible(info);
-  return `${kind}:${touchesX}:${kLoVis}-${kHiVis}${L}:${ep.a}<->${ep.b}`;
+  return `${kind}:${touchesX}:${kLoVis}-${kHiVis}${L}:${ep.a}<->${ep.b}${BeamPDFReporter._overrideTag(info)}`;
 }
 
 static _pickRepresentativeBeams(structureGroup) {
@@ -334,22 +380,28 @@ static _pickRepresentativeBeams(structureGroup) {
       return kind === 'edge';
     });
 
-    // Agrupar por kVisible y escoger la viga con mayor longitud (mejor para reporte)
+    // Agrupar por kVisible + tipo y escoger la viga con mayor longitud (mejor para reporte).
+    // Con planta circular hay un solo tipo por nivel; con planta eliptica o sector parcial
+    // un mismo nivel tiene varios tipos (largo/angulos/borde) y cada uno lleva su pagina.
     const byK = new Map();
     for (const m of beamMeshes) {
       const k = this._parseK(m.name);
       if (!Number.isFinite(k)) continue;
 
+      const info = (m.userData && m.userData.beamInfo) ? m.userData.beamInfo : null;
+      const typeKey = info ? BeamPDFReporter._beamCountKey(info, m) : null;
+      const groupKey = `${k}|${typeKey || ''}`;
+
       const len = this._beamLengthWorld(m);
-      const prev = byK.get(k);
-      if (!prev || len > prev.len) byK.set(k, { mesh: m, len });
+      const prev = byK.get(groupKey);
+      if (!prev || len > prev.len) byK.set(groupKey, { k, mesh: m, len });
     }
 
-    return [...byK.entries()]
-      .map(([k, v]) => {
+    return [...byK.values()]
+      .map((v) => {
         const info = (v && v.mesh && v.mesh.userData && v.mesh.userData.beamInfo) ? v.mesh.userData.beamInfo : {};
         const pair = this._normalizeConnPair(info);
-        return { kVisible: k, mesh: v.mesh, _pair: pair };
+        return { kVisible: v.k, mesh: v.mesh, _pair: pair, _len: v.len };
       })
       .sort((A, B) => {
         const a = A._pair, b = B._pair;
@@ -361,7 +413,7 @@ static _pickRepresentativeBeams(structureGroup) {
         } else if (!a && b) {
           return 1;
         }
-        return A.kVisible - B.kVisible;
+        return (A.kVisible - B.kVisible) || (A._len - B._len);
       })
       .map(({ kVisible, mesh }) => ({ kVisible, mesh }));
   }
@@ -450,14 +502,17 @@ static _pickExtraBeams(structureGroup, alreadyPicked) {
   // - k#_i# => k
   // - pole_low / pole_top
   // - X:k:i => k (nivel del rombo)
+  // - RT:k:i / RB:k:i => k (muro de arranque bajo el anillo de corte)
   static _parseKFromKey(key) {
     if (typeof key !== 'string') return NaN;
     if (key === 'pole_low') return 0;
-    if (key === 'pole_top') return state.N;
+    if (key === 'pole_top') return getPoleLevel();
     let m = /^k(\d+)_i(\d+)$/i.exec(key);
     if (m) return Number(m[1]);
     m = /^X:(\d+):(\d+)$/i.exec(key);
     if (m) return Number(m[1]);
+    m = /^(RT|RB):(\d+):(\d+)$/.exec(key);
+    if (m) return Number(m[2]);
     return NaN;
   }
 
@@ -543,7 +598,7 @@ static _pickExtraBeams(structureGroup, alreadyPicked) {
     return 0;
   }
 
-  static _addCover(doc) {
+  static _addCover(doc, beamTypeCount = null) {
     doc.setFont('helvetica', 'bold');
     doc.setFontSize(18);
     doc.text('ZValdivia - Reporte de Vigas (Estructura)', 105, 30, { align: 'center' });
@@ -554,9 +609,10 @@ static _pickExtraBeams(structureGroup, alreadyPicked) {
     // K visibles segun logica de la app:
     // - Con corte activo: N - cutLevel (ej: N=11, cut=4 => 7)
     // - Sin corte: K visibles = N (no N+1)
-    const kVis = state.cutActive ? (state.N - state.cutLevel) : (state.N);
+    // - Con oculo: el ultimo K visible es el anillo superior (topCutLevel)
+    const kVis = getVisibleLevelCount();
     const floorDiameter = state.cutActive ? state.floorDiameter : state.Dmax;
-    const visibleHeight = state.cutActive ? (state.Htotal - state.cutLevel * state.h1) : state.Htotal;
+    const visibleHeight = getVisibleHeight();
 
     const lines = [
       `N = ${state.N}`,
@@ -568,6 +624,18 @@ static _pickExtraBeams(structureGroup, alreadyPicked) {
       // Mostrar solo niveles visibles (K). Con corte activo, el suelo visible se considera K=0.
       state.cutActive ? 'Corte activo: suelo en K=0 (vista: z=0)' : 'Corte inactivo',
     ];
+    if (state.topCutActive) lines.push(`Oculo: anillo superior en K=${kVis}, diametro = ${(state.oculusDiameter || 0).toFixed(3)} m`);
+    if (state.beltLevels > 0) lines.push(`Cinturon: ${state.beltLevels} nivel(es) de rombos verticales (+${(state.beltLevels * state.beltHeight).toFixed(3)} m)`);
+    const riserMm = state.structureParams ? Number(state.structureParams.riserHeightMm) || 0 : 0;
+    if (state.cutActive && riserMm > 0) lines.push(`Muro de arranque: ${Math.round(riserMm)} mm bajo el anillo de corte`);
+    const bolts = boltParams(state.structureParams);
+    if (bolts.count > 0) lines.push(`Pernos por pletina: ${bolts.count} x Ø${bolts.diameterMm} mm (gramil ${bolts.gaugeMm} mm)`);
+    if (getSectorCount() < state.N) lines.push(`Sector parcial: ${getSectorCount()} de ${state.N} secciones (borde abierto)`);
+    if (isEllipticalFootprint()) {
+      const { sx, sy } = getFootprintScale();
+      const types = Number.isFinite(beamTypeCount) ? ` (${beamTypeCount} tipos de viga)` : '';
+      lines.push(`Planta eliptica: ${(state.Dmax * sx).toFixed(3)} x ${(state.Dmax * sy).toFixed(3)} m${types}`);
+    }
 
     let y = 55;
     doc.setFont('helvetica', 'bold');
@@ -595,7 +663,7 @@ static _pickExtraBeams(structureGroup, alreadyPicked) {
 
   static _beamCountsByLevel() {
     const N = Number(state.N) || 0;
-    const kVis = state.cutActive ? (state.N - state.cutLevel) : (state.N);
+    const kVis = state.cutActive ? (getPoleLevel() - state.cutLevel) : getPoleLevel();
     const lines = [];
 
     if (kVis <= 0 || N <= 0) {
@@ -656,7 +724,8 @@ static _pickExtraBeams(structureGroup, alreadyPicked) {
       if (Number.isFinite(real) && real > 0) unitsCount = real;
     }
 
-    doc.text(`Viga k${item.kVisible} (${unitsCount} unidades)`, x0, y0);
+    const riserLabel = (info && info.isRiser) ? RISER_LABELS[info.kind] : null;
+    doc.text(riserLabel ? `Muro de arranque: ${riserLabel} (${unitsCount} unidades)` : `Viga k${item.kVisible} (${unitsCount} unidades)`, x0, y0);
     doc.setFontSize(11);
 
     
@@ -688,14 +757,14 @@ if (isExtra) {
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(10);
     // Etiqueta de conectividad (incluye IDs de conectores si existen)
-    doc.text(`Conecta: ${connA} <-> ${connB}`, x0, y0 + 12);
+    doc.text(`Conecta: ${connA} <-> ${connB}${info.isSectorBoundary ? '  (borde de sector)' : ''}`, x0, y0 + 12);
 
     // Dimensiones
     const widthMm = Number.isFinite(info.widthMm) ? info.widthMm : null;
     const heightMm = Number.isFinite(info.heightMm) ? info.heightMm : null;
     const lenMm = Math.round(this._beamLengthWorld(mesh) * 1000);
     const dimLine = `L = ${lenMm} mm${widthMm != null ? `, Ancho = ${widthMm} mm` : ''}${heightMm != null ? `, Alto = ${heightMm} mm` : ''}`;
-    doc.text(dimLine, x0, y0 + 18);
+    doc.text(`${dimLine}${info.material ? `, Material = ${info.material}` : ''}`, x0, y0 + 18);
 
     // Obtener vertices (world)
     const vertsW = this._getBeamVerticesWorld(mesh);
@@ -776,6 +845,8 @@ if (isExtra) {
     const sideBoxY = zomeBox.y + zomeBox.h + 16; // margen inferior extra
     const sideBox = { x: 14, y: sideBoxY, w: 182, h: 60 };
 
+    const holes = this._beamHolesForPdf(mesh, vertsW, basis, leftLabel, rightLabel);
+
     // Vista principal: planta (Largo x Ancho) con biseles visibles (lineas ocultas en discontinua)
     this._drawBeamPlanBevel(doc, vertsPdf, basis, {
       box: mainBox,
@@ -790,6 +861,7 @@ if (isExtra) {
       heightMm,
       // Punto de referencia en la arista del zonohedro para identificar cara exterior
       edgeMidWorld: edgeMid,
+      holes,
     });
 
     // Vista isometrica (sin ocultas)
@@ -846,6 +918,227 @@ if (isExtra) {
       leftAng,
       rightAng,
     });
+
+    const sawRows = this._beamSawRowsForPdf(info, vertsW, basis, leftLabel, rightLabel);
+    let tableY = sideBox.y + sideBox.h + 10;
+    if (sawRows.length) tableY = this._drawSawTable(doc, sawRows, sideBox.x, tableY) + 10;
+    if (holes.length) this._drawBoltTable(doc, holes, sideBox.x, tableY);
+  }
+
+  /** Cortes de ingletadora por extremo (beamInfo.sawA/B y plateSawA/B), izquierda primero. */
+  static _beamSawRowsForPdf(info, vertsW, basis, leftLabel, rightLabel) {
+    if (!info || !vertsW || vertsW.length !== 8 || !basis) return [];
+    const centU = (idx) => idx.reduce((acc, i) => acc + vertsW[i].dot(basis.e), 0) / idx.length;
+    const aIsLeft = centU([0, 1, 2, 3]) <= centU([4, 5, 6, 7]);
+    const rowA = { endLabel: aIsLeft ? leftLabel : rightLabel, cut: info.sawA, plate: info.plateSawA };
+    const rowB = { endLabel: aIsLeft ? rightLabel : leftLabel, cut: info.sawB, plate: info.plateSawB };
+    return (aIsLeft ? [rowA, rowB] : [rowB, rowA]).filter(r => r.cut);
+  }
+
+  /**
+   * Tabla de cortes: inglete (giro de la mesa), inclinacion de la hoja, cara con la punta
+   * larga de cada angulo y cara apoyada en la mesa.
+   * @returns {number} y de la ultima linea escrita
+   */
+  static _drawSawTable(doc, rows, x, y) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text('Cortes de ingletadora', x, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text('Inglete = giro de la mesa; Inclinacion = hoja fuera de la vertical; la otra cara indicada va contra la guia', x, y + 4.5);
+    doc.text(SAW_SIDES_NOTE, x, y + 8.5);
+
+    const refs = { outer: 'Cara exterior', side: 'Lateral' };
+    const faces = { outer: 'ext.', inner: 'int.', upper: 'lat. sup.', lower: 'lat. inf.' };
+    const angle = (value, face, mark = '') => `${value.toFixed(1)}°${face ? ` larga ${faces[face]}` : ''}${mark}`;
+    const cols = [x, x + 18, x + 50, x + 82, x + 104];
+    let yy = y + 15;
+    doc.setFont('helvetica', 'bold');
+    ['Extremo', 'Inglete', 'Inclinacion', 'En la mesa', 'Pletina'].forEach((h, i) => doc.text(h, cols[i], yy));
+    doc.setFont('helvetica', 'normal');
+    for (const r of rows) {
+      yy += 4.5;
+      const range = r.cut.fits ? '' : ' *';
+      [
+        String(r.endLabel || ''),
+        angle(r.cut.miterDeg, r.cut.miterLong, range),
+        angle(r.cut.tiltDeg, r.cut.tiltLong, range),
+        refs[r.cut.reference] || '',
+        r.plate ? `${angle(r.plate.miterDeg, r.plate.miterLong)} / ${angle(r.plate.tiltDeg, r.plate.tiltLong)} · ${r.plate.reference === 'side' ? 'lat.' : 'ext.'} en mesa` : '—',
+      ].forEach((v, i) => doc.text(v, cols[i], yy));
+    }
+    if (rows.some(r => !r.cut.fits)) {
+      yy += 4.5;
+      doc.text(`* Fuera del rango de una ingletadora tipica (inglete ${SAW_MITER_MAX_DEG}°, inclinacion ${SAW_TILT_MAX_DEG}°)`, x, yy);
+    }
+    return yy;
+  }
+
+  /**
+   * Agujeros de pernos de la viga (userData.boltHoles) numerados de izquierda a derecha.
+   * u = posicion a lo largo de basis.e, para ubicarlos en la planta.
+   */
+  static _beamHolesForPdf(mesh, vertsW, basis, leftLabel, rightLabel) {
+    const list = (mesh && mesh.userData && Array.isArray(mesh.userData.boltHoles)) ? mesh.userData.boltHoles : [];
+    if (!list.length || !vertsW || !basis) return [];
+    const centU = (idx) => idx.reduce((acc, i) => acc + vertsW[i].dot(basis.e), 0) / idx.length;
+    const aIsLeft = centU([0, 1, 2, 3]) <= centU([4, 5, 6, 7]);
+    return list
+      .map(h => ({ h, left: (h.end === 'A') === aIsLeft, u: h.center.dot(basis.e) }))
+      .sort((p, q) => (q.left - p.left) || (p.u - q.u))
+      .map(({ h, left, u }, idx) => ({
+        label: idx + 1,
+        endLabel: left ? leftLabel : rightLabel,
+        u,
+        r: h.diameterMm / 2000,
+        sMm: h.sMm,
+        tMm: h.tMm,
+        diameterMm: h.diameterMm,
+      }));
+  }
+
+  /** Tabla de agujeros: s desde la testa biselada, t desde la cara exterior. */
+  static _drawBoltTable(doc, holes, x, y) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.text('Agujeros de pernos', x, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text('s = desde la testa biselada, a lo largo de la viga a la altura del agujero; t = desde la cara exterior', x, y + 4.5);
+
+    const cols = [x, x + 12, x + 42, x + 64, x + 86];
+    let yy = y + 11;
+    doc.setFont('helvetica', 'bold');
+    ['N°', 'Extremo', 's (mm)', 't (mm)', 'Ø (mm)'].forEach((h, i) => doc.text(h, cols[i], yy));
+    doc.setFont('helvetica', 'normal');
+    for (const h of holes) {
+      yy += 4.5;
+      if (yy > 288) break;
+      [String(h.label), String(h.endLabel || ''), h.sMm.toFixed(1), h.tMm.toFixed(1), String(h.diameterMm)]
+        .forEach((v, i) => doc.text(v, cols[i], yy));
+    }
+  }
+
+  /**
+   * Pletinas distintas de la estructura: contorno en su plano (x a lo largo de la viga
+   * desde la testa biselada, y = t desde el canto exterior) y agujeros.
+   */
+  static _plateTypes(structureGroup) {
+    const types = new Map();
+    for (const obj of (structureGroup && structureGroup.children) || []) {
+      const ud = obj && obj.userData;
+      const v = obj && obj.geometry && obj.geometry.userData ? obj.geometry.userData.objVertices : null;
+      if (!ud || !ud.isPlate || !Array.isArray(v) || v.length !== 8) continue;
+
+      const mid = (i, j) => v[i].clone().add(v[j]).multiplyScalar(0.5);
+      const m0 = mid(0, 1), m3 = mid(2, 3), m4 = mid(4, 5), m7 = mid(6, 7);
+      const o = m4.clone().sub(m0).normalize();
+      const td = m7.clone().sub(m4).normalize();
+      const to2D = (p) => ({ x: p.clone().sub(m0).dot(o) * 1000, y: p.clone().sub(m0).dot(td) * 1000 });
+
+      const outline = [m0, m4, m7, m3].map(to2D);
+      const holes = (Array.isArray(ud.boltHoles) ? ud.boltHoles : [])
+        .map(h => ({ ...to2D(h.center), n: h.n, sMm: h.sMm, tMm: h.tMm, diameterMm: h.diameterMm }));
+      const thickMm = v[0].distanceTo(v[1]) * 1000;
+
+      const r1 = (n) => n.toFixed(1);
+      const key = [...outline, ...holes].map(p => `${r1(p.x)},${r1(p.y)}`).join(';') + `|${r1(thickMm)}`;
+      if (!types.has(key)) types.set(key, { outline, holes, thickMm, count: 0, nodes: new Set() });
+      const t = types.get(key);
+      t.count++;
+      if (ud.plateInfo && ud.plateInfo.nodeKey) t.nodes.add(BeamPDFReporter._formatConnectorKeyVisible(ud.plateInfo.nodeKey));
+    }
+    return [...types.values()];
+  }
+
+  /** Paginas de fabricacion de pletinas (3 por pagina). */
+  static _addPlatePages(doc, structureGroup) {
+    const types = this._plateTypes(structureGroup);
+    const perPage = 3;
+    types.forEach((pt, idx) => {
+      if (idx % perPage === 0) {
+        doc.addPage();
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.text('ZValdivia 3D', 196, 14, { align: 'right' });
+        doc.setFontSize(14);
+        doc.text('Pletinas de anclaje - fabricacion', 14, 14);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text('Cotas en mm. x desde la testa biselada (canto exterior), t desde el canto exterior.', 14, 20);
+      }
+      this._drawPlate(doc, pt, idx + 1, { x: 14, y: 30 + (idx % perPage) * 88, w: 182, h: 80 });
+    });
+  }
+
+  static _drawPlate(doc, pt, number, box) {
+    const xs = pt.outline.map(p => p.x), ys = pt.outline.map(p => p.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const lengthMm = pt.outline[1].x - pt.outline[0].x;
+    const heightMm = pt.outline[2].y - pt.outline[1].y;
+    const nodes = [...pt.nodes].sort();
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text(`Pletina P${number} (${pt.count} unidades)`, box.x, box.y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(`${lengthMm.toFixed(0)} x ${heightMm.toFixed(0)} x ${pt.thickMm.toFixed(0)} mm - Conectores: ${nodes.join(', ')}`, box.x, box.y + 5);
+
+    // Dibujo a escala en la parte izquierda, tabla a la derecha
+    const draw = { x: box.x + 4, y: box.y + 14, w: box.w * 0.6, h: box.h - 26 };
+    const scale = Math.min(draw.w / Math.max(1e-6, maxX - minX), draw.h / Math.max(1e-6, maxY - minY));
+    const X = (x) => draw.x + (x - minX) * scale;
+    const Y = (y) => draw.y + (y - minY) * scale;
+
+    doc.setDrawColor(20);
+    doc.setLineWidth(0.5);
+    for (let i = 0; i < pt.outline.length; i++) {
+      const p = pt.outline[i], q = pt.outline[(i + 1) % pt.outline.length];
+      doc.line(X(p.x), Y(p.y), X(q.x), Y(q.y));
+    }
+
+    doc.setLineWidth(0.25);
+    doc.setFontSize(7);
+    for (const h of pt.holes) {
+      const r = (h.diameterMm / 2) * scale;
+      doc.circle(X(h.x), Y(h.y), r, 'S');
+      doc.setLineDashPattern([1.5, 0.8, 0.4, 0.8], 0);
+      doc.line(X(h.x) - r - 1.5, Y(h.y), X(h.x) + r + 1.5, Y(h.y));
+      doc.line(X(h.x), Y(h.y) - r - 1.5, X(h.x), Y(h.y) + r + 1.5);
+      doc.setLineDashPattern([], 0);
+      doc.text(String(h.n), X(h.x) + r + 0.8, Y(h.y) - r - 0.3);
+    }
+
+    // Cota de largo bajo el canto interior y desfase del bisel
+    const yDim = Y(maxY) + 5;
+    doc.line(X(pt.outline[0].x), yDim, X(pt.outline[1].x), yDim);
+    doc.line(X(pt.outline[0].x), yDim - 1.2, X(pt.outline[0].x), yDim + 1.2);
+    doc.line(X(pt.outline[1].x), yDim - 1.2, X(pt.outline[1].x), yDim + 1.2);
+    doc.setFontSize(8);
+    doc.text(`${lengthMm.toFixed(1)} (canto exterior)`, (X(pt.outline[0].x) + X(pt.outline[1].x)) / 2, yDim - 1, { align: 'center' });
+    const bevelRun = pt.outline[3].x - pt.outline[0].x;
+    doc.text(`Bisel: ${bevelRun.toFixed(1)} mm de desfase en el alto`, draw.x, yDim + 5);
+
+    // Tabla de agujeros
+    const tx = box.x + box.w * 0.68;
+    let ty = box.y + 14;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    if (!pt.holes.length) {
+      doc.setFont('helvetica', 'normal');
+      doc.text('Sin agujeros', tx, ty);
+      return;
+    }
+    const cols = [tx, tx + 9, tx + 27, tx + 45];
+    ['N°', 's (mm)', 't (mm)', 'Ø (mm)'].forEach((h, i) => doc.text(h, cols[i], ty));
+    doc.setFont('helvetica', 'normal');
+    for (const h of pt.holes) {
+      ty += 4.5;
+      [String(h.n), h.sMm.toFixed(1), h.tMm.toFixed(1), String(h.diameterMm)].forEach((v, i) => doc.text(v, cols[i], ty));
+    }
   }
 
   static _getBeamVerticesWorld(mesh) {
@@ -1344,6 +1637,9 @@ static _edges() {
     const scaleByV = (box.h - 2 * pad) / spanV;
     const minKeepWorldAbs = 0.08;
     let keepWorld = Math.max(minKeepWorldAbs, 2 * bevelRunLeft, 2 * bevelRunRight);
+    // Los agujeros de pernos deben quedar dentro de los extremos dibujados
+    const holes = Array.isArray(opts.holes) ? opts.holes : [];
+    for (const h of holes) keepWorld = Math.max(keepWorld, Math.min(h.u - minU, maxU - h.u) + h.r + 0.01);
     let broken = spanU > 2 * keepWorld + 1e-9;
     if (!broken) keepWorld = spanU * 0.5;
 
@@ -1424,6 +1720,34 @@ static _edges() {
     drawBevelProjectedLine(rightDash[0], rightDash[1]);
     doc.setLineDashPattern([], 0);
 
+    // ── Agujeros de pernos (eje en w): ocultos en planta, con eje y numero ──
+    if (holes.length) {
+      doc.setDrawColor(60);
+      doc.setLineWidth(0.25);
+      for (const h of holes) {
+        drawSeg({ u: h.u - h.r, v: vExtMin }, { u: h.u - h.r, v: vExtMax }, true);
+        drawSeg({ u: h.u + h.r, v: vExtMin }, { u: h.u + h.r, v: vExtMax }, true);
+      }
+      doc.setLineDashPattern([], 0);
+
+      // Numeros bajo la viga; agujeros casi alineados comparten etiqueta
+      const yNum = mapY(vExtMax) + 3.5;
+      const marks = [];
+      for (const h of [...holes].sort((p, q) => p.u - q.u)) {
+        const x = mapX(h.u);
+        if (x == null) continue;
+        doc.setLineDashPattern([2, 1, 0.5, 1], 0);
+        doc.line(x, mapY(vExtMin) - 1.5, x, mapY(vExtMax) + 1.5);
+        const last = marks[marks.length - 1];
+        if (last && x - last.x < 3) last.labels.push(h.label);
+        else marks.push({ x, labels: [h.label] });
+      }
+      doc.setLineDashPattern([], 0);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(6.5);
+      for (const mk of marks) doc.text(mk.labels.join(','), mk.x, yNum, { align: 'center' });
+    }
+
     if (broken) {
       doc.setFont('helvetica', 'bold');
       doc.setFontSize(14);
@@ -1743,15 +2067,17 @@ const ptsL = vertsW.map(p => ({
 
     // Si ambos extremos estan en el mismo nivel (ej: viga del piso con corte activo), apuntamos a ese nivel.
     // Si no, apuntamos al punto medio entre niveles para indicar "entre kLo y kHi".
-    const zMark = (kLo === kHi) ? (kLo * h1) : (0.5 * ((kLo + kHi) * h1));
+    // z visible del anillo k (con cinturon los niveles no son multiplos de h1)
+    const kBase = state.cutActive ? state.cutLevel : 0;
+    const zOfK = (k) => getRingZ(k + kBase) - getRingZ(kBase);
+    const zMark = (kLo === kHi) ? zOfK(kLo) : (0.5 * (zOfK(kLo) + zOfK(kHi)));
     if (!Number.isFinite(zMark)) return;
 
     const levelLabel = (kLo === kHi) ? `k${kLo}` : `k${kLo} <-> k${kHi}`;
 
     // Mapear zMark al sistema de la camara ortografica usada en la captura
-    const nivelesVisibles = state.cutActive ? (state.N - state.cutLevel) : state.N;
-    const alturaVisible = state.h1 * nivelesVisibles;
-    const frustumSize = state.Dmax * 1.5;
+    const alturaVisible = getVisibleHeight();
+    const frustumSize = state.Dmax * Math.max(1, getFootprintScale().sx, getFootprintScale().sy) * 1.5;
     const zCenter = alturaVisible / 2;
     const zMin = zCenter - frustumSize / 2;
     const zMax = zCenter + frustumSize / 2;
@@ -1796,45 +2122,36 @@ const ptsL = vertsW.map(p => ({
     tmpScene.add(dir);
 
     // Construir geometria de caras (rombos + tapa de corte) en coordenadas *visibles*
-    const { N, h1, cutActive, cutLevel, Dmax } = state;
-    const zShift = cutActive ? (-cutLevel * h1) : 0;
+    const { cutActive, cutLevel, Dmax, topCutActive, topCutLevel } = state;
+    const zShift = cutActive ? -getRingZ(cutLevel) : 0;
     const startK = cutActive ? cutLevel : 1;
+    const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
+    const M = getSectorCount();
     const positions = [];
 
-    for (let k = startK; k <= N - 1; k++) {
-      for (let i = 0; i < N; i++) {
-        let idxL, idxR;
-        if (k % 2 === 1) {
-          idxL = i;
-          idxR = (i + 1) % N;
-        } else {
-          idxL = (i - 1 + N) % N;
-          idxR = i;
-        }
-
-        const vLeft = getRingVertex(k, idxL);
-        const vRight = getRingVertex(k, idxR);
+    for (let k = startK; k <= endK; k++) {
+      for (let i = 0; i < M; i++) {
+        const face = getFaceVertexIds(k, i);
+        const v = face.ids.map(p => {
+          const q = getRingVertex(p.k, p.i);
+          q.z += zShift;
+          return q;
+        });
 
-        if (cutActive && k === cutLevel) {
-          const vTop = getRingVertex(k + 1, i);
-          positions.push(
-            vLeft.x, vLeft.y, vLeft.z + zShift,
-            vRight.x, vRight.y, vRight.z + zShift,
-            vTop.x, vTop.y, vTop.z + zShift
-          );
+        if (face.isTriangle) {
+          for (const q of v) positions.push(q.x, q.y, q.z);
         } else {
-          const vBottom = getRingVertex(k - 1, i);
-          const vTop = getRingVertex(k + 1, i);
+          const [vBottom, vRight, vTop, vLeft] = v;
 
           // Dos triangulos por rombo (misma triangulacion que createRhombi)
           positions.push(
-            vBottom.x, vBottom.y, vBottom.z + zShift,
-            vRight.x, vRight.y, vRight.z + zShift,
-            vLeft.x, vLeft.y, vLeft.z + zShift,
+            vBottom.x, vBottom.y, vBottom.z,
+            vRight.x, vRight.y, vRight.z,
+            vLeft.x, vLeft.y, vLeft.z,
 
-            vTop.x, vTop.y, vTop.z + zShift,
-            vLeft.x, vLeft.y, vLeft.z + zShift,
-            vRight.x, vRight.y, vRight.z + zShift
+            vTop.x, vTop.y, vTop.z,
+            vLeft.x, vLeft.y, vLeft.z,
+            vRight.x, vRight.y, vRight.z
           );
         }
       }
@@ -1842,11 +2159,11 @@ const ptsL = vertsW.map(p => ({
 
     // Tapa del plano de corte (para que el "suelo" exista incluso si el usuario desactivo caras)
     if (cutActive) {
-      const z0 = (cutLevel * h1) + zShift; // debe quedar en 0
+      const z0 = getRingZ(cutLevel) + zShift; // debe quedar en 0
       const center = new THREE.Vector3(0, 0, z0);
-      for (let i = 0; i < N; i++) {
-        const a = getRingVertex(cutLevel, i);
-        const b = getRingVertex(cutLevel, (i + 1) % N);
+      for (const [ia, ib] of getSectorRingPairs(cutLevel)) {
+        const a = getRingVertex(cutLevel, ia);
+        const b = getRingVertex(cutLevel, ib);
         positions.push(
           center.x, center.y, center.z,
           a.x, a.y, a.z + zShift,
@@ -1855,6 +2172,20 @@ const ptsL = vertsW.map(p => ({
       }
     }
 
+    // Tapa del oculo
+    if (topCutActive) {
+      const zt = getRingZ(topCutLevel) + zShift;
+      for (const [ia, ib] of getSectorRingPairs(topCutLevel)) {
+        const a = getRingVertex(topCutLevel, ia);
+        const b = getRingVertex(topCutLevel, ib);
+        positions.push(
+          0, 0, zt,
+          b.x, b.y, b.z + zShift,
+          a.x, a.y, a.z + zShift
+        );
+      }
+    }
+
     const g = new THREE.BufferGeometry();
     g.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
     g.computeVertexNormals();
@@ -1889,7 +2220,7 @@ const ptsL = vertsW.map(p => ({
 
     // Camara ortografica cuadrada
     const aspect = 1;
-    const frustumSize = Dmax * 1.5;
+    const frustumSize = Dmax * Math.max(1, getFootprintScale().sx, getFootprintScale().sy) * 1.5;
     const orthoCamera = new THREE.OrthographicCamera(
       (frustumSize * aspect) / -2,
       (frustumSize * aspect) / 2,
@@ -1900,8 +2231,7 @@ const ptsL = vertsW.map(p => ({
     );
 
     // Altura visible actual (igual a PDF de rombos)
-    const nivelesVisibles = cutActive ? (N - cutLevel) : N;
-    const alturaVisible = h1 * nivelesVisibles;
+    const alturaVisible = getVisibleHeight();
 
     // Vista lateral (desde -Y), centrada al medio de la altura visible
     orthoCamera.position.set(0, -Dmax * 3, alturaVisible / 2);
@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { newell } from './vec.js';
+
+/**
+ * bolts.js
+ *
+ * Pernos que unen cada pletina de anclaje con la testa de su viga.
+ *
+ * La pletina va en la ranura central de la viga; los agujeros atraviesan viga y
+ * pletina en la direccion del ancho (w). Cada agujero se ubica por (s, t):
+ *   s = distancia desde la testa biselada, medida a lo largo de la viga a la altura t
+ *       del agujero (como se marca en taller: escuadra apoyada en el corte)
+ *   t = distancia desde el borde exterior (cara t=0 de la viga / canto de la pletina)
+ *
+ * Patron: una o dos lineas a lo largo de la pletina. Con dos lineas quedan separadas
+ * `gaugeMm` y centradas en el alto de la pletina; las filas se separan tambien
+ * `gaugeMm`. La primera fila esta a `endMm` de la testa y la ultima debe quedar a
+ * `edgeMm` del extremo libre; con cantidad impar la ultima fila lleva un perno centrado.
+ *
+ * Las posiciones se guardan en userData.boltHoles de vigas y pletinas; solo el
+ * exportador perfora la geometria (drillSolid), el resto de la app sigue usando
+ * los hexaedros de 8 vertices.
+ */
+
+/** Parametros por defecto (mm). Cantidad 0 = pletinas sin agujeros. */
+export const BOLT_DEFAULTS = {
+  boltCount: 0,
+  boltDiameterMm: 12,
+  boltEndMm: 30,
+  boltEdgeMm: 15,
+  boltGaugeMm: 40,
+};
+
+// Segmentos del contorno de cada agujero en el export
+const BOLT_SEGMENTS = 16;
+
+/** Parametros de pernos desde structureParams, con los valores por defecto. */
+export function boltParams(params) {
+  const p = params || {};
+  const num = (v, d, min) => (Number.isFinite(Number(v)) && Number(v) >= min ? Number(v) : d);
+  return {
+    count: Math.floor(num(p.boltCount, BOLT_DEFAULTS.boltCount, 0)),
+    diameterMm: num(p.boltDiameterMm, BOLT_DEFAULTS.boltDiameterMm, 0.1),
+    endMm: num(p.boltEndMm, BOLT_DEFAULTS.boltEndMm, 0),
+    edgeMm: num(p.boltEdgeMm, BOLT_DEFAULTS.boltEdgeMm, 0),
+    gaugeMm: num(p.boltGaugeMm, BOLT_DEFAULTS.boltGaugeMm, 0.1),
+  };
+}
+
+/**
+ * Posiciones (s, t) de los agujeros de una pletina.
+ * @param {ReturnType<typeof boltParams>} bp
+ * @param {number} plateLengthMm - largo de la pletina (a lo largo de la viga)
+ * @param {number} plateWidthMm  - alto de la pletina (direccion t)
+ * @returns {{holes:Array<{sMm:number, tMm:number}>, needLengthMm:number, needWidthMm:number, fits:boolean}}
+ */
+export function boltLayout(bp, plateLengthMm, plateWidthMm) {
+  if (!bp || bp.count <= 0) return { holes: [], needLengthMm: 0, needWidthMm: 0, fits: true };
+  const r = bp.diameterMm / 2;
+  const twoLines = bp.count >= 2 && plateWidthMm >= 2 * (bp.edgeMm + r) + bp.gaugeMm;
+  const lines = twoLines ? 2 : 1;
+  const rows = Math.ceil(bp.count / lines);
+  const mid = plateWidthMm / 2;
+
+  const holes = [];
+  for (let row = 0; row < rows; row++) {
+    const sMm = bp.endMm + row * bp.gaugeMm;
+    const left = bp.count - row * lines;
+    if (lines === 1 || left === 1) {
+      holes.push({ sMm, tMm: mid });
+    } else {
+      holes.push({ sMm, tMm: mid - bp.gaugeMm / 2 });
+      holes.push({ sMm, tMm: mid + bp.gaugeMm / 2 });
+    }
+  }
+
+  const needLengthMm = bp.endMm + (rows - 1) * bp.gaugeMm + r + bp.edgeMm;
+  const needWidthMm = 2 * (bp.edgeMm + r) + (lines - 1) * bp.gaugeMm;
+  return {
+    holes,
+    needLengthMm,
+    needWidthMm,
+    fits: needLengthMm <= plateLengthMm + 1e-6 && needWidthMm <= plateWidthMm + 1e-6 && bp.endMm >= r,
+  };
+}
+
+/**
+ * Linea de la testa biselada en el plano medio de la pieza.
+ * endVerts = 4 vertices de la testa en el orden de vigas/pletinas:
+ *   0(-w, exterior) 1(+w, exterior) 2(+w, interior) 3(-w, interior)
+ */
+function bevelLine(endVerts, tDir) {
+  const m0 = endVerts[0].clone().add(endVerts[1]).multiplyScalar(0.5);
+  const m3 = endVerts[2].clone().add(endVerts[3]).multiplyScalar(0.5);
+  const run = m3.clone().sub(m0);
+  const dt = run.dot(tDir);
+  // Punto de la testa a la altura t (desde el borde exterior)
+  return (t) => (Math.abs(dt) > 1e-9 ? m0.clone().addScaledVector(run, t / dt) : m0.clone().addScaledVector(tDir, t));
+}
+
+/**
+ * Punto (mismo espacio que endVerts) del agujero en (s, t) desde una testa.
+ * @param {THREE.Vector3[]} endVerts - 4 vertices de la testa biselada
+ * @param {THREE.Vector3} axisOut    - direccion a lo largo de la pieza, alejandose de la testa
+ * @param {THREE.Vector3} tDir       - direccion del alto (hacia el interior)
+ */
+export function pointAtStation(endVerts, axisOut, tDir, sMm, tMm) {
+  const atT = bevelLine(endVerts, tDir);
+  return atT(tMm / 1000).addScaledVector(axisOut, sMm / 1000);
+}
+
+/** Inverso de pointAtStation: (s, t) en mm de un punto respecto a una testa. */
+export function stationOf(endVerts, axisOut, tDir, point) {
+  const atT = bevelLine(endVerts, tDir);
+  const m0 = atT(0);
+  const t = point.clone().sub(m0).dot(tDir);
+  const s = point.clone().sub(atT(t)).dot(axisOut);
+  return { sMm: s * 1000, tMm: t * 1000 };
+}
+
+function pointInPolygon(p, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i], b = poly[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Perfora un solido de caras planas con agujeros pasantes (para exportar).
+ * Las caras atravesadas son las dos mas perpendiculares al eje de los agujeros;
+ * se triangulan con sus agujeros y cada agujero suma su pared cilindrica.
+ * Agujeros que no caben completos en ambas caras se omiten.
+ *
+ * @param {THREE.Vector3[]} verts
+ * @param {number[][]} faces - poligonos (indices base-0) con normales hacia afuera
+ * @param {Array<{center:THREE.Vector3, axis:THREE.Vector3, diameterMm:number}>} holes
+ * @returns {{vertices:THREE.Vector3[], faces:number[][]}}
+ */
+export function drillSolid(verts, faces, holes, segments = BOLT_SEGMENTS) {
+  if (!Array.isArray(holes) || !holes.length) return { vertices: verts, faces };
+  const axis = holes[0].axis.clone().normalize();
+
+  // Caras de entrada y salida
+  let iP = -1, iN = -1, dP = 0, dN = 0;
+  const normals = faces.map(f => new THREE.Vector3().copy(newell(f.map(i => verts[i]))).normalize());
+  normals.forEach((n, i) => {
+    const d = n.dot(axis);
+    if (d > dP) { dP = d; iP = i; }
+    if (d < dN) { dN = d; iN = i; }
+  });
+  if (iP < 0 || iN < 0 || dP < 0.5 || dN > -0.5) return { vertices: verts, faces };
+
+  const a1 = new THREE.Vector3(1, 0, 0);
+  if (Math.abs(a1.dot(axis)) > 0.9) a1.set(0, 1, 0);
+  a1.sub(axis.clone().multiplyScalar(a1.dot(axis))).normalize();
+  const a2 = new THREE.Vector3().crossVectors(axis, a1);
+  const to2D = (p) => new THREE.Vector2(p.dot(a1), p.dot(a2));
+
+  const vertices = verts.map(v => v.clone());
+  const sides = [iP, iN].map(fi => {
+    const pts = faces[fi].map(i => verts[i]);
+    const origin = pts.reduce((c, p) => c.add(p), new THREE.Vector3()).multiplyScalar(1 / pts.length);
+    return { fi, normal: normals[fi], origin, poly: pts.map(to2D) };
+  });
+
+  // Anillos de cada agujero sobre ambas caras
+  const rings = [];
+  for (const h of holes) {
+    const r = (Number(h.diameterMm) || 0) / 2000;
+    if (!(r > 0) || !h.center) continue;
+    const perSide = sides.map(sd => {
+      const lam = sd.normal.dot(sd.origin.clone().sub(h.center)) / sd.normal.dot(axis);
+      const c = h.center.clone().addScaledVector(axis, lam);
+      const pts = [];
+      for (let j = 0; j < segments; j++) {
+        const ang = (j / segments) * Math.PI * 2;
+        pts.push(c.clone().addScaledVector(a1, r * Math.cos(ang)).addScaledVector(a2, r * Math.sin(ang)));
+      }
+      return pts;
+    });
+    const fits = perSide.every((pts, si) => pts.every(p => pointInPolygon(to2D(p), sides[si].poly)));
+    if (!fits) continue;
+    rings.push(perSide.map(pts => {
+      const idx = [];
+      for (const p of pts) { idx.push(vertices.length); vertices.push(p); }
+      return idx;
+    }));
+  }
+  if (!rings.length) return { vertices: verts, faces };
+
+  const out = faces.filter((_, i) => i !== iP && i !== iN).map(f => f.slice());
+
+  // Caras perforadas: triangulacion con agujeros, mismo sentido que la cara original
+  sides.forEach((sd, si) => {
+    const ids = faces[sd.fi].slice();
+    const holeIds = rings.map(rg => rg[si]);
+    const all = ids.concat(...holeIds);
+    const tris = THREE.ShapeUtils.triangulateShape(
+      ids.map(i => to2D(vertices[i])),
+      holeIds.map(h => h.map(i => to2D(vertices[i])))
+    );
+    for (const tri of tris) {
+      let [a, b, c] = tri.map(k => all[k]);
+      const n = new THREE.Vector3().crossVectors(
+        vertices[b].clone().sub(vertices[a]),
+        vertices[c].clone().sub(vertices[a])
+      );
+      if (n.dot(sd.normal) < 0) [b, c] = [c, b];
+      out.push([a, b, c]);
+    }
+  });
+
+  // Paredes de los agujeros: normales hacia el eje (el hueco queda afuera del solido)
+  for (const [rp, rn] of rings) {
+    const cP = rp.reduce((c, i) => c.add(vertices[i]), new THREE.Vector3()).multiplyScalar(1 / rp.length);
+    for (let j = 0; j < rp.length; j++) {
+      const k = (j + 1) % rp.length;
+      let quad = [rp[j], rp[k], rn[k], rn[j]];
+      const q = quad.map(i => vertices[i]);
+      const n = new THREE.Vector3().copy(newell(q)).normalize();
+      const radial = q[0].clone().add(q[1]).multiplyScalar(0.5).sub(cP);
+      radial.sub(axis.clone().multiplyScalar(radial.dot(axis)));
+      if (n.dot(radial) > 0) quad = quad.reverse();
+      out.push(quad);
+    }
+  }
+
+  return { vertices, faces: out };
+}
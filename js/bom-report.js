@@ -0,0 +1,113 @@
+import { state } from './state.js';
+
+const CATEGORY_LABELS = {
+  beam: 'Vigas',
+  hub: 'Conectores',
+  plate: 'Pletinas',
+  bolt: 'Pernos',
+};
+
+/**
+ * Lista de materiales (resultado de computeBOM) como PDF o CSV.
+ *
+ * Requiere jsPDF cargado (window.jspdf) para el PDF.
+ */
+export class BOMReporter {
+  static generatePDF(bom) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text('ZValdivia - Lista de materiales', 105, 24, { align: 'center' });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(`N = ${state.N}   a = ${state.aDeg.toFixed(2)}°   Dmax = ${state.Dmax} m`, 105, 31, { align: 'center' });
+
+    let y = 42;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text('Resumen', 14, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    for (const [cat, t] of Object.entries(bom.totals.byCategory)) {
+      y += 6;
+      doc.text(`${CATEGORY_LABELS[cat] || cat}: ${t.massKg.toFixed(1)} kg   costo ${t.cost.toFixed(2)}`, 18, y);
+    }
+    y += 7;
+    doc.setFont('helvetica', 'bold');
+    doc.text(`Total: ${bom.totals.massKg.toFixed(1)} kg   costo estimado ${bom.totals.cost.toFixed(2)}`, 18, y);
+    doc.setFont('helvetica', 'normal');
+    if (bom.cog) {
+      y += 6;
+      doc.text(`Centro de gravedad (m): x = ${bom.cog.x.toFixed(3)}, y = ${bom.cog.y.toFixed(3)}, z = ${bom.cog.z.toFixed(3)}`, 18, y);
+    }
+
+    y += 12;
+    const cols = [14, 100, 134, 148, 168, 196];
+    const header = () => {
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(8.5);
+      ['Pieza', 'Material', 'Cant.', 'kg/u', 'kg', 'Costo'].forEach((h, i) => doc.text(h, cols[i], y, i >= 2 ? { align: 'right' } : undefined));
+      doc.setFont('helvetica', 'normal');
+    };
+    header();
+    let cat = null;
+    for (const ln of bom.lines) {
+      if (y > 280) {
+        doc.addPage();
+        y = 18;
+        header();
+      }
+      if (ln.category !== cat) {
+        cat = ln.category;
+        y += 6;
+        doc.setFont('helvetica', 'bold');
+        doc.text(CATEGORY_LABELS[cat] || cat, cols[0], y);
+        doc.setFont('helvetica', 'normal');
+      }
+      y += 4.8;
+      const label = doc.splitTextToSize(ln.label, cols[1] - cols[0] - 2)[0];
+      doc.text(label, cols[0], y);
+      doc.text(ln.material, cols[1], y);
+      [String(ln.count), ln.unitMassKg.toFixed(2), ln.massKg.toFixed(1), ln.cost.toFixed(2)]
+        .forEach((v, i) => doc.text(v, cols[i + 2], y, { align: 'right' }));
+    }
+
+    y += 8;
+    if (y > 285) { doc.addPage(); y = 18; }
+    doc.setFontSize(7.5);
+    doc.text('Precios referenciales por m³ (madera), kg (metales) o unidad (pernos). Pernos con largo estimado = ancho de viga + 25 mm.', 14, y);
+
+    doc.save(`${this._basename()}.pdf`);
+  }
+
+  static generateCSV(bom) {
+    const rows = [['categoria', 'pieza', 'material', 'cantidad', 'masa_unitaria_kg', 'masa_kg', 'volumen_m3', 'costo']];
+    for (const ln of bom.lines) {
+      rows.push([CATEGORY_LABELS[ln.category] || ln.category, ln.label, ln.material, ln.count,
+        ln.unitMassKg.toFixed(3), ln.massKg.toFixed(3), ln.volumeM3.toFixed(6), ln.cost.toFixed(2)]);
+    }
+    rows.push(['Total', '', '', '', '', bom.totals.massKg.toFixed(3), '', bom.totals.cost.toFixed(2)]);
+    if (bom.cog) rows.push(['Centro de gravedad (m)', `x=${bom.cog.x.toFixed(3)}`, `y=${bom.cog.y.toFixed(3)}`, `z=${bom.cog.z.toFixed(3)}`]);
+    const cell = (v) => {
+      const t = String(v == null ? '' : v);
+      return /[",;\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+    };
+    const csv = rows.map(r => r.map(cell).join(',')).join('\n');
+
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${this._basename()}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  static _basename() {
+    return `Materiales_ZValdivia_N${state.N}_a${state.aDeg.toFixed(2)}`;
+  }
+}
@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { MATERIAL_LIBRARY, getGlobalMaterial } from './materials.js';
+import { BeamPDFReporter } from './beam-pdf-report.js';
+
+/**
+ * bom.js
+ *
+ * Lista de materiales: masa, centro de gravedad y costo estimado de la estructura
+ * generada (vigas, conectores, pletinas y pernos).
+ *
+ * Materiales: el que StructureGenerator resolvio para cada pieza (materialKey de
+ * beamInfo, connectorInfo y plateInfo; ver materials.js). Sin el, el global.
+ * La madera se cotiza por m³ y los metales por kg; los pernos por unidad.
+ *
+ * Volumenes exactos de los solidos generados (hexaedros biselados de vigas y
+ * pletinas, cilindros de conectores) por el teorema de la divergencia. Los pernos se
+ * estiman como barras de acero del diametro nominal y largo = ancho de viga + apriete.
+ */
+
+/** Precio unitario por defecto de los pernos. */
+export const BOM_DEFAULTS = {
+  boltUnitPrice: 1.2,
+};
+
+// Largo extra de cada perno sobre el ancho de la viga (tuerca y arandelas)
+const BOLT_GRIP_EXTRA_MM = 25;
+
+/**
+ * Volumen (m³) y centroide de un poliedro cerrado con caras orientadas hacia afuera.
+ * @param {THREE.Vector3[]} verts
+ * @param {number[][]} faces
+ */
+function solidVolume(verts, faces) {
+  let vol = 0;
+  const c = new THREE.Vector3();
+  const o = verts[0];
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), d = new THREE.Vector3();
+  for (const f of faces) {
+    for (let j = 1; j + 1 < f.length; j++) {
+      a.subVectors(verts[f[0]], o);
+      b.subVectors(verts[f[j]], o);
+      d.subVectors(verts[f[j + 1]], o);
+      const v6 = a.dot(b.clone().cross(d));
+      vol += v6;
+      c.addScaledVector(a.clone().add(b).add(d), v6);
+    }
+  }
+  if (Math.abs(vol) < 1e-15) return { volume: 0, centroid: o.clone() };
+  // Σ v6·(a+b+d) / (4·Σ v6), desplazado al origen o
+  return { volume: Math.abs(vol) / 6, centroid: c.multiplyScalar(1 / (4 * vol)).add(o) };
+}
+
+const price = (mat, volume, mass, override) => {
+  const unit = Number.isFinite(override) ? override : mat.price;
+  return mat.priceUnit === 'm3' ? unit * volume : unit * mass;
+};
+
+/**
+ * Lista de materiales de la estructura.
+ * @param {THREE.Group} structureGroup
+ * @param {Object} [generator] - StructureGenerator (_instanceConnectorMap: info de cada conector)
+ * @param {{prices?:{beam?:number, hub?:number, plate?:number}, boltUnitPrice?:number}} [options]
+ *   prices = precio unitario del material global de cada categoria (reemplaza al de la
+ *   biblioteca; las piezas con material propio por nivel usan el de la biblioteca)
+ * @returns {{lines:Array<{category:'beam'|'hub'|'plate'|'bolt', label:string, material:string, count:number,
+ *   unitMassKg:number, massKg:number, volumeM3:number, cost:number}>,
+ *   totals:{massKg:number, cost:number, byCategory:Object<string,{massKg:number, cost:number}>},
+ *   cog:THREE.Vector3|null}}
+ */
+export function computeBOM(structureGroup, generator = null, options = {}) {
+  const beamKey = getGlobalMaterial('beam');
+  const hubKey = getGlobalMaterial('hub');
+  const plateKey = getGlobalMaterial('plate');
+  const keyOf = (info, globalKey) => (info && MATERIAL_LIBRARY[info.materialKey] ? info.materialKey : globalKey);
+  const prices = options.prices || {};
+  const boltUnitPrice = Number.isFinite(Number(options.boltUnitPrice)) ? Number(options.boltUnitPrice) : BOM_DEFAULTS.boltUnitPrice;
+
+  const lines = new Map();
+  const moment = new THREE.Vector3();
+  let totalMass = 0;
+  const add = (category, typeKey, label, matKey, volume, mass, cost, centroid) => {
+    const key = `${category}|${typeKey}|${matKey}`;
+    if (!lines.has(key)) {
+      lines.set(key, { category, label, material: MATERIAL_LIBRARY[matKey] ? MATERIAL_LIBRARY[matKey].name : matKey, count: 0, unitMassKg: mass, massKg: 0, volumeM3: 0, cost: 0 });
+    }
+    const ln = lines.get(key);
+    ln.count++;
+    ln.massKg += mass;
+    ln.volumeM3 += volume;
+    ln.cost += cost;
+    if (centroid) moment.addScaledVector(centroid, mass);
+    totalMass += mass;
+  };
+
+  const children = (structureGroup && structureGroup.children) || [];
+  if (structureGroup && structureGroup.updateMatrixWorld) structureGroup.updateMatrixWorld(true);
+  BeamPDFReporter._initKeySpace(structureGroup);
+  // Ancho de viga por id: largo de los pernos de sus pletinas
+  const beamWidthMm = new Map();
+  for (const obj of children) {
+    const info = obj && obj.userData && obj.userData.beamInfo;
+    if (info && info.id != null) beamWidthMm.set(info.id, Number(info.widthMm) || 0);
+  }
+  const seen = new Set();
+  const m4 = new THREE.Matrix4();
+  for (const obj of children) {
+    if (!obj || obj.visible === false) continue;
+    const ud = obj.userData || {};
+
+    // Vigas (incluye extras, diagonales y muro de arranque)
+    if (ud.isBeam && ud.beamInfo && Array.isArray(ud.objVertices)) {
+      const info = ud.beamInfo;
+      const unique = BeamPDFReporter._beamUniqueKey(info, obj);
+      if (!unique || seen.has(unique)) continue;
+      seen.add(unique);
+      const faces = (Array.isArray(ud.objFaces) && ud.objFaces.length) ? ud.objFaces : ud.objQuads;
+      if (!Array.isArray(faces)) continue;
+      const { volume, centroid } = solidVolume(ud.objVertices.map(v => v.clone().applyMatrix4(obj.matrix)), faces);
+      const matKey = keyOf(info, beamKey);
+      const mat = MATERIAL_LIBRARY[matKey];
+      const mass = volume * mat.density;
+      const ep = BeamPDFReporter._endpointPairVisible(info);
+      const typeKey = BeamPDFReporter._beamCountKey(info, obj) || unique;
+      const label = `Viga ${ep.a}-${ep.b} ${Math.round(info.widthMm)}x${Math.round(info.heightMm)} L${Math.round(info.lenMm)}`;
+      add('beam', typeKey, label, matKey, volume, mass, price(mat, volume, mass, matKey === beamKey ? prices.beam : null), centroid);
+      continue;
+    }
+
+    // Pletinas y sus pernos
+    if (ud.isPlate) {
+      const gd = obj.geometry && obj.geometry.userData;
+      if (!gd || !Array.isArray(gd.objVertices) || !Array.isArray(gd.objFaces)) continue;
+      const verts = gd.objVertices.map(v => v.clone().applyMatrix4(obj.matrix));
+      const { volume, centroid } = solidVolume(verts, gd.objFaces);
+      const matKey = keyOf(ud.plateInfo, plateKey);
+      const mat = MATERIAL_LIBRARY[matKey];
+      const mass = volume * mat.density;
+      const dims = [verts[0].distanceTo(verts[4]), verts[0].distanceTo(verts[3]), verts[0].distanceTo(verts[1])]
+        .map(x => Math.round(x * 1000));
+      add('plate', dims.join('x'), `Pletina ${dims.join('x')}`, matKey, volume, mass, price(mat, volume, mass, matKey === plateKey ? prices.plate : null), centroid);
+
+      const holes = Array.isArray(ud.boltHoles) ? ud.boltHoles : [];
+      const gripMm = (ud.plateInfo && beamWidthMm.get(ud.plateInfo.beamId)) || 0;
+      for (const h of holes) {
+        const lengthMm = Math.ceil((gripMm + BOLT_GRIP_EXTRA_MM) / 10) * 10;
+        const r = h.diameterMm / 2000;
+        const bVol = Math.PI * r * r * lengthMm / 1000;
+        const bMass = bVol * MATERIAL_LIBRARY.S235.density;
+        const label = `Perno M${Math.round(h.diameterMm)}x${lengthMm} con tuerca y arandelas`;
+        add('bolt', label, label, 'S235', bVol, bMass, boltUnitPrice, h.center.clone().applyMatrix4(obj.matrix));
+      }
+      continue;
+    }
+
+    // Conectores cilindricos (batches instanciados; los huerfanos estan en escala 0)
+    if (obj.isInstancedMesh && ud.isConnectorBatch) {
+      const p = obj.geometry && obj.geometry.parameters;
+      if (!p || !Number.isFinite(p.radiusTop) || !Number.isFinite(p.height)) continue;
+      const volume = Math.PI * p.radiusTop * p.radiusTop * p.height;
+      const infos = generator && generator._instanceConnectorMap ? generator._instanceConnectorMap.get(obj) : null;
+      const dMm = Math.round(p.radiusTop * 2000), hMm = Math.round(p.height * 1000);
+      for (let i = 0; i < obj.count; i++) {
+        obj.getMatrixAt(i, m4);
+        if (Math.abs(m4.elements[0]) + Math.abs(m4.elements[1]) + Math.abs(m4.elements[2]) < 1e-9) continue;
+        const center = new THREE.Vector3().setFromMatrixPosition(m4).applyMatrix4(obj.matrix);
+        const matKey = keyOf(infos ? infos[i] : null, hubKey);
+        const mat = MATERIAL_LIBRARY[matKey];
+        const mass = volume * mat.density;
+        add('hub', `${dMm}x${hMm}`, `Conector Ø${dMm}x${hMm}`, matKey, volume, mass, price(mat, volume, mass, matKey === hubKey ? prices.hub : null), center);
+      }
+    }
+  }
+
+  const list = [...lines.values()].sort((a, b) => {
+    const order = { beam: 0, hub: 1, plate: 2, bolt: 3 };
+    return (order[a.category] - order[b.category]) || a.label.localeCompare(b.label);
+  });
+  const byCategory = {};
+  for (const ln of list) {
+    if (!byCategory[ln.category]) byCategory[ln.category] = { massKg: 0, cost: 0 };
+    byCategory[ln.category].massKg += ln.massKg;
+    byCategory[ln.category].cost += ln.cost;
+  }
+  return {
+    lines: list,
+    totals: { massKg: totalMass, cost: list.reduce((s, ln) => s + ln.cost, 0), byCategory },
+    cog: totalMass > 0 ? moment.multiplyScalar(1 / totalMass) : null,
+  };
+}
@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { newell } from './vec.js';
+import { state } from './state.js';
+import { BeamPDFReporter } from './beam-pdf-report.js';
+
+/**
+ * btlx.js
+ *
+ * Exporta las vigas de la estructura a BTLx (XML de piezas y mecanizados para
+ * centros CNC de carpinteria, tipo Hundegger).
+ *
+ * Una pieza (<Part>) por tipo de viga, con los mismos tipos y cantidades que el PDF
+ * de vigas (BeamPDFReporter._beamCountKey / _countBeamInstances). La pieza
+ * representativa de cada tipo define la geometria.
+ *
+ * Sistema de la pieza (mm), desde los vertices de _createBeveledBeamGeometry:
+ *   X = a lo largo de la viga (del extremo A al B), Y = ancho (w), Z = alto (t, desde
+ *   la cara exterior hacia el interior). El origen es la esquina minima de la caja.
+ *   RS1 = cara exterior (Z=0): sus coordenadas locales son (X, Y) y la profundidad +Z.
+ *   RS2 = lateral en Y=0: coordenadas locales (X, Z) y profundidad +Y.
+ *
+ * Mecanizados:
+ *   - JackRafterCut en cada testa, referido a RS1. Angle = angulo entre la linea de
+ *     corte sobre RS1 y el eje X (90 = a escuadra en planta); Inclination = angulo
+ *     dentro del material entre RS1 y el plano de corte (90 = a plomo).
+ *   - Drilling pasante por cada agujero de perno (userData.boltHoles), desde RS2.
+ * Las pletinas son de acero y no se exportan.
+ */
+
+const BTLX_VERSION = '2.1';
+const BTLX_NS = 'https://www.design2machine.com';
+
+const xmlEscape = (s) => String(s == null ? '' : s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const num = (v, digits = 2) => (Number.isFinite(v) ? Number(v.toFixed(digits)) : 0).toString();
+
+// Angulos BTLx validos: 0.1 .. 179.9
+const clampAngle = (deg) => Math.min(179.9, Math.max(0.1, deg));
+
+export class BTLxExporter {
+  static exportStructureToBTLx(structureGroup) {
+    if (!structureGroup || !structureGroup.children || structureGroup.children.length === 0) {
+      throw new Error('Structure is empty');
+    }
+    structureGroup.updateMatrixWorld(true);
+
+    const parts = this._collectParts(structureGroup);
+    if (!parts.length) throw new Error('No hay vigas en la estructura');
+
+    const now = new Date();
+    const iso = now.toISOString();
+    const lines = [];
+    lines.push('<?xml version="1.0" encoding="utf-8"?>');
+    lines.push(`<BTLx xmlns="${BTLX_NS}" Version="${BTLX_VERSION}" Language="es">`);
+    lines.push('  <FileHistory>');
+    lines.push(`    <InitialExportProgram CompanyName="" ProgramName="ZValdivia" ProgramVersion="" ComputerName="" UserName="" FileName="${xmlEscape(this._filename())}" Date="${iso.slice(0, 10)}" Time="${iso.slice(11, 19)}" Comment="Dmax=${state.Dmax}, N=${state.N}, a=${state.aDeg}deg"/>`);
+    lines.push('  </FileHistory>');
+    lines.push(`  <Project Name="ZValdivia N${state.N} a${state.aDeg.toFixed(2)}">`);
+    lines.push('    <Parts>');
+    parts.forEach((p, idx) => lines.push(...this._partXml(p, idx + 1)));
+    lines.push('    </Parts>');
+    lines.push('  </Project>');
+    lines.push('</BTLx>');
+
+    this._download(lines.join('\n'));
+    return parts.length;
+  }
+
+  /** Tipos de viga con su pieza representativa y cantidad. */
+  static _collectParts(structureGroup) {
+    BeamPDFReporter._initKeySpace(structureGroup);
+    const counts = BeamPDFReporter._countBeamInstances(structureGroup);
+    const byType = new Map();
+    for (const obj of structureGroup.children) {
+      if (!obj || obj.visible === false) continue;
+      const ud = obj.userData;
+      const info = ud && ud.beamInfo;
+      if (!ud || !ud.isBeam || !info || !Array.isArray(ud.objVertices) || ud.objVertices.length !== 8) continue;
+      const key = BeamPDFReporter._beamCountKey(info, obj);
+      if (!key || byType.has(key)) continue;
+      const geo = this._partGeometry(obj);
+      if (!geo) continue;
+      byType.set(key, { key, mesh: obj, info, geo, count: counts.get(key) || 1 });
+    }
+    return [...byType.values()].sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Marco y medidas de la pieza en mm; cortes de ambas testas y agujeros en coordenadas
+   * de la pieza.
+   */
+  static _partGeometry(mesh) {
+    const v = mesh.userData.objVertices.map(p => p.clone().applyMatrix4(mesh.matrixWorld));
+    const cent = (idx) => idx.reduce((c, i) => c.add(v[i]), new THREE.Vector3()).multiplyScalar(1 / idx.length);
+    const cA = cent([0, 1, 2, 3]);
+    const cB = cent([4, 5, 6, 7]);
+    const e = cB.clone().sub(cA);
+    if (e.lengthSq() < 1e-12) return null;
+    e.normalize();
+    const perp = (d) => d.sub(e.clone().multiplyScalar(d.dot(e))).normalize();
+    const w = perp(v[1].clone().sub(v[0]));
+    const t = perp(v[3].clone().sub(v[0]));
+    if (w.lengthSq() < 0.5 || t.lengthSq() < 0.5) return null;
+
+    // Origen en la esquina minima de la caja (X, Y, Z) = (e, w, t)
+    const raw = (p) => new THREE.Vector3(p.dot(e), p.dot(w), p.dot(t));
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+    for (const p of v) { const r = raw(p); min.min(r); max.max(r); }
+    const local = (p) => raw(p).sub(min).multiplyScalar(1000);
+    const localDir = (d) => new THREE.Vector3(d.dot(e), d.dot(w), d.dot(t));
+
+    const info = mesh.userData.beamInfo;
+    const extent = (max.x - min.x) * 1000;
+    const lenMm = Number.isFinite(Number(info.lenMm)) ? Number(info.lenMm) : extent;
+
+    const cut = (idx, orientation) => {
+      const n = localDir(new THREE.Vector3().copy(newell(idx.map(i => v[i]))).normalize());
+      // Normal hacia afuera del material que queda
+      if ((orientation === 'start') === (n.x > 0)) n.negate();
+      const p = local(cent(idx));
+      return { orientation, n, p };
+    };
+
+    const holes = (Array.isArray(mesh.userData.boltHoles) ? mesh.userData.boltHoles : []).map(h => ({
+      p: local(h.center.clone().applyMatrix4(mesh.matrixWorld)),
+      diameterMm: h.diameterMm,
+    }));
+
+    return {
+      // Vertices en el layout de objVertices (usados tambien por el DXF de vigas)
+      verts: v.map(local),
+      // La caja puede exceder lenMm cuando el bisel sobresale del tope en el cilindro
+      lengthMm: Math.max(lenMm, extent),
+      widthMm: (max.y - min.y) * 1000,
+      heightMm: (max.z - min.z) * 1000,
+      cuts: [cut([0, 1, 2, 3], 'start'), cut([4, 5, 6, 7], 'end')],
+      holes,
+    };
+  }
+
+  static _partXml(part, number) {
+    const { info, geo, count } = part;
+    const ep = BeamPDFReporter._endpointPairVisible(info);
+    const kind = info.kind || 'edge';
+    const label = `V${number}`;
+    const widthMm = Number.isFinite(info.widthMm) ? info.widthMm : geo.widthMm;
+    const heightMm = Number.isFinite(info.heightMm) ? info.heightMm : geo.heightMm;
+
+    const out = [];
+    out.push(`      <Part SingleMemberNumber="${number}" AssemblyNumber="" OrderNumber="${number}" Designation="${xmlEscape(label)}" Annotation="${xmlEscape(`${ep.a} <-> ${ep.b} (${kind}) L=${Math.round(info.lenMm || geo.lengthMm)} mm`)}" Storey="" Group="" Package="" Material="${xmlEscape(info.material || '')}" TimberGrade="" QualityGrade="" Count="${count}" Length="${num(geo.lengthMm, 1)}" Height="${num(heightMm, 1)}" Width="${num(widthMm, 1)}" PlaningLength="0" StartOffset="0" EndOffset="0">`);
+    out.push('        <Processings>');
+    let pid = 1;
+    for (const c of geo.cuts) {
+      const jc = this._jackRafterCut(c);
+      out.push(`          <JackRafterCut Name="Testa ${c.orientation === 'start' ? 'A' : 'B'}" Priority="0" Process="yes" ProcessID="${pid++}" ReferencePlaneID="1">`);
+      out.push(`            <Orientation>${c.orientation}</Orientation>`);
+      out.push(`            <StartX>${num(jc.startX)}</StartX>`);
+      out.push('            <StartY>0</StartY>');
+      out.push('            <StartDepth>0</StartDepth>');
+      out.push(`            <Angle>${num(jc.angle)}</Angle>`);
+      out.push(`            <Inclination>${num(jc.inclination)}</Inclination>`);
+      out.push('          </JackRafterCut>');
+    }
+    for (const h of geo.holes) {
+      out.push(`          <Drilling Name="Perno" Priority="0" Process="yes" ProcessID="${pid++}" ReferencePlaneID="2">`);
+      out.push(`            <StartX>${num(h.p.x)}</StartX>`);
+      out.push(`            <StartY>${num(h.p.z)}</StartY>`);
+      out.push('            <Angle>0</Angle>');
+      out.push('            <Inclination>90</Inclination>');
+      out.push('            <DepthLimited>no</DepthLimited>');
+      out.push(`            <Depth>${num(geo.widthMm, 1)}</Depth>`);
+      out.push(`            <Diameter>${num(h.diameterMm, 1)}</Diameter>`);
+      out.push('          </Drilling>');
+    }
+    out.push('        </Processings>');
+    out.push('      </Part>');
+    return out;
+  }
+
+  /** Parametros de JackRafterCut sobre RS1 (Z=0) para un plano de corte (n hacia afuera, p). */
+  static _jackRafterCut({ n, p }) {
+    // Linea de corte sobre RS1: n.x·X + n.y·Y = n·p ; StartX en Y=0
+    const d = n.dot(p);
+    const startX = Math.abs(n.x) > 1e-9 ? d / n.x : p.x;
+    // Direccion de la linea con Y creciente; Angle medido desde +X
+    let lx = -n.y, ly = n.x;
+    if (ly < 0) { lx = -lx; ly = -ly; }
+    const angle = clampAngle(THREE.MathUtils.radToDeg(Math.atan2(ly, lx)));
+    // Angulo interior entre RS1 (normal exterior -Z) y el plano de corte
+    const inclination = clampAngle(THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(n.z, -1, 1))));
+    return { startX, angle, inclination };
+  }
+
+  static _filename() {
+    let filename = `structure_D${state.Dmax.toFixed(1)}_N${state.N}_a${state.aDeg.toFixed(2)}`;
+    if (state.cutActive) filename += `_cut${state.cutLevel}`;
+    if (state.beltLevels > 0) filename += `_belt${state.beltLevels}`;
+    return `${filename}.btlx`;
+  }
+
+  static _download(content) {
+    const blob = new Blob([content], { type: 'application/xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = this._filename();
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
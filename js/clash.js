@@ -0,0 +1,163 @@
+/**
+ * clash.js
+ *
+ * Deteccion de interferencias entre vigas y pletinas que llegan a un mismo conector.
+ *
+ * _trimToCylinderSurface recorta cada viga contra el cilindro del nodo por separado;
+ * con aristas muy inclinadas o diagonales extra los solidos pueden seguir tocandose
+ * cerca del conector. Aqui se prueban todos los pares de piezas de cada nodo.
+ *
+ * Vigas y pletinas son hexaedros convexos de 8 vertices (misma numeracion de caras
+ * en _createBeveledBeamGeometry y _createBeveledPletinaGeometry). Se usa el teorema
+ * del eje separador: ejes = normales de caras de ambas piezas y productos cruz de sus
+ * direcciones de arista. La profundidad del choque es el menor solape entre todos
+ * los ejes (lo que habria que mover una pieza para separarlas).
+ *
+ * Una viga no se compara con sus propias pletinas (van dentro de su ranura).
+ */
+
+import { sub, cross, norm, newell } from './vec.js';
+
+/** Solape minimo (mm) para informar un choque; por debajo se considera contacto. */
+export const CLASH_TOLERANCE_MM = 0.5;
+
+// Caras y aristas de los hexaedros de viga/pletina (testa inicio 0-3, testa fin 4-7)
+const HEX_FACES = [
+  [0, 1, 2, 3],
+  [4, 7, 6, 5],
+  [0, 4, 5, 1],
+  [1, 5, 6, 2],
+  [2, 6, 7, 3],
+  [3, 7, 4, 0],
+];
+const HEX_EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 0],
+  [4, 5], [5, 6], [6, 7], [7, 4],
+  [0, 4], [1, 5], [2, 6], [3, 7],
+];
+
+/** Agrega una direccion si no es paralela a otra ya presente. */
+function pushAxis(list, v) {
+  const n = norm(v);
+  if (!n) return;
+  for (const a of list) {
+    if (Math.abs(a.x * n.x + a.y * n.y + a.z * n.z) > 1 - 1e-9) return;
+  }
+  list.push(n);
+}
+
+/** Solido convexo desde el mesh (coordenadas del structureGroup); null si no es un hexaedro. */
+function hexSolid(mesh) {
+  const attr = mesh && mesh.geometry && mesh.geometry.attributes && mesh.geometry.attributes.position;
+  if (!attr || attr.count !== 8) return null;
+  const pts = [];
+  for (let i = 0; i < 8; i++) pts.push({ x: attr.getX(i), y: attr.getY(i), z: attr.getZ(i) });
+
+  const normals = [];
+  for (const f of HEX_FACES) {
+    // Normal de Newell: robusta si la testa biselada no es exactamente plana
+    pushAxis(normals, newell(f.map(i => pts[i])));
+  }
+  const edges = [];
+  for (const [i, j] of HEX_EDGES) pushAxis(edges, sub(pts[j], pts[i]));
+
+  const c = { x: 0, y: 0, z: 0 };
+  for (const p of pts) { c.x += p.x / 8; c.y += p.y / 8; c.z += p.z / 8; }
+  let r = 0;
+  for (const p of pts) r = Math.max(r, Math.hypot(p.x - c.x, p.y - c.y, p.z - c.z));
+
+  return { pts, normals, edges, center: c, radius: r };
+}
+
+function project(pts, axis) {
+  let min = Infinity, max = -Infinity;
+  for (const p of pts) {
+    const d = p.x * axis.x + p.y * axis.y + p.z * axis.z;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return { min, max };
+}
+
+/**
+ * Profundidad de interpenetracion de dos hexaedros convexos (m); 0 si hay un eje separador.
+ */
+export function solidOverlapDepth(A, B) {
+  const axes = [...A.normals];
+  for (const n of B.normals) pushAxis(axes, n);
+  for (const ea of A.edges) {
+    for (const eb of B.edges) pushAxis(axes, cross(ea, eb));
+  }
+  let depth = Infinity;
+  for (const axis of axes) {
+    const pa = project(A.pts, axis);
+    const pb = project(B.pts, axis);
+    const overlap = Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min);
+    if (overlap <= 0) return 0;
+    if (overlap < depth) depth = overlap;
+  }
+  return Number.isFinite(depth) ? depth : 0;
+}
+
+/**
+ * Busca choques entre las piezas (vigas y pletinas) de cada conector.
+ * @param {THREE.Group} structureGroup
+ * @param {{toleranceMm?:number}} [options]
+ * @returns {Array<{nodeKey:string, depthMm:number,
+ *   a:{mesh:THREE.Mesh, kind:'beam'|'plate', id:string}, b:{mesh:THREE.Mesh, kind:'beam'|'plate', id:string}}>}
+ *   ordenados de mayor a menor profundidad
+ */
+export function detectClashes(structureGroup, options = {}) {
+  const tol = (Number.isFinite(Number(options.toleranceMm)) ? Number(options.toleranceMm) : CLASH_TOLERANCE_MM) / 1000;
+
+  // Piezas por conector
+  const byNode = new Map();
+  const add = (nodeKey, part) => {
+    if (!nodeKey) return;
+    if (!byNode.has(nodeKey)) byNode.set(nodeKey, []);
+    byNode.get(nodeKey).push(part);
+  };
+  const solids = new Map();
+  const solidOf = (mesh) => {
+    if (!solids.has(mesh)) solids.set(mesh, hexSolid(mesh));
+    return solids.get(mesh);
+  };
+
+  for (const obj of (structureGroup && structureGroup.children) || []) {
+    const ud = obj && obj.userData;
+    if (!ud) continue;
+    if (ud.isBeam && ud.beamInfo && !ud.beamInfo.isRiser) {
+      const info = ud.beamInfo;
+      const part = { mesh: obj, kind: 'beam', id: info.id || obj.name, edgeKey: info.edgeKey };
+      add(info.aKey, part);
+      add(info.bKey, part);
+    } else if (ud.isPlate && ud.plateInfo) {
+      const info = ud.plateInfo;
+      add(info.nodeKey, { mesh: obj, kind: 'plate', id: `Pletina ${info.beamId}`, edgeKey: info.edgeKey });
+    }
+  }
+
+  const clashes = [];
+  for (const [nodeKey, parts] of byNode) {
+    for (let i = 0; i < parts.length; i++) {
+      for (let j = i + 1; j < parts.length; j++) {
+        const p = parts[i], q = parts[j];
+        if (p.edgeKey && p.edgeKey === q.edgeKey) continue;
+        const A = solidOf(p.mesh), B = solidOf(q.mesh);
+        if (!A || !B) continue;
+        const dc = Math.hypot(A.center.x - B.center.x, A.center.y - B.center.y, A.center.z - B.center.z);
+        if (dc > A.radius + B.radius) continue;
+        const depth = solidOverlapDepth(A, B);
+        if (depth <= tol) continue;
+        clashes.push({
+          nodeKey,
+          depthMm: depth * 1000,
+          a: { mesh: p.mesh, kind: p.kind, id: p.id },
+          b: { mesh: q.mesh, kind: q.kind, id: q.id },
+        });
+      }
+    }
+  }
+  clashes.sort((u, v) => v.depthMm - u.depthMm);
+  return clashes;
+}
@@ -0,0 +1,242 @@
+/**
+ * csg.js
+ *
+ * Operaciones booleanas de solidos poligonales con arboles BSP, adaptadas de csg.js de
+ * Evan Wallace (https://github.com/evanw/csg.js). Suficiente para piezas chicas como
+ * los conectores imprimibles: los solidos deben ser cerrados, con caras convexas
+ * orientadas hacia afuera.
+ *
+ * Vertices como {x, y, z} planos (sin THREE) para no crear objetos de mas al partir
+ * poligonos.
+ *
+ * Codigo original bajo licencia MIT:
+ *
+ * Copyright (c) 2011 Evan Wallace (http://madebyevan.com/)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+import { sub, dot, lerp, newellNormal } from './vec.js';
+
+const EPS = 1e-5;
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+class Plane {
+  constructor(normal, w) {
+    this.normal = normal;
+    this.w = w;
+  }
+
+  /** Plano de un poligono por Newell (estable con vertices casi alineados). */
+  static fromVertices(vs) {
+    const normal = newellNormal(vs);
+    if (!normal) return null;
+    return new Plane(normal, dot(normal, vs[0]));
+  }
+
+  clone() {
+    return new Plane({ ...this.normal }, this.w);
+  }
+
+  flip() {
+    this.normal = { x: -this.normal.x, y: -this.normal.y, z: -this.normal.z };
+    this.w = -this.w;
+  }
+
+  /** Reparte `polygon` (partiendolo si cruza el plano) entre las cuatro listas. */
+  splitPolygon(polygon, coplanarFront, coplanarBack, front, back) {
+    let polygonType = 0;
+    const types = [];
+    for (const v of polygon.vertices) {
+      const t = dot(this.normal, v) - this.w;
+      const type = t < -EPS ? BACK : t > EPS ? FRONT : COPLANAR;
+      polygonType |= type;
+      types.push(type);
+    }
+    switch (polygonType) {
+      case COPLANAR:
+        (dot(this.normal, polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+        break;
+      case FRONT:
+        front.push(polygon);
+        break;
+      case BACK:
+        back.push(polygon);
+        break;
+      default: {
+        const f = [], b = [];
+        const vs = polygon.vertices;
+        for (let i = 0; i < vs.length; i++) {
+          const j = (i + 1) % vs.length;
+          const ti = types[i], tj = types[j];
+          const vi = vs[i], vj = vs[j];
+          if (ti !== BACK) f.push(vi);
+          if (ti !== FRONT) b.push(vi);
+          if ((ti | tj) === SPANNING) {
+            const t = (this.w - dot(this.normal, vi)) / dot(this.normal, sub(vj, vi));
+            const v = lerp(vi, vj, t);
+            f.push(v);
+            b.push(v);
+          }
+        }
+        if (f.length >= 3) front.push(new Polygon(f, polygon.plane.clone()));
+        if (b.length >= 3) back.push(new Polygon(b, polygon.plane.clone()));
+      }
+    }
+  }
+}
+
+class Polygon {
+  constructor(vertices, plane = null) {
+    this.vertices = vertices;
+    this.plane = plane || Plane.fromVertices(vertices);
+  }
+
+  clone() {
+    return new Polygon(this.vertices.slice(), this.plane.clone());
+  }
+
+  flip() {
+    this.vertices.reverse();
+    this.plane.flip();
+  }
+}
+
+class Node {
+  constructor(polygons) {
+    this.plane = null;
+    this.front = null;
+    this.back = null;
+    this.polygons = [];
+    if (polygons) this.build(polygons);
+  }
+
+  invert() {
+    for (const p of this.polygons) p.flip();
+    if (this.plane) this.plane.flip();
+    if (this.front) this.front.invert();
+    if (this.back) this.back.invert();
+    [this.front, this.back] = [this.back, this.front];
+  }
+
+  /** Quita de `polygons` lo que queda dentro de este arbol. */
+  clipPolygons(polygons) {
+    if (!this.plane) return polygons.slice();
+    let front = [], back = [];
+    for (const p of polygons) this.plane.splitPolygon(p, front, back, front, back);
+    if (this.front) front = this.front.clipPolygons(front);
+    back = this.back ? this.back.clipPolygons(back) : [];
+    return front.concat(back);
+  }
+
+  clipTo(bsp) {
+    this.polygons = bsp.clipPolygons(this.polygons);
+    if (this.front) this.front.clipTo(bsp);
+    if (this.back) this.back.clipTo(bsp);
+  }
+
+  allPolygons() {
+    let out = this.polygons.slice();
+    if (this.front) out = out.concat(this.front.allPolygons());
+    if (this.back) out = out.concat(this.back.allPolygons());
+    return out;
+  }
+
+  build(polygons) {
+    if (!polygons.length) return;
+    if (!this.plane) this.plane = polygons[0].plane.clone();
+    const front = [], back = [];
+    for (const p of polygons) this.plane.splitPolygon(p, this.polygons, this.polygons, front, back);
+    if (front.length) {
+      if (!this.front) this.front = new Node();
+      this.front.build(front);
+    }
+    if (back.length) {
+      if (!this.back) this.back = new Node();
+      this.back.build(back);
+    }
+  }
+}
+
+export class CSG {
+  constructor(polygons = []) {
+    this.polygons = polygons;
+  }
+
+  /** @param {Array<Array<{x:number,y:number,z:number}>>} faces - caras convexas, CCW vistas desde afuera */
+  static fromFaces(faces) {
+    const polygons = [];
+    for (const f of faces) {
+      const p = new Polygon(f.map(v => ({ x: v.x, y: v.y, z: v.z })));
+      if (p.plane) polygons.push(p);
+    }
+    return new CSG(polygons);
+  }
+
+  /** Caja alineada a los ejes entre min y max. */
+  static box(min, max) {
+    const c = (i) => ({ x: i & 1 ? max.x : min.x, y: i & 2 ? max.y : min.y, z: i & 4 ? max.z : min.z });
+    return CSG.fromFaces([
+      [0, 4, 6, 2], [1, 3, 7, 5], [0, 1, 5, 4], [2, 6, 7, 3], [0, 2, 3, 1], [4, 5, 7, 6],
+    ].map(f => f.map(c)));
+  }
+
+  clone() {
+    return new CSG(this.polygons.map(p => p.clone()));
+  }
+
+  union(csg) {
+    const a = new Node(this.clone().polygons);
+    const b = new Node(csg.clone().polygons);
+    a.clipTo(b);
+    b.clipTo(a);
+    b.invert();
+    b.clipTo(a);
+    b.invert();
+    a.build(b.allPolygons());
+    return new CSG(a.allPolygons());
+  }
+
+  subtract(csg) {
+    const a = new Node(this.clone().polygons);
+    const b = new Node(csg.clone().polygons);
+    a.invert();
+    a.clipTo(b);
+    b.clipTo(a);
+    b.invert();
+    b.clipTo(a);
+    b.invert();
+    a.build(b.allPolygons());
+    a.invert();
+    return new CSG(a.allPolygons());
+  }
+
+  /** Triangulos (abanico por cara) como [[a, b, c], ...]. */
+  toTriangles() {
+    const out = [];
+    for (const p of this.polygons) {
+      const vs = p.vertices;
+      for (let i = 1; i + 1 < vs.length; i++) out.push([vs[0], vs[i], vs[i + 1]]);
+    }
+    return out;
+  }
+}
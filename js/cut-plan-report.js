@@ -0,0 +1,162 @@
+import { state } from './state.js';
+
+/**
+ * Plan de corte (resultado de optimizeCutStock) como PDF o CSV.
+ *
+ * PDF: portada con parametros y resumen por seccion; luego cada tabla dibujada a
+ * escala con sus piezas, despuntes y sobrante.
+ * CSV: una fila por pieza (tabla, orden en la tabla, posicion desde el inicio).
+ *
+ * Requiere jsPDF cargado (window.jspdf) para el PDF.
+ */
+export class CutPlanReporter {
+  static generatePDF(plan) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+    const p = plan.params;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text('ZValdivia - Plan de corte de vigas', 105, 30, { align: 'center' });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(11);
+    const lines = [
+      `N = ${state.N}   a = ${state.aDeg.toFixed(2)}°`,
+      `Largo comercial = ${p.stockLengthMm} mm`,
+      `Espesor de corte (sierra) = ${p.kerfMm} mm`,
+      `Despunte por extremo = ${p.trimMm} mm (util ${p.usableMm} mm)`,
+      `Tablas = ${plan.totals.boards}   Piezas = ${plan.totals.pieces}`,
+      `Desperdicio total = ${plan.totals.wastePct.toFixed(1)}%`,
+    ];
+    let y = 45;
+    for (const l of lines) { doc.text(l, 20, y); y += 7; }
+
+    y += 6;
+    doc.setFont('helvetica', 'bold');
+    doc.text('Resumen por sección', 20, y);
+    y += 7;
+    doc.setFontSize(10);
+    const cols = [20, 60, 110, 135, 165];
+    ['Sección (mm)', 'Material', 'Tablas', 'Piezas', 'Desperdicio'].forEach((h, i) => doc.text(h, cols[i], y));
+    doc.setFont('helvetica', 'normal');
+    for (const g of plan.groups) {
+      y += 6;
+      const n = g.boards.reduce((s, b) => s + b.pieces.length, 0);
+      [g.section, g.material || '—', String(g.boards.length), String(n), `${g.wastePct.toFixed(1)}%`]
+        .forEach((v, i) => doc.text(v, cols[i], y));
+    }
+
+    if (plan.oversize.length) {
+      y += 12;
+      doc.setFont('helvetica', 'bold');
+      doc.text(`Piezas más largas que el largo útil (${plan.oversize.length}): requieren empalme o tabla especial`, 20, y);
+      doc.setFont('helvetica', 'normal');
+      for (const o of plan.oversize.slice(0, 20)) {
+        y += 5.5;
+        doc.text(`${o.label}  ${o.section}  L=${o.lengthMm} mm`, 24, y);
+      }
+    }
+
+    // Tablas a escala, agrupadas por seccion
+    let boardNo = 0;
+    const rowH = 22;
+    for (const g of plan.groups) {
+      doc.addPage();
+      y = this._groupHeader(doc, g);
+      for (const b of g.boards) {
+        if (y + rowH > 285) {
+          doc.addPage();
+          y = this._groupHeader(doc, g);
+        }
+        this._drawBoard(doc, b, ++boardNo, p, 14, y, 182);
+        y += rowH;
+      }
+    }
+
+    doc.save(`${this._basename()}.pdf`);
+  }
+
+  static _groupHeader(doc, g) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(`Sección ${g.section} mm${g.material ? ` - ${g.material}` : ''}`, 14, 18);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(`${g.boards.length} tabla(s), desperdicio ${g.wastePct.toFixed(1)}%`, 14, 24);
+    return 32;
+  }
+
+  /** Una tabla: barra a escala (despuntes en gris, sobrante rayado) y lista de piezas. */
+  static _drawBoard(doc, board, number, p, x, y, w) {
+    const s = w / p.stockLengthMm;
+    const h = 7;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.text(`Tabla ${number}`, x, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`sobrante ${Math.round(board.offcutMm)} mm`, x + w, y, { align: 'right' });
+
+    const by = y + 2;
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.2);
+    doc.setFillColor(200, 200, 200);
+    if (p.trimMm > 0) {
+      doc.rect(x, by, p.trimMm * s, h, 'F');
+      doc.rect(x + w - p.trimMm * s, by, p.trimMm * s, h, 'F');
+    }
+    let pos = p.trimMm;
+    doc.setFontSize(7);
+    board.pieces.forEach((pc, i) => {
+      if (i > 0) pos += p.kerfMm;
+      const px = x + pos * s, pw = pc.lengthMm * s;
+      doc.setFillColor(235, 225, 200);
+      doc.rect(px, by, pw, h, 'FD');
+      const txt = `${i + 1}`;
+      if (pw > doc.getTextWidth(txt) + 1) doc.text(txt, px + pw / 2, by + h / 2 + 1.2, { align: 'center' });
+      pos += pc.lengthMm;
+    });
+    doc.rect(x, by, w, h);
+
+    const list = board.pieces.map((pc, i) => `${i + 1}) ${pc.label} ${pc.lengthMm}`).join('   ');
+    doc.text(doc.splitTextToSize(list, w), x, by + h + 4);
+  }
+
+  static generateCSV(plan) {
+    const rows = [['tabla', 'seccion_mm', 'material', 'orden', 'pieza', 'viga', 'largo_mm', 'desde_mm', 'sobrante_tabla_mm']];
+    const p = plan.params;
+    let boardNo = 0;
+    for (const g of plan.groups) {
+      for (const b of g.boards) {
+        boardNo++;
+        let pos = p.trimMm;
+        b.pieces.forEach((pc, i) => {
+          if (i > 0) pos += p.kerfMm;
+          rows.push([boardNo, g.section, g.material, i + 1, pc.label, pc.id, pc.lengthMm, pos, Math.round(b.offcutMm)]);
+          pos += pc.lengthMm;
+        });
+      }
+    }
+    for (const o of plan.oversize) {
+      rows.push(['', o.section, o.material, '', o.label, o.id, o.lengthMm, '', 'excede largo util']);
+    }
+    const cell = (v) => {
+      const t = String(v == null ? '' : v);
+      return /[",;\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+    };
+    const csv = rows.map(r => r.map(cell).join(',')).join('\n');
+
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${this._basename()}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  static _basename() {
+    return `Plan_corte_ZValdivia_N${state.N}_a${state.aDeg.toFixed(2)}`;
+  }
+}
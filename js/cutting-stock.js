@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+import { BeamPDFReporter } from './beam-pdf-report.js';
+
+/**
+ * cutting-stock.js
+ *
+ * Plan de corte de vigas desde piezas comerciales (1D nesting).
+ *
+ * Cada viga instalada (bases, extras, diagonales y muro de arranque) es una pieza con
+ * su largo de bruto: la extension de su hexaedro a lo largo del eje, que incluye lo
+ * que sobresalen los biseles. Solo se combinan en una tabla piezas de la misma
+ * seccion y material.
+ *
+ * Por tabla se descuenta `trimMm` en cada extremo (despunte) y `kerfMm` por cada
+ * corte entre piezas. El empaque es Best Fit Decreasing: piezas de mayor a menor,
+ * cada una en la tabla abierta donde deja menos sobrante; si no cabe en ninguna se
+ * abre otra. Da a lo mas 11/9·OPT + 1 tablas y en la practica suele ser optimo.
+ */
+
+/** Parametros por defecto (mm). */
+export const CUT_STOCK_DEFAULTS = {
+  stockLengthMm: 4800,
+  kerfMm: 3,
+  trimMm: 10,
+};
+
+/** Largo de bruto (mm) de una viga: extension de sus vertices a lo largo del eje. */
+export function beamBlankLengthMm(mesh) {
+  const ud = mesh && mesh.userData;
+  const v = ud && Array.isArray(ud.objVertices) && ud.objVertices.length === 8 ? ud.objVertices : null;
+  const info = ud && ud.beamInfo;
+  const lenMm = info && Number.isFinite(Number(info.lenMm)) ? Number(info.lenMm) : 0;
+  if (!v) return lenMm;
+  const cent = (idx) => idx.reduce((c, i) => c.add(v[i]), new THREE.Vector3()).multiplyScalar(1 / idx.length);
+  const e = cent([4, 5, 6, 7]).sub(cent([0, 1, 2, 3]));
+  if (e.lengthSq() < 1e-12) return lenMm;
+  e.normalize();
+  let min = Infinity, max = -Infinity;
+  for (const p of v) {
+    const s = p.dot(e);
+    if (s < min) min = s;
+    if (s > max) max = s;
+  }
+  return Math.max(lenMm, (max - min) * 1000);
+}
+
+/**
+ * Todas las vigas instaladas como piezas a cortar.
+ * El tipo es el mismo del PDF de vigas (BeamPDFReporter._beamCountKey).
+ * @returns {Array<{id:string, type:string, label:string, lengthMm:number, section:string, material:string}>}
+ */
+export function collectBeamPieces(structureGroup) {
+  const pieces = [];
+  if (!structureGroup || !Array.isArray(structureGroup.children)) return pieces;
+  BeamPDFReporter._initKeySpace(structureGroup);
+  const seen = new Set();
+  for (const obj of structureGroup.children) {
+    if (!obj || obj.visible === false) continue;
+    const info = obj.userData && obj.userData.isBeam ? obj.userData.beamInfo : null;
+    if (!info) continue;
+    const unique = BeamPDFReporter._beamUniqueKey(info, obj);
+    if (!unique || seen.has(unique)) continue;
+    seen.add(unique);
+    const ep = BeamPDFReporter._endpointPairVisible(info);
+    const w = Number.isFinite(info.widthMm) ? Math.round(info.widthMm) : 0;
+    const h = Number.isFinite(info.heightMm) ? Math.round(info.heightMm) : 0;
+    pieces.push({
+      id: String(info.id || obj.name || ''),
+      type: BeamPDFReporter._beamCountKey(info, obj) || unique,
+      label: `${ep.a}-${ep.b}`,
+      lengthMm: Math.ceil(beamBlankLengthMm(obj)),
+      section: `${w}x${h}`,
+      material: info.material || '',
+    });
+  }
+  return pieces;
+}
+
+/**
+ * Empaca las piezas en tablas de largo comercial.
+ * @param {ReturnType<typeof collectBeamPieces>} pieces
+ * @param {{stockLengthMm?:number, kerfMm?:number, trimMm?:number}} [options]
+ * @returns {{params:{stockLengthMm:number, kerfMm:number, trimMm:number, usableMm:number},
+ *   groups:Array<{section:string, material:string, boards:Array<{pieces:Array, usedMm:number, offcutMm:number}>,
+ *     pieceMm:number, stockMm:number, wastePct:number}>,
+ *   oversize:Array, totals:{boards:number, pieces:number, pieceMm:number, stockMm:number, wastePct:number}}}
+ */
+export function optimizeCutStock(pieces, options = {}) {
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : d);
+  const stockLengthMm = num(options.stockLengthMm, CUT_STOCK_DEFAULTS.stockLengthMm);
+  const kerfMm = num(options.kerfMm, CUT_STOCK_DEFAULTS.kerfMm);
+  const trimMm = num(options.trimMm, CUT_STOCK_DEFAULTS.trimMm);
+  const usableMm = stockLengthMm - 2 * trimMm;
+
+  const bySection = new Map();
+  const oversize = [];
+  for (const p of pieces || []) {
+    if (!(p.lengthMm > 0)) continue;
+    if (p.lengthMm > usableMm) { oversize.push(p); continue; }
+    const key = `${p.section}|${p.material}`;
+    if (!bySection.has(key)) bySection.set(key, { section: p.section, material: p.material, pieces: [] });
+    bySection.get(key).pieces.push(p);
+  }
+
+  const groups = [];
+  for (const g of bySection.values()) {
+    const sorted = g.pieces.slice().sort((a, b) => (b.lengthMm - a.lengthMm) || a.label.localeCompare(b.label));
+    const boards = [];
+    for (const p of sorted) {
+      let best = null, bestLeft = Infinity;
+      for (const b of boards) {
+        const left = usableMm - b.usedMm - kerfMm - p.lengthMm;
+        if (left >= 0 && left < bestLeft) { best = b; bestLeft = left; }
+      }
+      if (best) {
+        best.usedMm += kerfMm + p.lengthMm;
+        best.pieces.push(p);
+      } else {
+        boards.push({ pieces: [p], usedMm: p.lengthMm });
+      }
+    }
+    for (const b of boards) b.offcutMm = usableMm - b.usedMm;
+    boards.sort((a, b) => a.offcutMm - b.offcutMm);
+    const pieceMm = g.pieces.reduce((s, p) => s + p.lengthMm, 0);
+    const stockMm = boards.length * stockLengthMm;
+    groups.push({
+      section: g.section,
+      material: g.material,
+      boards,
+      pieceMm,
+      stockMm,
+      wastePct: stockMm > 0 ? (1 - pieceMm / stockMm) * 100 : 0,
+    });
+  }
+  groups.sort((a, b) => a.section.localeCompare(b.section) || a.material.localeCompare(b.material));
+
+  const pieceMm = groups.reduce((s, g) => s + g.pieceMm, 0);
+  const stockMm = groups.reduce((s, g) => s + g.stockMm, 0);
+  return {
+    params: { stockLengthMm, kerfMm, trimMm, usableMm },
+    groups,
+    oversize,
+    totals: {
+      boards: groups.reduce((s, g) => s + g.boards.length, 0),
+      pieces: groups.reduce((s, g) => s + g.boards.reduce((n, b) => n + b.pieces.length, 0), 0),
+      pieceMm,
+      stockMm,
+      wastePct: stockMm > 0 ? (1 - pieceMm / stockMm) * 100 : 0,
+    },
+  };
+}
@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+import { state } from './state.js';
+import { newell } from './vec.js';
+import { BeamPDFReporter } from './beam-pdf-report.js';
+import { BTLxExporter } from './btlx.js';
+
+/**
+ * dxf.js
+ *
+ * Planos de fabricacion de vigas en DXF (R12, ASCII), escala 1:1 en milimetros.
+ *
+ * Un solo dibujo con todos los tipos de viga apilados. Tipos, numeracion (V1, V2, ...)
+ * y sistema de la pieza son los del BTLx (BTLxExporter._collectParts): X = largo del
+ * extremo A al B, Y = ancho, Z = alto desde la cara exterior. Vistas de cada tipo:
+ *   - Planta: mirando la cara exterior (como la planta del PDF de vigas).
+ *   - Lateral: largo vs alto, cara exterior arriba; agujeros de pernos en verdadera forma.
+ *   - Testa A y testa B: mirando cada extremo desde afuera.
+ * Las vistas son proyecciones reales, sin corte del cuerpo como en el PDF.
+ *
+ * Visibilidad exacta para el hexaedro convexo: una arista es visible si alguna de sus
+ * dos caras mira al observador; si no, va a la capa de ocultas.
+ *
+ * Capas: CONTORNO, OCULTAS (linea DASHED), COTAS y TEXTOS.
+ */
+
+const LAYERS = {
+  outline: { name: 'CONTORNO', color: 7, ltype: 'CONTINUOUS' },
+  hidden: { name: 'OCULTAS', color: 8, ltype: 'DASHED' },
+  dims: { name: 'COTAS', color: 3, ltype: 'CONTINUOUS' },
+  labels: { name: 'TEXTOS', color: 2, ltype: 'CONTINUOUS' },
+};
+
+// Caras del hexaedro de _createBeveledBeamGeometry (la orientacion se corrige al usarlas)
+const BEAM_QUADS = [[0, 1, 2, 3], [4, 7, 6, 5], [0, 4, 5, 1], [1, 5, 6, 2], [2, 6, 7, 3], [3, 7, 4, 0]];
+
+// Medidas de dibujo (mm de modelo)
+const TEXT_MM = 12;
+const DIM_TEXT_MM = 9;
+const DIM_OFFSET_MM = 40;
+const DIM_TICK_MM = 4;
+const VIEW_GAP_MM = 160;
+
+/** Numero DXF con hasta 4 decimales. */
+const f = (v) => {
+  const s = (Number.isFinite(v) ? v : 0).toFixed(4).replace(/0+$/, '');
+  return s.endsWith('.') ? `${s}0` : s;
+};
+
+/** Escritor DXF R12 minimo: lineas, circulos y textos por capa. */
+class DxfWriter {
+  constructor() {
+    this.entities = [];
+    this.min = { x: Infinity, y: Infinity };
+    this.max = { x: -Infinity, y: -Infinity };
+  }
+
+  _grow(x, y) {
+    this.min.x = Math.min(this.min.x, x); this.min.y = Math.min(this.min.y, y);
+    this.max.x = Math.max(this.max.x, x); this.max.y = Math.max(this.max.y, y);
+  }
+
+  line(layer, x1, y1, x2, y2) {
+    this._grow(x1, y1); this._grow(x2, y2);
+    this.entities.push('0', 'LINE', '8', layer.name, '10', f(x1), '20', f(y1), '30', '0.0', '11', f(x2), '21', f(y2), '31', '0.0');
+  }
+
+  circle(layer, x, y, r) {
+    this._grow(x - r, y - r); this._grow(x + r, y + r);
+    this.entities.push('0', 'CIRCLE', '8', layer.name, '10', f(x), '20', f(y), '30', '0.0', '40', f(r));
+  }
+
+  /** align: 0 izquierda, 1 centro, 2 derecha (sobre la linea base). */
+  text(layer, x, y, height, value, { align = 0, rotation = 0 } = {}) {
+    this._grow(x, y);
+    const out = ['0', 'TEXT', '8', layer.name, '10', f(x), '20', f(y), '30', '0.0', '40', f(height), '1', dxfText(value)];
+    if (rotation) out.push('50', f(rotation));
+    if (align) out.push('72', String(align), '11', f(x), '21', f(y), '31', '0.0');
+    this.entities.push(...out);
+  }
+
+  /** Cota lineal entre p1 y p2 (horizontal si dir = 'h', vertical si 'v') con la linea de cota en `at`. */
+  dim(p1, p2, dir, at) {
+    const L = LAYERS.dims;
+    const h = dir === 'h';
+    const a = h ? p1.x : p1.y;
+    const b = h ? p2.x : p2.y;
+    if (Math.abs(b - a) < 0.05) return;
+    // Lineas de referencia, desde cada punto hasta pasar la linea de cota
+    for (const p of [p1, p2]) {
+      const from = h ? p.y : p.x;
+      const over = Math.sign(at - from) * DIM_TICK_MM;
+      if (h) this.line(L, p.x, from, p.x, at + over);
+      else this.line(L, from, p.y, at + over, p.y);
+    }
+    if (h) this.line(L, a, at, b, at);
+    else this.line(L, at, a, at, b);
+    for (const s of [a, b]) {
+      const k = DIM_TICK_MM / 2;
+      if (h) this.line(L, s - k, at - k, s + k, at + k);
+      else this.line(L, at - k, s - k, at + k, s + k);
+    }
+    const label = String(Math.round(Math.abs(b - a) * 10) / 10);
+    if (h) this.text(L, (a + b) / 2, at + DIM_TEXT_MM * 0.4, DIM_TEXT_MM, label, { align: 1 });
+    else this.text(L, at - DIM_TEXT_MM * 0.4, (a + b) / 2, DIM_TEXT_MM, label, { align: 1, rotation: 90 });
+  }
+
+  toString() {
+    const out = [];
+    out.push('0', 'SECTION', '2', 'HEADER',
+      '9', '$ACADVER', '1', 'AC1009',
+      '9', '$INSUNITS', '70', '4',
+      '9', '$EXTMIN', '10', f(this.min.x), '20', f(this.min.y), '30', '0.0',
+      '9', '$EXTMAX', '10', f(this.max.x), '20', f(this.max.y), '30', '0.0',
+      '0', 'ENDSEC');
+    out.push('0', 'SECTION', '2', 'TABLES');
+    out.push('0', 'TABLE', '2', 'LTYPE', '70', '2');
+    out.push('0', 'LTYPE', '2', 'CONTINUOUS', '70', '0', '3', 'Solid line', '72', '65', '73', '0', '40', '0.0');
+    out.push('0', 'LTYPE', '2', 'DASHED', '70', '0', '3', '__ __ __', '72', '65', '73', '2', '40', '9.0', '49', '6.0', '49', '-3.0');
+    out.push('0', 'ENDTAB');
+    const layers = Object.values(LAYERS);
+    out.push('0', 'TABLE', '2', 'LAYER', '70', String(layers.length));
+    for (const l of layers) out.push('0', 'LAYER', '2', l.name, '70', '0', '62', String(l.color), '6', l.ltype);
+    out.push('0', 'ENDTAB', '0', 'ENDSEC');
+    out.push('0', 'SECTION', '2', 'ENTITIES', ...this.entities, '0', 'ENDSEC', '0', 'EOF');
+    return out.join('\n');
+  }
+}
+
+/** Texto R12: ASCII con los codigos de control de AutoCAD para Ø y °. */
+function dxfText(value) {
+  return String(value == null ? '' : value)
+    .replace(/Ø/g, '%%c')
+    .replace(/°/g, '%%d')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '');
+}
+
+/** Proyeccion de una vista: hacia el observador, y ejes (u, v) del papel. */
+const VIEWS = {
+  plan: { toViewer: new THREE.Vector3(0, 0, -1), u: (p) => p.x, v: (p) => -p.y },
+  side: { toViewer: new THREE.Vector3(0, 1, 0), u: (p) => p.x, v: (p) => -p.z },
+  endA: { toViewer: new THREE.Vector3(-1, 0, 0), u: (p) => p.y, v: (p) => -p.z },
+  endB: { toViewer: new THREE.Vector3(1, 0, 0), u: (p) => -p.y, v: (p) => -p.z },
+};
+
+export class BeamDXFExporter {
+  /**
+   * @param {THREE.Group} structureGroup
+   * @returns {number} tipos de viga dibujados
+   */
+  static exportBeamTypesToDXF(structureGroup) {
+    if (!structureGroup || !structureGroup.children || structureGroup.children.length === 0) {
+      throw new Error('Structure is empty');
+    }
+    structureGroup.updateMatrixWorld(true);
+    const parts = BTLxExporter._collectParts(structureGroup);
+    if (!parts.length) throw new Error('No hay vigas en la estructura');
+
+    const dxf = new DxfWriter();
+    dxf.text(LAYERS.labels, 0, 0, TEXT_MM * 1.5,
+      `ZValdivia - Vigas  N=${state.N}  a=${state.aDeg.toFixed(2)}°  Dmax=${state.Dmax} m  (mm, escala 1:1)`);
+    let y = -VIEW_GAP_MM;
+    parts.forEach((part, idx) => {
+      y = this._drawPart(dxf, part, idx + 1, y) - 2 * VIEW_GAP_MM;
+    });
+
+    this._download(dxf.toString());
+    return parts.length;
+  }
+
+  /** Dibuja un tipo con su cabecera en y = top; devuelve el y inferior usado. */
+  static _drawPart(dxf, part, number, top) {
+    const { info, geo, count } = part;
+    const P = geo.verts.map(p => new THREE.Vector3(p.x, p.y, p.z));
+    const ep = BeamPDFReporter._endpointPairVisible(info);
+    const widthMm = Number.isFinite(info.widthMm) ? info.widthMm : geo.widthMm;
+    const heightMm = Number.isFinite(info.heightMm) ? info.heightMm : geo.heightMm;
+    const T = LAYERS.labels;
+
+    dxf.text(T, 0, top, TEXT_MM * 1.25,
+      `V${number}  ${ep.a} <-> ${ep.b}  (${info.kind || 'edge'})  ${count} uds  L=${Math.round(info.lenMm || geo.lengthMm)}  ${Math.round(widthMm)}x${Math.round(heightMm)}${info.material ? `  ${info.material}` : ''}`);
+
+    const edges = this._edgesWithFaces(P);
+    let y = top - 3 * TEXT_MM;
+
+    // Planta
+    const plan = this._projection(P, 'plan');
+    let box = this._place(plan, 0, y);
+    dxf.text(T, 0, y + TEXT_MM * 0.5, TEXT_MM, 'Planta (cara exterior)');
+    this._drawEdges(dxf, P, edges, 'plan', box);
+    // Agujeros (eje en Y): ocultos en planta
+    for (const h of geo.holes) {
+      for (const u of [h.p.x - h.diameterMm / 2, h.p.x + h.diameterMm / 2]) {
+        const px = box.map({ x: u, y: 0 }).x;
+        dxf.line(LAYERS.hidden, px, box.top, px, box.bottom);
+      }
+    }
+    dxf.text(T, box.left, box.bottom - TEXT_MM * 1.5, TEXT_MM, `A: ${ep.a}`);
+    dxf.text(T, box.right, box.bottom - TEXT_MM * 1.5, TEXT_MM, `B: ${ep.b}`, { align: 2 });
+    dxf.dim({ x: box.left, y: box.bottom }, { x: box.right, y: box.bottom }, 'h', box.bottom - DIM_OFFSET_MM - TEXT_MM);
+    dxf.dim({ x: box.right, y: box.bottom }, { x: box.right, y: box.top }, 'v', box.right + DIM_OFFSET_MM);
+    y = box.bottom - DIM_OFFSET_MM - VIEW_GAP_MM;
+
+    // Lateral
+    const side = this._projection(P, 'side');
+    box = this._place(side, 0, y);
+    dxf.text(T, 0, y + TEXT_MM * 0.5, TEXT_MM, 'Lateral (largo vs alto)');
+    this._drawEdges(dxf, P, edges, 'side', box);
+    const holeXs = [];
+    for (const h of geo.holes) {
+      const c = box.map({ x: VIEWS.side.u(h.p), y: VIEWS.side.v(h.p) });
+      dxf.circle(LAYERS.outline, c.x, c.y, h.diameterMm / 2);
+      if (!holeXs.some(x => Math.abs(x - c.x) < 0.5)) holeXs.push(c.x);
+    }
+    dxf.dim({ x: box.right, y: box.bottom }, { x: box.right, y: box.top }, 'v', box.right + DIM_OFFSET_MM);
+    // Posicion de los agujeros desde el extremo A (cotas en escalera)
+    let at = box.bottom - DIM_OFFSET_MM;
+    for (const x of holeXs.sort((a, b) => a - b)) {
+      dxf.dim({ x: box.left, y: box.bottom }, { x, y: box.bottom }, 'h', at);
+      at -= DIM_TEXT_MM * 2.5;
+    }
+    if (geo.holes.length) {
+      const d = [...new Set(geo.holes.map(h => Math.round(h.diameterMm)))].join('/');
+      dxf.text(T, box.right, at - TEXT_MM, TEXT_MM, `${geo.holes.length} agujero(s) Ø${d} pasantes`, { align: 2 });
+      at -= TEXT_MM * 2;
+    }
+    y = Math.min(at, box.bottom - DIM_OFFSET_MM) - VIEW_GAP_MM;
+
+    // Testas
+    let x = 0;
+    let bottom = y;
+    for (const [view, label] of [['endA', `Testa A (${ep.a})`], ['endB', `Testa B (${ep.b})`]]) {
+      box = this._place(this._projection(P, view), x, y);
+      dxf.text(T, x, y + TEXT_MM * 0.5, TEXT_MM, label);
+      this._drawEdges(dxf, P, edges, view, box);
+      dxf.dim({ x: box.left, y: box.bottom }, { x: box.right, y: box.bottom }, 'h', box.bottom - DIM_OFFSET_MM);
+      x = box.right + VIEW_GAP_MM;
+      bottom = Math.min(bottom, box.bottom - DIM_OFFSET_MM);
+    }
+    return bottom;
+  }
+
+  /** Aristas del hexaedro con las normales (hacia afuera) de sus dos caras. */
+  static _edgesWithFaces(P) {
+    const center = P.reduce((c, p) => c.add(p), new THREE.Vector3()).multiplyScalar(1 / P.length);
+    const normals = BEAM_QUADS.map(q => {
+      const n = new THREE.Vector3().copy(newell(q.map(i => P[i]))).normalize();
+      if (n.dot(P[q[0]].clone().sub(center)) < 0) n.negate();
+      return n;
+    });
+    const edges = new Map();
+    BEAM_QUADS.forEach((q, fi) => {
+      for (let j = 0; j < q.length; j++) {
+        const a = q[j], b = q[(j + 1) % q.length];
+        const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+        if (!edges.has(key)) edges.set(key, { a: Math.min(a, b), b: Math.max(a, b), normals: [] });
+        edges.get(key).normals.push(normals[fi]);
+      }
+    });
+    return [...edges.values()];
+  }
+
+  static _projection(P, view) {
+    const V = VIEWS[view];
+    return P.map(p => ({ x: V.u(p), y: V.v(p) }));
+  }
+
+  /** Traslada una proyeccion para que su esquina superior izquierda quede en (x, top). */
+  static _place(pts, x, top) {
+    const minU = Math.min(...pts.map(p => p.x));
+    const maxU = Math.max(...pts.map(p => p.x));
+    const minV = Math.min(...pts.map(p => p.y));
+    const maxV = Math.max(...pts.map(p => p.y));
+    const dx = x - minU;
+    const dy = top - maxV;
+    return {
+      pts: pts.map(p => ({ x: p.x + dx, y: p.y + dy })),
+      map: (p) => ({ x: p.x + dx, y: p.y + dy }),
+      left: x,
+      right: maxU + dx,
+      top,
+      bottom: minV + dy,
+    };
+  }
+
+  /** Visibles en CONTORNO; ocultas en OCULTAS salvo que caigan sobre una visible. */
+  static _drawEdges(dxf, P, edges, view, box) {
+    const toViewer = VIEWS[view].toViewer;
+    const visible = [];
+    const hidden = [];
+    for (const ed of edges) {
+      const seg = [box.pts[ed.a], box.pts[ed.b]];
+      if (Math.hypot(seg[1].x - seg[0].x, seg[1].y - seg[0].y) < 0.01) continue;
+      (ed.normals.some(n => n.dot(toViewer) > 1e-6) ? visible : hidden).push(seg);
+    }
+    for (const [a, b] of visible) dxf.line(LAYERS.outline, a.x, a.y, b.x, b.y);
+    // Cubierta si todos sus puntos (muestreados) caen sobre aristas visibles
+    const covered = (p, q) => {
+      for (let i = 0; i <= 16; i++) {
+        const s = i / 16;
+        const m = { x: p.x + (q.x - p.x) * s, y: p.y + (q.y - p.y) * s };
+        if (!visible.some(([a, b]) => distToSegment(m, a, b) < 0.01)) return false;
+      }
+      return true;
+    };
+    for (const [a, b] of hidden) {
+      if (covered(a, b)) continue;
+      dxf.line(LAYERS.hidden, a.x, a.y, b.x, b.y);
+    }
+  }
+
+  static _filename() {
+    let filename = `vigas_D${state.Dmax.toFixed(1)}_N${state.N}_a${state.aDeg.toFixed(2)}`;
+    if (state.cutActive) filename += `_cut${state.cutLevel}`;
+    if (state.beltLevels > 0) filename += `_belt${state.beltLevels}`;
+    return `${filename}.dxf`;
+  }
+
+  static _download(content) {
+    const blob = new Blob([content], { type: 'application/dxf' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = this._filename();
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
+
+function distToSegment(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const s = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(p.x - a.x - s * dx, p.y - a.y - s * dy);
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
-import { state, rhombiData } from './state.js';
+import { state, rhombiData, isPartialSector, isEllipticalFootprint, getRingZ, hasLevelProfile, formatLevelAngles } from './state.js';
+import { getRingVertex, getSectorRingIndices, getSectorRingPairs } from './geometry.js';
+import { drillSolid } from './bolts.js';
 
 /**
  * Maneja la exportacion del modelo a formato OBJ
@@ -14,6 +16,21 @@ export class OBJExporter {
     if (state.cutActive) {
       lines.push(`# Cut plane active at level K=${state.cutLevel}`);
     }
+    if (state.topCutActive) {
+      lines.push(`# Oculus (top cut) active at level K=${state.topCutLevel}`);
+    }
+    if (isEllipticalFootprint()) {
+      lines.push(`# Elliptical footprint: scaleX=${state.ellipseScaleX}, scaleY=${state.ellipseScaleY}`);
+    }
+    if (state.beltLevels > 0) {
+      lines.push(`# Elongated: ${state.beltLevels} belt level(s) of ${state.beltHeight.toFixed(6)} m`);
+    }
+    if (hasLevelProfile()) {
+      lines.push(`# Level profile (kite faces): ${formatLevelAngles(state.levelAngles)} deg`);
+    }
+    if (isPartialSector()) {
+      lines.push(`# Partial sector: ${state.sectorCount} of ${state.N} sections (open side edges)`);
+    }
     lines.push(`# Total faces: ${rhombiData.reduce((sum, level) => sum + level.rhombi.length, 0)}`);
     lines.push('');
 
@@ -95,31 +112,30 @@ export class OBJExporter {
       lines.push(`g CutCap`);
       lines.push('');
 
-      const { N, h1, cutLevel } = state;
-      const z = cutLevel * h1;
-
-      // Radio del polígono regular de N lados para el nivel del corte
-      const Rk = (state.Dmax / 2) * Math.sin((cutLevel * Math.PI) / N);
+      const { cutLevel } = state;
+      const z = getRingZ(cutLevel);
 
-      // La tapa es un polígono regular: exportamos un solo "face" con N vértices (ngon).
+      // La tapa es el polígono del anillo de corte (regular, o estirado con planta eliptica):
+      // exportamos un solo "face" con N vértices (ngon).
       // Nota: ordenamos los vértices para que la normal apunte hacia -Z (abajo).
-      const step = (2 * Math.PI) / N;
-      const halfStep = Math.PI / N;
-      const startAngle = -Math.PI / 2;
-      const rotOffset = (cutLevel % 2 === 0) ? halfStep : 0;
 
       // 1) Vertices (solo anillo, sin punto central)
-      lines.push(`# Cap vertices (regular N-gon)`);
+      //    Sector parcial: centro + tramo visible del anillo (porcion de torta)
+      const partial = isPartialSector();
+      const ringIdx = getSectorRingIndices(cutLevel);
+      const capCount = ringIdx.length + (partial ? 1 : 0);
+      lines.push(partial ? `# Cap vertices (sector: center + ${ringIdx.length} ring vertices)` : `# Cap vertices (regular N-gon)`);
       const capVertexStart = vertexOffset; // índice 1-based en OBJ
-      for (let i = 0; i < N; i++) {
-        const theta = startAngle + rotOffset + i * step;
-        lines.push(`v ${(Rk * Math.cos(theta)).toFixed(6)} ${(Rk * Math.sin(theta)).toFixed(6)} ${z.toFixed(6)}`);
+      if (partial) lines.push(`v 0.000000 0.000000 ${z.toFixed(6)}`);
+      for (const i of ringIdx) {
+        const v = getRingVertex(cutLevel, i);
+        lines.push(`v ${v.x.toFixed(6)} ${v.y.toFixed(6)} ${z.toFixed(6)}`);
       }
       lines.push('');
 
       // 2) Normales (una por vértice, siguiendo el mismo esquema de índices v<->vn)
       lines.push(`# Cap normals`);
-      for (let i = 0; i < N; i++) {
+      for (let i = 0; i < capCount; i++) {
         lines.push(`vn 0.000000 0.000000 -1.000000`);
       }
       lines.push('');
@@ -128,14 +144,52 @@ export class OBJExporter {
       lines.push(`# Cap face (ngon)`);
       // BUG-L5: índices en orden inverso (CCW visto desde -Z) → normal -Z es correcta por regla de mano derecha
       const faceIdx = [];
-      for (let i = N - 1; i >= 0; i--) {
+      for (let i = capCount - 1; i >= 0; i--) {
         const vi = capVertexStart + i;
         faceIdx.push(`${vi}//${vi}`);
       }
       lines.push(`f ${faceIdx.join(' ')}`);
       lines.push('');
 
-      vertexOffset = capVertexStart + N;
+      vertexOffset = capVertexStart + capCount;
+    }
+
+    if (state.topCutActive) {
+      const { topCutLevel } = state;
+      lines.push(`# Top cap (oculus) at level K=${topCutLevel}`);
+      lines.push(`o TopCap`);
+      lines.push(`g TopCap`);
+      lines.push('');
+
+      const partial = isPartialSector();
+      const ringIdx = getSectorRingIndices(topCutLevel);
+      const capCount = ringIdx.length + (partial ? 1 : 0);
+      lines.push(partial ? `# Top cap vertices (sector: center + ${ringIdx.length} ring vertices)` : `# Top cap vertices (regular N-gon)`);
+      const capVertexStart = vertexOffset;
+      if (partial) lines.push(`v 0.000000 0.000000 ${getRingZ(topCutLevel).toFixed(6)}`);
+      for (const i of ringIdx) {
+        const v = getRingVertex(topCutLevel, i);
+        lines.push(`v ${v.x.toFixed(6)} ${v.y.toFixed(6)} ${v.z.toFixed(6)}`);
+      }
+      lines.push('');
+
+      lines.push(`# Top cap normals`);
+      for (let i = 0; i < capCount; i++) {
+        lines.push(`vn 0.000000 0.000000 1.000000`);
+      }
+      lines.push('');
+
+      // Orden CCW visto desde +Z → normal +Z (hacia afuera)
+      lines.push(`# Top cap face (ngon)`);
+      const faceIdx = [];
+      for (let i = 0; i < capCount; i++) {
+        const vi = capVertexStart + i;
+        faceIdx.push(`${vi}//${vi}`);
+      }
+      lines.push(`f ${faceIdx.join(' ')}`);
+      lines.push('');
+
+      vertexOffset = capVertexStart + capCount;
     }
 
     lines.push('# Export Summary');
@@ -145,6 +199,9 @@ export class OBJExporter {
       lines.push(`# Cut plane: Active at K=${state.cutLevel}`);
       lines.push(`# Geometry is closed with triangular cap`);
     }
+    if (state.topCutActive) {
+      lines.push(`# Oculus: Active at K=${state.topCutLevel}, closed with top cap`);
+    }
 
     this.downloadOBJ(lines.join('\n'));
   }
@@ -162,6 +219,7 @@ export class OBJExporter {
     lines.push(`# Generated: ${new Date().toISOString()}`);
     lines.push(`# Parameters: Dmax=${state.Dmax}, N=${state.N}, Angle=${state.aDeg}deg`);
     if (state.cutActive) lines.push(`# Cut plane active at level K=${state.cutLevel}`);
+    if (state.topCutActive) lines.push(`# Oculus (top cut) active at level K=${state.topCutLevel}`);
     lines.push('');
 
     let vOffset = 1;
@@ -213,34 +271,25 @@ export class OBJExporter {
 
     // Tapa de corte como triángulos (opcional) cada uno en su grupo
     if (state.cutActive) {
-      const { N, h1, cutLevel } = state;
-      const z = cutLevel * h1;
-
-      const Rk = (state.Dmax / 2) * Math.sin((cutLevel * Math.PI) / N);
-      const step = (2 * Math.PI) / N;
-      const halfStep = Math.PI / N;
-      const startAngle = -Math.PI / 2;
-      const rotOffset = (cutLevel % 2 === 0) ? halfStep : 0;
+      const { N, cutLevel } = state;
+      const z = getRingZ(cutLevel);
 
       // Centro
       const center = new THREE.Vector3(0, 0, z);
       const ring = [];
-      for (let i = 0; i < N; i++) {
-        const theta = startAngle + rotOffset + i * step;
-        ring.push(new THREE.Vector3(Rk * Math.cos(theta), Rk * Math.sin(theta), z));
-      }
+      for (let i = 0; i < N; i++) ring.push(getRingVertex(cutLevel, i));
 
       // BUG-L5 fix: normal del cap coherente con el winding de vértices.
       // El ring se construye en orden CCW visto desde +Z, por lo que por regla de la mano derecha
       // la normal apunta hacia +Z. El código anterior declaraba -Z pero el winding producía +Z.
       const capN = new THREE.Vector3(0, 0, 1);
 
-      for (let i = 0; i < N; i++) {
+      getSectorRingPairs(cutLevel).forEach(([ia, ib], i) => {
         const gName = `CutCap_tri_${i}`;
         lines.push(`g ${gName}`);
 
-        const v1 = ring[i];
-        const v2 = ring[(i + 1) % N];
+        const v1 = ring[ia];
+        const v2 = ring[ib];
 
         // v
         for (const v of [center, v1, v2]) {
@@ -257,7 +306,34 @@ export class OBJExporter {
         lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
         lines.push('');
         vOffset += 3;
-      }
+      });
+    }
+
+    // Tapa del oculo como triángulos, cada uno en su grupo
+    if (state.topCutActive) {
+      const { topCutLevel } = state;
+      const center = new THREE.Vector3(0, 0, getRingZ(topCutLevel));
+      const capN = new THREE.Vector3(0, 0, 1);
+
+      getSectorRingPairs(topCutLevel).forEach(([ia, ib], i) => {
+        lines.push(`g TopCap_tri_${i}`);
+
+        const v1 = getRingVertex(topCutLevel, ia);
+        const v2 = getRingVertex(topCutLevel, ib);
+
+        for (const v of [center, v1, v2]) {
+          lines.push(`v ${v.x.toFixed(6)} ${v.y.toFixed(6)} ${v.z.toFixed(6)}`);
+        }
+        for (let k = 0; k < 3; k++) {
+          lines.push(`vn ${capN.x.toFixed(6)} ${capN.y.toFixed(6)} ${capN.z.toFixed(6)}`);
+        }
+        const a = vOffset;
+        const b = vOffset + 1;
+        const c = vOffset + 2;
+        lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+        lines.push('');
+        vOffset += 3;
+      });
     }
 
     this.downloadOBJ(lines.join('\n'));
@@ -274,6 +350,18 @@ export class OBJExporter {
     if (state.cutActive) {
       filename += `_cut${state.cutLevel}`;
     }
+    if (state.topCutActive) {
+      filename += `_top${state.topCutLevel}`;
+    }
+    if (isPartialSector()) {
+      filename += `_sec${state.sectorCount}`;
+    }
+    if (isEllipticalFootprint()) {
+      filename += `_ell${state.ellipseScaleX.toFixed(2)}x${state.ellipseScaleY.toFixed(2)}`;
+    }
+    if (state.beltLevels > 0) {
+      filename += `_belt${state.beltLevels}`;
+    }
     filename += '.obj';
 
     a.download = filename;
@@ -302,6 +390,11 @@ export class StructureOBJExporter {
     lines.push(`# Generated: ${new Date().toISOString()}`);
     lines.push(`# Parameters: Dmax=${state.Dmax}, N=${state.N}, a=${state.aDeg}deg`);
     if (state.cutActive) lines.push(`# Cut active at K=${state.cutLevel}`);
+    const riserMm = state.structureParams ? Number(state.structureParams.riserHeightMm) || 0 : 0;
+    if (state.cutActive && riserMm > 0) lines.push(`# Riser wall: ${riserMm} mm below the cut ring`);
+    if (isEllipticalFootprint()) lines.push(`# Elliptical footprint: scaleX=${state.ellipseScaleX}, scaleY=${state.ellipseScaleY}`);
+    if (state.beltLevels > 0) lines.push(`# Elongated: ${state.beltLevels} belt level(s) of ${state.beltHeight.toFixed(6)} m`);
+    if (hasLevelProfile()) lines.push(`# Level profile (kite faces): ${formatLevelAngles(state.levelAngles)} deg`);
     lines.push('');
 
     let vOffset = 1;
@@ -368,21 +461,21 @@ export class StructureOBJExporter {
         try { mesh.updateWorldMatrix(true, false); } catch(e) {}
         const gd = mesh.geometry && mesh.geometry.userData;
         if (gd && Array.isArray(gd.objVertices) && Array.isArray(gd.objFaces)) {
-          for (const v of gd.objVertices) {
-            const w = v.clone().applyMatrix4(mesh.matrixWorld);
+          const solid = this._drilled(mesh, gd.objVertices.map(v => v.clone().applyMatrix4(mesh.matrixWorld)), gd.objFaces);
+          for (const w of solid.vertices) {
             lines.push(`v ${w.x.toFixed(6)} ${w.y.toFixed(6)} ${w.z.toFixed(6)}`);
           }
           lines.push('');
-          for (const face of gd.objFaces) {
+          for (const face of solid.faces) {
             lines.push(`f ${face.map(vi => vOffset + vi).join(' ')}`);
           }
           lines.push('');
-          vOffset += gd.objVertices.length;
+          vOffset += solid.vertices.length;
         }
         return;
       }
 
-      const verts = [];
+      let verts = [];
       const ud = mesh && mesh.userData ? mesh.userData : null;
       const hasObjFaces = !!ud && Array.isArray(ud.objFaces) && Array.isArray(ud.objVertices);
 
@@ -400,15 +493,21 @@ export class StructureOBJExporter {
         }
       }
 
+      let faces = null;
+      if (hasObjFaces) {
+        faces = (Array.isArray(mesh.userData.objFaces) && mesh.userData.objFaces.length)
+          ? mesh.userData.objFaces
+          : (Array.isArray(mesh.userData.objQuads) ? mesh.userData.objQuads : []);
+        // Vigas con pernos: agujeros pasantes en sus testas
+        ({ vertices: verts, faces } = this._drilled(mesh, verts, faces));
+      }
+
       for (const p of verts) {
         lines.push(`v ${p.x.toFixed(6)} ${p.y.toFixed(6)} ${p.z.toFixed(6)}`);
       }
       lines.push('');
 
       if (hasObjFaces) {
-        const faces = (Array.isArray(mesh.userData.objFaces) && mesh.userData.objFaces.length)
-          ? mesh.userData.objFaces
-          : (Array.isArray(mesh.userData.objQuads) ? mesh.userData.objQuads : []);
         for (const face of faces) {
           if (!face || !face.length) continue;
           lines.push(`f ${face.map((vi) => vOffset + vi).join(' ')}`);
@@ -439,6 +538,21 @@ export class StructureOBJExporter {
     this._downloadOBJ(lines.join('\n'));
   }
 
+  /**
+   * Solido perforado con los agujeros de pernos del mesh (userData.boltHoles).
+   * vertsWorld ya viene transformado; los agujeros se llevan al mismo espacio.
+   */
+  static _drilled(mesh, vertsWorld, faces) {
+    const holes = mesh.userData && mesh.userData.boltHoles;
+    if (!Array.isArray(holes) || !holes.length) return { vertices: vertsWorld, faces };
+    const worldHoles = holes.map(h => ({
+      center: h.center.clone().applyMatrix4(mesh.matrixWorld),
+      axis: h.axis.clone().transformDirection(mesh.matrixWorld),
+      diameterMm: h.diameterMm,
+    }));
+    return drillSolid(vertsWorld, faces, worldHoles);
+  }
+
   static _downloadOBJ(content) {
     const blob = new Blob([content], { type: 'application/octet-stream' });
     const url = URL.createObjectURL(blob);
@@ -446,6 +560,7 @@ export class StructureOBJExporter {
     a.href = url;
     let filename = `structure_D${state.Dmax.toFixed(1)}_N${state.N}_a${state.aDeg.toFixed(2)}`;
     if (state.cutActive) filename += `_cut${state.cutLevel}`;
+    if (state.beltLevels > 0) filename += `_belt${state.beltLevels}`;
     filename += '.obj';
     a.download = filename;
     document.body.appendChild(a);
@@ -0,0 +1,613 @@
+/**
+ * fem.js
+ *
+ * Analisis estructural de la red de vigas generada por StructureGenerator.
+ * Cada viga usa el material de options.materialFor (la UI pasa el de la biblioteca,
+ * beamInfo.materialKey); sin el, FEM_DEFAULT_MATERIAL.
+ *
+ * Modelo de barras 3D sobre el grafo nodo/arista de la estructura: cada viga es un
+ * elemento entre los centros de sus conectores (claves aKey/bKey de beamInfo) con la
+ * seccion rectangular widthMm x heightMm. El alto de la viga va segun la normal del
+ * rombo (beamInfo.faceNormal), igual que en la geometria de la viga.
+ *
+ *   - Uniones rigidas: portico espacial (6 gdl por nodo, Euler-Bernoulli).
+ *   - Uniones articuladas: celosia (3 gdl por nodo, solo axil).
+ *
+ * Apoyos en el anillo mas bajo de la cupula (el anillo de corte), articulados o
+ * empotrados. En un sector parcial adosado a un muro tambien se apoyan, por defecto,
+ * los nodos del borde abierto (beamInfo.isSectorBoundary). El muro de arranque no se
+ * modela: sus reacciones son las cargas que la cupula le transmite.
+ *
+ * Cargas: peso propio de las vigas (repartida en cada elemento), nieve por cara
+ * (snow.js, repartida a partes iguales entre los nodos de cada cara) y cargas
+ * puntuales en nodos. El viento
+ * (wind.js) es un caso aparte W.
+ *
+ * Todas las combinaciones se resuelven con la misma factorizacion:
+ *   ELU: juego de FEM_COMBINATIONS de una sola norma (la del viento; EN sin viento)
+ *        -> envolvente de esfuerzos, reacciones y aprovechamiento. Con viento incluye
+ *        la de peso propio favorable (1.0·G + 1.5·W, o 0.9·D + 1.0·W en ASCE), que
+ *        gobierna la succion: traccion en vigas y arranque en apoyos.
+ *   ELS: 1.0·G + 1.0·Q + 1.0·W y, con viento, 1.0·G + 1.0·W -> desplazamientos.
+ * La rigidez se ensambla en perfil (skyline) con los nodos ordenados por altura,
+ * asi el ancho de banda queda en ~2 anillos y LDLt escala a cupulas grandes.
+ *
+ * Unidades internas: N, m, Pa. Los resultados se entregan en kN, kN·m y mm.
+ */
+
+import { sub, dot, cross, norm } from './vec.js';
+
+/** Madera aserrada C24 (EN 338). Modulos y resistencias en MPa, densidad en kg/m³. */
+export const FEM_DEFAULT_MATERIAL = {
+  name: 'C24',
+  E: 11000,
+  E05: 7400,
+  G: 690,
+  density: 420,
+  fm: 24,
+  ft: 14.5,
+  fc: 21,
+  kmod: 0.8,
+  gammaM: 1.3,
+};
+
+/**
+ * Combinaciones ELU por norma (G permanente, Q nieve + puntuales, W viento). Las que
+ * llevan W solo se usan con viento. Las variables concomitantes entran sin ψ0.
+ *   - en: EN 1990 (6.10), con la de G favorable para la succion.
+ *   - asce: ASCE 7-16 LRFD (2.3.1), D = G y S = Q.
+ */
+export const FEM_COMBINATIONS = {
+  en: [
+    { label: '1.35·G + 1.5·Q', G: 1.35, Q: 1.5, W: 0 },
+    { label: '1.35·G + 1.5·Q + 1.5·W', G: 1.35, Q: 1.5, W: 1.5 },
+    { label: '1.0·G + 1.5·W', G: 1.0, Q: 0, W: 1.5 },
+  ],
+  asce: [
+    { label: '1.4·G', G: 1.4, Q: 0, W: 0 },
+    { label: '1.2·G + 1.6·Q', G: 1.2, Q: 1.6, W: 0 },
+    { label: '1.2·G + 1.6·Q + 0.5·W', G: 1.2, Q: 1.6, W: 0.5 },
+    { label: '1.2·G + 0.5·Q + 1.0·W', G: 1.2, Q: 0.5, W: 1.0 },
+    { label: '0.9·G + 1.0·W', G: 0.9, Q: 0, W: 1.0 },
+  ],
+};
+
+const GRAVITY = 9.81;
+// Reparto de momentos en flexion esviada (EN 1995-1-1, 6.1.6, seccion rectangular)
+const KM = 0.7;
+// Puntos de control por viga (extremos incluidos) para esfuerzos y aprovechamiento
+const BEAM_SAMPLES = 9;
+// Pivote minimo relativo a la diagonal antes de declarar un mecanismo
+const PIVOT_TOL = 1e-10;
+
+/**
+ * Nodos y elementos desde los meshes de viga del structureGroup (sin el muro de arranque).
+ * @param {THREE.Group} structureGroup
+ * @returns {{nodes:Array<{key:string,x:number,y:number,z:number,isSectorBoundary:boolean}>,
+ *   nodeIndex:Map<string,number>,
+ *   elements:Array<{a:number,b:number,info:Object,mesh:THREE.Object3D}>}}
+ */
+export function buildFrameModel(structureGroup) {
+  const nodes = [];
+  const nodeIndex = new Map();
+  const elements = [];
+  const addNode = (key, p) => {
+    if (nodeIndex.has(key)) return nodeIndex.get(key);
+    nodeIndex.set(key, nodes.length);
+    nodes.push({ key, x: p.x, y: p.y, z: p.z, isSectorBoundary: false });
+    return nodes.length - 1;
+  };
+
+  const children = (structureGroup && structureGroup.children) ? structureGroup.children : [];
+  for (const obj of children) {
+    const info = obj && obj.userData && obj.userData.beamInfo;
+    if (!info || info.isRiser || !info.aKey || !info.bKey) continue;
+    if (!info.a || !info.b || !info.a.nodePos || !info.b.nodePos) continue;
+    const a = addNode(info.aKey, info.a.nodePos);
+    const b = addNode(info.bKey, info.b.nodePos);
+    if (a === b) continue;
+    if (info.isSectorBoundary) nodes[a].isSectorBoundary = nodes[b].isSectorBoundary = true;
+    elements.push({ a, b, info, mesh: obj });
+  }
+  return { nodes, nodeIndex, elements };
+}
+
+/** Propiedades de la seccion rectangular: b segun y local (ancho), h segun z local (alto). */
+function sectionProps(bMm, hMm) {
+  const b = Math.max(1, bMm) / 1000;
+  const h = Math.max(1, hMm) / 1000;
+  const t = Math.min(b, h), w = Math.max(b, h);
+  const r = t / w;
+  return {
+    b, h,
+    A: b * h,
+    Iy: (b * h ** 3) / 12,
+    Iz: (h * b ** 3) / 12,
+    J: (1 / 3 - 0.21 * r * (1 - r ** 4 / 12)) * w * t ** 3,
+    Wy: (b * h * h) / 6,
+    Wz: (h * b * b) / 6,
+    iMin: t / Math.sqrt(12),
+  };
+}
+
+/** Ejes locales: x segun la viga, z segun la normal del rombo (alto de la seccion). */
+function localAxes(pa, pb, faceNormal) {
+  const d = sub(pb, pa);
+  const L = Math.hypot(d.x, d.y, d.z);
+  const ex = { x: d.x / L, y: d.y / L, z: d.z / L };
+  const candidates = [faceNormal, { x: 0, y: 0, z: 1 }, { x: 1, y: 0, z: 0 }];
+  let ez = null;
+  for (const c of candidates) {
+    if (!c) continue;
+    const s = dot(c, ex);
+    ez = norm({ x: c.x - s * ex.x, y: c.y - s * ex.y, z: c.z - s * ex.z });
+    if (ez && Math.abs(dot(c, ex)) < 0.999) break;
+  }
+  const ey = cross(ez, ex);
+  return { L, R: [ex, ey, ez].map(v => [v.x, v.y, v.z]) };
+}
+
+/** Rigidez local 12x12 del portico espacial (orden u, v, w, θx, θy, θz por extremo). */
+function frameLocalStiffness(L, E, G, s) {
+  const k = Array.from({ length: 12 }, () => new Float64Array(12));
+  const set = (i, j, v) => { k[i][j] += v; if (i !== j) k[j][i] += v; };
+  const EA = (E * s.A) / L, GJ = (G * s.J) / L;
+  set(0, 0, EA); set(6, 6, EA); set(0, 6, -EA);
+  set(3, 3, GJ); set(9, 9, GJ); set(3, 9, -GJ);
+  // Flexion en el plano xy (v, θz): Iz
+  const z1 = (12 * E * s.Iz) / L ** 3, z2 = (6 * E * s.Iz) / L ** 2, z3 = (4 * E * s.Iz) / L, z4 = (2 * E * s.Iz) / L;
+  set(1, 1, z1); set(7, 7, z1); set(1, 7, -z1);
+  set(1, 5, z2); set(1, 11, z2); set(5, 7, -z2); set(7, 11, -z2);
+  set(5, 5, z3); set(11, 11, z3); set(5, 11, z4);
+  // Flexion en el plano xz (w, θy): Iy (θy = -dw/dx)
+  const y1 = (12 * E * s.Iy) / L ** 3, y2 = (6 * E * s.Iy) / L ** 2, y3 = (4 * E * s.Iy) / L, y4 = (2 * E * s.Iy) / L;
+  set(2, 2, y1); set(8, 8, y1); set(2, 8, -y1);
+  set(2, 4, -y2); set(2, 10, -y2); set(4, 8, y2); set(8, 10, y2);
+  set(4, 4, y3); set(10, 10, y3); set(4, 10, y4);
+  return k;
+}
+
+/** Cargas nodales equivalentes de una carga uniforme local (qx, qy, qz) en N/m. */
+function frameEquivalentLoads(L, q) {
+  const f = new Float64Array(12);
+  f[0] = f[6] = (q.x * L) / 2;
+  f[1] = f[7] = (q.y * L) / 2;
+  f[2] = f[8] = (q.z * L) / 2;
+  f[5] = (q.y * L * L) / 12; f[11] = -f[5];
+  f[4] = (-q.z * L * L) / 12; f[10] = -f[4];
+  return f;
+}
+
+/**
+ * Matriz simetrica en perfil (skyline) con factorizacion LDLt.
+ * first[j] = primera fila no nula de la columna j; la columna se guarda contigua.
+ */
+class SkylineMatrix {
+  constructor(first) {
+    const n = first.length;
+    this.n = n;
+    this.first = first;
+    this.ptr = new Int32Array(n + 1);
+    for (let j = 0; j < n; j++) this.ptr[j + 1] = this.ptr[j] + (j - first[j] + 1);
+    this.a = new Float64Array(this.ptr[n]);
+  }
+
+  idx(i, j) {
+    return this.ptr[j] + (i - this.first[j]);
+  }
+
+  add(i, j, v) {
+    if (i > j) { const t = i; i = j; j = t; }
+    this.a[this.idx(i, j)] += v;
+  }
+
+  /** LDLt in situ. Devuelve el indice de la primera ecuacion singular, o -1. */
+  factor() {
+    const { n, first, a } = this;
+    for (let j = 0; j < n; j++) {
+      const mj = first[j];
+      const diag0 = Math.abs(a[this.idx(j, j)]);
+      for (let i = mj + 1; i < j; i++) {
+        const mi = Math.max(first[i], mj);
+        let s = 0;
+        for (let r = mi; r < i; r++) s += a[this.idx(r, i)] * a[this.idx(r, j)];
+        a[this.idx(i, j)] -= s;
+      }
+      let d = a[this.idx(j, j)];
+      for (let r = mj; r < j; r++) {
+        const g = a[this.idx(r, j)];
+        const l = g / a[this.idx(r, r)];
+        d -= l * g;
+        a[this.idx(r, j)] = l;
+      }
+      if (!(d > PIVOT_TOL * Math.max(diag0, 1e-30))) return j;
+      a[this.idx(j, j)] = d;
+    }
+    return -1;
+  }
+
+  solve(b) {
+    const { n, first, a } = this;
+    const x = Float64Array.from(b);
+    for (let j = 0; j < n; j++) {
+      for (let r = first[j]; r < j; r++) x[j] -= a[this.idx(r, j)] * x[r];
+    }
+    for (let j = 0; j < n; j++) x[j] /= a[this.idx(j, j)];
+    for (let j = n - 1; j >= 0; j--) {
+      for (let r = first[j]; r < j; r++) x[r] -= a[this.idx(r, j)] * x[j];
+    }
+    return x;
+  }
+}
+
+/** Carga de nieve por nodo (N, vertical): la fuerza de cada cara (snow.js) a partes iguales entre sus nodos. */
+function snowNodalLoads(nodeIndex, snowFaces) {
+  const loads = new Map();
+  let lost = 0;
+  for (const face of (Array.isArray(snowFaces) ? snowFaces : [])) {
+    const force = (Number(face && face.force) || 0) * 1000;
+    if (!(force > 0)) continue;
+    const unique = [...new Set((face.keys || []).filter(key => nodeIndex.has(key)))];
+    if (!unique.length) { lost += force; continue; }
+    for (const key of unique) loads.set(key, (loads.get(key) || 0) + force / unique.length);
+  }
+  return { loads, lost };
+}
+
+/** Aprovechamiento EN 1995-1-1 (6.2.3/6.2.4 y pandeo 6.3.2 con longitud = luz del nodo). */
+function utilization(Nf, My, Mz, s, L, mat) {
+  const fd = (fk) => (mat.kmod * fk * 1e6) / mat.gammaM;
+  const sm = Math.abs(My) / s.Wy / fd(mat.fm);
+  const smz = Math.abs(Mz) / s.Wz / fd(mat.fm);
+  const bend = Math.max(sm + KM * smz, KM * sm + smz);
+  if (Nf >= 0) return Nf / s.A / fd(mat.ft) + bend;
+  const lrel = (L / s.iMin / Math.PI) * Math.sqrt(mat.fc / mat.E05);
+  let kc = 1;
+  if (lrel > 0.3) {
+    const kk = 0.5 * (1 + 0.2 * (lrel - 0.3) + lrel * lrel);
+    kc = 1 / (kk + Math.sqrt(kk * kk - lrel * lrel));
+  }
+  return -Nf / s.A / (kc * fd(mat.fc)) + bend;
+}
+
+/**
+ * Analiza la estructura generada.
+ * @param {THREE.Group} structureGroup
+ * @param {{
+ *   supports?: 'pinned'|'fixed',
+ *   sectorBoundary?: boolean,
+ *   joints?: 'rigid'|'pinned',
+ *   selfWeight?: boolean,
+ *   snowFaces?: Array<{keys:string[], force:number}>,
+ *   pointLoads?: Array<{key:string, fx?:number, fy?:number, fz?:number}>,
+ *   windLoads?: Array<{key:string, fx?:number, fy?:number, fz?:number}>,
+ *   code?: 'en'|'asce',
+ *   materialFor?: (info:Object) => Object
+ * }} options - cargas puntuales y de viento en kN sobre claves de nodo del generador;
+ *   code elige el juego de FEM_COMBINATIONS (el de la norma del viento); sectorBoundary
+ *   (por defecto true) apoya los nodos del borde de un sector parcial como el anillo
+ * @returns {{
+ *   nodes: Array<{key:string, isSupport:boolean, dispMm:{x:number,y:number,z:number,total:number},
+ *     reaction:({x:number,y:number,z:number,mx:number,my:number,mz:number}|null),
+ *     reactions:(Array<Object>|null), reactionEnvelope:({zMax:number,zMin:number,hMax:number}|null)}>,
+ *   beams: Array<{mesh:THREE.Object3D, info:Object, lenMm:number, nMax:number, nMin:number,
+ *     myMax:number, mzMax:number, tMax:number, utilization:number, combo:string}>,
+ *   combinations: Array<{label:string, load:number, reaction:{x:number,y:number,z:number}}>,
+ *   totals: {G:number, Q:number, W:number, code:string, load:number,
+ *     reaction:{x:number,y:number,z:number}, snowLost:number},
+ *   max: {utilization:number, tension:number, compression:number, moment:number, dispMm:number,
+ *     uplift:number},
+ *   supportCount:number, sectorSupportCount:number, joints:string, supports:string
+ * }} fuerzas en kN, momentos en kN·m. Esfuerzos, aprovechamiento y reacciones son la
+ *   envolvente de las combinaciones ELU; totals.load/reaction, la primera (control de equilibrio).
+ */
+export function analyzeFrame(structureGroup, options = {}) {
+  const supportsMode = options.supports === 'fixed' ? 'fixed' : 'pinned';
+  const joints = options.joints === 'pinned' ? 'pinned' : 'rigid';
+  const materialFor = typeof options.materialFor === 'function' ? options.materialFor : () => FEM_DEFAULT_MATERIAL;
+  const code = options.code === 'asce' ? 'asce' : 'en';
+  const dpn = joints === 'rigid' ? 6 : 3;
+
+  const { nodes, nodeIndex, elements } = buildFrameModel(structureGroup);
+  if (!elements.length) throw new Error('No hay vigas para analizar');
+
+  // Apoyos: nodos del anillo mas bajo y, en un sector parcial, los del borde contra el muro
+  let zMin = Infinity, zMax = -Infinity;
+  for (const n of nodes) { zMin = Math.min(zMin, n.z); zMax = Math.max(zMax, n.z); }
+  const zTol = Math.max(1e-6, (zMax - zMin) * 1e-6);
+  const onRing = nodes.map(n => n.z - zMin <= zTol);
+  const onWall = nodes.map((n, i) => options.sectorBoundary !== false && n.isSectorBoundary && !onRing[i]);
+  const isSupport = nodes.map((_, i) => onRing[i] || onWall[i]);
+  const supportCount = isSupport.filter(Boolean).length;
+  const sectorSupportCount = onWall.filter(Boolean).length;
+  const restrained = (ni, d) => isSupport[ni] && (d < 3 || supportsMode === 'fixed');
+
+  // Numeracion de ecuaciones: nodos por altura y angulo (perfil estrecho)
+  const order = nodes.map((_, i) => i).sort((p, q) => {
+    const dz = nodes[p].z - nodes[q].z;
+    if (Math.abs(dz) > zTol) return dz;
+    return Math.atan2(nodes[p].y, nodes[p].x) - Math.atan2(nodes[q].y, nodes[q].x);
+  });
+  const eq = new Int32Array(nodes.length * dpn).fill(-1);
+  let nEq = 0;
+  for (const ni of order) {
+    for (let d = 0; d < dpn; d++) if (!restrained(ni, d)) eq[ni * dpn + d] = nEq++;
+  }
+  if (!nEq) throw new Error('Todos los nodos estan apoyados');
+
+  // Preparar elementos
+  const elems = elements.map((el) => {
+    const pa = nodes[el.a], pb = nodes[el.b];
+    const { L, R } = localAxes(pa, pb, el.info.faceNormal);
+    const mat = materialFor(el.info) || FEM_DEFAULT_MATERIAL;
+    const s = sectionProps(Number(el.info.widthMm) || 1, Number(el.info.heightMm) || 1);
+    const E = mat.E * 1e6, G = mat.G * 1e6;
+    const dofs = [];
+    for (const ni of [el.a, el.b]) for (let d = 0; d < dpn; d++) dofs.push(ni * dpn + d);
+    let kl;
+    if (joints === 'rigid') {
+      kl = frameLocalStiffness(L, E, G, s);
+    } else {
+      kl = Array.from({ length: 6 }, () => new Float64Array(6));
+      const EA = (E * s.A) / L;
+      kl[0][0] = kl[3][3] = EA;
+      kl[0][3] = kl[3][0] = -EA;
+    }
+    // Peso propio en ejes locales (N/m)
+    const w = options.selfWeight === false ? 0 : mat.density * GRAVITY * s.A;
+    const qLocal = { x: -w * R[0][2], y: -w * R[1][2], z: -w * R[2][2] };
+    return { ...el, L, R, s, mat, dofs, kl, w, qLocal };
+  });
+
+  // Transformacion global <-> local por bloques de 3
+  const blocks = dpn * 2 / 3;
+  const toLocal = (R, g) => {
+    const out = new Float64Array(g.length);
+    for (let b = 0; b < blocks; b++) {
+      for (let r = 0; r < 3; r++) {
+        out[3 * b + r] = R[r][0] * g[3 * b] + R[r][1] * g[3 * b + 1] + R[r][2] * g[3 * b + 2];
+      }
+    }
+    return out;
+  };
+  const toGlobal = (R, l) => {
+    const out = new Float64Array(l.length);
+    for (let b = 0; b < blocks; b++) {
+      for (let c = 0; c < 3; c++) {
+        out[3 * b + c] = R[0][c] * l[3 * b] + R[1][c] * l[3 * b + 1] + R[2][c] * l[3 * b + 2];
+      }
+    }
+    return out;
+  };
+  // Rigidez global del elemento: T^t k T
+  const globalStiffness = (e) => {
+    const n = e.kl.length;
+    const T = Array.from({ length: n }, (_, i) => toLocal(e.R, Float64Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))));
+    const kg = Array.from({ length: n }, () => new Float64Array(n));
+    // kg = T^t kl T, con T[:,j] = columna j (vector unitario global llevado a local)
+    for (let i = 0; i < n; i++) {
+      const kTi = new Float64Array(n);
+      for (let r = 0; r < n; r++) {
+        let s = 0;
+        for (let c = 0; c < n; c++) s += e.kl[r][c] * T[i][c];
+        kTi[r] = s;
+      }
+      for (let j = 0; j < n; j++) {
+        let s = 0;
+        for (let r = 0; r < n; r++) s += T[j][r] * kTi[r];
+        kg[j][i] = s;
+      }
+    }
+    return kg;
+  };
+
+  // Perfil de la matriz
+  const first = Int32Array.from({ length: nEq }, (_, j) => j);
+  for (const e of elems) {
+    const ids = e.dofs.map(d => eq[d]).filter(x => x >= 0);
+    const m = Math.min(...ids);
+    for (const j of ids) if (m < first[j]) first[j] = m;
+  }
+  const K = new SkylineMatrix(first);
+
+  // Vectores de carga: G (peso propio), Q (nieve + puntuales) y W (viento), en gdl globales de todos los nodos
+  const nAll = nodes.length * dpn;
+  const loadG = new Float64Array(nAll);
+  const loadQ = new Float64Array(nAll);
+  const loadW = new Float64Array(nAll);
+  // Cargas verticales totales (hacia abajo) de cada caso, para el control de equilibrio
+  let totalG = 0, totalQ = 0, totalW = 0;
+
+  for (const e of elems) {
+    e.kg = globalStiffness(e);
+    for (let i = 0; i < e.dofs.length; i++) {
+      const ei = eq[e.dofs[i]];
+      if (ei < 0) continue;
+      for (let j = 0; j < e.dofs.length; j++) {
+        const ej = eq[e.dofs[j]];
+        if (ej < 0 || ej < ei) continue;
+        K.add(ei, ej, e.kg[i][j]);
+      }
+    }
+    totalG += e.w * e.L;
+    if (joints === 'rigid') {
+      e.feqLocal = frameEquivalentLoads(e.L, e.qLocal);
+      const feqG = toGlobal(e.R, e.feqLocal);
+      for (let i = 0; i < 12; i++) loadG[e.dofs[i]] += feqG[i];
+    } else {
+      // Celosia: peso propio concentrado en los nudos
+      loadG[e.a * dpn + 2] -= (e.w * e.L) / 2;
+      loadG[e.b * dpn + 2] -= (e.w * e.L) / 2;
+    }
+  }
+
+  const snow = snowNodalLoads(nodeIndex, options.snowFaces);
+  for (const [key, f] of snow.loads) {
+    loadQ[nodeIndex.get(key) * dpn + 2] -= f;
+    totalQ += f;
+  }
+  for (const pl of (Array.isArray(options.pointLoads) ? options.pointLoads : [])) {
+    if (!pl || !nodeIndex.has(pl.key)) continue;
+    const base = nodeIndex.get(pl.key) * dpn;
+    loadQ[base] += (Number(pl.fx) || 0) * 1000;
+    loadQ[base + 1] += (Number(pl.fy) || 0) * 1000;
+    loadQ[base + 2] += (Number(pl.fz) || 0) * 1000;
+    totalQ -= (Number(pl.fz) || 0) * 1000;
+  }
+  for (const wl of (Array.isArray(options.windLoads) ? options.windLoads : [])) {
+    if (!wl || !nodeIndex.has(wl.key)) continue;
+    const base = nodeIndex.get(wl.key) * dpn;
+    loadW[base] += (Number(wl.fx) || 0) * 1000;
+    loadW[base + 1] += (Number(wl.fy) || 0) * 1000;
+    loadW[base + 2] += (Number(wl.fz) || 0) * 1000;
+    totalW -= (Number(wl.fz) || 0) * 1000;
+  }
+
+  const singular = K.factor();
+  if (singular >= 0) {
+    let key = '?';
+    for (let d = 0; d < nAll; d++) if (eq[d] === singular) { key = nodes[Math.floor(d / dpn)].key; break; }
+    throw new Error(joints === 'pinned'
+      ? `La estructura es un mecanismo como celosia (nodo ${key}). Usa uniones rigidas o agrega diagonales.`
+      : `La estructura es inestable (nodo ${key}). Revisa apoyos y vigas eliminadas.`);
+  }
+
+  const solveCombo = (fG, fQ, fW) => {
+    const rhs = new Float64Array(nEq);
+    for (let d = 0; d < nAll; d++) if (eq[d] >= 0) rhs[eq[d]] = fG * loadG[d] + fQ * loadQ[d] + fW * loadW[d];
+    const x = K.solve(rhs);
+    const u = new Float64Array(nAll);
+    for (let d = 0; d < nAll; d++) if (eq[d] >= 0) u[d] = x[eq[d]];
+    return u;
+  };
+
+  // Las combinaciones con viento solo se resuelven si hay viento
+  const hasWind = loadW.some(v => v !== 0);
+  const combos = FEM_COMBINATIONS[code].filter(c => hasWind || !(c.W > 0));
+  const slsCombos = hasWind ? [{ G: 1, Q: 1, W: 1 }, { G: 1, Q: 0, W: 1 }] : [{ G: 1, Q: 1, W: 0 }];
+
+  // Envolvente ELU: esfuerzos y aprovechamiento por viga, reacciones por apoyo
+  const beams = elems.map(e => ({
+    mesh: e.mesh, info: e.info, lenMm: Math.round(e.L * 1000),
+    nMax: -Infinity, nMin: Infinity, myMax: 0, mzMax: 0, tMax: 0, utilization: 0, combo: null,
+  }));
+  const max = { utilization: 0, tension: 0, compression: 0, moment: 0, dispMm: 0, uplift: 0 };
+  const nodeReactions = nodes.map(() => null);
+  const comboResults = [];
+  for (const c of combos) {
+    const u = solveCombo(c.G, c.Q, c.W);
+    const reaction = new Float64Array(nAll);
+    elems.forEach((e, ei) => {
+      const ug = Float64Array.from(e.dofs, d => u[d]);
+      const ul = toLocal(e.R, ug);
+      const n = e.kl.length;
+      const f = new Float64Array(n);
+      for (let r = 0; r < n; r++) {
+        let sum = 0;
+        for (let col = 0; col < n; col++) sum += e.kl[r][col] * ul[col];
+        f[r] = sum;
+      }
+      const q = { x: e.qLocal.x * c.G, y: e.qLocal.y * c.G, z: e.qLocal.z * c.G };
+      if (joints === 'rigid') {
+        for (let r = 0; r < 12; r++) f[r] -= c.G * e.feqLocal[r];
+      }
+      const fg = toGlobal(e.R, f);
+      for (let i = 0; i < n; i++) reaction[e.dofs[i]] += fg[i];
+
+      const res = beams[ei];
+      for (let sIdx = 0; sIdx < BEAM_SAMPLES; sIdx++) {
+        const x = (e.L * sIdx) / (BEAM_SAMPLES - 1);
+        let Nx, My = 0, Mz = 0;
+        if (joints === 'rigid') {
+          // Equilibrio del tramo [0, x] con la carga repartida local
+          Nx = -(f[0] + q.x * x);
+          My = -(f[4] + x * f[2] + (x * x * q.z) / 2);
+          Mz = -(f[5] - x * f[1] - (x * x * q.y) / 2);
+          res.tMax = Math.max(res.tMax, Math.abs(f[3]) / 1000);
+        } else {
+          Nx = f[3];
+        }
+        res.nMax = Math.max(res.nMax, Nx / 1000);
+        res.nMin = Math.min(res.nMin, Nx / 1000);
+        res.myMax = Math.max(res.myMax, Math.abs(My) / 1000);
+        res.mzMax = Math.max(res.mzMax, Math.abs(Mz) / 1000);
+        const eta = utilization(Nx, My, Mz, e.s, e.L, e.mat);
+        if (eta > res.utilization || !res.combo) {
+          res.utilization = Math.max(res.utilization, eta);
+          res.combo = c.label;
+        }
+      }
+    });
+
+    // Reaccion = suma de fuerzas de extremo - cargas nodales aplicadas
+    const totalR = { x: 0, y: 0, z: 0 };
+    nodes.forEach((_, ni) => {
+      if (!isSupport[ni]) return;
+      const b = ni * dpn;
+      const nodal = (d) => (joints === 'rigid' ? 0 : c.G * loadG[b + d]) + c.Q * loadQ[b + d] + c.W * loadW[b + d];
+      const comp = (d) => (d < dpn ? (reaction[b + d] - nodal(d)) / 1000 : 0);
+      const r = { x: comp(0), y: comp(1), z: comp(2), mx: comp(3), my: comp(4), mz: comp(5) };
+      totalR.x += r.x; totalR.y += r.y; totalR.z += r.z;
+      const env = nodeReactions[ni] || (nodeReactions[ni] = { list: [], zMax: -Infinity, zMin: Infinity, hMax: 0 });
+      env.list.push(r);
+      env.zMax = Math.max(env.zMax, r.z);
+      env.zMin = Math.min(env.zMin, r.z);
+      env.hMax = Math.max(env.hMax, Math.hypot(r.x, r.y));
+      max.uplift = Math.max(max.uplift, -r.z);
+    });
+    comboResults.push({
+      label: c.label,
+      load: (c.G * totalG + c.Q * totalQ + c.W * totalW) / 1000,
+      reaction: totalR,
+    });
+  }
+  for (const res of beams) {
+    max.utilization = Math.max(max.utilization, res.utilization);
+    max.tension = Math.max(max.tension, res.nMax);
+    max.compression = Math.min(max.compression, res.nMin);
+    max.moment = Math.max(max.moment, res.myMax, res.mzMax);
+  }
+
+  // Desplazamientos ELS: el mayor de las combinaciones caracteristicas por nodo
+  const slsDisp = slsCombos.map(c => solveCombo(c.G, c.Q, c.W));
+  const nodeResults = nodes.map((nd, ni) => {
+    const b = ni * dpn;
+    let disp = { x: 0, y: 0, z: 0, total: 0 };
+    for (const u of slsDisp) {
+      const dx = u[b] * 1000, dy = u[b + 1] * 1000, dz = u[b + 2] * 1000;
+      const total = Math.hypot(dx, dy, dz);
+      if (total >= disp.total) disp = { x: dx, y: dy, z: dz, total };
+    }
+    max.dispMm = Math.max(max.dispMm, disp.total);
+    const env = nodeReactions[ni];
+    return {
+      key: nd.key,
+      isSupport: isSupport[ni],
+      dispMm: disp,
+      // reaction: primera combinacion (gravitatoria); reactions: una por combinacion
+      reaction: env ? env.list[0] : null,
+      reactions: env ? env.list : null,
+      reactionEnvelope: env ? { zMax: env.zMax, zMin: env.zMin, hMax: env.hMax } : null,
+    };
+  });
+
+  return {
+    nodes: nodeResults,
+    beams,
+    combinations: comboResults,
+    totals: {
+      G: totalG / 1000,
+      Q: totalQ / 1000,
+      W: totalW / 1000,
+      code,
+      load: comboResults[0].load,
+      reaction: comboResults[0].reaction,
+      snowLost: snow.lost / 1000,
+    },
+    max,
+    supportCount,
+    sectorSupportCount,
+    joints,
+    supports: supportsMode,
+  };
+}
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { state, getColorForLevel } from './state.js';
+import { state, getColorForLevel, getTopLevel, getSectorCount, isPartialSector, getFootprintScale, getPoleLevel, getRingBase, getRingZ, getRingRadius, isBeltLevel } from './state.js';
 
 // Cache LRU de materiales por nivel (max 60 entradas) — BUG-C2/MEJ-1 fix.
 // Al desalojar entradas antiguas se llama dispose() para liberar memoria GPU.
@@ -35,14 +35,16 @@ function _levelMatCacheSet(key, mat) {
 
 /**
  * Calcula el vertice de un anillo en la posicion (k, i)
+ * Con cinturon (zonohedro elongado) el radio sale del anillo base y la altura de getRingZ;
+ * con perfil variable ambos salen del perfil calculado en state.
  * @param {number} k - Nivel del anillo
  * @param {number} i - Indice del vertice en el anillo
  * @returns {THREE.Vector3} - Posicion del vertice
  */
 export function getRingVertex(k, i) {
-  const { Dmax, N, h1 } = state;
-  const z = k * h1;
-  const Rk = (Dmax / 2) * Math.sin((k * Math.PI) / N);
+  const { N } = state;
+  const z = getRingZ(k);
+  const Rk = getRingRadius(k);
   const step = (2 * Math.PI) / N;
   const halfStep = Math.PI / N;
   const startAngle = -Math.PI / 2;
@@ -50,49 +52,148 @@ export function getRingVertex(k, i) {
   // Antiprism twist: pares con halfStep
   const rotOffset = (k % 2 === 0) ? halfStep : 0;
   const theta = startAngle + rotOffset + i * step;
-  
-  return new THREE.Vector3(Rk * Math.cos(theta), Rk * Math.sin(theta), z);
+
+  // Planta eliptica: escala independiente en X e Y (transformacion afin, las caras siguen planas)
+  const { sx, sy } = getFootprintScale();
+  return new THREE.Vector3(Rk * Math.cos(theta) * sx, Rk * Math.sin(theta) * sy, z);
+}
+
+/**
+ * Indices del anillo k cubiertos por las caras visibles, en orden angular.
+ * Sin sector parcial devuelve los N indices (anillo cerrado).
+ * Con sector: las caras i = 0..M-1 usan (idxL, idxR) = (i, i+1) si k es impar
+ * y (i-1, i) si k es par, por lo que el tramo tiene M+1 vertices (M en las copias
+ * elevadas del anillo kE del cinturon).
+ * @param {number} k - Nivel del anillo
+ * @returns {number[]}
+ */
+export function getSectorRingIndices(k) {
+  const { N } = state;
+  if (!isPartialSector()) return Array.from({ length: N }, (_, i) => i);
+  // Copias elevadas del anillo kE (cinturon): solo las tocan caras con su mismo i
+  const base = getRingBase(k);
+  const raised = base.shift > 0 && base.k === state.beltRing;
+  const first = (raised || k % 2 === 1) ? 0 : N - 1;
+  const count = raised ? getSectorCount() - 1 : getSectorCount();
+  const out = [];
+  for (let j = 0; j <= count; j++) out.push((first + j) % N);
+  return out;
+}
+
+/**
+ * Pares consecutivos (a, b) del anillo k dentro del sector visible.
+ * Anillo completo: N pares (cerrado). Sector parcial: M pares (abierto).
+ * @param {number} k - Nivel del anillo
+ * @returns {Array<[number, number]>}
+ */
+export function getSectorRingPairs(k) {
+  const idx = getSectorRingIndices(k);
+  const pairs = [];
+  const count = isPartialSector() ? idx.length - 1 : idx.length;
+  for (let j = 0; j < count; j++) pairs.push([idx[j], idx[(j + 1) % idx.length]]);
+  return pairs;
+}
+
+/**
+ * Vertices {k, i} de la cara i del nivel k, en el orden en que se dibujan.
+ * Rombo: [bottom, right, top, left]. Triangulo del corte: [left, right, top].
+ * Triangulo del oculo: [right, left, bottom].
+ * Cinturon: rombo vertical con dos aristas verticales (mismo i, anillos K y K+2)
+ * y dos inclinadas paralelas a la arista del ecuador que extruye.
+ * @param {number} k - Nivel de la cara
+ * @param {number} i - Indice de la cara en el nivel (0..N-1)
+ * @returns {{ids: Array<{k:number,i:number}>, isTriangle:boolean, isTopTriangle:boolean, isBelt:boolean}}
+ */
+export function getFaceVertexIds(k, i) {
+  const { N, cutActive, cutLevel, topCutActive, topCutLevel } = state;
+
+  if (isBeltLevel(k)) {
+    // Ka = anillo kE del cinturon; las caras A (Ka+1) y B (Ka+2) extruyen las aristas
+    // (Ka,i)-(Ka+1,idxL) y (Ka,i)-(Ka+1,idxR) con la regla de paridad del nivel Ka+1
+    const Ka = state.beltRing + 2 * Math.floor((k - state.beltRing - 1) / 2);
+    const odd = (Ka + 1) % 2 === 1;
+    const bL = odd ? i : (i - 1 + N) % N;
+    const bR = odd ? (i + 1) % N : i;
+    const ids = (k === Ka + 1)
+      ? [{ k: Ka, i }, { k: Ka + 2, i }, { k: Ka + 3, i: bL }, { k: Ka + 1, i: bL }]
+      : [{ k: Ka, i }, { k: Ka + 1, i: bR }, { k: Ka + 3, i: bR }, { k: Ka + 2, i }];
+    return { ids, isTriangle: false, isTopTriangle: false, isBelt: true };
+  }
+
+  const idxL = (k % 2 === 1) ? i : (i - 1 + N) % N;
+  const idxR = (k % 2 === 1) ? (i + 1) % N : i;
+  const left = { k, i: idxL };
+  const right = { k, i: idxR };
+
+  if (cutActive && k === cutLevel) {
+    return { ids: [left, right, { k: k + 1, i }], isTriangle: true, isTopTriangle: false, isBelt: false };
+  }
+  if (topCutActive && k === topCutLevel) {
+    return { ids: [right, left, { k: k - 1, i }], isTriangle: true, isTopTriangle: true, isBelt: false };
+  }
+  return {
+    ids: [{ k: k - 1, i }, right, { k: k + 1, i }, left],
+    isTriangle: false, isTopTriangle: false, isBelt: false
+  };
+}
+
+// Set de aristas (k,i)-(k,i) de las caras visibles; solo se usa con sector parcial
+function _sectorEdgeSet() {
+  const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
+  const startK = cutActive ? cutLevel : 1;
+  const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
+  const M = getSectorCount();
+  const set = new Set();
+  const add = (p, q) => {
+    const a = `${p.k},${p.i}`, b = `${q.k},${q.i}`;
+    set.add(a < b ? `${a}|${b}` : `${b}|${a}`);
+  };
+  for (let k = startK; k <= endK; k++) {
+    for (let i = 0; i < M; i++) {
+      const { ids } = getFaceVertexIds(k, i);
+      for (let j = 0; j < ids.length; j++) add(ids[j], ids[(j + 1) % ids.length]);
+    }
+  }
+  return set;
 }
 
 /**
  *   OPTIMIZACION: Crear poligonos con BufferGeometry merged
  */
 export function createPolygons(polygonsGroup, matPolyLine, matPolyFill) {
-  const { N, h1, cutActive, cutLevel } = state;
+  const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
   const startK = cutActive ? cutLevel : 1;
+  const endRingK = topCutActive ? topCutLevel : getPoleLevel() - 1;
 
   // BUG-M2 fix: usar LineLoop por anillo (dibuja el polígono cerrado completo).
   // Antes se usaba LineSegments con N+1 puntos, que sólo dibuja N/2 segmentos.
-  for (let k = startK; k < N; k++) {
-    const ringPts = [];
-    for (let i = 0; i < N; i++) {
-      ringPts.push(getRingVertex(k, i));
-    }
+  // Con sector parcial el anillo es una polilinea abierta (Line) en vez de LineLoop
+  const RingLine = isPartialSector() ? THREE.Line : THREE.LineLoop;
+
+  for (let k = startK; k <= endRingK; k++) {
+    const ringPts = getSectorRingIndices(k).map(i => getRingVertex(k, i));
     const ringGeom = new THREE.BufferGeometry().setFromPoints(ringPts);
     ringGeom.attributes.position.usage = THREE.StaticDrawUsage;
-    polygonsGroup.add(new THREE.LineLoop(ringGeom, matPolyLine));
+    polygonsGroup.add(new RingLine(ringGeom, matPolyLine));
   }
 
   // Anillo extra del plano de corte
   if (cutActive) {
-    const capPts = [];
-    for (let i = 0; i < N; i++) {
-      capPts.push(getRingVertex(cutLevel, i));
-    }
+    const capPts = getSectorRingIndices(cutLevel).map(i => getRingVertex(cutLevel, i));
     const capGeom = new THREE.BufferGeometry().setFromPoints(capPts);
     capGeom.attributes.position.usage = THREE.StaticDrawUsage;
-    polygonsGroup.add(new THREE.LineLoop(capGeom, matPolyLine));
+    polygonsGroup.add(new RingLine(capGeom, matPolyLine));
   }
 
   // Fill triangulation - merged en una sola geometria
   const allFillPositions = [];
   
-  for (let k = startK; k < N; k++) {
-    const center = new THREE.Vector3(0, 0, k * h1);
+  for (let k = startK; k <= endRingK; k++) {
+    const center = new THREE.Vector3(0, 0, getRingZ(k));
     
-    for (let i = 0; i < N; i++) {
-      const a = getRingVertex(k, i);
-      const b = getRingVertex(k, (i + 1) % N);
+    for (const [ia, ib] of getSectorRingPairs(k)) {
+      const a = getRingVertex(k, ia);
+      const b = getRingVertex(k, ib);
       allFillPositions.push(center.x, center.y, center.z, a.x, a.y, a.z, b.x, b.y, b.z);
     }
   }
@@ -109,8 +210,20 @@ export function createPolygons(polygonsGroup, matPolyLine, matPolyFill) {
  *   OPTIMIZACION: Crear helices con geometria merged
  */
 export function createHelices(helixGroup, matHelixCCW, matHelixCW, matHelixTip) {
-  const { N, cutActive, cutLevel } = state;
+  const { N, cutActive, cutLevel, topCutActive, topCutLevel } = state;
+  const poleK = getPoleLevel();
+  const endK = topCutActive ? topCutLevel : poleK - 1;
+  const kE = state.beltRing;
+  const beltTopK = kE + 2 * (state.beltLevels || 0);
   const _matHelixTip = matHelixTip || new THREE.LineBasicMaterial({ color: 0xffffff });
+  // Sector parcial: solo tramos que son aristas de caras visibles
+  const sectorEdges = isPartialSector() ? _sectorEdgeSet() : null;
+  const inSector = (k1, i1, k2, i2) => {
+    if (!sectorEdges) return true;
+    // Polos: todos los indices colapsan, la arista se registra con el i de la cara
+    const a = `${k1},${i1}`, b = `${k2},${i2}`;
+    return sectorEdges.has(a < b ? `${a}|${b}` : `${b}|${a}`);
+  };
 
   function createHelicesWithSign(sign) {
     const bodyPoints = [];
@@ -118,21 +231,30 @@ export function createHelices(helixGroup, matHelixCCW, matHelixCW, matHelixTip)
 
     for (let s = 0; s < N; s++) {
       const bodyPts = [];
+      const bodyIdx = [];
       let idx = s;
       const startK = cutActive ? cutLevel : 1;
 
-      for (let k = startK; k <= N - 1; k++) {
+      for (let k = startK; k <= endK;) {
         bodyPts.push(getRingVertex(k, idx));
+        bodyIdx.push([k, idx]);
         
+        // Cinturon: la helice sube en vertical por las copias del anillo kE
+        if (k >= kE && k < beltTopK) {
+          k += 2;
+          continue;
+        }
         if (sign > 0) {
           if (k % 2 === 0) idx = (idx + 1) % N;
         } else {
           if (k % 2 === 1) idx = (idx - 1 + N) % N;
         }
+        k++;
       }
 
       // Agregar puntos del cuerpo
       for (let i = 0; i < bodyPts.length - 1; i++) {
+        if (!inSector(...bodyIdx[i], ...bodyIdx[i + 1])) continue;
         bodyPoints.push(bodyPts[i], bodyPts[i + 1]);
       }
 
@@ -142,21 +264,22 @@ export function createHelices(helixGroup, matHelixCCW, matHelixCW, matHelixTip)
         const p0 = getRingVertex(0, idxLow);
         if (sign > 0) idxLow = (idxLow + 1) % N;
         const p1 = getRingVertex(1, idxLow);
-        tipPoints.push(p0, p1);
+        if (inSector(0, s, 1, idxLow)) tipPoints.push(p0, p1);
       }
 
-      // Tip superior
-      const pBot = getRingVertex(N - 1, idx);
+      // Tip superior (no existe con oculo: la helice termina en el anillo superior)
+      if (topCutActive) continue;
+      const pBot = getRingVertex(poleK - 1, idx);
       let idxTop = idx;
       
       if (sign > 0) {
-        if ((N - 1) % 2 === 0) idxTop = (idxTop + 1) % N;
+        if ((poleK - 1) % 2 === 0) idxTop = (idxTop + 1) % N;
       } else {
-        if ((N - 1) % 2 === 1) idxTop = (idxTop - 1 + N) % N;
+        if ((poleK - 1) % 2 === 1) idxTop = (idxTop - 1 + N) % N;
       }
 
-      const pTop = getRingVertex(N, idxTop);
-      tipPoints.push(pBot, pTop);
+      const pTop = getRingVertex(poleK, idxTop);
+      if (inSector(poleK - 1, idx, poleK, idxTop)) tipPoints.push(pBot, pTop);
     }
 
     // Crear geometria merged para cuerpo
@@ -183,37 +306,18 @@ export function createHelices(helixGroup, matHelixCCW, matHelixCW, matHelixTip)
  *   OPTIMIZACION: Crear aristas con geometria merged
  */
 export function createRhombiEdges(edgesGroup, matEdge) {
-  const { N, cutActive, cutLevel } = state;
+  const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
   const startK = cutActive ? cutLevel : 1;
+  const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
+  const M = getSectorCount();
   const allEdgePoints = [];
 
-  for (let k = startK; k <= N - 1; k++) {
-    for (let i = 0; i < N; i++) {
-      let idxL, idxR;
-      
-      if (k % 2 === 1) {
-        idxL = i;
-        idxR = (i + 1) % N;
-      } else {
-        idxL = (i - 1 + N) % N;
-        idxR = i;
-      }
-
-      const vLeft = getRingVertex(k, idxL);
-      const vRight = getRingVertex(k, idxR);
-
-      if (cutActive && k === cutLevel) {
-        const vTop = getRingVertex(k + 1, i);
-        allEdgePoints.push(vLeft, vRight, vRight, vTop, vTop, vLeft);
-      } else {
-        const vBottom = getRingVertex(k - 1, i);
-        const vTop = getRingVertex(k + 1, i);
-        allEdgePoints.push(
-          vBottom, vRight,
-          vRight, vTop,
-          vTop, vLeft,
-          vLeft, vBottom
-        );
+  for (let k = startK; k <= endK; k++) {
+    for (let i = 0; i < M; i++) {
+      const { ids } = getFaceVertexIds(k, i);
+      const verts = ids.map(v => getRingVertex(v.k, v.i));
+      for (let j = 0; j < verts.length; j++) {
+        allEdgePoints.push(verts[j], verts[(j + 1) % verts.length]);
       }
     }
   }
@@ -229,12 +333,14 @@ export function createRhombiEdges(edgesGroup, matEdge) {
  *   OPTIMIZACION CRITICA: Rombos con geometria merged por nivel
  */
 export function createRhombi(rhombiGroup, matRhombus) {
-  const { N, colorByLevel, cutActive, cutLevel } = state;
+  const { colorByLevel, cutActive, cutLevel, topCutActive, topCutLevel } = state;
   const rhombiData = [];
-  const totalLevels = N - 1;
+  const totalLevels = getPoleLevel() - 1;
   const startK = cutActive ? cutLevel : 1;
+  const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
+  const M = getSectorCount();
 
-  for (let k = startK; k <= N - 1; k++) {
+  for (let k = startK; k <= endK; k++) {
     const levelName = `R${k}`;
     const levelRhombi = [];
     const vertices = [];
@@ -265,39 +371,23 @@ export function createRhombi(rhombiGroup, matRhombus) {
       levelMaterial = matRhombus;
     }
 
-    for (let i = 0; i < N; i++) {
-      let idxL, idxR;
-      
-      if (k % 2 === 1) {
-        idxL = i;
-        idxR = (i + 1) % N;
-      } else {
-        idxL = (i - 1 + N) % N;
-        idxR = i;
-      }
+    for (let i = 0; i < M; i++) {
+      const face = getFaceVertexIds(k, i);
+      const verts = face.ids.map(v => getRingVertex(v.k, v.i));
 
-      const vLeft = getRingVertex(k, idxL);
-      const vRight = getRingVertex(k, idxR);
+      if (face.isTriangle) {
+        // Corte: [vLeft, vRight, vTop]. Oculo: [vRight, vLeft, vBottom] = misma
+        // orientacion que el rombo, con la base horizontal como primer lado.
+        const tri = { vertices: verts, isTriangle: true };
+        if (face.isTopTriangle) tri.isTopTriangle = true;
+        levelRhombi.push(tri);
 
-      if (cutActive && k === cutLevel) {
-        const vTop = getRingVertex(k + 1, i);
-        
-        levelRhombi.push({
-          vertices: [vLeft, vRight, vTop],
-          isTriangle: true
-        });
-
-        vertices.push(vLeft.x, vLeft.y, vLeft.z);
-        vertices.push(vRight.x, vRight.y, vRight.z);
-        vertices.push(vTop.x, vTop.y, vTop.z);
+        for (const v of verts) vertices.push(v.x, v.y, v.z);
       } else {
-        const vBottom = getRingVertex(k - 1, i);
-        const vTop = getRingVertex(k + 1, i);
-        
-        levelRhombi.push({
-          vertices: [vBottom, vRight, vTop, vLeft],
-          isTriangle: false
-        });
+        const [vBottom, vRight, vTop, vLeft] = verts;
+        const rhombus = { vertices: verts, isTriangle: false };
+        if (face.isBelt) rhombus.isBelt = true;
+        levelRhombi.push(rhombus);
 
         // Dos triangulos por rombo
         vertices.push(vBottom.x, vBottom.y, vBottom.z);
@@ -318,6 +408,7 @@ export function createRhombi(rhombiGroup, matRhombus) {
       g.attributes.position.usage = THREE.StaticDrawUsage;
       
       const mesh = new THREE.Mesh(g, levelMaterial);
+      mesh.name = levelName;
       mesh.frustumCulled = true; // Habilitar frustum culling
       rhombiGroup.add(mesh);
     }
@@ -336,14 +427,15 @@ export function createRhombi(rhombiGroup, matRhombus) {
  * Crea la tapa de cierre del plano de corte
  */
 export function createCutCap(capGroup, capMaterial) {
-  const { N, h1, cutLevel } = state;
-  const z = cutLevel * h1;
+  const { cutLevel } = state;
+  const z = getRingZ(cutLevel);
   const center = new THREE.Vector3(0, 0, z);
   const positions = [];
 
-  for (let i = 0; i < N; i++) {
-    const a = getRingVertex(cutLevel, i);
-    const b = getRingVertex(cutLevel, (i + 1) % N);
+  // Con sector parcial la tapa es un abanico (porcion de torta) sobre el tramo visible
+  for (const [ia, ib] of getSectorRingPairs(cutLevel)) {
+    const a = getRingVertex(cutLevel, ia);
+    const b = getRingVertex(cutLevel, ib);
 
     positions.push(center.x, center.y, center.z);
     positions.push(a.x, a.y, a.z);
@@ -360,14 +452,43 @@ export function createCutCap(capGroup, capMaterial) {
   capGroup.add(mesh);
 }
 
+/**
+ * Crea la tapa del anillo superior (oculo), mismo esquema que createCutCap
+ */
+export function createTopCap(capGroup, capMaterial) {
+  const { topCutLevel } = state;
+  const z = getRingZ(topCutLevel);
+  const center = new THREE.Vector3(0, 0, z);
+  const positions = [];
+
+  for (const [ia, ib] of getSectorRingPairs(topCutLevel)) {
+    const a = getRingVertex(topCutLevel, ia);
+    const b = getRingVertex(topCutLevel, ib);
+
+    positions.push(center.x, center.y, center.z);
+    positions.push(b.x, b.y, b.z);
+    positions.push(a.x, a.y, a.z);
+  }
+
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geom.computeVertexNormals();
+  geom.attributes.position.usage = THREE.StaticDrawUsage;
+
+  const mesh = new THREE.Mesh(geom, capMaterial);
+  mesh.frustumCulled = true;
+  capGroup.add(mesh);
+}
+
 /**
  *   OPTIMIZACION: Puntos usando InstancedMesh
  */
 export function createAxisAndPoints(axisGroup, geomPoint, matPoint, matAxisLine) {
-  const { N, Htotal, h1, cutActive, cutLevel } = state;
-  const startZ = cutActive ? cutLevel * h1 : 0;
+  const { cutActive, cutLevel } = state;
+  const startZ = cutActive ? getRingZ(cutLevel) : 0;
+  const topK = getTopLevel();
 
-  const axisPts = [new THREE.Vector3(0, 0, startZ), new THREE.Vector3(0, 0, Htotal)];
+  const axisPts = [new THREE.Vector3(0, 0, startZ), new THREE.Vector3(0, 0, getRingZ(topK))];
   const axisGeom = new THREE.BufferGeometry().setFromPoints(axisPts);
   axisGeom.attributes.position.usage = THREE.StaticDrawUsage;
   
@@ -377,7 +498,7 @@ export function createAxisAndPoints(axisGroup, geomPoint, matPoint, matAxisLine)
   ));
 
   const startK = cutActive ? cutLevel : 0;
-  const pointCount = N + 1 - startK;
+  const pointCount = topK + 1 - startK;
   
   // InstancedMesh para puntos (muy eficiente)
   const pointMesh = new THREE.InstancedMesh(geomPoint, matPoint, pointCount);
@@ -385,8 +506,8 @@ export function createAxisAndPoints(axisGroup, geomPoint, matPoint, matAxisLine)
   const dummy = new THREE.Object3D();
   let instanceIndex = 0;
 
-  for (let kk = startK; kk <= N; kk++) {
-    dummy.position.set(0, 0, kk * h1);
+  for (let kk = startK; kk <= topK; kk++) {
+    dummy.position.set(0, 0, getRingZ(kk));
     dummy.updateMatrix();
     pointMesh.setMatrixAt(instanceIndex, dummy.matrix);
     instanceIndex++;
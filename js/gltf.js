@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { state } from './state.js';
+import { NodeAnalyzer } from './node-analyzer.js';
+
+/**
+ * gltf.js
+ *
+ * Exporta la escena a GLB (glTF 2.0 binario) para visores web y motores de juego.
+ *
+ * Nodos: "ZValdivia" (raiz) gira -90 grados en X para pasar de Z arriba (la app) a
+ * Y arriba (glTF); dentro, "Modelo" lleva el desplazamiento a coordenadas visibles y
+ * contiene "Cascara" (un mesh por nivel R{k} con su material de createRhombi, mas las
+ * tapas), "Estructura" (vigas y lotes de conectores) y "Pletinas".
+ *   - Los lotes de conectores siguen instanciados (EXT_mesh_gpu_instancing); los
+ *     huerfanos (escala 0) se omiten.
+ *   - beamInfo, connectorInfo y plateInfo van como extras del nodo. En los lotes,
+ *     extras.connectors[i] corresponde a la instancia i.
+ *
+ * Se exportan copias con geometria y materiales sin userData: el userData interno
+ * (vertices OBJ, caches) no llega al archivo.
+ */
+
+// Campos de beamInfo que se publican en extras (los vectores y caras quedan fuera)
+const BEAM_EXTRAS = [
+  'id', 'kind', 'kVisible', 'aKey', 'bKey', 'edgeKey', 'widthMm', 'heightMm', 'lenMm', 'nodeLenMm',
+  'angAdeg', 'angBdeg', 'material', 'sawA', 'sawB', 'plateSawA', 'plateSawB', 'isSectorBoundary', 'isRiser',
+];
+
+/** Copia JSON de un valor (undefined y no serializables quedan fuera). */
+function plain(value) {
+  if (value == null) return undefined;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+export class GLBExporter {
+  /**
+   * @param {{rhombiGroup:THREE.Group, capGroup:THREE.Group, structureGroup:THREE.Group}} groups
+   * @param {Object} [generator] - StructureGenerator (connectorInfo de los conectores instanciados)
+   * @returns {Promise<{shell:number, beams:number, connectors:number, plates:number}>}
+   */
+  static async exportSceneToGLB(groups, generator = null) {
+    const counts = { shell: 0, beams: 0, connectors: 0, plates: 0 };
+    const geoms = new Map();
+    const mats = new Map();
+    const bare = (g) => {
+      if (!geoms.has(g)) geoms.set(g, this._bareGeometry(g));
+      return geoms.get(g);
+    };
+    const mat = (m) => {
+      if (Array.isArray(m)) return m.map(mat);
+      if (!mats.has(m)) {
+        const c = m.clone();
+        c.userData = {};
+        mats.set(m, c);
+      }
+      return mats.get(m);
+    };
+    const copyMesh = (src, name) => {
+      const node = new THREE.Mesh(bare(src.geometry), mat(src.material));
+      node.name = name || src.name;
+      node.position.copy(src.position);
+      node.quaternion.copy(src.quaternion);
+      node.scale.copy(src.scale);
+      return node;
+    };
+    const isMesh = (obj) => obj && obj.isMesh && obj.visible !== false && !(obj.name || '').startsWith('zv');
+
+    const root = new THREE.Group();
+    root.name = 'ZValdivia';
+    root.rotation.x = -Math.PI / 2;
+    root.userData = { N: state.N, aDeg: state.aDeg, Dmax: state.Dmax, cutLevel: state.cutActive ? state.cutLevel : null };
+    const model = new THREE.Group();
+    model.name = 'Modelo';
+    model.position.z = -NodeAnalyzer.getVisibleZShift();
+    root.add(model);
+
+    // Cascara: mallas por nivel y tapas
+    const shell = new THREE.Group();
+    shell.name = 'Cascara';
+    for (const grp of [groups.rhombiGroup, groups.capGroup]) {
+      if (!grp) continue;
+      for (const obj of grp.children) {
+        if (!isMesh(obj)) continue;
+        shell.add(copyMesh(obj, obj.name || (grp === groups.capGroup ? 'Tapa' : `Malla_${counts.shell}`)));
+        counts.shell++;
+      }
+    }
+
+    // Estructura y pletinas
+    const structure = new THREE.Group();
+    structure.name = 'Estructura';
+    const plates = new THREE.Group();
+    plates.name = 'Pletinas';
+    const m4 = new THREE.Matrix4();
+    const children = (groups.structureGroup && groups.structureGroup.children) || [];
+    for (const obj of children) {
+      if (!isMesh(obj)) continue;
+      const ud = obj.userData || {};
+
+      if (obj.isInstancedMesh && ud.isConnectorBatch) {
+        const infos = generator && generator._instanceConnectorMap ? generator._instanceConnectorMap.get(obj) : null;
+        const keep = [];
+        for (let i = 0; i < obj.count; i++) {
+          obj.getMatrixAt(i, m4);
+          if (Math.abs(m4.elements[0]) + Math.abs(m4.elements[1]) + Math.abs(m4.elements[2]) < 1e-9) continue;
+          keep.push(i);
+        }
+        if (!keep.length) continue;
+        const node = new THREE.InstancedMesh(bare(obj.geometry), mat(obj.material), keep.length);
+        node.name = obj.name;
+        node.position.copy(obj.position);
+        node.quaternion.copy(obj.quaternion);
+        node.scale.copy(obj.scale);
+        const color = new THREE.Color();
+        keep.forEach((src, dst) => {
+          obj.getMatrixAt(src, m4);
+          node.setMatrixAt(dst, m4);
+          if (obj.instanceColor) {
+            obj.getColorAt(src, color);
+            node.setColorAt(dst, color);
+          }
+        });
+        node.userData = { connectors: keep.map(i => plain(infos ? infos[i] : null) || null) };
+        structure.add(node);
+        counts.connectors += keep.length;
+        continue;
+      }
+
+      if (ud.isBeam && ud.beamInfo) {
+        const node = copyMesh(obj);
+        const info = ud.beamInfo;
+        const extras = { a: info.a ? info.a.name : undefined, b: info.b ? info.b.name : undefined };
+        for (const key of BEAM_EXTRAS) extras[key] = plain(info[key]);
+        node.userData = plain(extras) || {};
+        structure.add(node);
+        counts.beams++;
+        continue;
+      }
+
+      if (ud.isPlate) {
+        const node = copyMesh(obj);
+        node.userData = plain({ plateInfo: ud.plateInfo, boltHoles: ud.boltHoles }) || {};
+        plates.add(node);
+        counts.plates++;
+      }
+    }
+
+    model.add(shell, structure, plates);
+    if (!counts.shell && !counts.beams && !counts.connectors && !counts.plates) {
+      throw new Error('Scene is empty');
+    }
+    root.updateMatrixWorld(true);
+
+    const glb = await new GLTFExporter().parseAsync(root, { binary: true, onlyVisible: true });
+    this._download(glb, this._filename());
+    return counts;
+  }
+
+  /** BufferGeometry que comparte atributos e indice con la original, sin userData. */
+  static _bareGeometry(src) {
+    const g = new THREE.BufferGeometry();
+    for (const [name, attr] of Object.entries(src.attributes)) g.setAttribute(name, attr);
+    if (src.index) g.setIndex(src.index);
+    for (const gr of src.groups) g.addGroup(gr.start, gr.count, gr.materialIndex);
+    return g;
+  }
+
+  static _filename() {
+    let filename = `scene_D${state.Dmax.toFixed(1)}_N${state.N}_a${state.aDeg.toFixed(2)}`;
+    if (state.cutActive) filename += `_cut${state.cutLevel}`;
+    if (state.beltLevels > 0) filename += `_belt${state.beltLevels}`;
+    return `${filename}.glb`;
+  }
+
+  static _download(content, filename) {
+    const blob = new Blob([content], { type: 'model/gltf-binary' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
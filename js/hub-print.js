@@ -0,0 +1,485 @@
+import * as THREE from 'three';
+import { state } from './state.js';
+import { CSG } from './csg.js';
+
+/**
+ * hub-print.js
+ *
+ * Conectores imprimibles en 3D (STL binario o 3MF) para prototipos con nodos impresos.
+ *
+ * Un tipo por nivel y forma: los nodos de un nivel con el mismo cilindro y los mismos
+ * encajes (en el marco local del conector) comparten tipo; niveles con nodos distintos
+ * (bordes de sector, vigas borradas o extra) generan variantes C3, C3B, C3C...
+ *
+ * Solido de cada tipo, en mm y en el marco local del conector (origen en el centro del
+ * cilindro, Z = directriz hacia el interior, X = tangente horizontal al anillo):
+ *   - Cilindro del conector (diametro y profundidad del generador).
+ *   - Un encaje rectangular por viga incidente (las mismas vigas que usa
+ *     NodeAnalyzer.buildConnectivityFromStructure: aKey/bKey de beamInfo). La seccion es
+ *     la de la testa de la viga mas la tolerancia por lado; el encaje entra `socketDepthMm`
+ *     desde la testa hacia el conector y sale por fuera del cilindro.
+ *   - El ID del tipo grabado en la tapa interior (Z+), con una fuente de 5x7 puntos.
+ */
+
+export const HUB_PRINT_DEFAULTS = {
+  socketDepthMm: 20,
+  toleranceMm: 0.3,
+  segments: 64,
+};
+
+const ENGRAVE_DEPTH_MM = 0.6;
+// Punto minimo de la fuente que una impresora FDM alcanza a marcar
+const MIN_GLYPH_DOT_MM = 0.4;
+// Separacion entre piezas en la bandeja (STL) o entre objetos (3MF)
+const LAYOUT_GAP_MM = 10;
+
+// Fuente 5x7: filas de arriba hacia abajo
+const GLYPHS = {
+  0: ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  1: ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  3: ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  5: ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  6: ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  B: ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+  C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+  D: ['11100', '10010', '10001', '10001', '10001', '10010', '11100'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+  G: ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  I: ['01110', '00100', '00100', '00100', '00100', '00100', '01110'],
+  J: ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+  K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+  L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+  N: ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+  O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+  Q: ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+  V: ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+  W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+  X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+  Y: ['10001', '10001', '01010', '00100', '00100', '00100', '00100'],
+  Z: ['11111', '00001', '00010', '00100', '01000', '10000', '11111'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+};
+
+/**
+ * Tipos de conector de la estructura generada.
+ * @param {THREE.Group} structureGroup
+ * @param {Object} generator - StructureGenerator (_instanceConnectorMap)
+ * @returns {Array<{label:string, kVisible:number, isIntersection:boolean, count:number, ids:string[],
+ *   diameterMm:number, heightMm:number,
+ *   sockets:Array<{center:{x,y,z}, e:{x,y,z}, w:{x,y,z}, t:{x,y,z}, widthMm:number, heightMm:number, beamId:string}>}>}
+ *   e = eje de la viga hacia afuera del conector; w, t = ejes de su seccion (marco local, mm)
+ */
+export function collectHubTypes(structureGroup, generator) {
+  const children = (structureGroup && structureGroup.children) || [];
+  if (structureGroup && structureGroup.updateMatrixWorld) structureGroup.updateMatrixWorld(true);
+
+  // Testas de viga por nodo
+  const ends = new Map();
+  for (const obj of children) {
+    const ud = obj && obj.userData;
+    const info = ud && ud.isBeam ? ud.beamInfo : null;
+    if (!info || obj.visible === false || !Array.isArray(ud.objVertices) || ud.objVertices.length !== 8) continue;
+    const verts = ud.objVertices.map(v => v.clone().applyMatrix4(obj.matrixWorld));
+    for (const [key, end, other] of [[info.aKey, [0, 1, 2, 3], [4, 5, 6, 7]], [info.bKey, [4, 5, 6, 7], [0, 1, 2, 3]]]) {
+      if (!key) continue;
+      if (!ends.has(key)) ends.set(key, []);
+      ends.get(key).push({ verts, end, other, info });
+    }
+  }
+
+  const types = new Map();
+  const m4 = new THREE.Matrix4();
+  for (const batch of children) {
+    if (!batch || !batch.isInstancedMesh || !batch.userData || !batch.userData.isConnectorBatch) continue;
+    const p = batch.geometry && batch.geometry.parameters;
+    const infos = generator && generator._instanceConnectorMap ? generator._instanceConnectorMap.get(batch) : null;
+    if (!p || !infos) continue;
+    const diameterMm = p.radiusTop * 2000;
+    const heightMm = p.height * 1000;
+    for (let i = 0; i < batch.count; i++) {
+      const ci = infos[i];
+      batch.getMatrixAt(i, m4);
+      const axis = new THREE.Vector3(m4.elements[4], m4.elements[5], m4.elements[6]);
+      if (!ci || axis.lengthSq() < 1e-18) continue; // huerfano (escala 0)
+      const frame = hubFrame(new THREE.Vector3().setFromMatrixPosition(m4).applyMatrix4(batch.matrixWorld), axis.normalize());
+      const sockets = (ends.get(ci.nodeKey) || []).map(b => socketFor(b, frame)).filter(Boolean);
+
+      const r = (v, step) => Math.round(v / step) * step;
+      const sig = sockets
+        .map(s => [s.center.x, s.center.y, s.center.z].map(v => r(v, 0.5)).concat(
+          [s.e.x, s.e.y, s.e.z, s.w.x, s.w.y, s.w.z].map(v => r(v, 0.01)), r(s.widthMm, 0.5), r(s.heightMm, 0.5)).join(','))
+        .sort()
+        .join(';');
+      const key = `${ci.isIntersection ? 'X' : 'C'}|${ci.kVisible}|${r(diameterMm, 0.1)}|${r(heightMm, 0.1)}|${sig}`;
+      if (!types.has(key)) {
+        types.set(key, { kVisible: ci.kVisible, isIntersection: !!ci.isIntersection, count: 0, ids: [], diameterMm, heightMm, sockets });
+      }
+      const type = types.get(key);
+      type.count++;
+      type.ids.push(ci.id);
+    }
+  }
+
+  // Etiquetas: C{k} / X{k}, y B..Z para las variantes menos repetidas del nivel (luego -27, -28...)
+  const list = [...types.values()].sort((a, b) =>
+    (a.isIntersection - b.isIntersection) || (a.kVisible - b.kVisible) || (b.count - a.count));
+  const perLevel = new Map();
+  for (const t of list) {
+    const lk = `${t.isIntersection ? 'X' : 'C'}${t.kVisible}`;
+    const n = perLevel.get(lk) || 0;
+    perLevel.set(lk, n + 1);
+    t.label = !n ? lk : n < 26 ? `${lk}${String.fromCharCode(65 + n)}` : `${lk}-${n + 1}`;
+  }
+  return list;
+}
+
+/**
+ * Marco local del conector: origen en el centro, Z = eje, X = tangente horizontal al
+ * anillo (Z_mundo x radial, proyectada normal al eje). Con la radial y no con el eje,
+ * para que los conectores de eje vertical de un nivel tambien compartan marco.
+ */
+function hubFrame(center, z) {
+  const x = new THREE.Vector3(0, 0, 1).cross(new THREE.Vector3(center.x, center.y, 0));
+  if (x.lengthSq() < 1e-12) x.set(0, 0, 1).cross(z); // conector en el eje (polo)
+  x.sub(z.clone().multiplyScalar(x.dot(z)));
+  if (x.lengthSq() < 1e-12) x.set(1, 0, 0);
+  x.normalize();
+  const y = z.clone().cross(x);
+  const dir = (d) => ({ x: d.dot(x), y: d.dot(y), z: d.dot(z) });
+  return { dir, point: (p) => dir(p.clone().sub(center).multiplyScalar(1000)) };
+}
+
+/** Encaje de una testa de viga en el marco local del conector. */
+function socketFor({ verts, end, other, info }, frame) {
+  const cent = (idx) => idx.reduce((c, i) => c.add(verts[i]), new THREE.Vector3()).multiplyScalar(1 / idx.length);
+  const c = cent(end);
+  const e = cent(other).sub(c);
+  if (e.lengthSq() < 1e-12) return null;
+  e.normalize();
+  const perp = (d) => d.sub(e.clone().multiplyScalar(d.dot(e)));
+  const wv = perp(verts[end[1]].clone().sub(verts[end[0]]));
+  const tv = perp(verts[end[3]].clone().sub(verts[end[0]]));
+  const widthMm = wv.length() * 1000;
+  const heightMm = tv.length() * 1000;
+  if (widthMm < 1e-3 || heightMm < 1e-3) return null;
+  // La seccion centrada es simetrica en w y t: signo canonico para no duplicar tipos
+  const canon = (d) => {
+    const first = [d.x, d.y, d.z].find(c => Math.abs(c) > 1e-3);
+    return first < 0 ? { x: -d.x, y: -d.y, z: -d.z } : d;
+  };
+  return {
+    center: frame.point(c),
+    e: frame.dir(e),
+    w: canon(frame.dir(wv.normalize())),
+    t: canon(frame.dir(tv.normalize())),
+    widthMm,
+    heightMm,
+    beamId: info.id,
+  };
+}
+
+/**
+ * Solido imprimible de un tipo (mm, marco local del conector).
+ * @param {Object} type - elemento de collectHubTypes
+ * @param {{socketDepthMm?:number, toleranceMm?:number, segments?:number}} [options]
+ * @returns {Array<Array<{x:number,y:number,z:number}>>} triangulos con normales hacia afuera
+ */
+export function buildHubSolid(type, options = {}) {
+  const depth = Number.isFinite(options.socketDepthMm) ? options.socketDepthMm : HUB_PRINT_DEFAULTS.socketDepthMm;
+  const tol = Number.isFinite(options.toleranceMm) ? options.toleranceMm : HUB_PRINT_DEFAULTS.toleranceMm;
+  const n = Math.max(12, options.segments || HUB_PRINT_DEFAULTS.segments);
+  const R = type.diameterMm / 2;
+  const H = type.heightMm / 2;
+
+  // Cilindro: n lados y dos tapas
+  const ring = (z) => Array.from({ length: n }, (_, i) => {
+    const a = (2 * Math.PI * i) / n;
+    return { x: R * Math.cos(a), y: R * Math.sin(a), z };
+  });
+  const bottom = ring(-H), top = ring(H);
+  const faces = [top, bottom.slice().reverse()];
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    faces.push([bottom[i], bottom[j], top[j], top[i]]);
+  }
+  let solid = CSG.fromFaces(faces);
+
+  // Encajes: prisma de la seccion (+ tolerancia) desde `depth` antes de la testa hasta salir del cilindro
+  const out = type.diameterMm + type.heightMm;
+  for (const s of type.sockets) {
+    const hw = s.widthMm / 2 + tol;
+    const corner = (sw, st, se) => ({
+      x: s.center.x + s.w.x * sw + s.t.x * st + s.e.x * se,
+      y: s.center.y + s.w.y * sw + s.t.y * st + s.e.y * se,
+      z: s.center.z + s.w.z * sw + s.t.z * st + s.e.z * se,
+    });
+    const t0 = -s.heightMm / 2 - tol, t1 = s.heightMm / 2 + tol;
+    solid = solid.subtract(prism(corner, [-hw, hw], [t0, t1], [-depth, out]));
+  }
+
+  // ID grabado en la tapa Z+ (type.engraved = false si no cabe)
+  const boxes = glyphBoxes(type.label, type.diameterMm);
+  type.engraved = boxes.length > 0;
+  for (const box of boxes) {
+    solid = solid.subtract(CSG.box({ x: box.x0, y: box.y0, z: H - ENGRAVE_DEPTH_MM }, { x: box.x1, y: box.y1, z: H + 1 }));
+  }
+  return solid.toTriangles();
+}
+
+/** Hexaedro de un marco (w, t, e) ortonormal a derechas o no: orienta las caras hacia afuera. */
+function prism(corner, [w0, w1], [t0, t1], [e0, e1]) {
+  const c = (i) => corner(i & 1 ? w1 : w0, i & 2 ? t1 : t0, i & 4 ? e1 : e0);
+  const faces = [[0, 4, 6, 2], [1, 3, 7, 5], [0, 1, 5, 4], [2, 6, 7, 3], [0, 2, 3, 1], [4, 5, 7, 6]].map(f => f.map(c));
+  // Con marco a izquierdas las caras quedan hacia adentro
+  const a = c(0), b = c(1), d = c(2), g = c(4);
+  const u = { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+  const v = { x: d.x - a.x, y: d.y - a.y, z: d.z - a.z };
+  const k = { x: g.x - a.x, y: g.y - a.y, z: g.z - a.z };
+  const det = u.x * (v.y * k.z - v.z * k.y) - u.y * (v.x * k.z - v.z * k.x) + u.z * (v.x * k.y - v.y * k.x);
+  return CSG.fromFaces(det < 0 ? faces.map(f => f.reverse()) : faces);
+}
+
+/** Cajas (x0, y0, x1, y1) de los puntos del texto, centrado en la tapa; [] si no cabe. */
+function glyphBoxes(text, diameterMm) {
+  const chars = [...String(text || '')];
+  const missing = chars.filter(ch => !GLYPHS[ch]);
+  if (missing.length) throw new Error(`No se puede grabar "${text}": sin fuente para "${missing.join('')}"`);
+  if (!chars.length) return [];
+  const cols = chars.length * 6 - 1;
+  const dot = Math.min((0.7 * diameterMm) / cols, (0.35 * diameterMm) / 7);
+  if (dot < MIN_GLYPH_DOT_MM) return [];
+  const x0 = (-cols * dot) / 2;
+  const y0 = (7 * dot) / 2;
+  // Solape minimo entre puntos vecinos: evita caras coincidentes en la resta
+  const o = dot * 0.02;
+  const boxes = [];
+  chars.forEach((ch, ci) => {
+    GLYPHS[ch].forEach((row, ri) => {
+      // Un rectangulo por tramo continuo de la fila
+      for (let c = 0; c < 5; c++) {
+        if (row[c] !== '1') continue;
+        let c1 = c;
+        while (c1 + 1 < 5 && row[c1 + 1] === '1') c1++;
+        boxes.push({
+          x0: x0 + (ci * 6 + c) * dot - o,
+          x1: x0 + (ci * 6 + c1 + 1) * dot + o,
+          y0: y0 - (ri + 1) * dot - o,
+          y1: y0 - ri * dot + o,
+        });
+        c = c1;
+      }
+    });
+  });
+  return boxes;
+}
+
+export class HubPrintExporter {
+  /**
+   * Todos los tipos en un STL binario, en fila sobre la bandeja (tapa con el ID arriba).
+   * @returns {number} tipos exportados
+   */
+  static exportSTL(types, options = {}) {
+    const placed = this._layout(types, options);
+    const triCount = placed.reduce((s, p) => s + p.tris.length, 0);
+    const buf = new ArrayBuffer(84 + triCount * 50);
+    const view = new DataView(buf);
+    const header = `ZValdivia conectores N${state.N} a${state.aDeg.toFixed(2)}`.slice(0, 80);
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+    view.setUint32(80, triCount, true);
+    let off = 84;
+    for (const { tris, dx, dz } of placed) {
+      for (const tri of tris) {
+        const [a, b, c] = tri.map(p => ({ x: p.x + dx, y: p.y, z: p.z + dz }));
+        const n = new THREE.Vector3(b.x - a.x, b.y - a.y, b.z - a.z)
+          .cross(new THREE.Vector3(c.x - a.x, c.y - a.y, c.z - a.z));
+        if (n.lengthSq() > 0) n.normalize();
+        for (const v of [n, a, b, c]) {
+          view.setFloat32(off, v.x, true);
+          view.setFloat32(off + 4, v.y, true);
+          view.setFloat32(off + 8, v.z, true);
+          off += 12;
+        }
+        view.setUint16(off, 0, true);
+        off += 2;
+      }
+    }
+    this._download(buf, 'stl', 'model/stl');
+    return placed.length;
+  }
+
+  /**
+   * Un 3MF con un objeto por tipo (nombre = ID y cantidad a imprimir).
+   * @returns {number} tipos exportados
+   */
+  static export3MF(types, options = {}) {
+    const placed = this._layout(types, options);
+    const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const num = (v) => String(Math.round(v * 10000) / 10000);
+    const objects = [];
+    const items = [];
+    placed.forEach(({ type, tris, dx, dz }, idx) => {
+      const index = new Map();
+      const verts = [];
+      const id = (p) => {
+        const key = `${num(p.x)},${num(p.y)},${num(p.z)}`;
+        if (!index.has(key)) {
+          index.set(key, verts.length);
+          verts.push(`<vertex x="${num(p.x)}" y="${num(p.y)}" z="${num(p.z)}"/>`);
+        }
+        return index.get(key);
+      };
+      const triangles = [];
+      for (const tri of tris) {
+        const [a, b, c] = tri.map(id);
+        if (a !== b && b !== c && a !== c) triangles.push(`<triangle v1="${a}" v2="${b}" v3="${c}"/>`);
+      }
+      objects.push(`<object id="${idx + 1}" type="model" name="${esc(`${type.label} x${type.count}`)}"><mesh><vertices>${verts.join('')}</vertices><triangles>${triangles.join('')}</triangles></mesh></object>`);
+      items.push(`<item objectid="${idx + 1}" transform="1 0 0 0 1 0 0 0 1 ${num(dx)} 0 ${num(dz)}"/>`);
+    });
+    const model = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<model unit="millimeter" xml:lang="es-CL" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+      `<metadata name="Title">${esc(`ZValdivia conectores N${state.N} a${state.aDeg.toFixed(2)}`)}</metadata>`,
+      `<metadata name="Application">ZValdivia</metadata>`,
+      `<resources>${objects.join('')}</resources>`,
+      `<build>${items.join('')}</build>`,
+      '</model>',
+    ].join('\n');
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/></Types>';
+    const rels = '<?xml version="1.0" encoding="UTF-8"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/></Relationships>';
+    const zip = storeZip([
+      { name: '[Content_Types].xml', data: contentTypes },
+      { name: '_rels/.rels', data: rels },
+      { name: '3D/3dmodel.model', data: model },
+    ]);
+    this._download(zip, '3mf', 'model/3mf');
+    return placed.length;
+  }
+
+  /** Triangulos de cada tipo y su desplazamiento en la fila (apoyados en z = 0). */
+  static _layout(types, options) {
+    const placed = [];
+    let x = 0;
+    for (const type of types) {
+      const tris = buildHubSolid(type, options);
+      if (!tris.length) continue;
+      const R = type.diameterMm / 2;
+      placed.push({ type, tris, dx: x + R, dz: type.heightMm / 2 });
+      x += type.diameterMm + LAYOUT_GAP_MM;
+    }
+    if (!placed.length) throw new Error('No hay conectores para exportar');
+    return placed;
+  }
+
+  static _filename(ext) {
+    let filename = `conectores_D${state.Dmax.toFixed(1)}_N${state.N}_a${state.aDeg.toFixed(2)}`;
+    if (state.cutActive) filename += `_cut${state.cutLevel}`;
+    if (state.beltLevels > 0) filename += `_belt${state.beltLevels}`;
+    return `${filename}.${ext}`;
+  }
+
+  static _download(content, ext, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = this._filename(ext);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
+
+// ZIP sin compresion (metodo "store"), suficiente para el paquete 3MF
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function storeZip(files) {
+  const enc = new TextEncoder();
+  const entries = files.map(f => {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === 'string' ? enc.encode(f.data) : f.data;
+    return { name, data, crc: crc32(data) };
+  });
+  const size = entries.reduce((s, e) => s + 30 + e.name.length + e.data.length + 46 + e.name.length, 0) + 22;
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let off = 0;
+  const offsets = [];
+  for (const e of entries) {
+    offsets.push(off);
+    view.setUint32(off, 0x04034b50, true);
+    view.setUint16(off + 4, 20, true);
+    view.setUint16(off + 6, 0, true);
+    view.setUint16(off + 8, 0, true);
+    view.setUint16(off + 10, 0, true);
+    view.setUint16(off + 12, 0x21, true); // 1980-01-01
+    view.setUint32(off + 14, e.crc, true);
+    view.setUint32(off + 18, e.data.length, true);
+    view.setUint32(off + 22, e.data.length, true);
+    view.setUint16(off + 26, e.name.length, true);
+    view.setUint16(off + 28, 0, true);
+    out.set(e.name, off + 30);
+    out.set(e.data, off + 30 + e.name.length);
+    off += 30 + e.name.length + e.data.length;
+  }
+  const cdStart = off;
+  entries.forEach((e, i) => {
+    view.setUint32(off, 0x02014b50, true);
+    view.setUint16(off + 4, 20, true);
+    view.setUint16(off + 6, 20, true);
+    view.setUint16(off + 8, 0, true);
+    view.setUint16(off + 10, 0, true);
+    view.setUint16(off + 12, 0, true);
+    view.setUint16(off + 14, 0x21, true);
+    view.setUint32(off + 16, e.crc, true);
+    view.setUint32(off + 20, e.data.length, true);
+    view.setUint32(off + 24, e.data.length, true);
+    view.setUint16(off + 28, e.name.length, true);
+    view.setUint16(off + 30, 0, true);
+    view.setUint16(off + 32, 0, true);
+    view.setUint16(off + 34, 0, true);
+    view.setUint16(off + 36, 0, true);
+    view.setUint32(off + 38, 0, true);
+    view.setUint32(off + 42, offsets[i], true);
+    out.set(e.name, off + 46);
+    off += 46 + e.name.length;
+  });
+  view.setUint32(off, 0x06054b50, true);
+  view.setUint16(off + 4, 0, true);
+  view.setUint16(off + 6, 0, true);
+  view.setUint16(off + 8, entries.length, true);
+  view.setUint16(off + 10, entries.length, true);
+  view.setUint32(off + 12, off - cdStart, true);
+  view.setUint32(off + 16, cdStart, true);
+  view.setUint16(off + 20, 0, true);
+  return out;
+}
@@ -0,0 +1,183 @@
+/**
+ * hub-sizing.js
+ *
+ * Diametro minimo del conector cilindrico por nivel, a partir de las vigas ya generadas.
+ *
+ * En cada nodo las vigas se proyectan sobre el plano perpendicular a la directriz
+ * (eje del cilindro). Ahi cada viga es una franja que sale del centro, limitada por
+ * las esquinas de su seccion (±ancho/2 sobre w, 0..alto sobre t, igual que
+ * _createBeveledBeamGeometry). Su testa es tangente al cilindro, asi que con radio R
+ * la viga empieza a distancia R del centro en la proyeccion.
+ *
+ *   - Separacion: dos vigas vecinas separadas un angulo φ (< 180°) con medias franjas
+ *     h1, h2 hacia la otra (mas la mitad de la holgura cada una): las dos testas quedan
+ *     antes del cruce de sus caras laterales si
+ *       R ≥ max((h2 + h1·cos φ) / sin φ, (h1 + h2·cos φ) / sin φ).
+ *   - Apoyo: la testa debe descansar sobre el cilindro en al menos `bearingMm`
+ *     (o en todo su ancho proyectado si es menor): D ≥ min(bearingMm, ancho proyectado).
+ *
+ * El diametro del nivel es el mayor que pide cualquiera de sus nodos. Los nodos X
+ * (cruce de diagonales) se dimensionan aparte, como en los overrides de conectores.
+ * El resultado no depende del diametro actual: el angulo entre vigas en la proyeccion
+ * no cambia al recortarlas.
+ */
+
+import { dot, cross, scale, norm, perp } from './vec.js';
+
+/** Holgura por defecto entre vigas vecinas (mm). */
+export const HUB_CLEARANCE_MM = 5;
+/** Apoyo minimo por defecto de cada testa sobre el cilindro (mm). */
+export const HUB_BEARING_MM = 40;
+/** Paso al que se redondea hacia arriba el diametro. */
+export const HUB_ROUND_MM = 5;
+
+// Vigas casi paralelas en la proyeccion: ningun diametro las separa
+const MIN_GAP_RAD = 1e-3;
+
+/**
+ * Extremo de una viga visto desde el nodo, en el plano ⊥ a la directriz.
+ * @returns {{id:string, angle:number, left:number, right:number, extent:number}|null}
+ *   left/right = semiancho (m) hacia el lado antihorario/horario
+ */
+function beamEnd(info, fromA, u, e1, e2) {
+  const e = norm(fromA ? info.edgeDir : scale(info.edgeDir, -1));
+  if (!e) return null;
+  const p = norm(perp(e, u));
+  if (!p) return null;
+  const q = cross(u, p);
+
+  // Marco de la seccion (mismo criterio que el generador)
+  const edge = norm(info.edgeDir);
+  let t = info.faceNormal ? norm(perp(info.faceNormal, edge)) : null;
+  if (!t) t = norm(perp(u, edge)) || q;
+  const w = norm(cross(edge, t)) || q;
+
+  const halfW = (Number(info.widthMm) || 0) / 2000;
+  const h = (Number(info.heightMm) || 0) / 1000;
+  let left = 0, right = 0;
+  for (const sw of [-halfW, halfW]) {
+    for (const st of [0, h]) {
+      const s = sw * dot(w, q) + st * dot(t, q);
+      left = Math.max(left, s);
+      right = Math.max(right, -s);
+    }
+  }
+  return { id: info.id, angle: Math.atan2(dot(p, e2), dot(p, e1)), left, right, extent: left + right };
+}
+
+/**
+ * Diametro minimo de cada nivel.
+ * @param {THREE.Group} structureGroup
+ * @param {{clearanceMm?:number, bearingMm?:number, roundMm?:number}} [options]
+ * @returns {Array<{k:number, isIntersection:boolean, requiredMm:number, diameterMm:number,
+ *   governing:'separation'|'bearing', nodeKey:string, beams:string[], angleDeg:number|null,
+ *   separationMm:number, bearingMm:number, nodes:number}>}
+ *   ordenados por tipo y nivel; requiredMm = Infinity si dos vigas no se pueden separar
+ */
+export function computeHubSizes(structureGroup, options = {}) {
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : d);
+  const clearance = num(options.clearanceMm, HUB_CLEARANCE_MM) / 1000;
+  const bearing = num(options.bearingMm, HUB_BEARING_MM) / 1000;
+  const step = num(options.roundMm, HUB_ROUND_MM) || 1;
+
+  // Extremos de viga por nodo
+  const nodes = new Map();
+  const add = (key, end, info, fromA) => {
+    if (!key || !end || !end.nodePos) return;
+    const dir = fromA ? info.aDir : info.bDir;
+    if (!dir) return;
+    if (!nodes.has(key)) {
+      nodes.set(key, { key, k: end.k, isIntersection: key.startsWith('X:'), dir, ends: [] });
+    }
+    nodes.get(key).ends.push({ info, fromA });
+  };
+  for (const obj of (structureGroup && structureGroup.children) || []) {
+    const ud = obj && obj.userData;
+    if (!ud || !ud.isBeam || !ud.beamInfo || ud.beamInfo.isRiser) continue;
+    const info = ud.beamInfo;
+    if (!info.edgeDir) continue;
+    add(info.aKey, info.a, info, true);
+    add(info.bKey, info.b, info, false);
+  }
+
+  const levels = new Map();
+  for (const node of nodes.values()) {
+    const u = norm(node.dir);
+    if (!u || typeof node.k !== 'number') continue;
+    const ref = Math.abs(u.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+    const e1 = norm(perp(ref, u));
+    const e2 = cross(u, e1);
+
+    const ends = node.ends
+      .map(({ info, fromA }) => beamEnd(info, fromA, u, e1, e2))
+      .filter(Boolean)
+      .sort((a, b) => a.angle - b.angle);
+    if (!ends.length) continue;
+
+    // Separacion entre vecinas (incluye la que cierra la vuelta)
+    let sep = { r: 0, pair: null, phi: null };
+    if (ends.length > 1) {
+      for (let j = 0; j < ends.length; j++) {
+        const a = ends[j];
+        const b = ends[(j + 1) % ends.length];
+        let phi = b.angle - a.angle;
+        if (j === ends.length - 1) phi += 2 * Math.PI;
+        if (phi >= Math.PI) continue;
+        let r;
+        if (phi < MIN_GAP_RAD) {
+          r = Infinity;
+        } else {
+          const h1 = a.left + clearance / 2;
+          const h2 = b.right + clearance / 2;
+          const s = Math.sin(phi), c = Math.cos(phi);
+          r = Math.max((h2 + h1 * c) / s, (h1 + h2 * c) / s);
+        }
+        if (r > sep.r || (sep.pair === null && r === sep.r)) sep = { r, pair: [a.id, b.id], phi };
+      }
+    }
+
+    // Apoyo de la testa mas exigente
+    let bear = { d: 0, id: null };
+    for (const end of ends) {
+      const d = Math.min(bearing, end.extent);
+      if (d > bear.d) bear = { d, id: end.id };
+    }
+
+    const sepD = 2 * sep.r;
+    const separation = sepD >= bear.d;
+    const required = Math.max(sepD, bear.d);
+
+    const lkey = `${node.isIntersection ? 'X' : 'N'}:${node.k}`;
+    const prev = levels.get(lkey);
+    if (prev) prev.nodes++;
+    if (prev && prev.required >= required) continue;
+    levels.set(lkey, {
+      k: node.k,
+      isIntersection: node.isIntersection,
+      required,
+      governing: separation ? 'separation' : 'bearing',
+      nodeKey: node.key,
+      beams: separation ? (sep.pair || []) : [bear.id],
+      angleDeg: separation && sep.phi != null ? (sep.phi * 180) / Math.PI : null,
+      separation: sepD,
+      bearing: bear.d,
+      nodes: prev ? prev.nodes : 1,
+    });
+  }
+
+  return [...levels.values()]
+    .sort((a, b) => (a.isIntersection - b.isIntersection) || (a.k - b.k))
+    .map(l => ({
+      k: l.k,
+      isIntersection: l.isIntersection,
+      requiredMm: l.required * 1000,
+      diameterMm: Number.isFinite(l.required) ? Math.max(step, Math.ceil(l.required * 1000 / step - 1e-9) * step) : Infinity,
+      governing: l.governing,
+      nodeKey: l.nodeKey,
+      beams: l.beams,
+      angleDeg: l.angleDeg,
+      separationMm: l.separation * 1000,
+      bearingMm: l.bearing * 1000,
+      nodes: l.nodes,
+    }));
+}
@@ -0,0 +1,353 @@
+import * as THREE from 'three';
+import { state } from './state.js';
+import { NodeAnalyzer } from './node-analyzer.js';
+import { MATERIAL_LIBRARY, getGlobalMaterial } from './materials.js';
+
+/**
+ * ifc.js
+ *
+ * Exporta la estructura a IFC4 (STEP de texto, ISO 10303-21) para herramientas BIM.
+ *
+ *   - Vigas -> IfcMember: perfil rectangular extruido a lo largo de la viga y
+ *     recortado por los planos de sus testas (IfcBooleanClippingResult).
+ *   - Conectores cilindricos -> IfcMechanicalFastener (perfil circular extruido
+ *     sobre la directriz).
+ *   - Pletinas -> IfcPlate (brep facetado del hexaedro biselado).
+ * Cada elemento lleva el Pset "ZV_Elemento" (nivel, ID, dimensiones, material) y se
+ * asocia a un IfcMaterial con el material resuelto de la pieza (materials.js).
+ *
+ * Unidades: metro y radian. Coordenadas visibles (como NodeAnalyzer): con corte
+ * activo el anillo de corte queda en z = 0.
+ *
+ * Marco de cada viga (igual que _createBeveledBeamGeometry): e = eje, w = ancho,
+ * t = alto hacia el interior. Local X = -w, Y = t, Z = e (X x Y = Z); el perfil
+ * ocupa 0..alto en Y, o sea la cara exterior queda en Y = 0.
+ */
+
+const IFC_GUID_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_$';
+
+const MEMBER_TYPES = {
+  diagH: 'BRACE',
+  diagV: 'BRACE',
+  riserPost: 'POST',
+};
+
+/** GlobalId IFC: 128 bits aleatorios en 22 caracteres base64 IFC. */
+function ifcGuid() {
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) crypto.getRandomValues(bytes);
+  else for (let i = 0; i < 16; i++) bytes[i] = Math.floor(Math.random() * 256);
+  // 2 bits + 21 grupos de 6 bits
+  let bits = '';
+  for (const b of bytes) bits += b.toString(2).padStart(8, '0');
+  let out = IFC_GUID_CHARS[parseInt(bits.slice(0, 2), 2)];
+  for (let i = 2; i < 128; i += 6) out += IFC_GUID_CHARS[parseInt(bits.slice(i, i + 6), 2)];
+  return out;
+}
+
+/** Texto STEP: comillas dobladas y no-ASCII como \X2\hhhh\X0\. */
+function str(s) {
+  if (s == null) return '$';
+  let out = '';
+  for (const ch of String(s)) {
+    const c = ch.codePointAt(0);
+    if (ch === "'") out += "''";
+    else if (ch === '\\') out += '\\\\';
+    else if (c >= 32 && c < 127) out += ch;
+    else if (c <= 0xffff) out += `\\X2\\${c.toString(16).toUpperCase().padStart(4, '0')}\\X0\\`;
+  }
+  return `'${out}'`;
+}
+
+/** Real STEP (siempre con punto decimal). */
+function real(x) {
+  const v = Number.isFinite(x) ? x : 0;
+  const s = v.toFixed(6).replace(/0+$/, '');
+  return s === '-0.' ? '0.' : s;
+}
+
+class StepWriter {
+  constructor() {
+    this.lines = [];
+    this.n = 0;
+  }
+  add(entity) {
+    this.n++;
+    this.lines.push(`#${this.n}=${entity};`);
+    return `#${this.n}`;
+  }
+  point(p) { return this.add(`IFCCARTESIANPOINT((${real(p.x)},${real(p.y)},${real(p.z)}))`); }
+  point2(x, y) { return this.add(`IFCCARTESIANPOINT((${real(x)},${real(y)}))`); }
+  dir(d) { return this.add(`IFCDIRECTION((${real(d.x)},${real(d.y)},${real(d.z)}))`); }
+  axis3(origin, z, x) {
+    return this.add(`IFCAXIS2PLACEMENT3D(${this.point(origin)},${z ? this.dir(z) : '$'},${x ? this.dir(x) : '$'})`);
+  }
+}
+
+export class IFCExporter {
+  /**
+   * @param {THREE.Group} structureGroup
+   * @param {Object} [generator] - StructureGenerator (connectorInfo de los conectores instanciados)
+   * @returns {{members:number, fasteners:number, plates:number}}
+   */
+  static exportStructureToIFC(structureGroup, generator = null) {
+    if (!structureGroup || !structureGroup.children || structureGroup.children.length === 0) {
+      throw new Error('Structure is empty');
+    }
+    structureGroup.updateMatrixWorld(true);
+
+    const zShift = NodeAnalyzer.getVisibleZShift();
+    const visible = (p) => new THREE.Vector3(p.x, p.y, p.z - zShift);
+    const w = new StepWriter();
+
+    // Proyecto, unidades y contexto
+    const units = [
+      w.add('IFCSIUNIT(*,.LENGTHUNIT.,$,.METRE.)'),
+      w.add('IFCSIUNIT(*,.AREAUNIT.,$,.SQUARE_METRE.)'),
+      w.add('IFCSIUNIT(*,.VOLUMEUNIT.,$,.CUBIC_METRE.)'),
+      w.add('IFCSIUNIT(*,.PLANEANGLEUNIT.,$,.RADIAN.)'),
+    ];
+    const unitAssignment = w.add(`IFCUNITASSIGNMENT((${units.join(',')}))`);
+    const origin = new THREE.Vector3(0, 0, 0);
+    const worldAxis = w.axis3(origin, null, null);
+    const context = w.add(`IFCGEOMETRICREPRESENTATIONCONTEXT($,'Model',3,1.E-05,${worldAxis},$)`);
+    const body = w.add(`IFCGEOMETRICREPRESENTATIONSUBCONTEXT('Body','Model',*,*,*,*,${context},$,.MODEL_VIEW.,$)`);
+    const project = w.add(`IFCPROJECT('${ifcGuid()}',$,${str(`ZValdivia N${state.N} a${state.aDeg.toFixed(2)}`)},${str(`Dmax=${state.Dmax} m`)},$,$,$,(${context}),${unitAssignment})`);
+
+    const sitePl = w.add(`IFCLOCALPLACEMENT($,${w.axis3(origin, null, null)})`);
+    const site = w.add(`IFCSITE('${ifcGuid()}',$,'Sitio',$,$,${sitePl},$,$,.ELEMENT.,$,$,$,$,$)`);
+    const bldPl = w.add(`IFCLOCALPLACEMENT(${sitePl},${w.axis3(origin, null, null)})`);
+    const building = w.add(`IFCBUILDING('${ifcGuid()}',$,'Domo',$,$,${bldPl},$,$,.ELEMENT.,$,$,$)`);
+    const storeyPl = w.add(`IFCLOCALPLACEMENT(${bldPl},${w.axis3(origin, null, null)})`);
+    const storey = w.add(`IFCBUILDINGSTOREY('${ifcGuid()}',$,'Estructura',$,$,${storeyPl},$,$,.ELEMENT.,0.)`);
+    w.add(`IFCRELAGGREGATES('${ifcGuid()}',$,$,$,${project},(${site}))`);
+    w.add(`IFCRELAGGREGATES('${ifcGuid()}',$,$,$,${site},(${building}))`);
+    w.add(`IFCRELAGGREGATES('${ifcGuid()}',$,$,$,${building},(${storey}))`);
+
+    const elements = [];
+    const byMaterial = new Map();
+    const counts = { members: 0, fasteners: 0, plates: 0 };
+
+    const shape = (item, type) => {
+      const rep = w.add(`IFCSHAPEREPRESENTATION(${body},'Body',${str(type)},(${item}))`);
+      return w.add(`IFCPRODUCTDEFINITIONSHAPE($,$,(${rep}))`);
+    };
+    const placement = (originV, z, x) => w.add(`IFCLOCALPLACEMENT(${storeyPl},${w.axis3(originV, z, x)})`);
+    const pset = (element, props) => {
+      const values = [];
+      for (const [name, type, value] of props) {
+        if (value == null || value === '' || (typeof value === 'number' && !Number.isFinite(value))) continue;
+        const v = type === 'IFCINTEGER' ? String(Math.round(value))
+          : (type === 'IFCLABEL' || type === 'IFCIDENTIFIER') ? str(value) : real(value);
+        values.push(w.add(`IFCPROPERTYSINGLEVALUE(${str(name)},$,${type}(${v}),$)`));
+      }
+      if (!values.length) return;
+      const ps = w.add(`IFCPROPERTYSET('${ifcGuid()}',$,'ZV_Elemento',$,(${values.join(',')}))`);
+      w.add(`IFCRELDEFINESBYPROPERTIES('${ifcGuid()}',$,$,$,(${element}),${ps})`);
+    };
+    // Sin info de pieza (exportacion sin generador) se usa el material global
+    const materialOf = (info, category) => (info && info.material)
+      || MATERIAL_LIBRARY[getGlobalMaterial(category)].name;
+    const assignMaterial = (element, name) => {
+      if (!name) return;
+      if (!byMaterial.has(name)) byMaterial.set(name, []);
+      byMaterial.get(name).push(element);
+    };
+
+    // Vigas
+    const seen = new Set();
+    for (const obj of structureGroup.children) {
+      const ud = obj && obj.userData;
+      const info = ud && ud.isBeam ? ud.beamInfo : null;
+      if (!info || obj.visible === false || !Array.isArray(ud.objVertices) || ud.objVertices.length !== 8) continue;
+      const uniq = `${info.aKey}|${info.bKey}|${info.kind || 'edge'}`;
+      if (seen.has(uniq)) continue;
+      seen.add(uniq);
+      const el = this._member(w, obj, info, visible, placement, shape);
+      if (!el) continue;
+      elements.push(el);
+      counts.members++;
+      const material = materialOf(info, 'beam');
+      pset(el, [
+        ['Nivel', 'IFCINTEGER', info.kVisible],
+        ['ID', 'IFCIDENTIFIER', info.id],
+        ['Tipo', 'IFCLABEL', info.kind || 'edge'],
+        ['Conecta', 'IFCLABEL', info.a && info.b ? `${info.a.name} - ${info.b.name}` : null],
+        ['Ancho', 'IFCPOSITIVELENGTHMEASURE', info.widthMm / 1000],
+        ['Alto', 'IFCPOSITIVELENGTHMEASURE', info.heightMm / 1000],
+        ['Largo', 'IFCPOSITIVELENGTHMEASURE', info.lenMm / 1000],
+        ['Material', 'IFCLABEL', material],
+      ]);
+      assignMaterial(el, material);
+    }
+
+    // Conectores (instanciados; los huerfanos estan en escala 0)
+    const m4 = new THREE.Matrix4();
+    for (const obj of structureGroup.children) {
+      if (!obj || !obj.isInstancedMesh || !obj.userData || !obj.userData.isConnectorBatch) continue;
+      const p = obj.geometry && obj.geometry.parameters;
+      if (!p || !Number.isFinite(p.radiusTop) || !Number.isFinite(p.height)) continue;
+      const infos = generator && generator._instanceConnectorMap ? generator._instanceConnectorMap.get(obj) : null;
+      const circle = w.add(`IFCCIRCLEPROFILEDEF(.AREA.,$,${w.add(`IFCAXIS2PLACEMENT2D(${w.point2(0, 0)},$)`)},${real(p.radiusTop)})`);
+      const solid = w.add(`IFCEXTRUDEDAREASOLID(${circle},$,${w.dir({ x: 0, y: 0, z: 1 })},${real(p.height)})`);
+      for (let i = 0; i < obj.count; i++) {
+        obj.getMatrixAt(i, m4);
+        const axis = new THREE.Vector3(m4.elements[4], m4.elements[5], m4.elements[6]);
+        if (axis.lengthSq() < 1e-18) continue;
+        axis.normalize();
+        const center = new THREE.Vector3().setFromMatrixPosition(m4).applyMatrix4(obj.matrix);
+        const ref = Math.abs(axis.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+        const xDir = ref.sub(axis.clone().multiplyScalar(ref.dot(axis))).normalize();
+        const base = visible(center).addScaledVector(axis, -p.height / 2);
+        const ci = infos ? infos[i] : null;
+        const id = ci && ci.id ? ci.id : `C${i}`;
+        const el = w.add(`IFCMECHANICALFASTENER('${ifcGuid()}',$,${str(id)},$,'Conector cilindrico',${placement(base, axis, xDir)},${shape(solid, 'SweptSolid')},${str(ci && ci.nodeKey)},${real(p.radiusTop * 2)},${real(p.height)},.USERDEFINED.)`);
+        elements.push(el);
+        counts.fasteners++;
+        const material = materialOf(ci, 'hub');
+        pset(el, [
+          ['Nivel', 'IFCINTEGER', ci ? ci.kVisible : null],
+          ['ID', 'IFCIDENTIFIER', id],
+          ['Diametro', 'IFCPOSITIVELENGTHMEASURE', p.radiusTop * 2],
+          ['Profundidad', 'IFCPOSITIVELENGTHMEASURE', p.height],
+          ['Offset', 'IFCLENGTHMEASURE', ci && Number.isFinite(ci.offsetMm) ? ci.offsetMm / 1000 : null],
+          ['Material', 'IFCLABEL', material],
+        ]);
+        assignMaterial(el, material);
+      }
+    }
+
+    // Pletinas
+    for (const obj of structureGroup.children) {
+      const ud = obj && obj.userData;
+      const gd = ud && ud.isPlate && obj.geometry ? obj.geometry.userData : null;
+      if (!gd || obj.visible === false || !Array.isArray(gd.objVertices) || !Array.isArray(gd.objFaces)) continue;
+      const verts = gd.objVertices.map(v => visible(v.clone().applyMatrix4(obj.matrix)));
+      const brep = this._brep(w, verts, gd.objFaces);
+      const pi = ud.plateInfo || {};
+      const name = obj.name || `Pletina ${pi.beamId || ''} ${pi.end || ''}`.trim();
+      const el = w.add(`IFCPLATE('${ifcGuid()}',$,${str(name)},$,'Pletina',${placement(origin, null, null)},${shape(brep, 'Brep')},${str(pi.nodeKey)},.USERDEFINED.)`);
+      elements.push(el);
+      counts.plates++;
+      const material = materialOf(ud.plateInfo, 'plate');
+      pset(el, [
+        ['ID', 'IFCIDENTIFIER', name],
+        ['Viga', 'IFCIDENTIFIER', pi.beamId],
+        ['Extremo', 'IFCLABEL', pi.end],
+        ['Largo', 'IFCPOSITIVELENGTHMEASURE', verts[0].distanceTo(verts[4])],
+        ['Ancho', 'IFCPOSITIVELENGTHMEASURE', verts[0].distanceTo(verts[3])],
+        ['Espesor', 'IFCPOSITIVELENGTHMEASURE', verts[0].distanceTo(verts[1])],
+        ['Material', 'IFCLABEL', material],
+      ]);
+      assignMaterial(el, material);
+    }
+
+    for (const [name, els] of byMaterial) {
+      const mat = w.add(`IFCMATERIAL(${str(name)},$,$)`);
+      w.add(`IFCRELASSOCIATESMATERIAL('${ifcGuid()}',$,$,$,(${els.join(',')}),${mat})`);
+    }
+    if (elements.length) {
+      w.add(`IFCRELCONTAINEDINSPATIALSTRUCTURE('${ifcGuid()}',$,$,$,(${elements.join(',')}),${storey})`);
+    }
+
+    const filename = this._filename();
+    const stamp = new Date().toISOString().slice(0, 19);
+    const out = [
+      'ISO-10303-21;',
+      'HEADER;',
+      // Recortes booleanos (IfcBooleanClippingResult): fuera de Reference View
+      "FILE_DESCRIPTION(('ViewDefinition [DesignTransferView_V1.0]'),'2;1');",
+      `FILE_NAME(${str(filename)},'${stamp}',(''),(''),'ZValdivia','ZValdivia','');`,
+      "FILE_SCHEMA(('IFC4'));",
+      'ENDSEC;',
+      'DATA;',
+      ...w.lines,
+      'ENDSEC;',
+      'END-ISO-10303-21;',
+    ];
+    this._download(out.join('\n'), filename);
+    return counts;
+  }
+
+  /** IfcMember: rectangulo extruido entre los extremos de la caja y recortado por ambas testas. */
+  static _member(w, mesh, info, visible, placement, shape) {
+    const v = mesh.userData.objVertices.map(p => visible(p.clone().applyMatrix4(mesh.matrix)));
+    const cent = (idx) => idx.reduce((c, i) => c.add(v[i]), new THREE.Vector3()).multiplyScalar(1 / idx.length);
+    const e = cent([4, 5, 6, 7]).sub(cent([0, 1, 2, 3]));
+    if (e.lengthSq() < 1e-12) return null;
+    e.normalize();
+    const perp = (d) => d.sub(e.clone().multiplyScalar(d.dot(e))).normalize();
+    const wDir = perp(v[1].clone().sub(v[0]));
+    const tDir = perp(v[3].clone().sub(v[0]));
+    if (wDir.lengthSq() < 0.5 || tDir.lengthSq() < 0.5) return null;
+    const xDir = wDir.clone().negate();
+
+    let sMin = Infinity, sMax = -Infinity;
+    for (const p of v) {
+      const s = p.dot(e);
+      if (s < sMin) sMin = s;
+      if (s > sMax) sMax = s;
+    }
+    // Origen: centro de la cara exterior (t = 0), en el extremo inicial de la caja
+    const outerMid = v[0].clone().add(v[1]).multiplyScalar(0.5);
+    const o = outerMid.addScaledVector(e, sMin - outerMid.dot(e));
+    const toLocal = (p) => {
+      const d = p.clone().sub(o);
+      return { x: d.dot(xDir), y: d.dot(tDir), z: d.dot(e) };
+    };
+    const toLocalDir = (d) => ({ x: d.dot(xDir), y: d.dot(tDir), z: d.dot(e) });
+
+    const widthM = v[0].distanceTo(v[1]);
+    const heightM = Math.abs(v[3].clone().sub(v[0]).dot(tDir));
+    const profile = w.add(`IFCRECTANGLEPROFILEDEF(.AREA.,$,${w.add(`IFCAXIS2PLACEMENT2D(${w.point2(0, heightM / 2)},$)`)},${real(widthM)},${real(heightM)})`);
+    let item = w.add(`IFCEXTRUDEDAREASOLID(${profile},$,${w.dir({ x: 0, y: 0, z: 1 })},${real(sMax - sMin)})`);
+
+    // Testas: semiespacio del lado exterior de cada plano (normal hacia afuera del material)
+    for (const [idx, sign] of [[[0, 1, 2, 3], -1], [[4, 5, 6, 7], 1]]) {
+      const c = cent(idx);
+      const n = v[idx[1]].clone().sub(v[idx[0]]).cross(v[idx[3]].clone().sub(v[idx[0]])).normalize();
+      if (n.dot(e) * sign < 0) n.negate();
+      const ln = toLocalDir(n);
+      const ref = Math.abs(ln.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+      const lnV = new THREE.Vector3(ln.x, ln.y, ln.z);
+      const refDir = ref.sub(lnV.clone().multiplyScalar(ref.dot(lnV))).normalize();
+      const plane = w.add(`IFCPLANE(${w.axis3(toLocal(c), ln, refDir)})`);
+      const half = w.add(`IFCHALFSPACESOLID(${plane},.F.)`);
+      item = w.add(`IFCBOOLEANCLIPPINGRESULT(.DIFFERENCE.,${item},${half})`);
+    }
+
+    const type = MEMBER_TYPES[info.kind] || 'MEMBER';
+    return w.add(`IFCMEMBER('${ifcGuid()}',$,${str(`Viga ${info.id}`)},$,${str(info.kind || 'edge')},${placement(o, e, xDir)},${shape(item, 'Clipping')},${str(info.id)},.${type}.)`);
+  }
+
+  /** Brep facetado desde vertices y caras poligonales (indices base-0, normales hacia afuera). */
+  static _brep(w, verts, faces) {
+    const pts = verts.map(p => w.point(p));
+    const ifcFaces = faces.map(f => {
+      const loop = w.add(`IFCPOLYLOOP((${f.map(i => pts[i]).join(',')}))`);
+      const bound = w.add(`IFCFACEOUTERBOUND(${loop},.T.)`);
+      return w.add(`IFCFACE((${bound}))`);
+    });
+    const shell = w.add(`IFCCLOSEDSHELL((${ifcFaces.join(',')}))`);
+    return w.add(`IFCFACETEDBREP(${shell})`);
+  }
+
+  static _filename() {
+    let filename = `structure_D${state.Dmax.toFixed(1)}_N${state.N}_a${state.aDeg.toFixed(2)}`;
+    if (state.cutActive) filename += `_cut${state.cutLevel}`;
+    if (state.beltLevels > 0) filename += `_belt${state.beltLevels}`;
+    return `${filename}.ifc`;
+  }
+
+  static _download(content, filename) {
+    const blob = new Blob([content], { type: 'application/x-step' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
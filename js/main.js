@@ -159,7 +159,8 @@ class App {
         await PDFReporter.generateReport(
           this.sceneManager.scene,
           this.sceneManager.camera,
-          this.sceneManager.renderer
+          this.sceneManager.renderer,
+          { snow: this.uiManager.getSnowReport() }
         );
         this.uiManager.showNotification('Reporte PDF generado exitosamente', 'success');
       } catch (err) {
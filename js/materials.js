@@ -0,0 +1,101 @@
+import { state, getLevelMaterial } from './state.js';
+
+/**
+ * materials.js
+ *
+ * Biblioteca de materiales y material de cada pieza de la estructura.
+ *
+ * Cada pieza (viga, conector, pletina) resuelve su material una sola vez al generar
+ * la estructura (StructureGenerator._resolveMaterials) y lo guarda en su info
+ * (materialKey = clave de la biblioteca, material = nombre). BOM, FEM y exportadores
+ * leen ese campo. Prioridad:
+ *   1. Viga puntual: material del override de la arista (modal "Editar viga").
+ *   2. Nivel: state.structureLevelMaterials (vigas = max k de sus extremos,
+ *      conectores = kOriginal, pletinas = el nivel de su viga).
+ *   3. Global de la categoria: state.structureMaterials, o MATERIAL_DEFAULTS.
+ */
+
+/**
+ * Biblioteca. Densidad en kg/m³; precios referenciales (moneda local) por m³ o kg.
+ * Propiedades para fem.js en MPa: E, E05 (modulo para pandeo), G, resistencias
+ * fm/ft/fc (madera EN 338 / EN 14080; en metales = fy), kmod y gammaM.
+ */
+export const MATERIAL_LIBRARY = {
+  C16: {
+    name: 'Madera C16', kind: 'timber', density: 370, price: 450, priceUnit: 'm3',
+    E: 8000, E05: 5400, G: 500, fm: 16, ft: 8.5, fc: 17, kmod: 0.8, gammaM: 1.3,
+  },
+  C24: {
+    name: 'Madera C24', kind: 'timber', density: 420, price: 550, priceUnit: 'm3',
+    E: 11000, E05: 7400, G: 690, fm: 24, ft: 14.5, fc: 21, kmod: 0.8, gammaM: 1.3,
+  },
+  GL24h: {
+    name: 'Laminada GL24h', kind: 'timber', density: 420, price: 900, priceUnit: 'm3',
+    E: 11500, E05: 9600, G: 650, fm: 24, ft: 19.2, fc: 24, kmod: 0.8, gammaM: 1.25,
+  },
+  GL28h: {
+    name: 'Laminada GL28h', kind: 'timber', density: 460, price: 1000, priceUnit: 'm3',
+    E: 12600, E05: 10500, G: 650, fm: 28, ft: 22.3, fc: 28, kmod: 0.8, gammaM: 1.25,
+  },
+  S235: {
+    name: 'Acero S235', kind: 'steel', density: 7850, price: 2.5, priceUnit: 'kg',
+    E: 210000, E05: 210000, G: 81000, fm: 235, ft: 235, fc: 235, kmod: 1, gammaM: 1.0,
+  },
+  S355: {
+    name: 'Acero S355', kind: 'steel', density: 7850, price: 2.8, priceUnit: 'kg',
+    E: 210000, E05: 210000, G: 81000, fm: 355, ft: 355, fc: 355, kmod: 1, gammaM: 1.0,
+  },
+  AL6061: {
+    name: 'Aluminio 6061-T6', kind: 'aluminium', density: 2700, price: 6, priceUnit: 'kg',
+    E: 70000, E05: 70000, G: 27000, fm: 240, ft: 240, fc: 240, kmod: 1, gammaM: 1.1,
+  },
+};
+
+/** Material global por defecto de cada categoria. */
+export const MATERIAL_DEFAULTS = {
+  beam: 'C24',
+  hub: 'S235',
+  plate: 'S235',
+};
+
+/** Tipos de material admitidos por categoria. */
+export const MATERIAL_KINDS = {
+  beam: ['timber'],
+  hub: ['steel', 'aluminium'],
+  plate: ['steel', 'aluminium'],
+};
+
+/** true si key es un material de la biblioteca admitido en la categoria. */
+export function isMaterialFor(category, key) {
+  const mat = MATERIAL_LIBRARY[key];
+  return !!(mat && MATERIAL_KINDS[category] && MATERIAL_KINDS[category].includes(mat.kind));
+}
+
+/**
+ * Material global de una categoria.
+ * @param {'beam'|'hub'|'plate'} category
+ * @returns {string} clave de MATERIAL_LIBRARY
+ */
+export function getGlobalMaterial(category) {
+  const map = state.structureMaterials;
+  const key = (map && typeof map === 'object') ? map[category] : null;
+  return isMaterialFor(category, key) ? key : MATERIAL_DEFAULTS[category];
+}
+
+/**
+ * Material efectivo de una pieza (ver prioridad en la cabecera).
+ * @param {'beam'|'hub'|'plate'} category
+ * @param {number} kLevelOriginal
+ * @param {string|null} [edgeKey] - solo vigas y pletinas: "<aKey>|<bKey>" ordenada
+ * @returns {string} clave de MATERIAL_LIBRARY
+ */
+export function resolveMaterialKey(category, kLevelOriginal, edgeKey = null) {
+  if (category === 'beam' && edgeKey) {
+    const edgeMap = state.structureBeamEdgeOverrides;
+    const ov = (edgeMap && typeof edgeMap === 'object') ? edgeMap[edgeKey] : null;
+    if (ov && isMaterialFor('beam', ov.material)) return ov.material;
+  }
+  const levelKey = Number.isFinite(kLevelOriginal) ? getLevelMaterial(kLevelOriginal, category) : null;
+  if (isMaterialFor(category, levelKey)) return levelKey;
+  return getGlobalMaterial(category);
+}
@@ -0,0 +1,221 @@
+/**
+ * metrics.js
+ *
+ * Metricas de la envolvente visible: volumen encerrado, superficie de la cascara,
+ * area de piso en el corte y mapa de altura libre.
+ *
+ * La cascara se arma con las mismas caras que createRhombi (corte, oculo, sector).
+ * Toda seccion horizontal es estrellada respecto del eje Z, asi que su area es la
+ * suma de los triangulos (eje, p, q) de los segmentos que dejan las caras en ese
+ * plano. Con sector parcial el abanico desde el eje cierra la cuna sin caras extra.
+ *
+ * Entre dos anillos consecutivos no hay vertices, el area de la seccion es
+ * cuadratica en z y Simpson da el volumen exacto de cada franja. El oculo se
+ * cierra con una tapa plana (volumen de calefaccion).
+ */
+
+import { state, getPoleLevel, getSectorCount, getRingZ } from './state.js';
+import { getFaceVertexIds, getRingVertex } from './geometry.js';
+
+/** Alturas libres (m) del mapa de altura. */
+export const HEADROOM_HEIGHTS = [1.8, 2.1];
+
+// Direcciones de muestreo del mapa de altura libre
+const HEADROOM_RAYS = 720;
+// Subdivisiones por franja al buscar el techo mas bajo sobre cada punto del piso
+const HEADROOM_SUBSTEPS = 4;
+
+let _cache = { key: null, metrics: null };
+
+function metricsKey() {
+  const s = state;
+  return [
+    s.N, s.aDeg, s.Dmax, s.cutActive, s.cutLevel, s.topCutActive, s.topCutLevel,
+    getSectorCount(), s.ellipseActive, s.ellipseScaleX, s.ellipseScaleY, s.beltLevels,
+    (s.profileZ || []).join(','),
+  ].join('|');
+}
+
+/** Caras visibles como poligonos 3D (mismo recorrido que createRhombi). */
+function collectShellFaces() {
+  const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
+  const startK = cutActive ? cutLevel : 1;
+  const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
+  const M = getSectorCount();
+  const faces = [];
+  for (let k = startK; k <= endK; k++) {
+    for (let i = 0; i < M; i++) {
+      faces.push(getFaceVertexIds(k, i).ids.map(v => getRingVertex(v.k, v.i)));
+    }
+  }
+  return faces;
+}
+
+function polygonArea(pts) {
+  let ax = 0, ay = 0, az = 0;
+  const o = pts[0];
+  for (let j = 1; j < pts.length - 1; j++) {
+    const ux = pts[j].x - o.x, uy = pts[j].y - o.y, uz = pts[j].z - o.z;
+    const vx = pts[j + 1].x - o.x, vy = pts[j + 1].y - o.y, vz = pts[j + 1].z - o.z;
+    ax += uy * vz - uz * vy;
+    ay += uz * vx - ux * vz;
+    az += ux * vy - uy * vx;
+  }
+  return 0.5 * Math.sqrt(ax * ax + ay * ay + az * az);
+}
+
+/** Recorta un poligono plano a la franja zLo <= z <= zHi (Sutherland-Hodgman). */
+function clipToSlab(pts, zLo, zHi) {
+  const clip = (poly, inside, cross) => {
+    const out = [];
+    for (let j = 0; j < poly.length; j++) {
+      const a = poly[j], b = poly[(j + 1) % poly.length];
+      const ina = inside(a), inb = inside(b);
+      if (ina) out.push(a);
+      if (ina !== inb) {
+        const t = (cross - a.z) / (b.z - a.z);
+        out.push({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y), z: cross });
+      }
+    }
+    return out;
+  };
+  let poly = clip(pts, p => p.z >= zLo, zLo);
+  if (poly.length >= 3) poly = clip(poly, p => p.z <= zHi, zHi);
+  return poly;
+}
+
+/** Segmentos 2D que dejan las caras en el plano horizontal z. */
+function sectionSegments(faces, z) {
+  const segs = [];
+  for (const pts of faces) {
+    const hits = [];
+    for (let j = 0; j < pts.length; j++) {
+      const a = pts[j], b = pts[(j + 1) % pts.length];
+      if ((a.z - z) * (b.z - z) < 0) {
+        const t = (z - a.z) / (b.z - a.z);
+        hits.push([a.x + t * (b.x - a.x), a.y + t * (b.y - a.y)]);
+      }
+    }
+    if (hits.length === 2) segs.push(hits);
+  }
+  return segs;
+}
+
+function sectionArea(faces, z) {
+  let area = 0;
+  for (const [p, q] of sectionSegments(faces, z)) area += 0.5 * Math.abs(p[0] * q[1] - p[1] * q[0]);
+  return area;
+}
+
+/** Distancia desde el eje hasta la seccion en la direccion (cx, cy); 0 si el rayo no la corta. */
+function rayRadius(segs, cx, cy) {
+  let best = 0;
+  for (const [p, q] of segs) {
+    const dx = q[0] - p[0], dy = q[1] - p[1];
+    const den = cx * dy - cy * dx;
+    if (Math.abs(den) < 1e-15) continue;
+    const u = (p[0] * cy - p[1] * cx) / den;
+    if (u < -1e-9 || u > 1 + 1e-9) continue;
+    const t = (p[0] * dy - p[1] * dx) / den;
+    if (t > best) best = t;
+  }
+  return best;
+}
+
+/**
+ * Area del piso con al menos `clear` m libres hasta la cascara: en cada direccion
+ * el radio util es el menor radio de las secciones entre el piso y piso + clear.
+ */
+function headroomArea(faces, ringZ, zFloor, clear, eps) {
+  const zTop = ringZ[ringZ.length - 1];
+  const zLimit = zFloor + clear;
+  if (zLimit > zTop - eps) return 0;
+
+  const zs = [zFloor + eps];
+  for (let j = 0; j < ringZ.length - 1; j++) {
+    const a = ringZ[j], b = ringZ[j + 1];
+    if (a >= zLimit) break;
+    for (let s = 1; s <= HEADROOM_SUBSTEPS; s++) {
+      const z = a + ((b - a) * s) / HEADROOM_SUBSTEPS;
+      if (z < zLimit) zs.push(z === b ? b - eps : z);
+    }
+  }
+  zs.push(zLimit);
+  const sections = zs.map(z => sectionSegments(faces, z));
+
+  const dTheta = (2 * Math.PI) / HEADROOM_RAYS;
+  let area = 0;
+  for (let j = 0; j < HEADROOM_RAYS; j++) {
+    const th = (j + 0.5) * dTheta;
+    const cx = Math.cos(th), cy = Math.sin(th);
+    let r = Infinity;
+    for (const segs of sections) {
+      r = Math.min(r, rayRadius(segs, cx, cy));
+      if (r === 0) break;
+    }
+    area += 0.5 * r * r * dTheta;
+  }
+  return area;
+}
+
+/**
+ * Calcula las metricas de la geometria visible (cacheadas por parametros).
+ * Cada franja va de un anillo al siguiente (alturas medidas desde el piso) y
+ * reparte la superficie de las caras que la cruzan.
+ * @returns {{
+ *   volume:number, shellArea:number, floorArea:number, height:number,
+ *   slabs:Array<{kLo:number, kHi:number, zLo:number, zHi:number, volume:number, shellArea:number}>,
+ *   headroom:Array<{clear:number, area:number}>
+ * }}
+ */
+export function computeMetrics() {
+  const key = metricsKey();
+  if (_cache.key === key) return _cache.metrics;
+
+  const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
+  const faces = collectShellFaces();
+
+  const kBot = cutActive ? cutLevel : 0;
+  const kTop = topCutActive ? topCutLevel : getPoleLevel();
+  const ringK = [];
+  const ringZ = [];
+  for (let K = kBot; K <= kTop; K++) {
+    ringK.push(K);
+    ringZ.push(getRingZ(K));
+  }
+  const zFloor = ringZ[0];
+  const height = ringZ[ringZ.length - 1] - zFloor;
+  // Las secciones se evaluan apenas dentro de cada franja para no caer sobre aristas horizontales
+  const eps = Math.max(1e-9, height * 1e-9);
+
+  const slabs = [];
+  let volume = 0;
+  for (let j = 0; j < ringZ.length - 1; j++) {
+    const zLo = ringZ[j], zHi = ringZ[j + 1];
+    if (zHi - zLo <= eps) continue;
+    const a0 = sectionArea(faces, zLo + eps);
+    const am = sectionArea(faces, 0.5 * (zLo + zHi));
+    const a1 = sectionArea(faces, zHi - eps);
+    const v = ((zHi - zLo) / 6) * (a0 + 4 * am + a1);
+    let shellArea = 0;
+    for (const pts of faces) {
+      const part = clipToSlab(pts, zLo, zHi);
+      if (part.length >= 3) shellArea += polygonArea(part);
+    }
+    slabs.push({ kLo: ringK[j], kHi: ringK[j + 1], zLo: zLo - zFloor, zHi: zHi - zFloor, volume: v, shellArea });
+    volume += v;
+  }
+
+  const shellArea = slabs.reduce((s, b) => s + b.shellArea, 0);
+
+  // Sin corte el piso es el polo inferior (area nula)
+  const floorArea = cutActive ? sectionArea(faces, zFloor + eps) : 0;
+  const headroom = HEADROOM_HEIGHTS.map(clear => ({
+    clear,
+    area: cutActive ? headroomArea(faces, ringZ, zFloor, clear, eps) : 0,
+  }));
+
+  const metrics = { volume, shellArea, floorArea, height, slabs, headroom };
+  _cache = { key, metrics };
+  return metrics;
+}
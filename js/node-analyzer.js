@@ -1,6 +1,6 @@
 import * as THREE from 'three';
-import { state } from './state.js';
-import { getRingVertex } from './geometry.js';
+import { state, getVisibleLevelCount, getSectorCount, getFootprintScale, getPoleLevel, getRingZ, getVisibleHeight } from './state.js';
+import { getRingVertex, getSectorRingIndices, getFaceVertexIds } from './geometry.js';
 
 /**
  * Analiza la topologia del zonohedro polar (vertices, aristas, caras) y
@@ -28,6 +28,12 @@ export class NodeAnalyzer {
       `floorD=${f(s.floorDiameter)}`,
       `cut=${s.cutActive ? 1 : 0}`,
       `cutLevel=${f(s.cutLevel)}`,
+      `topCut=${s.topCutActive ? 1 : 0}`,
+      `topCutLevel=${f(s.topCutLevel)}`,
+      `sector=${getSectorCount()}`,
+      `footprint=${f(getFootprintScale().sx)}x${f(getFootprintScale().sy)}`,
+      `belt=${s.beltLevels || 0}`,
+      `profile=${(s.profileZ || []).map(f).join(',')}`,
       `h1=${f(s.h1)}`,
       `Htotal=${f(s.Htotal)}`
     ].join('|');
@@ -35,7 +41,7 @@ export class NodeAnalyzer {
 
   static buildVertexId(k, i) {
     // Polos: todos los indices i colapsan al mismo vertice (radio 0)
-    if (k === 0 || k === state.N) return `K${k}_I0`;
+    if (k === 0 || k === getPoleLevel()) return `K${k}_I0`;
 
     // Normalizar i dentro de [0, N-1]
     const ii = ((i % state.N) + state.N) % state.N;
@@ -84,11 +90,11 @@ static parseVertexId(id) {
   }
 
   static getVisibleZShift() {
-    return (state.cutActive ? state.cutLevel * state.h1 : 0);
+    return (state.cutActive ? getRingZ(state.cutLevel) : 0);
   }
 
   static getVertexPositionVisible(k, i) {
-    const ii = (k === 0 || k === state.N) ? 0 : i;
+    const ii = (k === 0 || k === getPoleLevel()) ? 0 : i;
     const v = getRingVertex(k, ii);
     const zShift = this.getVisibleZShift();
     return new THREE.Vector3(v.x, v.y, v.z - zShift);
@@ -102,19 +108,9 @@ static parseVertexId(id) {
     const i = parseInt(parts[1], 10);
     if (!isFinite(k) || !isFinite(i)) return new THREE.Vector3(0, 0, 0);
 
-    // Reconstruir indices L/R segun la misma regla del rombo
-    let idxL, idxR;
-    if (k % 2 === 1) {
-      idxL = i;
-      idxR = (i + 1) % state.N;
-    } else {
-      idxL = (i - 1 + state.N) % state.N;
-      idxR = i;
-    }
-    const vBottom = this.getVertexPositionVisible(k - 1, i);
-    const vRight = this.getVertexPositionVisible(k, idxR);
-    const vTop = this.getVertexPositionVisible(k + 1, i);
-    const vLeft = this.getVertexPositionVisible(k, idxL);
+    // Reconstruir vertices segun la misma regla del rombo (incluye cinturon)
+    const [vBottom, vRight, vTop, vLeft] = getFaceVertexIds(k, i).ids
+      .map(v => this.getVertexPositionVisible(v.k, v.i));
 
     return new THREE.Vector3(
       (vBottom.x + vRight.x + vTop.x + vLeft.x) / 4,
@@ -124,9 +120,8 @@ static parseVertexId(id) {
   }
 
   static getModelCenterVisible() {
-    const visibleLevels = state.cutActive ? (state.N - state.cutLevel) : state.N;
     // Centro geometrico aproximado dentro del solido (suficiente para orientar normales)
-    return new THREE.Vector3(0, 0, (visibleLevels * state.h1) / 2);
+    return new THREE.Vector3(0, 0, getVisibleHeight() / 2);
   }
 
   static getVertexPosByIdVisible(vid) {
@@ -141,11 +136,14 @@ static parseVertexId(id) {
    * Incluye:
    * - Caras laterales (rombos) y, en el nivel de corte, triangulos laterales.
    * - Cara del plano de corte (poligono) si esta activo.
+   * - Triangulos del oculo y su tapa (top-cap) si hay corte superior.
+   * - Con sector parcial solo las caras i < sectorCount (tapas = tramo visible).
    */
   static buildFaces() {
     const faces = [];
-    const { N, cutActive, cutLevel } = state;
+    const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
     const startK = cutActive ? cutLevel : 1;
+    const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
 
     // --- Diagonales como modificacion topologica ---
     // Reusamos el estado ya existente de la app (structureExtraBeams + structureIntersectionFaces)
@@ -175,28 +173,18 @@ static parseVertexId(id) {
     const hasDiag = (aId, bId, kind) => diagSet.has(edgeKey(aId, bId) + `|${kind}`);
 
     // Caras laterales (segun createRhombi en geometry.js)
-    for (let k = startK; k <= N - 1; k++) {
-      for (let i = 0; i < N; i++) {
-        let idxL, idxR;
-        if (k % 2 === 1) {
-          idxL = i;
-          idxR = (i + 1) % N;
-        } else {
-          idxL = (i - 1 + N) % N;
-          idxR = i;
-        }
-
-        if (cutActive && k === cutLevel) {
-          // Triangulo lateral (no incluye vBottom porque esta cortado)
-          const a = this.buildVertexId(k, idxL);
-          const b = this.buildVertexId(k, idxR);
-          const c = this.buildVertexId(k + 1, i);
-          faces.push({ type: 'side-tri', level: k, vertices: [a, b, c] });
+    const M = getSectorCount();
+    for (let k = startK; k <= endK; k++) {
+      for (let i = 0; i < M; i++) {
+        const face = getFaceVertexIds(k, i);
+        const ids = face.ids.map(v => this.buildVertexId(v.k, v.i));
+
+        if (face.isTriangle) {
+          // Triangulo del corte (sin vBottom) o del oculo (sin vTop)
+          faces.push({ type: 'side-tri', level: k, vertices: ids });
         } else {
-          const vBottom = this.buildVertexId(k - 1, i);
-          const vRight = this.buildVertexId(k, idxR);
-          const vTop = this.buildVertexId(k + 1, i);
-          const vLeft = this.buildVertexId(k, idxL);
+          // Rombo del cinturon: mismo orden [B, R, T, L] (B-T y L-R son sus diagonales)
+          const [vBottom, vRight, vTop, vLeft] = ids;
 
           // ---- Aplicar diagonales a este rombo (si existen) ----
           // Convencion de rombo (en orden): [B, R, T, L]
@@ -229,23 +217,28 @@ static parseVertexId(id) {
 
     // Cara del plano de corte (poligono)
     if (cutActive) {
-      const ring = [];
-      for (let i = 0; i < N; i++) ring.push(this.buildVertexId(cutLevel, i));
+      const ring = getSectorRingIndices(cutLevel).map(i => this.buildVertexId(cutLevel, i));
       faces.push({ type: 'cut-cap', level: cutLevel, vertices: ring });
     }
 
+    // Tapa del oculo (poligono superior)
+    if (topCutActive) {
+      const ring = getSectorRingIndices(topCutLevel).map(i => this.buildVertexId(topCutLevel, i));
+      faces.push({ type: 'top-cap', level: topCutLevel, vertices: ring });
+    }
+
     return faces;
   }
 
   static computeFaceNormalInward(face, centerVisible) {
     const verts = face.vertices;
 
-    // Para N-gono (cut-cap) usamos 3 puntos: centro + (v0,v1)
-    if (face.type === 'cut-cap') {
-      const z = 0; // visible coords: corte esta en z=0
-      const center = new THREE.Vector3(0, 0, z);
-      const v0 = this.getVertexPositionVisible(state.cutLevel, 0);
-      const v1 = this.getVertexPositionVisible(state.cutLevel, 1);
+    // Para N-gono (cut-cap / top-cap) usamos 3 puntos: centro + (v0,v1)
+    if (face.type === 'cut-cap' || face.type === 'top-cap') {
+      const capLevel = face.level;
+      const v0 = this.getVertexPositionVisible(capLevel, 0);
+      const v1 = this.getVertexPositionVisible(capLevel, 1);
+      const center = new THREE.Vector3(0, 0, v0.z); // en el plano del anillo
       const e1 = new THREE.Vector3().subVectors(v0, center);
       const e2 = new THREE.Vector3().subVectors(v1, center);
       const n = new THREE.Vector3().crossVectors(e1, e2).normalize();
@@ -390,7 +383,7 @@ static buildConnectivityFromStructure(structureGroup) {
   const kShift = cutLevel;
 
   // Visible levels (para mapear polos)
-  const visibleLevels = cutActive ? (state.N - cutLevel) : state.N;
+  const visibleLevels = getVisibleLevelCount();
 
   const normalizeKeyVisible = (key) => {
     if (typeof key !== 'string') return String(key);
@@ -505,9 +498,6 @@ static computeRepresentativeNodes(structureGroup) {
     return cached.data;
   }
 
-  const { N, cutActive, cutLevel } = state;
-  const minKOrig = cutActive ? cutLevel : 0;
-
 	  // Conectividad basada en estructura real (3D)
 	  const conn = this.buildConnectivityFromStructure(structureGroup);
 	  const vertexToNeighbors = conn.vertexToNeighbors;
@@ -585,7 +575,7 @@ static computeRepresentativeNodes(structureGroup) {
 
   // Elegir 1 nodo representativo por nivel visible: el primero con grado == baseline, si existe.
   const repNodes = [];
-  const maxKVis = cutActive ? (N - minKOrig) : N;
+  const maxKVis = getVisibleLevelCount();
   for (let kVis = 0; kVis <= maxKVis; kVis++) {
     const keys = levelToKeys.get(kVis) || [];
     if (keys.length === 0) continue;
@@ -1,4 +1,4 @@
-import { state } from './state.js';
+import { state, getVisibleLevelCount, getSectorCount, isPartialSector, isEllipticalFootprint, getFootprintScale, getPoleLevel, getVisibleHeight } from './state.js';
 import { NodeAnalyzer } from './node-analyzer.js';
 
 /**
@@ -65,7 +65,7 @@ static shortTargetLabel(e) {
 static _parseConnectorKey(key) {
     if (typeof key !== 'string') return null;
     if (key === 'pole_low') return { type: 'pole', pole: 'low', k: 0, i: null };
-    if (key === 'pole_top') return { type: 'pole', pole: 'top', k: state.N, i: null };
+    if (key === 'pole_top') return { type: 'pole', pole: 'top', k: getPoleLevel(), i: null };
 
     let m = /^k(\d+)_i(\d+)$/i.exec(key);
     if (m) return { type: 'k', k: Number(m[1]), i: Number(m[2]) };
@@ -93,21 +93,41 @@ static _parseConnectorKey(key) {
     // - Normales = firma == baseline; Modificados = firma != baseline (se descuentan y van al anexo).
     const stats = {
       byLevel: new Map(),             // Map<kVis, { baselineSig, baselineCount, total, modified, normal }>
-      modifiedConnectors: [],         // Array<{ keyVisible, kVis, i, degree, signature, baselineSig, neighborsVisible: [] }>
-      signatureByKey: new Map()       // Map<keyVisible, signature>
+      modifiedConnectors: [],         // Array<{ keyVisible, kVis, i, degree, signature, baselineSig, neighborsVisible: [], isSectorBoundary, count, groupKeys }>
+      signatureByKey: new Map(),      // Map<keyVisible, signature>
+      sectorBoundaryKeys: new Set()   // Set<keyVisible> de conectores en el borde de un sector parcial
     };
 
+    // 0) Conectores del borde del sector: extremos de vigas marcadas por StructureGenerator
+    if (isPartialSector() && structureGroup && structureGroup.children) {
+      for (const obj of structureGroup.children) {
+        const bi = obj && obj.userData && obj.userData.beamInfo;
+        if (!bi || !bi.isSectorBoundary) continue;
+        for (const key of [bi.aKey, bi.bKey]) {
+          const p = this._parseConnectorKey(key);
+          if (p && p.type === 'k') stats.sectorBoundaryKeys.add(this._displayKeyVisible(key));
+        }
+      }
+    }
+
     const N = state.N;
     const cutActive = !!state.cutActive;
     const cutLevel = Number.isFinite(state.cutLevel) ? state.cutLevel : 0;
-    const visibleLevels = cutActive ? (N - cutLevel) : N; // incluye polo superior (k=visibleLevels)
+    const visibleLevels = getVisibleLevelCount(); // incluye polo superior (k=visibleLevels) salvo con oculo
+    const topCutActive = !!state.topCutActive;
 
     // 1) Adyacencia desde structureGroup (keys VISIBLES)
     const built = NodeAnalyzer.buildConnectivityFromStructure(structureGroup);
     const adj = (built && built.vertexToNeighbors) ? built.vertexToNeighbors : new Map();
+    const meta = (built && built.meta) ? built.meta : { keysAreVisible: false, kShift: 0 };
+
+    // Planta eliptica: los conectores de un mismo nivel ya no son identicos.
+    // La firma incorpora la geometria (angulo de cada arista con la directriz) y los
+    // conectores iguales se agrupan en un solo tipo con su cantidad.
+    const elliptical = isEllipticalFootprint();
 
     const keyK = function(kVis, i) { return 'k' + kVis + '_i' + i; };
-    const isPoleLevel = function(kVis) { return ((kVis === 0 && !cutActive) || (kVis === visibleLevels)); };
+    const isPoleLevel = function(kVis) { return ((kVis === 0 && !cutActive) || (kVis === visibleLevels && !topCutActive)); };
 
     const parseKVis = function(key) {
       if (typeof key !== 'string') return null;
@@ -118,31 +138,76 @@ static _parseConnectorKey(key) {
       return null;
     };
 
+    // Angulo (grados, 0.1) entre cada arista saliente y la directriz del conector
+    const edgeAnglesFor = function(uKey, neigh) {
+      var upos = NodeAnalyzer.getPositionByKeyVisible(uKey, meta);
+      if (!upos) return null;
+      var dirs = [];
+      var sum = { x: 0, y: 0, z: 0 };
+      for (var j = 0; j < neigh.length; j++) {
+        var vpos = NodeAnalyzer.getPositionByKeyVisible(neigh[j], meta);
+        if (!vpos) { dirs.push(null); continue; }
+        var dx = vpos.x - upos.x, dy = vpos.y - upos.y, dz = vpos.z - upos.z;
+        var L = Math.hypot(dx, dy, dz) || 1;
+        var d = { x: dx / L, y: dy / L, z: dz / L };
+        dirs.push(d);
+        sum.x += d.x; sum.y += d.y; sum.z += d.z;
+      }
+      var sL = Math.hypot(sum.x, sum.y, sum.z) || 1;
+      return dirs.map(function(d) {
+        if (!d) return null;
+        var dot = Math.max(-1, Math.min(1, (d.x * sum.x + d.y * sum.y + d.z * sum.z) / sL));
+        return (Math.acos(dot) * 180 / Math.PI).toFixed(1);
+      });
+    };
+
+    // Override propio del conector (clave original del generador: k#_i#, X:k:i, pole_low/pole_top)
+    const nodeOverrides = state.structureConnectorNodeOverrides || {};
+    const poleK = getPoleLevel();
+    const nodeOverrideFor = function(uKey) {
+      var kOrig = NodeAnalyzer.keyVisibleToOriginalK(uKey, meta);
+      var iIdx = NodeAnalyzer.keyVisibleToIndexI(uKey);
+      if (kOrig === null || iIdx === null) return null;
+      var origKey;
+      if (uKey.indexOf('X:') === 0) origKey = 'X:' + kOrig + ':' + iIdx;
+      else if (kOrig === 0) origKey = 'pole_low';
+      else if (kOrig === poleK) origKey = 'pole_top';
+      else origKey = 'k' + kOrig + '_i' + iIdx;
+      return nodeOverrides[origKey] || null;
+    };
+
     const signatureFor = function(uKey) {
       var uK = parseKVis(uKey);
       var neighSet = adj.get(uKey);
       var tags = [];
       if (neighSet) {
         var neigh = Array.from(neighSet);
+        var angles = elliptical ? edgeAnglesFor(uKey, neigh) : null;
         for (var j = 0; j < neigh.length; j++) {
           var vKey = neigh[j];
           if (typeof vKey !== 'string') continue;
+          var tag;
           if (vKey.indexOf('X:') === 0) {
-            tags.push('X');
+            tag = 'X';
           } else {
             var vK = parseKVis(vKey);
             if (uK === null || vK === null) {
               // fallback por tipo
-              tags.push('U');
+              tag = 'U';
             } else {
               var dk = vK - uK;
               // etiqueta canonica por delta de nivel visible
-              tags.push('dk' + (dk >= 0 ? ('+' + dk) : String(dk)));
+              tag = 'dk' + (dk >= 0 ? ('+' + dk) : String(dk));
             }
           }
+          if (angles && angles[j] != null) tag += '@' + angles[j];
+          tags.push(tag);
         }
       }
       tags.sort();
+      // Un conector con override propio es un tipo distinto aunque tenga la misma conectividad
+      var ov = nodeOverrideFor(uKey);
+      if (ov) tags.push('OV:' + [ov.cylDiameterMm, ov.cylDepthMm, ov.offsetMm].map(function(v) { return v == null ? '-' : Number(v); }).join('/'));
       return tags.join('|'); // firma invariante por rotación
     };
 
@@ -222,19 +287,34 @@ static _parseConnectorKey(key) {
         normal: baselineCount
       });
 
+      var groupBySig = new Map(); // planta eliptica: firma -> item representativo
       for (var mi = 0; mi < modifiedItems.length; mi++) {
         var it = modifiedItems[mi];
+        var isBoundary = stats.sectorBoundaryKeys.has(it.keyVisible);
+        var groupSig = it.signature + (isBoundary ? '|SB' : '');
+        if (elliptical && groupBySig.has(groupSig)) {
+          var rep = groupBySig.get(groupSig);
+          rep.count++;
+          rep.groupKeys.push(it.keyVisible);
+          continue;
+        }
         var neighArr = adj.get(it.keyVisible) ? Array.from(adj.get(it.keyVisible)) : [];
         neighArr.sort();
-        stats.modifiedConnectors.push({
+        var entry = {
           keyVisible: it.keyVisible,
           kVis: it.kVis,
           i: it.i,
           degree: it.degree,
           signature: it.signature,
           baselineSig: baselineSig,
-          neighborsVisible: neighArr
-        });
+          neighborsVisible: neighArr,
+          isSectorBoundary: isBoundary,
+          nodeOverride: nodeOverrideFor(it.keyVisible),
+          count: 1,
+          groupKeys: [it.keyVisible]
+        };
+        groupBySig.set(groupSig, entry);
+        stats.modifiedConnectors.push(entry);
       }
     }
 
@@ -254,10 +334,11 @@ static _parseConnectorKey(key) {
     const N = state.N;
     const cutActive = !!state.cutActive;
     const cutLevel = Number.isFinite(state.cutLevel) ? state.cutLevel : 0;
-    const visibleLevels = cutActive ? (N - cutLevel) : N;
+    const visibleLevels = getVisibleLevelCount();
+    const topCutActive = !!state.topCutActive;
 
     const keyK = (kVis, i) => `k${kVis}_i${i}`;
-    const isPoleLevel = (kVis) => ((kVis === 0 && !cutActive) || (kVis === visibleLevels));
+    const isPoleLevel = (kVis) => ((kVis === 0 && !cutActive) || (kVis === visibleLevels && !topCutActive));
 
     const makeNode = (uKey, baselineDeg, displayOverride) => {
       const upos = NodeAnalyzer.getPositionByKeyVisible(uKey, meta);
@@ -451,16 +532,22 @@ static _parseConnectorKey(key) {
     const data = {};
 
     // Params desde estado
-    const visibleLevels = state.cutActive ? (state.N - (Number.isFinite(state.cutLevel) ? state.cutLevel : 0)) : state.N;
+    const visibleLevels = getVisibleLevelCount();
     data.params = {
       N: state.N,
       Dmax: state.Dmax,
       floorDiameter: state.floorDiameter || 0,
       visibleLevels,
-      visibleHeight: visibleLevels * state.h1,
+      visibleHeight: getVisibleHeight(),
       aDeg: state.aDeg,
       cutActive: !!state.cutActive,
       cutLevel: Number.isFinite(state.cutLevel) ? state.cutLevel : 0,
+      topCutActive: !!state.topCutActive,
+      oculusDiameter: state.oculusDiameter || 0,
+      sectorCount: getSectorCount(),
+      footprint: isEllipticalFootprint() ? getFootprintScale() : null,
+      beltLevels: state.beltLevels || 0,
+      beltHeight: (state.beltLevels || 0) * state.beltHeight,
     };
 
     data.connectorStats = this._computeConnectorStatsFromStructure(_structureGroup);
@@ -498,7 +585,7 @@ static _parseConnectorKey(key) {
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(11);
 
-     const z = (data && data.params) ? data.params : { N: state.N, Dmax: state.Dmax, floorDiameter: state.floorDiameter||0, visibleLevels: (state.cutActive ? (state.N - (Number.isFinite(state.cutLevel)?state.cutLevel:0)) : state.N), visibleHeight: ((state.cutActive ? (state.N - (Number.isFinite(state.cutLevel)?state.cutLevel:0)) : state.N) * state.h1), aDeg: state.aDeg, cutActive: !!state.cutActive, cutLevel: Number.isFinite(state.cutLevel)?state.cutLevel:0 };
+     const z = (data && data.params) ? data.params : { N: state.N, Dmax: state.Dmax, floorDiameter: state.floorDiameter||0, visibleLevels: getVisibleLevelCount(), visibleHeight: getVisibleHeight(), aDeg: state.aDeg, cutActive: !!state.cutActive, cutLevel: Number.isFinite(state.cutLevel)?state.cutLevel:0 };
     const kVis = z.visibleLevels; // cantidad de niveles K visibles (incluye polo superior)
     const lines = [
       `N = ${z.N}`,
@@ -510,6 +597,15 @@ static _parseConnectorKey(key) {
       // Mostrar solo niveles visibles (K). Con corte activo, el suelo visible se considera K=0.
       z.cutActive ? 'Corte activo: suelo en K=0 (vista: z=0)' : 'Corte inactivo',
     ];
+    if (z.topCutActive) lines.push(`Oculo: anillo superior en K=${kVis}, diametro = ${this.mm(z.oculusDiameter || 0, 3)} m`);
+    if (z.beltLevels > 0) lines.push(`Cinturon: ${z.beltLevels} nivel(es) de rombos verticales (+${this.mm(z.beltHeight, 3)} m)`);
+    if (z.sectorCount != null && z.sectorCount < z.N) lines.push(`Sector parcial: ${z.sectorCount} de ${z.N} secciones (borde abierto)`);
+    if (z.footprint) {
+      const types = (data.connectorStats && data.connectorStats.byLevel)
+        ? Array.from(data.connectorStats.byLevel.values()).filter(r => r && r.total > 0).length + data.connectorStats.modifiedConnectors.length
+        : 0;
+      lines.push(`Planta eliptica: ${this.mm(z.Dmax * z.footprint.sx, 3)} x ${this.mm(z.Dmax * z.footprint.sy, 3)} m (${types} tipos de conector)`);
+    }
 
     let y = 55;
     doc.setFont('helvetica', 'bold');
@@ -575,8 +671,8 @@ static _parseConnectorKey(key) {
     } else if (!cutActive && node.k === 0) {
       // polo inferior real (sin corte)
       qty = 1;
-    } else if (node.k === kMaxVis) {
-      // polo superior visible
+    } else if (node.k === kMaxVis && !data.params.topCutActive) {
+      // polo superior visible (con oculo, el anillo superior es un nivel normal)
       qty = 1;
     } else {
       // nivel normal (incluye k=0 con corte activo)
@@ -880,17 +976,24 @@ static _parseConnectorKey(key) {
 
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(10);
-    doc.text(`Nivel visible: k${item.kVis}`, x0, y0 + 26);
+    doc.text(`Nivel visible: k${item.kVis}${item.isSectorBoundary ? '  (borde de sector)' : ''}`, x0, y0 + 26);
     doc.text(`Grado: ${item.degree}`, x0, y0 + 32);
     doc.setFontSize(10);
     doc.text(`Cantidad conector: ${item.count || 1}`, x0, y0 + 38);
+    let yInfo = y0 + 44;
+    if (item.nodeOverride) {
+      const ov = item.nodeOverride;
+      const fmt = (v) => (v == null ? '-' : `${Math.round(Number(v))} mm`);
+      doc.text(`Conector propio: Ø ${fmt(ov.cylDiameterMm)} · prof ${fmt(ov.cylDepthMm)} · traslado ${fmt(ov.offsetMm)}`, x0, yInfo);
+      yInfo += 6;
+    }
 
     // Si no podemos construir nodo, dejamos solo texto (fallback)
     if (!node) {
       doc.setFont('helvetica', 'bold');
-      doc.text('Conecta con:', x0, y0 + 44);
+      doc.text('Conecta con:', x0, yInfo);
       doc.setFont('helvetica', 'normal');
-      let y = y0 + 52;
+      let y = yInfo + 8;
       const neigh = Array.isArray(item.neighborsVisible) ? item.neighborsVisible : [];
       neigh.forEach((n) => {
         doc.text(`- ${n}`, x0 + 4, y);
@@ -917,10 +1020,16 @@ static _parseConnectorKey(key) {
 
     this.drawEdgeDiagram(doc, node, diagramX, diagramY, diagramSize);
 
-    // Cantidad conector: en el anexo es 1 (este conector especifico)
+    // Cantidad conector: en el anexo es 1 (este conector especifico), salvo con planta
+    // eliptica, donde se agrupan los conectores geometricamente identicos.
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(10);
-    doc.text('Cantidad conector: 1', x0, y0 + 38);
+    doc.text(`Cantidad conector: ${item.count || 1}`, x0, y0 + 38);
+    if (Array.isArray(item.groupKeys) && item.groupKeys.length > 1) {
+      doc.setFontSize(8);
+      const keysText = doc.splitTextToSize(`Iguales: ${item.groupKeys.join(', ')}`, diagramX - x0 - 6);
+      doc.text(keysText, x0, yInfo);
+    }
 
     const diagramBottom = diagramY + diagramSize;
     const tableTop = diagramBottom + 10;
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
-import { state, rhombiData } from './state.js';
+import { state, rhombiData, getVisibleLevelCount, getSectorCount, isEllipticalFootprint, getFootprintScale, getRingZ, getRingRadius, getBaseRingRadius, getBaseRingZ, hasLevelProfile, getVisibleHeight, isBeltLevel } from './state.js';
+import { computeMetrics } from './metrics.js';
 
 // Hacer THREE disponible globalmente para el generador de PDF
 window.THREE = THREE;
@@ -13,8 +14,9 @@ export class PDFReporter {
    * @param {THREE.Scene} scene - Escena de Three.js
    * @param {THREE.Camera} camera - Camara de Three.js
    * @param {THREE.WebGLRenderer} renderer - Renderer de Three.js
+   * @param {{snow?: Object|null}} [options] - snow: resultado de computeSnowLoads (snow.js)
    */
-  static async generateReport(scene, camera, renderer) {
+  static async generateReport(scene, camera, renderer, options = {}) {
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF({
       orientation: 'landscape',
@@ -32,6 +34,16 @@ export class PDFReporter {
     doc.addPage();
     await this.addPage2_ViewXY(doc, scene, camera, renderer, technicalData);
 
+    // PAGINA 3: Metricas (volumen, superficie, piso)
+    doc.addPage();
+    this.addPage3_Metrics(doc, technicalData);
+
+    // Cargas de nieve (por nivel y por cara)
+    if (options.snow && options.snow.sk > 0) {
+      doc.addPage();
+      this.addSnowPages(doc, options.snow);
+    }
+
     // PAGINAS 3+: Detalles de cada tipo de cara (nivel por nivel)
     await this.addFaceDetailPages(doc, technicalData);
 
@@ -45,33 +57,65 @@ export class PDFReporter {
    * Calcula todos los datos tecnicos necesarios para el reporte
    */
   static calculateTechnicalData() {
-    const { N, Dmax, aDeg, h1, Htotal, cutActive, cutLevel } = state;
+    const { N, Dmax, aDeg, Htotal, cutActive, cutLevel } = state;
 
     // Diametro del poligono en el corte (si esta activo)
     let diametroCutPlane = 0;
     if (cutActive) {
-      const Rk = (Dmax / 2) * Math.sin((cutLevel * Math.PI) / N);
-      diametroCutPlane = 2 * Rk;
+      diametroCutPlane = 2 * getRingRadius(cutLevel);
+    }
+
+    // Diametro del anillo superior (oculo)
+    const { topCutActive, topCutLevel } = state;
+    let diametroOculo = 0;
+    if (topCutActive) {
+      diametroOculo = 2 * getRingRadius(topCutLevel);
     }
 
     // Niveles visibles
-    const nivelesVisibles = cutActive ? N - cutLevel : N;
+    const nivelesVisibles = getVisibleLevelCount();
     
-    //   CORRECCION: Calcular altura visible basada en niveles visibles
-    const alturaVisible = h1 * nivelesVisibles;
+    //   CORRECCION: Calcular altura visible basada en niveles visibles (incluye cinturon)
+    const alturaVisible = getVisibleHeight();
 
     // Lado del rombo
     const k = 1;
-    const Rk = (Dmax / 2) * Math.sin((k * Math.PI) / N);
+    const Rk = getBaseRingRadius(k);
     const step = (2 * Math.PI) / N;
-    const chordLength = 2 * Rk * Math.sin(step / 2);
-    const aristaRombo = Math.sqrt(chordLength * chordLength + h1 * h1);
+    // La proyeccion horizontal de toda arista es R1 (vertice k=1 -> k=2 gira π/N)
+    const z1 = getBaseRingZ(k);
+    const aristaRombo = Math.sqrt(Rk * Rk + z1 * z1);
+
+    // Planta eliptica o perfil variable: rango real de aristas de las caras
+    const footprint = isEllipticalFootprint() ? getFootprintScale() : null;
+    const profile = hasLevelProfile();
+    let aristaMin = aristaRombo;
+    let aristaMax = aristaRombo;
+    if ((footprint || profile) && rhombiData.length > 0) {
+      aristaMin = Infinity;
+      aristaMax = 0;
+      rhombiData.forEach(level => {
+        level.rhombi.forEach(face => {
+          if (face.isTriangle) return;
+          const vs = face.vertices;
+          for (let i = 0; i < vs.length; i++) {
+            const d = vs[i].distanceTo(vs[(i + 1) % vs.length]);
+            aristaMin = Math.min(aristaMin, d);
+            aristaMax = Math.max(aristaMax, d);
+          }
+        });
+      });
+      if (!Number.isFinite(aristaMin)) { aristaMin = aristaRombo; aristaMax = aristaRombo; }
+    }
 
     // Base del triangulo (si hay corte)
     let baseTriangulo = 0;
     if (cutActive) {
-      const RkCut = (Dmax / 2) * Math.sin((cutLevel * Math.PI) / N);
-      baseTriangulo = 2 * RkCut * Math.sin(step / 2);
+      baseTriangulo = 2 * getRingRadius(cutLevel) * Math.sin(step / 2);
+    }
+    let baseTrianguloOculo = 0;
+    if (topCutActive) {
+      baseTrianguloOculo = diametroOculo * Math.sin(step / 2);
     }
 
     // Contar rombos y triangulos
@@ -100,7 +144,18 @@ export class PDFReporter {
       baseTriangulo,
       totalRombos,
       totalTriangulos,
-      cutActive
+      cutActive,
+      topCutActive,
+      diametroOculo,
+      baseTrianguloOculo,
+      sectorCount: getSectorCount(),
+      footprint,
+      profile,
+      aristaMin,
+      aristaMax,
+      beltLevels: state.beltLevels || 0,
+      beltHeight: (state.beltLevels || 0) * state.beltHeight,
+      metrics: computeMetrics()
     };
   }
 
@@ -142,10 +197,23 @@ export class PDFReporter {
     doc.setFont(undefined, 'normal');
     doc.text(`Dmax: ${data.Dmax.toFixed(2)} unidades`, startX + 5, currentY);
     currentY += lineHeight;
-    doc.text(`N (Lados): ${data.N}`, startX + 5, currentY);
+    if (data.footprint) {
+      doc.text(`Planta eliptica: ${(data.Dmax * data.footprint.sx).toFixed(2)} x ${(data.Dmax * data.footprint.sy).toFixed(2)}`, startX + 5, currentY);
+      currentY += lineHeight;
+    }
+    doc.text(`N (Lados): ${data.N}${data.sectorCount < data.N ? ` (sector ${data.sectorCount}/${data.N})` : ''}`, startX + 5, currentY);
     currentY += lineHeight;
     doc.text(`Angulo  : ${data.aDeg.toFixed(2)}°`, startX + 5, currentY);
-    currentY += lineHeight + 3;
+    currentY += lineHeight;
+    if (data.profile) {
+      doc.text(`Perfil variable: ${state.levelAngles.map(a => (a == null ? data.aDeg : a).toFixed(1)).join(', ')}°`, startX + 5, currentY);
+      currentY += lineHeight;
+    }
+    if (data.beltLevels > 0) {
+      doc.text(`Cinturon: ${data.beltLevels} nivel(es), +${data.beltHeight.toFixed(2)} de altura`, startX + 5, currentY);
+      currentY += lineHeight;
+    }
+    currentY += 3;
 
     // Dimensiones
     doc.setFont(undefined, 'bold');
@@ -154,7 +222,11 @@ export class PDFReporter {
     doc.setFont(undefined, 'normal');
     doc.text(`Altura Total: ${data.Htotal.toFixed(2)} unidades`, startX + 5, currentY);
     currentY += lineHeight;
-    doc.text(`Lado del rombo: ${data.aristaRombo.toFixed(3)} unidades`, startX + 5, currentY);
+    if (data.footprint || data.profile) {
+      doc.text(`Lado del rombo: ${data.aristaMin.toFixed(3)} - ${data.aristaMax.toFixed(3)} unidades`, startX + 5, currentY);
+    } else {
+      doc.text(`Lado del rombo: ${data.aristaRombo.toFixed(3)} unidades`, startX + 5, currentY);
+    }
     currentY += lineHeight + 3;
 
     // Informacion del corte (si esta activo)
@@ -171,6 +243,18 @@ export class PDFReporter {
       currentY += lineHeight + 3;
     }
 
+    // Informacion del oculo (corte superior)
+    if (data.topCutActive) {
+      doc.setFont(undefined, 'bold');
+      doc.text('Oculo:', startX, currentY);
+      currentY += lineHeight;
+      doc.setFont(undefined, 'normal');
+      doc.text(`Diametro oculo: ${data.diametroOculo.toFixed(2)} unidades`, startX + 5, currentY);
+      currentY += lineHeight;
+      doc.text(`Base triangulo: ${data.baseTrianguloOculo.toFixed(3)} unidades`, startX + 5, currentY);
+      currentY += lineHeight + 3;
+    }
+
     // Conteo de caras
     doc.setFont(undefined, 'bold');
     doc.text('Caras:', startX, currentY);
@@ -178,7 +262,7 @@ export class PDFReporter {
     doc.setFont(undefined, 'normal');
     doc.text(`Rombos totales: ${data.totalRombos}`, startX + 5, currentY);
     currentY += lineHeight;
-    if (data.cutActive) {
+    if (data.cutActive || data.topCutActive) {
       doc.text(`Triangulos totales: ${data.totalTriangulos}`, startX + 5, currentY);
       currentY += lineHeight;
     }
@@ -227,6 +311,200 @@ export class PDFReporter {
     doc.setTextColor(0);
   }
 
+  /**
+   * Pagina 3: Metricas de la envolvente (volumen, superficie, piso y altura libre)
+   */
+  static addPage3_Metrics(doc, data) {
+    const m = data.metrics;
+
+    doc.setFontSize(20);
+    doc.setFont(undefined, 'bold');
+    doc.text('REPORTE TECNICO - ZONOHEDRO POLAR', 148, 15, { align: 'center' });
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'normal');
+    doc.text('Metricas: volumen, superficie y piso', 148, 22, { align: 'center' });
+
+    // Resumen (columna izquierda)
+    const startX = 15;
+    let currentY = 38;
+    const lineHeight = 8;
+
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text('TOTALES', startX, currentY);
+    currentY += lineHeight + 2;
+
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.text(`Volumen encerrado: ${m.volume.toFixed(3)} m³`, startX + 5, currentY);
+    currentY += lineHeight;
+    doc.text(`Superficie de cascara: ${m.shellArea.toFixed(3)} m²`, startX + 5, currentY);
+    currentY += lineHeight;
+    doc.text(`Altura visible: ${m.height.toFixed(3)} m`, startX + 5, currentY);
+    currentY += lineHeight;
+    if (data.topCutActive) {
+      doc.text('(volumen cerrado con tapa plana en el oculo)', startX + 5, currentY);
+      currentY += lineHeight;
+    }
+    currentY += 3;
+
+    doc.setFont(undefined, 'bold');
+    doc.text('Piso:', startX, currentY);
+    currentY += lineHeight;
+    doc.setFont(undefined, 'normal');
+    if (data.cutActive) {
+      doc.text(`Area de piso en el corte: ${m.floorArea.toFixed(3)} m²`, startX + 5, currentY);
+      currentY += lineHeight;
+      m.headroom.forEach(h => {
+        const pct = m.floorArea > 0 ? (100 * h.area) / m.floorArea : 0;
+        doc.text(`Altura libre >= ${h.clear.toFixed(1)} m: ${h.area.toFixed(3)} m² (${pct.toFixed(0)}%)`, startX + 5, currentY);
+        currentY += lineHeight;
+      });
+    } else {
+      doc.text('Sin corte: la estructura apoya en el polo (sin piso)', startX + 5, currentY);
+      currentY += lineHeight;
+    }
+
+    // Tabla por franja entre anillos (columna derecha)
+    const tableX = 130;
+    const cols = [tableX, tableX + 30, tableX + 75, tableX + 110];
+    let y = 38;
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text('POR NIVEL', tableX, y);
+    y += lineHeight + 2;
+
+    doc.setFontSize(9);
+    doc.text('Anillos', cols[0], y);
+    doc.text('Altura (m)', cols[1], y);
+    doc.text('Volumen (m³)', cols[2], y);
+    doc.text('Cascara (m²)', cols[3], y);
+    y += 2;
+    doc.setLineWidth(0.2);
+    doc.line(tableX, y, 282, y);
+    y += 5;
+
+    doc.setFont(undefined, 'normal');
+    const rowHeight = Math.min(6, 150 / Math.max(1, m.slabs.length));
+    doc.setFontSize(rowHeight < 5 ? 7 : 9);
+    m.slabs.forEach(b => {
+      doc.text(`K${b.kLo} - K${b.kHi}`, cols[0], y);
+      doc.text(`${b.zLo.toFixed(2)} - ${b.zHi.toFixed(2)}`, cols[1], y);
+      doc.text(b.volume.toFixed(3), cols[2], y);
+      doc.text(b.shellArea.toFixed(3), cols[3], y);
+      y += rowHeight;
+    });
+
+    // Footer
+    doc.setFontSize(8);
+    doc.setTextColor(128);
+    const date = new Date().toLocaleDateString('es-ES', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+    doc.text(`Generado el ${date}`, 148, 200, { align: 'center' });
+    doc.text('Zonohedro Polar - ZValdivia', 148, 205, { align: 'center' });
+    doc.setTextColor(0);
+  }
+
+  /**
+   * Cargas de nieve: resumen por nivel y tabla por cara (casos equilibrado y desequilibrado)
+   */
+  static addSnowPages(doc, snow) {
+    const footer = () => {
+      doc.setFontSize(8);
+      doc.setTextColor(128);
+      const date = new Date().toLocaleDateString('es-ES', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+      doc.text(`Generado el ${date}`, 148, 200, { align: 'center' });
+      doc.text('Zonohedro Polar - ZValdivia', 148, 205, { align: 'center' });
+      doc.setTextColor(0);
+    };
+    const header = (subtitle) => {
+      doc.setFontSize(20);
+      doc.setFont(undefined, 'bold');
+      doc.text('REPORTE TECNICO - ZONOHEDRO POLAR', 148, 15, { align: 'center' });
+      doc.setFontSize(12);
+      doc.setFont(undefined, 'normal');
+      doc.text(subtitle, 148, 22, { align: 'center' });
+    };
+    const range = (a, b, d = 2) => (Math.abs(a - b) < 0.005 ? a.toFixed(d) : `${a.toFixed(d)} - ${b.toFixed(d)}`);
+
+    header('Cargas de nieve (EN 1991-1-3)');
+    const startX = 15;
+    let y = 36;
+    doc.setFontSize(10);
+    doc.text(`sk = ${snow.sk.toFixed(2)} kN/m²   Ce = ${snow.Ce.toFixed(2)}   Ct = ${snow.Ct.toFixed(2)}   μ3 = ${snow.mu3.toFixed(2)} (f/d = ${(snow.d > 0 ? snow.f / snow.d : 0).toFixed(2)})`, startX, y);
+    y += 6;
+    doc.text(`Desequilibrada: viento desde ${snow.directionDeg.toFixed(0)}° (planta, desde +X). Cargas sobre la proyeccion horizontal.`, startX, y);
+    y += 6;
+    doc.text(`Total equilibrada: ${snow.totals.balanced.toFixed(2)} kN   Total desequilibrada: ${snow.totals.drift.toFixed(2)} kN   Area en planta: ${snow.totals.areaPlan.toFixed(2)} m²`, startX, y);
+    y += 10;
+
+    const cols = [startX, 35, 70, 100, 135, 165, 205, 245];
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'bold');
+    ['Nivel', 'Pendiente (°)', 'Planta (m²)', 'μ equil.', 's equil. (kN/m²)', 'F equil. (kN)', 'μ deseq.', 'F deseq. (kN)']
+      .forEach((t, j) => doc.text(t, cols[j], y));
+    y += 2;
+    doc.setLineWidth(0.2);
+    doc.line(startX, y, 282, y);
+    y += 5;
+    doc.setFont(undefined, 'normal');
+    const base = snow.Ce * snow.Ct * snow.sk;
+    const rowHeight = Math.min(6, 140 / Math.max(1, snow.levels.length));
+    doc.setFontSize(rowHeight < 5 ? 7 : 9);
+    for (const l of snow.levels) {
+      doc.text(`K${l.level}`, cols[0], y);
+      doc.text(range(l.slopeMin, l.slopeMax, 1), cols[1], y);
+      doc.text(l.areaPlan.toFixed(2), cols[2], y);
+      doc.text(range(l.muBalancedMin, l.muBalancedMax), cols[3], y);
+      doc.text(range(l.muBalancedMin * base, l.muBalancedMax * base), cols[4], y);
+      doc.text(l.forceBalanced.toFixed(2), cols[5], y);
+      doc.text(range(l.muDriftMin, l.muDriftMax), cols[6], y);
+      doc.text(l.forceDrift.toFixed(2), cols[7], y);
+      y += rowHeight;
+    }
+    footer();
+
+    // Tabla por cara: dos columnas por pagina
+    const perColumn = 30;
+    const blockX = [startX, 152];
+    const sub = [0, 22, 40, 58, 76, 96, 116];
+    const titles = ['Cara', 'α (°)', 'μ eq.', 'μ deseq.', 's eq.', 's deseq.', 'F eq./deseq.'];
+    for (let p = 0; p < snow.faces.length; p += 2 * perColumn) {
+      doc.addPage();
+      header('Cargas de nieve por cara (kN/m² y kN)');
+      for (let c = 0; c < 2; c++) {
+        const chunk = snow.faces.slice(p + c * perColumn, p + (c + 1) * perColumn);
+        if (!chunk.length) break;
+        let yy = 34;
+        doc.setFontSize(8);
+        doc.setFont(undefined, 'bold');
+        titles.forEach((t, j) => doc.text(t, blockX[c] + sub[j], yy));
+        yy += 2;
+        doc.line(blockX[c], yy, blockX[c] + 130, yy);
+        yy += 4;
+        doc.setFont(undefined, 'normal');
+        for (const f of chunk) {
+          doc.text(`K${f.level} i${f.i}`, blockX[c] + sub[0], yy);
+          doc.text(f.slopeDeg.toFixed(1), blockX[c] + sub[1], yy);
+          doc.text(f.muBalanced.toFixed(2), blockX[c] + sub[2], yy);
+          doc.text(f.muDrift.toFixed(2), blockX[c] + sub[3], yy);
+          doc.text(f.balanced.toFixed(2), blockX[c] + sub[4], yy);
+          doc.text(f.drift.toFixed(2), blockX[c] + sub[5], yy);
+          doc.text(`${(f.balanced * f.areaPlan).toFixed(2)} / ${(f.drift * f.areaPlan).toFixed(2)}`, blockX[c] + sub[6], yy);
+          yy += 5;
+        }
+      }
+      footer();
+    }
+  }
+
   /**
    * Captura una vista ortogonal de la escena
    * @param {THREE.Scene} scene - Escena
@@ -245,7 +523,8 @@ export class PDFReporter {
 
     // Crear camara ortografica
     const aspect = 1; // Cuadrada
-    const frustumSize = state.Dmax * 1.5;
+    const { sx, sy } = getFootprintScale();
+    const frustumSize = state.Dmax * Math.max(1, sx, sy) * 1.5;
     const orthoCamera = new THREE.OrthographicCamera(
       frustumSize * aspect / -2,
       frustumSize * aspect / 2,
@@ -256,8 +535,7 @@ export class PDFReporter {
     );
 
     //   Calcular altura visible actual
-    const nivelesVisibles = state.cutActive ? (state.N - state.cutLevel) : state.N;
-    const alturaVisible = state.h1 * nivelesVisibles;
+    const alturaVisible = getVisibleHeight();
 
     // Posicionar camara segun la vista
     if (view === 'xz') {
@@ -267,7 +545,7 @@ export class PDFReporter {
       orthoCamera.up.set(0, 0, 1);
     } else if (view === 'xy') {
       // Vista superior (desde el eje Z)
-      const viewHeight = state.cutActive ? state.cutLevel * state.h1 : alturaVisible;
+      const viewHeight = state.cutActive ? getRingZ(state.cutLevel) : alturaVisible;
       orthoCamera.position.set(0, 0, viewHeight + state.Dmax * 2);
       orthoCamera.lookAt(0, 0, viewHeight);
       orthoCamera.up.set(0, 1, 0);
@@ -341,6 +619,9 @@ export class PDFReporter {
       sideLengths.push(length);
     }
 
+    // Con perfil variable los lados inferiores y superiores difieren: la cara es un deltoide
+    const isKite = !isTriangle && Math.abs(sideLengths[0] - sideLengths[1]) > 1e-6 * Math.max(...sideLengths);
+
     // Calcular angulos internos de los vertices
     const vertexAngles = [];
     for (let i = 0; i < vertices.length; i++) {
@@ -396,8 +677,8 @@ export class PDFReporter {
       horizontalWidth,
       verticalHeight,
       isTriangle,
-      levelName: isTriangle ? `Triangulo nivel ${level}` : `Rombo nivel ${level}`,
-      quantity: N,
+      levelName: isTriangle ? `Triangulo nivel ${level}` : (isBeltLevel(level) ? `Rombo cinturon nivel ${level}` : `${isKite ? 'Deltoide' : 'Rombo'} nivel ${level}`),
+      quantity: getSectorCount(),
       vertices, // Incluir vertices 3D reales para el dibujo
       topVertexIndex // Incluir indice del vertice superior
     };
@@ -440,8 +721,11 @@ export class PDFReporter {
 }
 
   static _getModelCenter() {
-    // cache a nivel de clase
-    if (!this._modelCenter) this._modelCenter = this._computeModelCenter();
+    // cache a nivel de clase, mientras no cambien las caras
+    if (!this._modelCenter || this._modelCenterData !== rhombiData) {
+      this._modelCenter = this._computeModelCenter();
+      this._modelCenterData = rhombiData;
+    }
     return this._modelCenter;
   }
 
@@ -475,9 +759,9 @@ export class PDFReporter {
     const currentNormal = this._orientedFaceNormal(vertices);
 
     // Plano del piso/tapa de corte: normal hacia afuera apunta hacia abajo (-Z).
-    // IMPORTANTE: cuando hay corte activo, el "piso" esta en z = cutLevel*h1.
+    // IMPORTANTE: cuando hay corte activo, el "piso" esta en z = getRingZ(cutLevel).
     const capNormal = new THREE.Vector3(0, 0, -1);
-    const cutZ = state.cutActive ? (state.cutLevel * state.h1) : 0;
+    const cutZ = state.cutActive ? getRingZ(state.cutLevel) : 0;
     // En la geometria real puede haber pequenas variaciones numericas,
     // por lo que usamos una tolerancia mas permisiva.
     const epsZ = 2e-3;
@@ -518,6 +802,16 @@ export class PDFReporter {
       (vertices.length === 3)
     );
 
+    // Idem para el oculo: la arista superior de los triangulos del anillo
+    // superior apoya contra la tapa (normal hacia afuera = +Z), diedro completo.
+    const topCapNormal = new THREE.Vector3(0, 0, 1);
+    const topZ = state.topCutActive ? getRingZ(state.topCutLevel) : Infinity;
+    const isTopTriangle = (
+      state.topCutActive &&
+      (level === state.topCutLevel) &&
+      (vertices.length === 3)
+    );
+
     for (let i = 0; i < vertices.length; i++) {
       const edgeStart = vertices[i];
       const edgeEnd = vertices[(i + 1) % vertices.length];
@@ -554,11 +848,18 @@ export class PDFReporter {
           (i === capEdgeIndex)
         );
 
+        const isTopCapEdge = state.topCutActive &&
+          Math.abs(edgeStart.z - topZ) < epsZ && Math.abs(edgeEnd.z - topZ) < epsZ;
+
         if (isCapEdge) {
           const angleRad = Math.acos(clamp(currentNormal.dot(capNormal)));
           const dihedralDeg = 180 - (angleRad * 180 / Math.PI);
           // Para el triangulo del piso (nivel de corte), devolver el diedro COMPLETO.
           angles.push(isFloorTriangle ? dihedralDeg : (dihedralDeg / 2));
+        } else if (isTopCapEdge) {
+          const angleRad = Math.acos(clamp(currentNormal.dot(topCapNormal)));
+          const dihedralDeg = 180 - (angleRad * 180 / Math.PI);
+          angles.push(isTopTriangle ? dihedralDeg : (dihedralDeg / 2));
         } else {
           angles.push(0);
         }
@@ -580,9 +881,10 @@ export class PDFReporter {
   static findAdjacentFace(edgeStart, edgeEnd, currentLevel, currentFace) {
     const tolerance = 0.001;
 
-    // Buscar en niveles adyacentes (nivel-1, nivel, nivel+1)
+    // Buscar en niveles adyacentes (nivel-2 .. nivel+2): en el cinturon las aristas
+    // inclinadas se comparten con el rombo del cinturon siguiente (dos niveles K arriba)
     for (const levelData of rhombiData) {
-      if (Math.abs(levelData.level - currentLevel) > 1) continue;
+      if (Math.abs(levelData.level - currentLevel) > 2) continue;
       
       for (const face of levelData.rhombi) {
         if (face === currentFace) continue;
@@ -650,27 +952,85 @@ static calculateCapAngle(cutLevel) {
     // Determinar nivel inicial
     const startLevel = state.cutActive ? state.cutLevel : 1;
 
-    // Contador de caras desde 1 (de abajo hacia arriba)
-    let faceNumber = 1;
+    // Tipos de cara a detallar (de abajo hacia arriba)
+    const pages = [];
 
     // Iterar por cada nivel desde el inicio hasta el top
     for (const levelData of rhombiData) {
       if (levelData.rhombi.length === 0) continue;
 
-      // Tomar la primera cara del nivel como representativa
-      const representativeFace = levelData.rhombi[0];
+      if (isEllipticalFootprint()) {
+        // Planta eliptica: las caras de un nivel ya no son iguales; una pagina por forma distinta
+        for (const group of this.groupFacesByShape(levelData.rhombi)) {
+          const faceDetails = this.calculateFaceDetails(group.face, levelData.level);
+          faceDetails.quantity = group.count;
+          pages.push({ faceDetails, level: levelData.level });
+        }
+        continue;
+      }
+
+      // Tomar una cara del nivel como representativa. Con sector parcial la primera
+      // queda en el borde abierto (sin vecina), por eso se usa la del medio.
+      const representativeFace = levelData.rhombi[Math.floor((levelData.rhombi.length - 1) / 2)];
 
       // Calcular detalles geometricos
-      const faceDetails = this.calculateFaceDetails(representativeFace, levelData.level);
+      pages.push({ faceDetails: this.calculateFaceDetails(representativeFace, levelData.level), level: levelData.level });
+    }
 
+    // Contador de caras desde 1 (de abajo hacia arriba)
+    pages.forEach(({ faceDetails, level }, idx) => {
       // Agregar pagina
       doc.addPage();
 
       // Dibujar la pagina de detalle con el numero de cara
-      this.drawFaceDetailPage(doc, faceDetails, levelData.level, faceNumber, technicalData.nivelesVisibles);
-      
-      faceNumber++;
+      this.drawFaceDetailPage(doc, faceDetails, level, idx + 1, pages.length);
+    });
+  }
+
+  /**
+   * Agrupa las caras de un nivel por forma (lados y angulos internos, en orden ciclico
+   * y admitiendo espejo). Devuelve una cara representativa por grupo con su cantidad.
+   * @param {Array} faces - Caras del nivel (rhombiData[].rhombi)
+   * @returns {Array<{face: Object, count: number}>}
+   */
+  static groupFacesByShape(faces) {
+    const shapeKey = (face) => {
+      const vs = face.vertices;
+      const n = vs.length;
+      const sides = [];
+      const angles = [];
+      for (let i = 0; i < n; i++) {
+        const prev = vs[(i - 1 + n) % n], cur = vs[i], next = vs[(i + 1) % n];
+        const a = new THREE.Vector3().subVectors(prev, cur).normalize();
+        const b = new THREE.Vector3().subVectors(next, cur).normalize();
+        angles.push((Math.acos(Math.max(-1, Math.min(1, a.dot(b)))) * 180 / Math.PI).toFixed(1));
+        sides.push(cur.distanceTo(next).toFixed(3));
+      }
+      // Recorrido directo (angulo + lado siguiente) y espejo (angulo + lado anterior)
+      const parts = angles.map((ang, i) => `${ang}@${sides[i]}`);
+      const rev = [];
+      for (let j = 0; j < n; j++) {
+        const m = (n - j) % n;
+        rev.push(`${angles[m]}@${sides[(m - 1 + n) % n]}`);
+      }
+      // Forma canonica: menor rotacion lexicografica (y su espejo)
+      const rotations = [];
+      for (let i = 0; i < n; i++) {
+        rotations.push(parts.slice(i).concat(parts.slice(0, i)).join('|'));
+        rotations.push(rev.slice(i).concat(rev.slice(0, i)).join('|'));
+      }
+      rotations.sort();
+      return `${face.isTriangle ? 'T' : 'R'}:${rotations[0]}`;
+    };
+
+    const groups = new Map();
+    for (const face of faces) {
+      const key = shapeKey(face);
+      const g = groups.get(key);
+      if (g) g.count++;
+      else groups.set(key, { face, count: 1 });
     }
+    return [...groups.values()];
   }
 
   /**
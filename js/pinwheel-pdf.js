@@ -22,10 +22,22 @@
  *   2…N+1— Una sección por página (escala máxima, para recortar/doblar)
  *   N+2  — Resumen de parámetros y leyenda de colores
  *
+ * Con óculo activo (corte superior) la tira arranca en el triángulo del nivel
+ * topCutLevel y cada sección se engancha a una cara ya colocada de la anterior.
+ *
+ * Con cinturon (zonoedro alargado) la tira cruza cada fila de rombos verticales
+ * tomando las dos caras de la fila que comparten la arista vertical (niveles
+ * Ka+2 y Ka+1) antes de bajar a la fila siguiente.
+ *
+ * Con sector parcial se despliega el remolino completo y luego se conservan
+ * solo las caras i < sectorCount: cada cara mantiene su posición del remolino,
+ * por lo que no hay solapes aunque algunas tiras queden separadas.
+ *
  * Requiere jsPDF cargado (window.jspdf).
  */
 
-import { state, getColorForLevel } from './state.js';
+import { state, getColorForLevel, getSectorCount, getFootprintScale, isEllipticalFootprint, getPoleLevel, getRingBase, getRingZ, getRingRadius, hasLevelProfile, isBeltLevel } from './state.js';
+import { getFaceVertexIds } from './geometry.js';
 
 // ─── Álgebra 3D ───────────────────────────────────────────────────────────────
 function v3sub(a,b){return[a[0]-b[0],a[1]-b[1],a[2]-b[2]];}
@@ -40,34 +52,61 @@ function centroid2d(pts){const n=pts.length;return[pts.reduce((s,p)=>s+p[0],0)/n
 
 // ─── Geometría del zonoedro ───────────────────────────────────────────────────
 function getRingVertex(k,i){
-  const{Dmax,N,h1}=state;
-  const Rk=(Dmax/2)*Math.sin((k*Math.PI)/N);
-  const rotOffset=(k%2===0)?(Math.PI/N):0;
+  const{N}=state;
+  const kb=getRingBase(k).k;
+  const Rk=getRingRadius(k);
+  const rotOffset=(kb%2===0)?(Math.PI/N):0;
   const theta=-Math.PI/2+rotOffset+i*(2*Math.PI/N);
-  return[Rk*Math.cos(theta),Rk*Math.sin(theta),k*h1];
+  const{sx,sy}=getFootprintScale();
+  return[Rk*Math.cos(theta)*sx,Rk*Math.sin(theta)*sy,getRingZ(k)];
+}
+
+/** Nivel de la primera cara de cada tira: bajo el polo o nivel del óculo. */
+function getStripTopK(){
+  const{topCutActive,topCutLevel}=state;
+  return topCutActive?topCutLevel:getPoleLevel()-1;
 }
 
 /**
- * Vértices 3D de face(k,i).
+ * Vértices 3D de face(k,i), en el orden de getFaceVertexIds.
  * Rombos:     [vBottom, vRight, vTop, vLeft]
  * Triángulos: [vLeft, vRight, vTop]
+ * Triángulo del óculo: [vRight, vLeft, vBottom]
  */
 function buildFace3D(k,i){
-  const{N,cutActive,cutLevel}=state;
-  const startK=cutActive?cutLevel:1;
-  const idxL=(k%2===1)?i:(i-1+N)%N;
-  const idxR=(k%2===1)?(i+1)%N:i;
-  const vL=getRingVertex(k,idxL), vR=getRingVertex(k,idxR);
-  if(k===startK&&cutActive) return{verts:[vL,vR,getRingVertex(k+1,i)],isTriangle:true};
-  return{verts:[getRingVertex(k-1,i),vR,getRingVertex(k+1,i),vL],isTriangle:false};
+  const{ids,isTriangle}=getFaceVertexIds(k,i);
+  return{verts:ids.map(v=>getRingVertex(v.k,v.i)),ids,isTriangle};
 }
 
 /**
- * Dado face(k, i), retorna el índice i del nivel k-1 que comparte la arista
- * inferior-derecha (vBottom → vRight) con la cara actual.
+ * Siguiente cara de la tira después de face(k,i).
+ * Fuera del cinturon es la cara inferior que comparte la arista inferior-derecha
+ * (vBottom → vRight). En el cinturon primero se toma la otra cara de la fila
+ * (misma i, arista vertical compartida) y luego se baja por la arista inferior.
+ * @param {Set<string>} seen - claves "k,i" ya usadas por la tira
+ * @returns {{k:number,i:number}|null}
  */
-function stripNextI(k,i){
-  return (k%2===1) ? (i+1)%state.N : i;
+function stripNext(k,i,seen){
+  const{N,cutActive,cutLevel,beltRing}=state;
+  const startK=cutActive?cutLevel:1;
+  const{ids,isTopTriangle}=getFaceVertexIds(k,i);
+  let a=ids[0], b=ids[1];
+  if(isTopTriangle){a=ids[2];b=ids[0];}
+  if(isBeltLevel(k)){
+    const isA=(k-beltRing)%2===1;
+    const pk=isA?k+1:k-1;
+    if(!seen.has(`${pk},${i}`))return{k:pk,i};
+    if(isA)b=ids[3];
+  }
+  const has=(f,v)=>f.some(w=>w.k===v.k&&w.i===v.i);
+  for(let kk=k-1;kk>=Math.max(startK,k-3);kk--){
+    for(let ii=0;ii<N;ii++){
+      if(seen.has(`${kk},${ii}`))continue;
+      const f=getFaceVertexIds(kk,ii).ids;
+      if(has(f,a)&&has(f,b))return{k:kk,i:ii};
+    }
+  }
+  return null;
 }
 
 // ─── Despliegue isométrico ─────────────────────────────────────────────────────
@@ -129,38 +168,60 @@ function unfoldFace(faceBVerts,viB,e0_2d,e1_2d,parentCentroid2d){
  * Retorna Map con clave "s,level" → {verts2d, k, i, s, isTriangle}
  * s = índice de sección (0..N-1), level = posición en la tira (0=top/polo, 1,2…)
  */
+/**
+ * Proyecta la primera cara de una tira al plano 2D.
+ * Con polo: origen en el polo y vLeft sobre +X.
+ * Con óculo: origen en verts[0] y verts[1] sobre +X.
+ */
+function layoutFirstFace(face){
+  const{topCutActive}=state;
+  const origin=topCutActive?face.verts[0]:face.verts[2];   // vRight del óculo | polo
+  const toward=topCutActive?face.verts[1]:face.verts[3];   // vLeft del óculo | vLeft
+  const eDir=v3norm(v3sub(toward,origin));
+  const fN  =faceNormal3d(face.verts);
+  let pDir=v3norm(v3cross(fN,eDir));
+  const cent=face.verts.reduce((a,v)=>[a[0]+v[0],a[1]+v[1],a[2]+v[2]],[0,0,0]).map(x=>x/face.verts.length);
+  if(v3dot(v3sub(cent,origin),pDir)<0)pDir=pDir.map(x=>-x);
+  return face.verts.map(v=>{const r=v3sub(v,origin);return[v3dot(r,eDir),v3dot(r,pDir)];});
+}
+
 function buildPinwheelNet(){
   const{N,cutActive,cutLevel}=state;
   const startK=cutActive?cutLevel:1;
+  const topK=getStripTopK();
 
   // placed: clave "k,i" → {verts2d,k,i,s}
   // (cada cara aparece exactamente en una sección)
   const placed=new Map();
 
-  // ── Paso 1: colocar las N caras del nivel superior (k=N-1) ────────────────
-  // Polo en origen, vLeft de face(N-1,0) a lo largo de +X
-  const face0=buildFace3D(N-1,0);
-  const poleV=face0.verts[2];              // índice 2 = vTop = polo
-  const vLV  =face0.verts[3];             // índice 3 = vLeft
-  const eDir=v3norm(v3sub(vLV,poleV));
-  const fN0 =faceNormal3d(face0.verts);
-  let pDir=v3norm(v3cross(fN0,eDir));
-  const cent0=face0.verts.reduce((a,v)=>[a[0]+v[0],a[1]+v[1],a[2]+v[2]],[0,0,0]).map(x=>x/face0.verts.length);
-  if(v3dot(v3sub(cent0,poleV),pDir)<0)pDir=pDir.map(x=>-x);
-  const v0_2d=face0.verts.map(v=>{const r=v3sub(v,poleV);return[v3dot(r,eDir),v3dot(r,pDir)];});
-  placed.set(`${N-1},0`,{verts2d:v0_2d,k:N-1,i:0,s:0,isTriangle:false});
-
-  // Encadenar secciones 1..N-1 en el nivel superior (antihorario)
-  // Usar centroide de la cara anterior como referencia: NUNCA está sobre la arista
-  // compartida (que pasa por el polo), evitando el caso degenerado sideP=0.
-  for(let s=1;s<N;s++){
-    const fA=buildFace3D(N-1,s-1);
-    const fB=buildFace3D(N-1,s);
-    const{ia,ib}=findSharedEdge(fA.verts,fB.verts);
-    if(ia.length<2)continue;
-    const prev2d=placed.get(`${N-1},${s-1}`).verts2d;
-    const v2d=unfoldFace(fB.verts,ib,prev2d[ia[0]],prev2d[ia[1]],centroid2d(prev2d));
-    if(v2d)placed.set(`${N-1},${s}`,{verts2d:v2d,k:N-1,i:s,s,isTriangle:false});
+  // ── Paso 1: colocar la cara superior de cada sección (k=topK) ─────────────
+  // Sección 0 en origen (polo o vértice del óculo).
+  const face0=buildFace3D(topK,0);
+  placed.set(`${topK},0`,{verts2d:layoutFirstFace(face0),k:topK,i:0,s:0,isTriangle:face0.isTriangle});
+
+  // Encadenar secciones 1..N-1 (antihorario).
+  // Con polo, la cara superior anterior comparte arista (que pasa por el polo).
+  // Con óculo, los triángulos superiores solo comparten un vértice: se busca
+  // la arista compartida en la tira ya colocada de la sección anterior.
+  // Usar centroide de la cara de referencia: NUNCA está sobre la arista
+  // compartida, evitando el caso degenerado sideP=0.
+  const placeTop=(s)=>{
+    const fB=buildFace3D(topK,s);
+    const candidates=[placed.get(`${topK},${s-1}`),
+      ...[...placed.values()].filter(e=>e.s===s-1&&e.k!==topK)].filter(Boolean);
+    for(const ref of candidates){
+      const fA=buildFace3D(ref.k,ref.i);
+      const{ia,ib}=findSharedEdge(fA.verts,fB.verts);
+      if(ia.length<2)continue;
+      const prev2d=ref.verts2d;
+      const v2d=unfoldFace(fB.verts,ib,prev2d[ia[0]],prev2d[ia[1]],centroid2d(prev2d));
+      if(v2d){placed.set(`${topK},${s}`,{verts2d:v2d,k:topK,i:s,s,isTriangle:fB.isTriangle});return;}
+    }
+  };
+
+  const topCutActive=!!state.topCutActive;
+  if(!topCutActive){
+    for(let s=1;s<N;s++)placeTop(s);
   }
 
   // ── Paso 2: para cada sección, bajar siguiendo la arista inferior-derecha ──
@@ -168,11 +229,15 @@ function buildPinwheelNet(){
   // de despliegue. Así cada cara nueva siempre se abre en dirección opuesta al
   // polo, sin importar cuánto haya girado la tira (evita el cruce de brazos).
   for(let s=0;s<N;s++){
-    let curK=N-1, curI=s;
-    for(let k=N-2;k>=startK;k--){
-      const nextI=stripNextI(curK,curI);
+    if(topCutActive&&s>0)placeTop(s);
+    let curK=topK, curI=s;
+    const seen=new Set([`${topK},${s}`]);
+    for(let step=topK-startK;step>0;step--){
+      const next=stripNext(curK,curI,seen);
       const parentEntry=placed.get(`${curK},${curI}`);
-      if(!parentEntry)break;
+      if(!next||!parentEntry)break;
+      const k=next.k, nextI=next.i;
+      seen.add(`${k},${nextI}`);
       const fParent=buildFace3D(curK,curI);
       const fChild=buildFace3D(k,nextI);
       const{ia,ib}=findSharedEdge(fParent.verts,fChild.verts);
@@ -185,6 +250,12 @@ function buildPinwheelNet(){
     }
   }
 
+  // Sector parcial: descartar caras fuera del sector
+  const M=getSectorCount();
+  if(M<N){
+    for(const[key,e]of placed)if(e.i>=M)placed.delete(key);
+  }
+
   return placed;
 }
 
@@ -193,26 +264,23 @@ function buildPinwheelNet(){
  * Útil para páginas de recorte: la tira se desdobla siempre hacia la derecha.
  */
 function buildLinearStrip(s){
-  const{N,cutActive,cutLevel}=state;
+  const{cutActive,cutLevel}=state;
   const startK=cutActive?cutLevel:1;
+  const topK=getStripTopK();
   const strip=[]; // [{verts2d, k, i, isTriangle}, …]
 
-  // Cara superior (polo)
-  const fTop=buildFace3D(N-1,s);
-  const poleV=fTop.verts[2];
-  const vLV  =fTop.verts[3];
-  const eDir=v3norm(v3sub(vLV,poleV));
-  const fN  =faceNormal3d(fTop.verts);
-  let pDir=v3norm(v3cross(fN,eDir));
-  const cent=fTop.verts.reduce((a,v)=>[a[0]+v[0],a[1]+v[1],a[2]+v[2]],[0,0,0]).map(x=>x/fTop.verts.length);
-  if(v3dot(v3sub(cent,poleV),pDir)<0)pDir=pDir.map(x=>-x);
-  const vTop2d=fTop.verts.map(v=>{const r=v3sub(v,poleV);return[v3dot(r,eDir),v3dot(r,pDir)];});
-  strip.push({verts2d:vTop2d,k:N-1,i:s,isTriangle:false});
+  // Cara superior (polo u óculo)
+  const fTop=buildFace3D(topK,s);
+  strip.push({verts2d:layoutFirstFace(fTop),k:topK,i:s,isTriangle:fTop.isTriangle});
 
   // Bajar por arista inferior-derecha — siempre abrir alejándose del polo
-  let curK=N-1, curI=s;
-  for(let k=N-2;k>=startK;k--){
-    const nextI=stripNextI(curK,curI);
+  let curK=topK, curI=s;
+  const seen=new Set([`${topK},${s}`]);
+  for(let step=topK-startK;step>0;step--){
+    const next=stripNext(curK,curI,seen);
+    if(!next)break;
+    const k=next.k, nextI=next.i;
+    seen.add(`${k},${nextI}`);
     const fParent=buildFace3D(curK,curI);
     const fChild=buildFace3D(k,nextI);
     const{ia,ib}=findSharedEdge(fParent.verts,fChild.verts);
@@ -225,7 +293,9 @@ function buildLinearStrip(s){
     if(v2d)strip.push({verts2d:v2d,k,i:nextI,isTriangle:fChild.isTriangle});
     curK=k; curI=nextI;
   }
-  return strip;
+  // Sector parcial: solo caras dentro del sector (posiciones de la tira completa)
+  const M=getSectorCount();
+  return M<state.N?strip.filter(f=>f.i<M):strip;
 }
 
 // ─── Helpers de color ─────────────────────────────────────────────────────────
@@ -243,8 +313,8 @@ export class PinwheelPDFReporter {
     if(!jsPDF)throw new Error('jsPDF no disponible');
     const{N,cutActive,cutLevel,colorByLevel}=state;
     const startK=cutActive?cutLevel:1;
-    const totalLevels=N-1;
-    const numFacesPerStrip=N-startK;
+    const totalLevels=getPoleLevel()-1;
+    const numFacesPerStrip=getStripTopK()-startK+1;
 
     // 1. Construir remolino
     const placed=buildPinwheelNet();
@@ -271,9 +341,12 @@ export class PinwheelPDFReporter {
     this._drawPinwheelPage(doc,placed,SCALE,CX,CY,fcx,fcy,N,startK,totalLevels,colorByLevel);
 
     // ── Página 2: tira de la sección 1 (a escala máxima) ─────────────────
-    doc.addPage();
-    const strip0=buildLinearStrip(0);
-    this._drawStripPage(doc,strip0,0,N,startK,totalLevels,colorByLevel);
+    // Con planta elíptica las tiras ya no son idénticas: una página por sección.
+    const stripCount=isEllipticalFootprint()?getSectorCount():1;
+    for(let s=0;s<stripCount;s++){
+      doc.addPage();
+      this._drawStripPage(doc,buildLinearStrip(s),s,N,startK,totalLevels,colorByLevel);
+    }
 
     doc.save(`ZV_Remolino_N${N}_a${state.aDeg.toFixed(1)}.pdf`);
   }
@@ -281,7 +354,7 @@ export class PinwheelPDFReporter {
   // ─── Página 1: remolino completo ──────────────────────────────────────────
   static _drawPinwheelPage(doc,placed,scale,cx,cy,fcx,fcy,N,startK,totalLevels,colorByLevel){
     const{N:stN,aDeg,cutActive,cutLevel}=state;
-    const numStrips=N, facesPerStrip=N-startK;
+    const numStrips=N, facesPerStrip=getStripTopK()-startK+1;
 
     // Fondo
     doc.setFillColor(248,248,252);
@@ -292,7 +365,8 @@ export class PinwheelPDFReporter {
     doc.text('Remolino de Caras — Zonohedro Polar',cx,9,{align:'center'});
     doc.setFontSize(7.5);doc.setFont(undefined,'normal');doc.setTextColor(90);
     doc.text(
-      `N=${stN}  α=${aDeg.toFixed(2)}°  ${numStrips} secciones · ${facesPerStrip} caras/sección`,
+      `N=${stN}  α=${aDeg.toFixed(2)}°  ${numStrips} secciones · ${facesPerStrip} caras/sección`+
+      (getSectorCount()<stN?`  · sector ${getSectorCount()}/${stN}`:''),
       cx,15,{align:'center'});
 
     // Dibujar de k menor a mayor (fondo primero, polo encima)
@@ -305,9 +379,10 @@ export class PinwheelPDFReporter {
       this._drawPolygon(doc,pts,...fill);
     }
 
-    // Etiquetas de sección (número de sección en la cara del polo)
+    // Etiquetas de sección (número de sección en la cara del polo / óculo)
+    const topK=getStripTopK();
     for(let s=0;s<N;s++){
-      const e=placed.get(`${N-1},${s}`);
+      const e=placed.get(`${topK},${s}`);
       if(!e)continue;
       const pts=e.verts2d.map(([x,y])=>[cx+(x-fcx)*1000*scale, cy-(y-fcy)*1000*scale]);
       const fcx2=pts.reduce((a,p)=>a+p[0],0)/pts.length;
@@ -316,10 +391,12 @@ export class PinwheelPDFReporter {
       doc.text(`${s+1}`,fcx2,fcy2+1.5,{align:'center'});
     }
 
-    // Punto central del polo
-    const pX=cx+(0-fcx)*1000*scale, pY=cy-(0-fcy)*1000*scale;
-    doc.setFillColor(20,20,20);
-    doc.circle(pX,pY,0.8,'F');
+    // Punto central del polo (con óculo no hay polo)
+    if(!state.topCutActive){
+      const pX=cx+(0-fcx)*1000*scale, pY=cy-(0-fcy)*1000*scale;
+      doc.setFillColor(20,20,20);
+      doc.circle(pX,pY,0.8,'F');
+    }
 
     // Barra de escala
     this._drawScaleBar(doc,scale,8,200);
@@ -392,7 +469,9 @@ export class PinwheelPDFReporter {
 
   // ─── Página de resumen ────────────────────────────────────────────────────
   static _drawSummaryPage(doc,N,startK,totalLevels,fanScale){
-    const{N:stN,aDeg,Dmax,h1,Htotal,cutActive,cutLevel}=state;
+    const{N:stN,aDeg,Dmax,h1,Htotal,cutActive,cutLevel,topCutActive,topCutLevel}=state;
+    const facesPerStrip=getStripTopK()-startK+1;
+    const sectorCount=getSectorCount();
     const PW=297; let y=14;
 
     doc.setFontSize(14);doc.setFont(undefined,'bold');doc.setTextColor(30);
@@ -405,12 +484,17 @@ export class PinwheelPDFReporter {
       ['N (lados)',stN],
       ['Ángulo α',`${aDeg.toFixed(2)}°`],
       ['Dmax',`${(Dmax*1000).toFixed(0)} mm`],
-      ['h₁ (paso por nivel)',`${(h1*1000).toFixed(1)} mm`],
+      ['h₁ (paso por nivel)',hasLevelProfile()?'Variable':`${(h1*1000).toFixed(1)} mm`],
+      ['Perfil',hasLevelProfile()?`${state.levelAngles.map(a=>(a==null?aDeg:a).toFixed(1)).join(', ')}° (deltoides)`:'Uniforme'],
       ['Altura total estructura',`${(Htotal*1000).toFixed(0)} mm`],
       ['Corte',cutActive?`k=${cutLevel}`:'Sin corte'],
+      ['Óculo',topCutActive?`k=${topCutLevel}`:'Sin óculo'],
+      ['Sector',sectorCount<stN?`${sectorCount} de ${stN}`:'Completo'],
+      ['Cinturón',state.beltLevels>0?`${state.beltLevels} nivel(es) · +${(state.beltLevels*state.beltHeight*1000).toFixed(0)} mm`:'Sin cinturón'],
+      ['Planta',isEllipticalFootprint()?`Elíptica ${(Dmax*getFootprintScale().sx*1000).toFixed(0)} × ${(Dmax*getFootprintScale().sy*1000).toFixed(0)} mm`:'Circular'],
       ['Secciones (tiras)',stN],
-      ['Caras por sección',stN-startK],
-      ['Total caras',stN*(stN-startK)],
+      ['Caras por sección',facesPerStrip],
+      ['Total caras',sectorCount*facesPerStrip],
       ['Escala remolino p.1',`1:${(1/fanScale).toFixed(0)}`],
     ];
 
@@ -429,7 +513,7 @@ export class PinwheelPDFReporter {
     doc.text('Leyenda de colores por nivel k:',22,y); y+=7;
 
     const swatchCols=8;
-    for(let k=startK;k<=stN-1;k++){
+    for(let k=startK;k<=getStripTopK();k++){
       const col=(k-startK)%swatchCols, row=Math.floor((k-startK)/swatchCols);
       const[r,g,b]=intToRGB(getColorForLevel(k,totalLevels));
       const sx=22+col*32, sy=y+row*8;
@@ -438,7 +522,7 @@ export class PinwheelPDFReporter {
       doc.setFontSize(6.5);doc.setFont(undefined,'normal');doc.setTextColor(40);
       doc.text(`k=${k}`,sx+12.5,sy+4);
     }
-    y+=Math.ceil((stN-startK)/swatchCols)*8+9;
+    y+=Math.ceil(facesPerStrip/swatchCols)*8+9;
 
     doc.setLineWidth(0.2);doc.setDrawColor(200);doc.line(20,y,PW-20,y); y+=6;
 
@@ -486,7 +570,7 @@ export class PinwheelPDFReporter {
   static generateSVG(){
     const{N,cutActive,cutLevel,colorByLevel}=state;
     const startK=cutActive?cutLevel:1;
-    const totalLevels=N-1;
+    const totalLevels=getPoleLevel()-1;
 
     const placed=buildPinwheelNet();
 
@@ -516,15 +600,16 @@ export class PinwheelPDFReporter {
     }).join('\n    ');
 
     const labels=[];
+    const topK=getStripTopK();
     for(let s=0;s<N;s++){
-      const e=placed.get(`${N-1},${s}`);
+      const e=placed.get(`${topK},${s}`);
       if(!e)continue;
       const cx2=e.verts2d.reduce((a,[x])=>a+x,0)/e.verts2d.length;
       const cy2=e.verts2d.reduce((a,[,y])=>a+y,0)/e.verts2d.length;
       labels.push(`<text x="${(ox+cx2*1000).toFixed(1)}" y="${(oy-cy2*1000+1.5).toFixed(1)}" text-anchor="middle" font-family="sans-serif" font-size="6" font-weight="bold" fill="#1e1e1e">${s+1}</text>`);
     }
 
-    const poleDot=`<circle cx="${ox.toFixed(2)}" cy="${oy.toFixed(2)}" r="1.2" fill="#141414"/>`;
+    const poleDot=state.topCutActive?'':`<circle cx="${ox.toFixed(2)}" cy="${oy.toFixed(2)}" r="1.2" fill="#141414"/>`;
 
     const svgStr=`<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W.toFixed(1)} ${H.toFixed(1)}" width="${W.toFixed(1)}mm" height="${H.toFixed(1)}mm">
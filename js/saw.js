@@ -0,0 +1,124 @@
+/**
+ * saw.js
+ *
+ * Ajustes de ingletadora (sierra de inglete compuesta) para cada testa.
+ *
+ * La testa de una viga es el plano de bisel de _createBeveledBeamGeometry (tangente al
+ * cilindro del conector); la de una pletina, su testa biselada. Con la pieza apoyada
+ * en una cara sobre la mesa y otra contra la guia, un corte con inglete m (giro de la
+ * hoja sobre la mesa) e inclinacion b (hoja fuera de la vertical) tiene normal
+ *   n = (d·cos m + g·sin m)·cos b + h·sin b
+ * donde d = eje de la pieza saliendo por la testa, g = normal de la guia y h = normal
+ * de la mesa. Por lo tanto
+ *   b = asin(|n·h|)      m = atan(|n·g| / n·d)
+ *
+ * El signo de cada componente dice que cara queda con la punta larga: con
+ * n·d > 0, la cara hacia la que apunta n queda corta y la opuesta larga. Los
+ * laterales se nombran mirando la cara exterior desde fuera con la testa a cortar a
+ * la derecha (superior = d x t), de modo que el nombre no depende de A/B.
+ *
+ * Se prueban las dos posiciones (cara exterior en la mesa o cara lateral en la mesa)
+ * y se elige la que cabe en la sierra con la menor inclinacion: la mayoria de las
+ * ingletadoras inclinan menos de lo que giran y el inglete puro es mas preciso.
+ */
+
+import { sub, dot, cross, norm, perp, newellNormal } from './vec.js';
+
+/** Giro maximo de inglete de una ingletadora tipica (grados). */
+export const SAW_MITER_MAX_DEG = 60;
+/** Inclinacion maxima de hoja de una ingletadora tipica (grados). */
+export const SAW_TILT_MAX_DEG = 48;
+
+/** Cara apoyada en la mesa (la otra cara indicada va contra la guia). */
+export const SAW_REFERENCES = {
+  outer: 'Cara exterior en la mesa, lateral contra la guía',
+  side: 'Lateral en la mesa, cara exterior contra la guía',
+};
+
+/** Caras de la pieza para indicar la punta larga (ver convencion de laterales arriba). */
+export const SAW_FACES = {
+  outer: 'cara exterior',
+  inner: 'cara interior',
+  upper: 'lateral superior',
+  lower: 'lateral inferior',
+};
+
+/** Leyenda de la convencion de laterales para modal y PDF. */
+export const SAW_SIDES_NOTE = 'Larga = cara con la punta larga; laterales vistos desde la cara exterior con la testa a la derecha';
+
+/** Componentes por debajo de esto (≈0.05°) se tratan como corte recto: sin cara larga. */
+const SIDE_EPS = 1e-3;
+
+const deg = (r) => (r * 180) / Math.PI;
+
+/**
+ * Ajuste de corte de una testa.
+ * @param {{x,y,z}} n - normal del plano de corte
+ * @param {{x,y,z}} d - eje de la pieza, saliendo por la testa
+ * @param {{x,y,z}} w - direccion del ancho (normal de las caras laterales)
+ * @param {{x,y,z}} t - direccion del alto, de la cara exterior hacia la interior
+ * @returns {{miterDeg:number, tiltDeg:number, reference:'outer'|'side', fits:boolean,
+ *   miterLong:keyof SAW_FACES|null, tiltLong:keyof SAW_FACES|null}}
+ *   miterLong/tiltLong = cara con la punta larga del inglete / de la inclinacion
+ *   (null en corte recto)
+ */
+export function sawSettings(n, d, w, t) {
+  const s = dot(n, d) < 0 ? -1 : 1;
+  const nd = s * dot(n, d), nw = s * dot(n, w), nt = s * dot(n, t);
+  const nu = s * dot(n, cross(d, t));
+  const tLong = nt > SIDE_EPS ? 'outer' : nt < -SIDE_EPS ? 'inner' : null;
+  const uLong = nu > SIDE_EPS ? 'lower' : nu < -SIDE_EPS ? 'upper' : null;
+  const option = (table, fence, reference, tiltLong, miterLong) => {
+    const tiltDeg = deg(Math.asin(Math.min(1, Math.abs(table))));
+    const miterDeg = deg(Math.atan2(Math.abs(fence), nd));
+    return {
+      miterDeg, tiltDeg, reference, miterLong, tiltLong,
+      fits: miterDeg <= SAW_MITER_MAX_DEG && tiltDeg <= SAW_TILT_MAX_DEG,
+    };
+  };
+  const outer = option(nt, nw, 'outer', tLong, uLong);
+  const side = option(nw, nt, 'side', uLong, tLong);
+  if (outer.fits !== side.fits) return outer.fits ? outer : side;
+  // Empate practico: preferir la cara exterior en la mesa (es la cara de marcado)
+  return side.tiltDeg < outer.tiltDeg - 0.05 ? side : outer;
+}
+
+/**
+ * Ajustes para ambas testas de un hexaedro con el layout de vigas y pletinas:
+ *   testa inicio 0(-w, exterior) 1(+w, exterior) 2(+w, interior) 3(-w, interior), fin 4-7.
+ * @param {Array<{x,y,z}>} verts - 8 vertices
+ * @returns {{start:ReturnType<typeof sawSettings>, end:ReturnType<typeof sawSettings>}|null}
+ */
+export function endCutSettings(verts) {
+  if (!Array.isArray(verts) || verts.length !== 8) return null;
+  const cent = (idx) => {
+    const c = { x: 0, y: 0, z: 0 };
+    for (const i of idx) { c.x += verts[i].x / 4; c.y += verts[i].y / 4; c.z += verts[i].z / 4; }
+    return c;
+  };
+  const e = norm(sub(cent([4, 5, 6, 7]), cent([0, 1, 2, 3])));
+  if (!e) return null;
+  const w = norm(perp(sub(verts[1], verts[0]), e));
+  const t = norm(perp(sub(verts[3], verts[0]), e));
+  const nA = newellNormal([0, 1, 2, 3].map(i => verts[i]));
+  const nB = newellNormal([4, 5, 6, 7].map(i => verts[i]));
+  if (!w || !t || !nA || !nB) return null;
+  const back = { x: -e.x, y: -e.y, z: -e.z };
+  return { start: sawSettings(nA, back, w, t), end: sawSettings(nB, e, w, t) };
+}
+
+/** Cara con la punta larga de un angulo, o '' si el corte es recto. */
+export function formatSawLong(face) {
+  return face && SAW_FACES[face] ? `larga ${SAW_FACES[face]}` : '';
+}
+
+/** Texto para tooltips y tablas: "Ing 12.5° (larga lateral superior) · Incl 30.1° (larga cara exterior)". */
+export function formatSawSettings(cut) {
+  if (!cut) return '—';
+  const part = (label, value, face) => {
+    const long = formatSawLong(face);
+    return `${label} ${value.toFixed(1)}°${long ? ` (${long})` : ''}`;
+  };
+  const txt = `${part('Ing', cut.miterDeg, cut.miterLong)} · ${part('Incl', cut.tiltDeg, cut.tiltLong)}`;
+  return cut.fits ? txt : `${txt} (fuera de rango)`;
+}
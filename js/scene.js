@@ -1,6 +1,6 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { state } from './state.js';
+import { state, getTopLevel, getFootprintScale, getPoleLevel, getRingZ, getConnectorOverride } from './state.js';
 import { logger } from './logger.js';
 import {
   createPolygons,
@@ -8,11 +8,17 @@ import {
   createRhombi,
   createRhombiEdges,
   createAxisAndPoints,
-  createCutCap
+  createCutCap,
+  createTopCap
 } from './geometry.js';
 import { setRhombiData, clearRhombiData } from './state.js';
 import { StructureGenerator } from './structure-generator.js';
 import { StructureOBJExporter } from './export.js';
+import { BTLxExporter } from './btlx.js';
+import { BeamDXFExporter } from './dxf.js';
+import { IFCExporter } from './ifc.js';
+import { GLBExporter } from './gltf.js';
+import { windGeometryKey, computeWindPressures } from './wind.js';
 
 /**
  * Configuracion de la escena Three.js con optimizaciones de performance
@@ -185,6 +191,9 @@ export class SceneManager {
     // Estructura para conectores (cilindros + vigas)
     this.structureGroup = new THREE.Group();
 
+    // Presiones de viento (mapa de color + flechas), fuera de clearGroups
+    this.windGroup = new THREE.Group();
+
     this.mainGroup.add(this.polygonsGroup);
     this.mainGroup.add(this.helixGroup);
     this.mainGroup.add(this.rhombiGroup);
@@ -192,6 +201,7 @@ export class SceneManager {
     this.mainGroup.add(this.axisGroup);
     this.mainGroup.add(this.capGroup);
     this.mainGroup.add(this.structureGroup);
+    this.mainGroup.add(this.windGroup);
 
     this.scene.add(this.mainGroup);
 
@@ -319,11 +329,11 @@ export class SceneManager {
     this.clearGroups({ includeStructure: false });
     clearRhombiData();
 
-    const { N, cutActive, cutLevel, h1 } = state;
+    const { N, cutActive, cutLevel } = state;
 
     // Ajustar posicion vertical del grupo principal
     if (cutActive) {
-      this.mainGroup.position.z = -cutLevel * h1;
+      this.mainGroup.position.z = -getRingZ(cutLevel);
     } else {
       this.mainGroup.position.z = 0;
     }
@@ -339,6 +349,7 @@ export class SceneManager {
 
     // Mantener/actualizar estructura (independiente de caras/lineas)
     this.maybeUpdateStructure();
+    this._refreshStaleWindOverlay();
 
     // Actualizar iluminacion
     this.updateLighting();
@@ -366,6 +377,12 @@ export class SceneManager {
       });
     }
 
+    if (state.topCutActive && state.rhombiVisible) {
+      this.lazyBuildQueue.push(() => {
+        createTopCap(this.capGroup, this.matCap);
+      });
+    }
+
     // Iniciar construccion lazy (pasamos la versión capturada para detección de stale)
     const buildVersion = this._lazyBuildVersion;
     if (!this.lazyBuildInProgress) {
@@ -409,11 +426,11 @@ export class SceneManager {
     this.clearGroups({ includeStructure: false });
     clearRhombiData();
 
-    const { N, cutActive, cutLevel, h1 } = state;
+    const { N, cutActive, cutLevel } = state;
 
     // Ajustar posicion vertical del grupo principal
     if (cutActive) {
-      this.mainGroup.position.z = -cutLevel * h1;
+      this.mainGroup.position.z = -getRingZ(cutLevel);
     } else {
       this.mainGroup.position.z = 0;
     }
@@ -440,6 +457,11 @@ export class SceneManager {
       createCutCap(this.capGroup, this.matCap);
     }
 
+    // 4b) Tapa del oculo (corte superior)
+    if (state.topCutActive && state.rhombiVisible) {
+      createTopCap(this.capGroup, this.matCap);
+    }
+
     // 5) Axis and points
     if (state.axisVisible) {
       createAxisAndPoints(this.axisGroup, this.geomPoint, this.matPoint, this.matAxisLine);
@@ -447,6 +469,7 @@ export class SceneManager {
 
     // 6) Mantener/actualizar estructura (independiente de caras/lineas)
     this.maybeUpdateStructure();
+    this._refreshStaleWindOverlay();
 
     // 7) Actualizar iluminacion segun el modo
     this.updateLighting();
@@ -482,6 +505,15 @@ export class SceneManager {
       aDeg: s.aDeg,
       cutActive: !!s.cutActive,
       cutLevel: s.cutLevel,
+      topCutActive: !!s.topCutActive,
+      topCutLevel: s.topCutLevel,
+      sectorActive: !!s.sectorActive,
+      sectorCount: s.sectorCount,
+      ellipseActive: !!s.ellipseActive,
+      ellipseScaleX: s.ellipseScaleX,
+      ellipseScaleY: s.ellipseScaleY,
+      beltLevels: s.beltLevels || 0,
+      profile: s.profileActive ? s.levelAngles : null,
       // Parametros de estructura
       p,
 
@@ -493,7 +525,9 @@ export class SceneManager {
 
       // Overrides por nivel (edicion interactiva de conectores)
       co: s.structureConnectorOverrides || {},
+      cno: s.structureConnectorNodeOverrides || {},
       bo: s.structureBeamOverrides || {},
+      beo: s.structureBeamEdgeOverrides || {},
     });
   }
 
@@ -543,8 +577,9 @@ export class SceneManager {
           isIntersection: !!info.isIntersection,
           faceK: info.faceK,
           faceI: info.faceI,
+          nodeKey: info.nodeKey || null,
           isPoleLow: info.kOriginal === 0,
-          isPoleTop: info.kOriginal === state.N,
+          isPoleTop: info.kOriginal === getPoleLevel(),
         };
       }
 
@@ -559,8 +594,9 @@ export class SceneManager {
           isIntersection: !!info.isIntersection,
           faceK: info.faceK,
           faceI: info.faceI,
+          nodeKey: info.nodeKey || null,
           isPoleLow: info.kOriginal === 0,
-          isPoleTop: info.kOriginal === state.N,
+          isPoleTop: info.kOriginal === getPoleLevel(),
         };
       }
     }
@@ -622,6 +658,8 @@ export class SceneManager {
       const obj = h.object;
       if (obj && obj.userData && obj.userData.beamInfo) {
         const bi = obj.userData.beamInfo;
+        // El muro de arranque se define solo por su alto: no se edita ni elimina viga a viga
+        if (bi.isRiser) continue;
         const kLevelOriginal = Math.max((bi.a && bi.a.k != null ? bi.a.k : 0), (bi.b && bi.b.k != null ? bi.b.k : 0));
         const kVisible = (bi.kVisible != null) ? bi.kVisible : this._kVisible(kLevelOriginal);
         const widthMm = (bi.widthMm != null) ? Number(bi.widthMm) : null;
@@ -669,6 +707,9 @@ export class SceneManager {
 
     // BUG-M7 fix: limpiar outlines de selección antes de destruir los meshes
     this.cleanupSelectionOutlines();
+    // Los colores de aprovechamiento y de choques corresponden a la estructura anterior
+    this.clearBeamUtilization();
+    this.clearClashHighlight();
     this.structureGenerator.clear();
     const genResult = this.structureGenerator.generate(params);
     state.lastStructureWarnings = (genResult && genResult.warnings) ? genResult.warnings : [];
@@ -701,6 +742,51 @@ export class SceneManager {
     StructureOBJExporter.exportStructureToOBJ(this.structureGroup);
   }
 
+  /**
+   * Exporta las vigas a BTLx (piezas y mecanizados para CNC de carpinteria)
+   * @returns {number} tipos de viga exportados
+   */
+  exportConnectorStructureBTLx() {
+    if (!this.structureGroup || this.structureGroup.children.length === 0) {
+      throw new Error('No hay estructura generada');
+    }
+    return BTLxExporter.exportStructureToBTLx(this.structureGroup);
+  }
+
+  /**
+   * Exporta los planos de cada tipo de viga a DXF (mm, 1:1)
+   * @returns {number} tipos de viga dibujados
+   */
+  exportConnectorStructureDXF() {
+    if (!this.structureGroup || this.structureGroup.children.length === 0) {
+      throw new Error('No hay estructura generada');
+    }
+    return BeamDXFExporter.exportBeamTypesToDXF(this.structureGroup);
+  }
+
+  /**
+   * Exporta la estructura a IFC4 (vigas, conectores y pletinas con sus propiedades)
+   * @returns {{members:number, fasteners:number, plates:number}}
+   */
+  exportConnectorStructureIFC() {
+    if (!this.structureGroup || this.structureGroup.children.length === 0) {
+      throw new Error('No hay estructura generada');
+    }
+    return IFCExporter.exportStructureToIFC(this.structureGroup, this.structureGenerator);
+  }
+
+  /**
+   * Exporta la escena (cascara, estructura y pletinas) a GLB con la metadata como extras
+   * @returns {Promise<{shell:number, beams:number, connectors:number, plates:number}>}
+   */
+  exportSceneGLB() {
+    return GLBExporter.exportSceneToGLB({
+      rhombiGroup: this.rhombiGroup,
+      capGroup: this.capGroup,
+      structureGroup: this.structureGroup,
+    }, this.structureGenerator);
+  }
+
   /**
    * Resalta visualmente un conector seleccionado.
    * Implementacion: agrega un outline (EdgesGeometry) temporal al mesh.
@@ -839,6 +925,160 @@ export class SceneManager {
     this._needsRender = true;
   }
 
+  /**
+   * Colorea las vigas segun su aprovechamiento (0 = verde, >= 1 = rojo).
+   * Los materiales por tramo se crean aqui y se liberan en clearBeamUtilization().
+   * @param {Array<{mesh:THREE.Object3D, utilization:number}>} beams
+   */
+  setBeamUtilization(beams) {
+    this.clearBeamUtilization();
+    this.clearClashHighlight();
+    const buckets = 10;
+    this._utilMats = Array.from({ length: buckets + 1 }, (_, j) => new THREE.MeshStandardMaterial({
+      color: new THREE.Color().setHSL((1 - j / buckets) / 3, 0.85, 0.5),
+      metalness: 0.12,
+      roughness: 0.6,
+    }));
+    this._utilMeshes = [];
+    for (const b of (beams || [])) {
+      const mesh = b && b.mesh;
+      if (!mesh || mesh.parent !== this.structureGroup) continue;
+      const u = Number.isFinite(b.utilization) ? b.utilization : 0;
+      mesh.userData._zvBaseMaterial = mesh.material;
+      mesh.material = this._utilMats[Math.min(buckets, Math.max(0, Math.floor(u * buckets)))];
+      this._utilMeshes.push(mesh);
+    }
+    this._needsRender = true;
+  }
+
+  /** Restaura el material original de las vigas coloreadas por aprovechamiento. */
+  clearBeamUtilization() {
+    for (const mesh of (this._utilMeshes || [])) {
+      if (mesh.userData && mesh.userData._zvBaseMaterial) {
+        mesh.material = mesh.userData._zvBaseMaterial;
+        mesh.userData._zvBaseMaterial = null;
+      }
+    }
+    for (const m of (this._utilMats || [])) {
+      try { m.dispose(); } catch (e) {}
+    }
+    this._utilMats = null;
+    this._utilMeshes = null;
+    this._needsRender = true;
+  }
+
+  /**
+   * Resalta en rojo intenso las vigas y pletinas que chocan (clash.js).
+   * Comparte mecanica con setBeamUtilization; ambos resaltados se excluyen.
+   * @param {Array<{a:{mesh:THREE.Mesh}, b:{mesh:THREE.Mesh}}>} clashes
+   */
+  setClashHighlight(clashes) {
+    this.clearClashHighlight();
+    this.clearBeamUtilization();
+    this._clashMat = new THREE.MeshStandardMaterial({
+      color: 0xff00aa,
+      emissive: 0x550033,
+      metalness: 0.1,
+      roughness: 0.5,
+    });
+    this._clashMeshes = [];
+    for (const c of (clashes || [])) {
+      for (const mesh of [c.a && c.a.mesh, c.b && c.b.mesh]) {
+        if (!mesh || mesh.parent !== this.structureGroup || this._clashMeshes.includes(mesh)) continue;
+        mesh.userData._zvBaseMaterial = mesh.material;
+        mesh.material = this._clashMat;
+        this._clashMeshes.push(mesh);
+      }
+    }
+    this._needsRender = true;
+  }
+
+  clearClashHighlight() {
+    for (const mesh of (this._clashMeshes || [])) {
+      if (mesh.userData && mesh.userData._zvBaseMaterial) {
+        mesh.material = mesh.userData._zvBaseMaterial;
+        mesh.userData._zvBaseMaterial = null;
+      }
+    }
+    if (this._clashMat) {
+      try { this._clashMat.dispose(); } catch (e) {}
+    }
+    this._clashMat = null;
+    this._clashMeshes = null;
+    this._needsRender = true;
+  }
+
+  /**
+   * Dibuja las presiones de viento: caras coloreadas por Cpe (rojo presion, azul succion)
+   * y una flecha por cara en la direccion de la fuerza, proporcional a |p|.
+   * @param {ReturnType<import('./wind.js').computeWindPressures>} wind
+   */
+  setWindOverlay(wind) {
+    this.clearWindOverlay();
+    const faces = (wind && wind.faces) || [];
+    if (!faces.length) return;
+
+    const cpMax = Math.max(1e-6, ...faces.map(f => Math.abs(f.cpe)));
+    const pMax = Math.max(1e-6, ...faces.map(f => Math.abs(f.pressure)));
+    const span = Math.max(wind.d || 0, 1);
+    // Despegar el mapa de la cara para que no se mezcle con los rombos
+    const lift = span * 0.002;
+    const arrowLen = span * 0.12;
+
+    const positions = [];
+    const colors = [];
+    const color = new THREE.Color();
+    for (const f of faces) {
+      const t = f.cpe / cpMax;
+      color.setHSL(t >= 0 ? 0 : 0.62, 0.85, 0.75 - 0.3 * Math.abs(t));
+      const pts = f.points.map(p => new THREE.Vector3(
+        p.x + f.normal.x * lift, p.y + f.normal.y * lift, p.z + f.normal.z * lift));
+      for (let j = 1; j < pts.length - 1; j++) {
+        for (const p of [pts[0], pts[j], pts[j + 1]]) {
+          positions.push(p.x, p.y, p.z);
+          colors.push(color.r, color.g, color.b);
+        }
+      }
+
+      const len = arrowLen * Math.abs(f.pressure) / pMax;
+      if (len < arrowLen * 0.05) continue;
+      // Presion: la flecha llega a la cara desde afuera; succion: sale de la cara
+      const dir = new THREE.Vector3(f.normal.x, f.normal.y, f.normal.z).multiplyScalar(f.pressure > 0 ? -1 : 1);
+      const c = new THREE.Vector3(f.centroid.x, f.centroid.y, f.centroid.z);
+      const origin = f.pressure > 0 ? c.clone().addScaledVector(dir, -len) : c;
+      const arrow = new THREE.ArrowHelper(dir, origin, len, f.pressure > 0 ? 0xef4444 : 0x3b82f6, len * 0.3, len * 0.18);
+      this.windGroup.add(arrow);
+    }
+
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geom.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    const mat = new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    this.windGroup.add(new THREE.Mesh(geom, mat));
+    this._windOverlayKey = wind.key;
+    this._windOverlayOptions = { code: wind.code, speed: wind.speed, exposure: wind.exposure, directionDeg: wind.directionDeg };
+    this._needsRender = true;
+  }
+
+  clearWindOverlay() {
+    this.clearGroup(this.windGroup);
+    this._windOverlayKey = null;
+    this._windOverlayOptions = null;
+    this._needsRender = true;
+  }
+
+  /** La geometria cambio: recalcular las presiones dibujadas con los mismos datos de viento. */
+  _refreshStaleWindOverlay() {
+    if (!this._windOverlayKey || this._windOverlayKey === windGeometryKey()) return;
+    this.setWindOverlay(computeWindPressures(this._windOverlayOptions));
+  }
+
   _kVisible(kOriginal) {
     const { cutActive, cutLevel } = state;
     return cutActive ? Math.max(0, kOriginal - cutLevel) : kOriginal;
@@ -863,7 +1103,7 @@ export class SceneManager {
       const d = axisY.clone().applyQuaternion(hit.mesh.quaternion).normalize();
 
       // Params actuales del conector (para reconstruir la posicion del nodo)
-      const p = this._getConnectorParamsForK(hit.kOriginal);
+      const p = this._getConnectorParamsForK(hit.kOriginal, !!hit.isIntersection, hit.nodeKey || null);
       if (!p) return null;
       const depth = p.depth;
       const offset = p.offset;
@@ -873,7 +1113,7 @@ export class SceneManager {
 
       // Indice del conector (si existe)
       const hitI = (hit.mesh.userData && hit.mesh.userData.connectorInfo) ? hit.mesh.userData.connectorInfo.i : null;
-      const hitIsPole = (hit.kOriginal === 0 || hit.kOriginal === state.N);
+      const hitIsPole = (hit.kOriginal === 0 || hit.kOriginal === getPoleLevel());
 
       // Buscar vigas incidentes a este conector.
       // Elegimos la viga con bisel mas "agudo" (angulo menor) en este conector.
@@ -961,19 +1201,17 @@ export class SceneManager {
    * Replica de la logica de parametros por nivel (igual al generador) para uso en UI/presets.
    * Retorna unidades en metros.
    */
-  _getConnectorParamsForK(kOriginal, isIntersection = false) {
+  _getConnectorParamsForK(kOriginal, isIntersection = false, nodeKey = null) {
     try {
       if (!state.structureParams) return null;
       // MEJ-3/BUG-L4: delegar al método público de StructureGenerator para evitar duplicación
       if (this.structureGenerator && typeof this.structureGenerator.getCylParamsForK === 'function') {
-        const p = this.structureGenerator.getCylParamsForK(kOriginal, isIntersection, state.structureParams);
+        const p = this.structureGenerator.getCylParamsForK(kOriginal, isIntersection, state.structureParams, nodeKey);
         return { depth: p.depth, offset: p.offset };
       }
       // Fallback si structureGenerator no disponible
       const baseCylDepthMm = Number(state.structureParams.cylDepthMm) || 1;
-      const overrides = (state.structureConnectorOverrides && typeof state.structureConnectorOverrides === 'object')
-        ? state.structureConnectorOverrides : {};
-      const ov = overrides[String(kOriginal)] || overrides[kOriginal];
+      const ov = getConnectorOverride(kOriginal, isIntersection, nodeKey);
       const pMm = (ov && ov.cylDepthMm != null) ? Number(ov.cylDepthMm) : baseCylDepthMm;
       const offMm = (ov && ov.offsetMm != null && isFinite(Number(ov.offsetMm))) ? Math.max(0, Number(ov.offsetMm)) : 0;
       const depth = Math.max(0.001, (isFinite(pMm) && pMm > 0 ? pMm : baseCylDepthMm) / 1000);
@@ -1056,21 +1294,27 @@ export class SceneManager {
   }
 
   fitCamera() {
-    const { cutActive, cutLevel, h1, Htotal, Dmax } = state;
+    const { cutActive, cutLevel, Dmax } = state;
+    // Con oculo, la altura superior es la del anillo superior (no la del polo)
+    const topZ = getRingZ(getTopLevel());
     
     let centerZ;
     if (cutActive) {
-      const visibleHeight = Htotal - (cutLevel * h1);
+      const visibleHeight = topZ - getRingZ(cutLevel);
       centerZ = visibleHeight / 2;
     } else {
-      centerZ = Htotal / 2;
+      centerZ = topZ / 2;
     }
 
+    // Planta eliptica: encuadrar segun el diametro mayor
+    const { sx, sy } = getFootprintScale();
+    const extent = Dmax * Math.max(1, sx, sy);
+
     this.controls.target.set(0, 0, centerZ);
     this.camera.position.set(
-      Dmax * 2.2,
-      -Dmax * 2.2,
-      centerZ + Dmax * 0.6
+      extent * 2.2,
+      -extent * 2.2,
+      centerZ + extent * 0.6
     );
     this.controls.update();
     this._needsRender = true;
@@ -1,11 +1,12 @@
-import { state, updateStateCalculations } from './state.js';
+import { state, updateStateCalculations, parseLevelAngles } from './state.js';
 import { logger } from './logger.js';
+import { BOLT_DEFAULTS } from './bolts.js';
 
 /**
  * Versión del esquema de serialización.
  * Incrementar cuando cambie la estructura del JSON/URL de forma incompatible.
  */
-const SCHEMA_VERSION = '1.1';
+const SCHEMA_VERSION = '1.3';
 
 /**
  * Valida y normaliza una configuración importada.
@@ -37,11 +38,30 @@ function normalizeImportedConfig(raw) {
   const N    = safeNum(params.N,    3,   50,   state.N);
   const aDeg = safeNum(params.aDeg, 0.1, 89.9, state.aDeg);
   const Dmax = safeNum(params.Dmax, 0.01, null, state.Dmax);
+  // Planta eliptica (escala X/Y de los anillos)
+  const footprint = safeObj(params.footprint);
+  const ellipseActive = safeBool(footprint.active, false);
+  const ellipseScaleX = safeNum(footprint.scaleX, 0.25, 4, 1);
+  const ellipseScaleY = safeNum(footprint.scaleY, 0.25, 4, 1);
+  // Cinturon (zonohedro elongado): cada nivel agrega 2 anillos K por encima del ecuador
+  const beltLevels = Math.round(safeNum(params.beltLevels, 0, 10, 0));
+  const poleK = N + 2 * beltLevels;
+  // Perfil variable: angulo por nivel (null = usa aDeg)
+  const profile = safeObj(params.profile);
+  const profileActive = safeBool(profile.active, false);
+  const levelAngles = safeArr(profile.angles).slice(0, 49)
+    .map(a => (a == null || !isFinite(Number(a)) ? null : safeNum(a, 0.1, 89.9, null)));
 
   // Corte
   const cut = raw.cut || {};
   const cutActive = safeBool(cut.active, state.cutActive);
-  const cutLevel  = safeNum(cut.level, 1, N - 1, state.cutLevel);
+  const cutLevel  = safeNum(cut.level, 1, poleK - 1, state.cutLevel);
+  // Oculo (corte superior); updateStateCalculations() lo acota sobre el suelo
+  const topCutActive = safeBool(cut.topActive, false);
+  const topCutLevel  = safeNum(cut.topLevel, 1, poleK - 1, state.topCutLevel);
+  // Sector parcial (primeras sectorCount de N secciones)
+  const sectorActive = safeBool(cut.sectorActive, false);
+  const sectorCount  = safeNum(cut.sectorCount, 1, N, state.sectorCount);
 
   // Visualización
   const viz = raw.visualization || {};
@@ -66,6 +86,12 @@ function normalizeImportedConfig(raw) {
         platThicknessMm: safeNum(sp.platThicknessMm, 0, null, 3),
         platLengthMm:    safeNum(sp.platLengthMm,    0, null, 120),
         platWidthMm:     safeNum(sp.platWidthMm,     0, null, 50),
+        riserHeightMm:   safeNum(sp.riserHeightMm,   0, null, 0),
+        boltCount:       Math.floor(safeNum(sp.boltCount, 0, null, BOLT_DEFAULTS.boltCount)),
+        boltDiameterMm:  safeNum(sp.boltDiameterMm,  0.1, null, BOLT_DEFAULTS.boltDiameterMm),
+        boltEndMm:       safeNum(sp.boltEndMm,       0, null, BOLT_DEFAULTS.boltEndMm),
+        boltEdgeMm:      safeNum(sp.boltEdgeMm,      0, null, BOLT_DEFAULTS.boltEdgeMm),
+        boltGaugeMm:     safeNum(sp.boltGaugeMm,     0.1, null, BOLT_DEFAULTS.boltGaugeMm),
       };
     } else {
       warnings.push('Parámetros de estructura incompletos; estructura ignorada');
@@ -75,13 +101,18 @@ function normalizeImportedConfig(raw) {
   return {
     ok: true,
     config: {
-      N, aDeg, Dmax, cutActive, cutLevel,
+      N, aDeg, Dmax, ellipseActive, ellipseScaleX, ellipseScaleY, beltLevels, profileActive, levelAngles,
+      cutActive, cutLevel, topCutActive, topCutLevel, sectorActive, sectorCount,
       rhombiVisible, polysVisible, linesVisible, axisVisible, colorByLevel,
       structureVisible: safeBool(struct.visible, true),
       structureParams,
       connectorOverrides:             safeObj(struct.connectorOverrides),
       intersectionConnectorOverrides: safeObj(struct.intersectionConnectorOverrides || {}),
+      connectorNodeOverrides:         safeObj(struct.connectorNodeOverrides || {}),
       beamOverrides:                  safeObj(struct.beamOverrides),
+      beamEdgeOverrides:              safeObj(struct.beamEdgeOverrides || {}),
+      materials:                      safeObj(struct.materials || {}),
+      levelMaterials:                 safeObj(struct.levelMaterials || {}),
       intersectionFaces:              safeObj(struct.intersectionFaces),
       extraBeams:                     safeArr(struct.extraBeams),
       deletedBeams:                   safeArr(struct.deletedBeams),
@@ -97,8 +128,18 @@ function applyNormalizedConfig(cfg) {
   state.N         = cfg.N;
   state.aDeg      = cfg.aDeg;
   state.Dmax      = cfg.Dmax;
+  state.ellipseActive = cfg.ellipseActive;
+  state.ellipseScaleX = cfg.ellipseScaleX;
+  state.ellipseScaleY = cfg.ellipseScaleY;
+  state.beltLevels = cfg.beltLevels;
+  state.profileActive = cfg.profileActive;
+  state.levelAngles = cfg.levelAngles;
   state.cutActive = cfg.cutActive;
   state.cutLevel  = cfg.cutLevel;
+  state.topCutActive = cfg.topCutActive;
+  state.topCutLevel  = cfg.topCutLevel;
+  state.sectorActive = cfg.sectorActive;
+  state.sectorCount  = cfg.sectorCount;
 
   state.rhombiVisible = cfg.rhombiVisible;
   state.polysVisible  = cfg.polysVisible;
@@ -111,7 +152,11 @@ function applyNormalizedConfig(cfg) {
 
   state.structureConnectorOverrides             = cfg.connectorOverrides;
   state.structureIntersectionConnectorOverrides = cfg.intersectionConnectorOverrides;
+  state.structureConnectorNodeOverrides         = cfg.connectorNodeOverrides;
   state.structureBeamOverrides                  = cfg.beamOverrides;
+  state.structureBeamEdgeOverrides              = cfg.beamEdgeOverrides;
+  state.structureMaterials                      = cfg.materials;
+  state.structureLevelMaterials                 = cfg.levelMaterials;
   state.structureIntersectionFaces              = cfg.intersectionFaces;
   state.structureExtraBeams                     = cfg.extraBeams;
   state.structureDeletedBeams                   = cfg.deletedBeams;
@@ -144,6 +189,31 @@ export class ShareManager {
       axis:     state.axisVisible   ? '1' : '0',
     });
 
+    if (state.topCutActive) {
+      params.set('tcut', '1');
+      params.set('tcutLevel', String(state.topCutLevel));
+    }
+
+    if (state.sectorActive) {
+      params.set('sec', '1');
+      params.set('secCount', String(state.sectorCount));
+    }
+
+    if (state.ellipseActive) {
+      params.set('ell', '1');
+      params.set('esx', state.ellipseScaleX.toFixed(3));
+      params.set('esy', state.ellipseScaleY.toFixed(3));
+    }
+
+    if (state.beltLevels > 0) {
+      params.set('belt', String(state.beltLevels));
+    }
+
+    if (state.profileActive) {
+      params.set('prof', '1');
+      params.set('pa', state.levelAngles.map(a => (a == null ? '' : String(a))).join(','));
+    }
+
     if (state.structureParams) {
       params.set('struct', '1');
       params.set('sv', state.structureVisible ? '1' : '0');
@@ -155,6 +225,14 @@ export class ShareManager {
       if (Number.isFinite(Number(p.platThicknessMm))) params.set('pt', String(Number(p.platThicknessMm)));
       if (Number.isFinite(Number(p.platLengthMm)))    params.set('pl', String(Number(p.platLengthMm)));
       if (Number.isFinite(Number(p.platWidthMm)))     params.set('pw', String(Number(p.platWidthMm)));
+      if (Number(p.riserHeightMm) > 0)                params.set('rh', String(Number(p.riserHeightMm)));
+      if (Number(p.boltCount) > 0) {
+        params.set('bn', String(Number(p.boltCount)));
+        params.set('bd', String(Number(p.boltDiameterMm)));
+        params.set('be', String(Number(p.boltEndMm)));
+        params.set('bx', String(Number(p.boltEdgeMm)));
+        params.set('bg', String(Number(p.boltGaugeMm)));
+      }
 
       const safeSetJSON = (key, value) => {
         if (!value) return;
@@ -165,7 +243,11 @@ export class ShareManager {
       };
       safeSetJSON('co',  state.structureConnectorOverrides);
       safeSetJSON('cio', state.structureIntersectionConnectorOverrides);
+      safeSetJSON('cno', state.structureConnectorNodeOverrides);
       safeSetJSON('bo',  state.structureBeamOverrides);
+      safeSetJSON('beo', state.structureBeamEdgeOverrides);
+      safeSetJSON('gm',  state.structureMaterials);
+      safeSetJSON('lm',  state.structureLevelMaterials);
       safeSetJSON('xf',  state.structureIntersectionFaces);
       safeSetJSON('xb',  state.structureExtraBeams);
       safeSetJSON('db',  state.structureDeletedBeams);
@@ -188,9 +270,31 @@ export class ShareManager {
     if (params.has('N'))    state.N    = Math.max(3, Math.min(50, parseInt(params.get('N'))));
     if (params.has('a'))    state.aDeg = Math.max(0.1, Math.min(89.9, parseFloat(params.get('a'))));
     if (params.has('Dmax')) state.Dmax = Math.max(0.1, parseFloat(params.get('Dmax')));
+    state.ellipseActive = params.get('ell') === '1';
+    if (params.has('esx')) {
+      const sx = parseFloat(params.get('esx'));
+      if (Number.isFinite(sx)) state.ellipseScaleX = sx;
+    }
+    if (params.has('esy')) {
+      const sy = parseFloat(params.get('esy'));
+      if (Number.isFinite(sy)) state.ellipseScaleY = sy;
+    }
+    state.beltLevels = params.has('belt') ? (parseInt(params.get('belt')) || 0) : 0;
+    state.profileActive = params.get('prof') === '1';
+    state.levelAngles = params.has('pa') ? parseLevelAngles(params.get('pa')) : [];
 
     if (params.has('cut'))      state.cutActive = params.get('cut') === '1';
     if (params.has('cutLevel')) state.cutLevel  = parseInt(params.get('cutLevel'));
+    state.topCutActive = params.get('tcut') === '1';
+    if (params.has('tcutLevel')) {
+      const tl = parseInt(params.get('tcutLevel'));
+      if (Number.isFinite(tl)) state.topCutLevel = tl;
+    }
+    state.sectorActive = params.get('sec') === '1';
+    if (params.has('secCount')) {
+      const sc = parseInt(params.get('secCount'));
+      if (Number.isFinite(sc)) state.sectorCount = sc;
+    }
     if (params.has('faces'))    state.rhombiVisible = params.get('faces') === '1';
     if (params.has('polys'))    state.polysVisible  = params.get('polys') === '1';
     if (params.has('lines'))    state.linesVisible  = params.get('lines') === '1';
@@ -210,12 +314,22 @@ export class ShareManager {
           platThicknessMm: params.has('pt') ? Number(params.get('pt')) : 3,
           platLengthMm:    params.has('pl') ? Number(params.get('pl')) : 120,
           platWidthMm:     params.has('pw') ? Number(params.get('pw')) : 50,
+          riserHeightMm:   params.has('rh') ? Number(params.get('rh')) : 0,
+          boltCount:       params.has('bn') ? Number(params.get('bn')) : BOLT_DEFAULTS.boltCount,
+          boltDiameterMm:  params.has('bd') ? Number(params.get('bd')) : BOLT_DEFAULTS.boltDiameterMm,
+          boltEndMm:       params.has('be') ? Number(params.get('be')) : BOLT_DEFAULTS.boltEndMm,
+          boltEdgeMm:      params.has('bx') ? Number(params.get('bx')) : BOLT_DEFAULTS.boltEdgeMm,
+          boltGaugeMm:     params.has('bg') ? Number(params.get('bg')) : BOLT_DEFAULTS.boltGaugeMm,
         };
         state.structureVisible = params.get('sv') !== '0';
 
         const co  = safeGetJSON('co');  if (co  && typeof co  === 'object') state.structureConnectorOverrides             = co;
         const cio = safeGetJSON('cio'); if (cio && typeof cio === 'object') state.structureIntersectionConnectorOverrides = cio;
+        const cno = safeGetJSON('cno'); if (cno && typeof cno === 'object') state.structureConnectorNodeOverrides         = cno;
         const bo  = safeGetJSON('bo');  if (bo  && typeof bo  === 'object') state.structureBeamOverrides                  = bo;
+        const beo = safeGetJSON('beo'); if (beo && typeof beo === 'object') state.structureBeamEdgeOverrides              = beo;
+        const gm  = safeGetJSON('gm');  if (gm  && typeof gm  === 'object') state.structureMaterials                      = gm;
+        const lm  = safeGetJSON('lm');  if (lm  && typeof lm  === 'object') state.structureLevelMaterials                 = lm;
         const xf  = safeGetJSON('xf');  if (xf  && typeof xf  === 'object') state.structureIntersectionFaces              = xf;
         const xb  = safeGetJSON('xb');  if (Array.isArray(xb))              state.structureExtraBeams                     = xb;
         const db  = safeGetJSON('db');  if (Array.isArray(db))              state.structureDeletedBeams                   = db;
@@ -266,8 +380,17 @@ export class ShareManager {
       version: SCHEMA_VERSION,
       app: 'ZValdivia',
       timestamp: new Date().toISOString(),
-      parameters: { N: state.N, aDeg: state.aDeg, Dmax: state.Dmax },
-      cut:          { active: state.cutActive, level: state.cutLevel },
+      parameters: {
+        N: state.N, aDeg: state.aDeg, Dmax: state.Dmax,
+        footprint: { active: !!state.ellipseActive, scaleX: state.ellipseScaleX, scaleY: state.ellipseScaleY },
+        beltLevels: state.beltLevels || 0,
+        profile: { active: !!state.profileActive, angles: state.levelAngles },
+      },
+      cut:          {
+        active: state.cutActive, level: state.cutLevel,
+        topActive: !!state.topCutActive, topLevel: state.topCutLevel,
+        sectorActive: !!state.sectorActive, sectorCount: state.sectorCount,
+      },
       visualization: {
         rhombiVisible: state.rhombiVisible,
         polysVisible:  state.polysVisible,
@@ -280,7 +403,11 @@ export class ShareManager {
         params:  state.structureParams ? { ...state.structureParams } : null,
         connectorOverrides:             { ...(state.structureConnectorOverrides             || {}) },
         intersectionConnectorOverrides: { ...(state.structureIntersectionConnectorOverrides || {}) },
+        connectorNodeOverrides:         { ...(state.structureConnectorNodeOverrides         || {}) },
         beamOverrides:                  { ...(state.structureBeamOverrides                  || {}) },
+        beamEdgeOverrides:              { ...(state.structureBeamEdgeOverrides              || {}) },
+        materials:                      { ...(state.structureMaterials                      || {}) },
+        levelMaterials:                 { ...(state.structureLevelMaterials                 || {}) },
         intersectionFaces:              { ...(state.structureIntersectionFaces              || {}) },
         extraBeams:   [...(state.structureExtraBeams   || [])],
         deletedBeams: [...(state.structureDeletedBeams || [])],
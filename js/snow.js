@@ -0,0 +1,176 @@
+/**
+ * snow.js
+ *
+ * Cargas de nieve sobre la cupula segun EN 1991-1-3: s = μ·Ce·Ct·sk sobre la
+ * proyeccion horizontal de cada cara.
+ *
+ * La pendiente de cada cara sale de su normal exterior (PDFReporter._orientedFaceNormal),
+ * la misma que usa el reporte de caras. Caras que miran hacia abajo no reciben nieve.
+ *
+ *   - Equilibrada: μ1(α) de la Tabla 5.2 (0.8 hasta 30°, lineal hasta 0 en 60°).
+ *   - Desequilibrada (acumulacion por viento): caso (ii) de cubiertas curvas (5.3.6)
+ *     llevado a la cupula. μ3 = 0.2 + 10·f/d (≤ 2.0); con s la posicion a lo largo del
+ *     viento (-1 barlovento, 0 corona, +1 sotavento) la carga crece desde la corona hasta
+ *     la mitad de cada lado y sigue constante: 0.5·μ3 a barlovento, μ3 a sotavento.
+ *     Sin nieve donde la pendiente supera 60°.
+ *
+ * Las fuerzas por cara se reparten a partes iguales entre sus vertices (fem.js).
+ * Unidades: kN/m², m², kN.
+ */
+
+import { state, getPoleLevel, getSectorCount, getRingZ } from './state.js';
+import { getFaceVertexIds, getRingVertex } from './geometry.js';
+import { PDFReporter } from './pdf-report.js';
+import { newell } from './vec.js';
+
+/** Coeficiente de exposicion Ce (Tabla 5.1). */
+export const SNOW_EXPOSURES = [
+  { value: 0.8, label: 'Expuesta al viento (0.8)' },
+  { value: 1.0, label: 'Normal (1.0)' },
+  { value: 1.2, label: 'Protegida (1.2)' },
+];
+
+export const SNOW_CASES = {
+  balanced: 'Equilibrada',
+  drift: 'Desequilibrada',
+};
+
+// Pendiente desde la que la nieve desliza (μ = 0)
+const SNOW_SLIDE_DEG = 60;
+const MU3_MAX = 2.0;
+
+/** μ1 segun la pendiente (grados). */
+export function snowShapeCoefficient(slopeDeg) {
+  if (slopeDeg <= 30) return 0.8;
+  if (slopeDeg >= SNOW_SLIDE_DEG) return 0;
+  return (0.8 * (SNOW_SLIDE_DEG - slopeDeg)) / 30;
+}
+
+/** Misma clave que StructureGenerator._keyForVertex. */
+function vertexKey(k, i) {
+  if (k === 0) return 'pole_low';
+  if (k === getPoleLevel()) return 'pole_top';
+  return `k${k}_i${i}`;
+}
+
+/**
+ * Cargas de nieve por cara y por nivel para los dos casos.
+ * @param {{sk:number, Ce?:number, Ct?:number, directionDeg?:number}} options
+ *   sk en kN/m²; directionDeg = direccion de donde sopla el viento (planta, desde +X)
+ * @returns {{
+ *   sk:number, Ce:number, Ct:number, directionDeg:number, mu3:number, d:number, f:number,
+ *   faces:Array<{level:number, i:number, keys:string[], slopeDeg:number, areaPlan:number, s:number,
+ *     muBalanced:number, muDrift:number, balanced:number, drift:number}>,
+ *   levels:Array<{level:number, count:number, slopeMin:number, slopeMax:number, areaPlan:number,
+ *     muBalancedMin:number, muBalancedMax:number, muDriftMin:number, muDriftMax:number,
+ *     forceBalanced:number, forceDrift:number}>,
+ *   totals:{balanced:number, drift:number, areaPlan:number}
+ * }} balanced/drift de cada cara en kN/m² de proyeccion horizontal; fuerzas en kN
+ */
+export function computeSnowLoads(options = {}) {
+  const sk = Math.max(0, Number(options.sk) || 0);
+  const Ce = Number(options.Ce) > 0 ? Number(options.Ce) : 1;
+  const Ct = Number(options.Ct) > 0 ? Number(options.Ct) : 1;
+  const directionDeg = Number(options.directionDeg) || 0;
+
+  const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
+  const startK = cutActive ? cutLevel : 1;
+  const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
+  const M = getSectorCount();
+
+  // Luz y flecha de la parte que recibe nieve: desde el anillo mas ancho hasta arriba
+  let rMax = 0, zEq = getRingZ(startK);
+  for (let K = startK; K <= endK; K++) {
+    for (let i = 0; i < state.N; i++) {
+      const v = getRingVertex(K, i);
+      const r = Math.hypot(v.x, v.y);
+      if (r > rMax + 1e-9) { rMax = r; zEq = v.z; }
+    }
+  }
+  const d = 2 * rMax;
+  const f = Math.max(0, getRingZ(topCutActive ? topCutLevel : getPoleLevel()) - zEq);
+  const mu3 = Math.min(MU3_MAX, 0.2 + (d > 0 ? (10 * f) / d : 0));
+
+  // Direccion hacia donde sopla (en planta)
+  const th = (directionDeg * Math.PI) / 180;
+  const wx = -Math.cos(th), wy = -Math.sin(th);
+  const base = Ce * Ct * sk;
+
+  const faces = [];
+  const levels = [];
+  for (let k = startK; k <= endK; k++) {
+    const lv = {
+      level: k, count: 0, slopeMin: Infinity, slopeMax: -Infinity, areaPlan: 0,
+      muBalancedMin: Infinity, muBalancedMax: -Infinity, muDriftMin: Infinity, muDriftMax: -Infinity,
+      forceBalanced: 0, forceDrift: 0,
+    };
+    for (let i = 0; i < M; i++) {
+      const ids = getFaceVertexIds(k, i).ids;
+      const pts = ids.map(v => getRingVertex(v.k, v.i));
+      const n = PDFReporter._orientedFaceNormal(pts);
+
+      // Area real (Newell) y su proyeccion horizontal
+      const a = newell(pts);
+      const area = 0.5 * Math.hypot(a.x, a.y, a.z);
+      const c = { x: 0, y: 0 };
+      for (const p of pts) {
+        c.x += p.x / pts.length;
+        c.y += p.y / pts.length;
+      }
+      const nz = Math.max(-1, Math.min(1, n.z));
+      const slopeDeg = (Math.acos(nz) * 180) / Math.PI;
+      const areaPlan = nz > 0 ? area * nz : 0;
+
+      const s = rMax > 0 ? Math.max(-1, Math.min(1, (c.x * wx + c.y * wy) / rMax)) : 0;
+      const muBalanced = nz > 0 ? snowShapeCoefficient(slopeDeg) : 0;
+      const shape = Math.min(1, 2 * Math.abs(s));
+      const muDrift = (nz > 0 && slopeDeg < SNOW_SLIDE_DEG) ? mu3 * shape * (s < 0 ? 0.5 : 1) : 0;
+
+      const face = {
+        level: k,
+        i,
+        keys: ids.map(v => vertexKey(v.k, v.i)),
+        slopeDeg,
+        areaPlan,
+        s,
+        muBalanced,
+        muDrift,
+        balanced: muBalanced * base,
+        drift: muDrift * base,
+      };
+      faces.push(face);
+
+      lv.count++;
+      lv.slopeMin = Math.min(lv.slopeMin, slopeDeg);
+      lv.slopeMax = Math.max(lv.slopeMax, slopeDeg);
+      lv.areaPlan += areaPlan;
+      lv.muBalancedMin = Math.min(lv.muBalancedMin, muBalanced);
+      lv.muBalancedMax = Math.max(lv.muBalancedMax, muBalanced);
+      lv.muDriftMin = Math.min(lv.muDriftMin, muDrift);
+      lv.muDriftMax = Math.max(lv.muDriftMax, muDrift);
+      lv.forceBalanced += face.balanced * areaPlan;
+      lv.forceDrift += face.drift * areaPlan;
+    }
+    if (lv.count) levels.push(lv);
+  }
+
+  const totals = {
+    balanced: levels.reduce((t, l) => t + l.forceBalanced, 0),
+    drift: levels.reduce((t, l) => t + l.forceDrift, 0),
+    areaPlan: levels.reduce((t, l) => t + l.areaPlan, 0),
+  };
+  return { sk, Ce, Ct, directionDeg, mu3, d, f, faces, levels, totals };
+}
+
+/**
+ * Fuerza vertical de cada cara para un caso, lista para fem.js.
+ * @param {ReturnType<typeof computeSnowLoads>} snow
+ * @param {'balanced'|'drift'} snowCase
+ * @returns {Array<{keys:string[], force:number}>} kN hacia abajo
+ */
+export function snowFaceLoads(snow, snowCase = 'balanced') {
+  const field = snowCase === 'drift' ? 'drift' : 'balanced';
+  return ((snow && snow.faces) || [])
+    .map(f => ({ keys: f.keys, force: f[field] * f.areaPlan }))
+    .filter(f => f.force > 0);
+}
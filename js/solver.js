@@ -0,0 +1,179 @@
+/**
+ * solver.js
+ *
+ * Solver multi-restriccion de la geometria del zonohedro.
+ *
+ * El usuario fija dos o tres de: N, aDeg, Dmax, diametro del piso, altura visible,
+ * lado del rombo y niveles visibles. Para cada N entero se buscan aDeg, Dmax y el
+ * nivel de corte que mejor cumplen las restricciones y se devuelven las soluciones
+ * ordenadas por error relativo.
+ *
+ * Con N, K y aDeg fijos todas las longitudes son proporcionales a Dmax:
+ *   r      = Dmax/2 · sin(π/N)        (proyeccion horizontal de la arista)
+ *   h1     = r · tan(a)
+ *   lado   = r / cos(a)              (= beltHeight)
+ *   piso   = Dmax · sin(kCorte·π/N)
+ *   altura = Δk·h1 + Δshift·lado     (Δ entre el anillo superior y el suelo)
+ * Por eso Dmax se obtiene en forma cerrada (media geometrica) y solo aDeg se busca
+ * numericamente.
+ *
+ * El cinturon, el oculo (niveles retirados) y la planta se mantienen del state.
+ * Con perfil por nivel (hasLevelProfile) las relaciones anteriores no valen: el
+ * solver queda deshabilitado y no devuelve soluciones.
+ */
+
+import { state, getPoleLevel, getRingBaseFor, hasLevelProfile } from './state.js';
+
+export const SOLVER_LIMITS = {
+  N: [3, 50],
+  aDeg: [0.1, 89.9],
+  Dmax: [0.1, 50],
+};
+
+/** Parametros que se pueden fijar, en el orden en que se muestran. */
+export const SOLVER_PARAMS = ['N', 'aDeg', 'Dmax', 'floorDiameter', 'height', 'edge', 'levels'];
+
+const LENGTH_PARAMS = ['Dmax', 'floorDiameter', 'height', 'edge'];
+
+/**
+ * Longitudes de la geometria (N, cutLevel) por unidad de Dmax para un angulo dado.
+ * cutLevel = 0 significa sin corte (suelo en el polo inferior).
+ */
+function unitLengths(N, B, cutLevel, topK, aDeg) {
+  const a = (aDeg * Math.PI) / 180;
+  const r = 0.5 * Math.sin(Math.PI / N);
+  const h1 = r * Math.tan(a);
+  const edge = r / Math.cos(a);
+  const top = getRingBaseFor(topK, N, B);
+  const bot = getRingBaseFor(cutLevel, N, B);
+  return {
+    Dmax: 1,
+    floorDiameter: cutLevel > 0 ? Math.sin((bot.k * Math.PI) / N) : 0,
+    height: (top.k - bot.k) * h1 + (top.shift - bot.shift) * edge,
+    edge,
+  };
+}
+
+/** Niveles de corte candidatos para N (fuera del cinturon, al menos un nivel visible). */
+function cutCandidates(N, B, topK, fixed) {
+  const pole = N + 2 * B;
+  const kE = Math.floor((N - 1) / 2);
+  const ok = (K) => K >= 1 && K < topK && !(B > 0 && K > kE && K <= kE + 2 * B);
+
+  if (fixed.levels != null) {
+    const K = pole - Math.round(fixed.levels);
+    return ok(K) ? [K] : [];
+  }
+  if (fixed.floorDiameter != null) {
+    const out = [];
+    for (let K = 1; K < topK; K++) if (ok(K)) out.push(K);
+    return out;
+  }
+  if (!state.cutActive) return [0];
+  const K = pole - (getPoleLevel() - state.cutLevel);
+  return ok(K) ? [K] : [];
+}
+
+/**
+ * Evalua la mejor solucion para (N, cutLevel, aDeg) y devuelve su error.
+ * El error es la raiz cuadratica media de los errores relativos de las longitudes fijas.
+ */
+function fitAtAngle(N, B, cutLevel, topK, aDeg, fixed) {
+  const u = unitLengths(N, B, cutLevel, topK, aDeg);
+  const targets = LENGTH_PARAMS.filter((p) => fixed[p] != null && u[p] > 0);
+
+  let Dmax;
+  if (fixed.Dmax != null) {
+    Dmax = fixed.Dmax;
+  } else if (targets.length) {
+    Dmax = Math.exp(targets.reduce((s, p) => s + Math.log(fixed[p] / u[p]), 0) / targets.length);
+  } else {
+    Dmax = state.Dmax;
+  }
+
+  let err2 = 0;
+  for (const p of targets) {
+    const rel = (u[p] * Dmax) / fixed[p] - 1;
+    err2 += rel * rel;
+  }
+  const error = targets.length ? Math.sqrt(err2 / targets.length) : 0;
+  return { aDeg, Dmax, error, u };
+}
+
+/** Busca aDeg (grilla de 0.5° + refinamiento por seccion aurea) minimizando el error. */
+function fitAngle(N, B, cutLevel, topK, fixed) {
+  const [aMin, aMax] = SOLVER_LIMITS.aDeg;
+  const lengths = LENGTH_PARAMS.filter((p) => fixed[p] != null).length;
+  if (fixed.aDeg != null) return fitAtAngle(N, B, cutLevel, topK, fixed.aDeg, fixed);
+  // Con menos de dos longitudes el angulo no queda determinado: se conserva el actual
+  if (lengths < 2) return fitAtAngle(N, B, cutLevel, topK, Math.min(aMax, Math.max(aMin, state.aDeg)), fixed);
+
+  let best = null;
+  for (let a = 0.5; a < aMax; a += 0.5) {
+    const f = fitAtAngle(N, B, cutLevel, topK, a, fixed);
+    if (!best || f.error < best.error) best = f;
+  }
+  const G = (Math.sqrt(5) - 1) / 2;
+  let lo = Math.max(aMin, best.aDeg - 0.5), hi = Math.min(aMax, best.aDeg + 0.5);
+  for (let it = 0; it < 40; it++) {
+    const m1 = hi - G * (hi - lo), m2 = lo + G * (hi - lo);
+    if (fitAtAngle(N, B, cutLevel, topK, m1, fixed).error < fitAtAngle(N, B, cutLevel, topK, m2, fixed).error) hi = m2;
+    else lo = m1;
+  }
+  const refined = fitAtAngle(N, B, cutLevel, topK, 0.5 * (lo + hi), fixed);
+  return refined.error <= best.error ? refined : best;
+}
+
+/**
+ * Resuelve la geometria a partir de los parametros fijados.
+ * @param {Object} fixed - { N?, aDeg?, Dmax?, floorDiameter?, height?, edge?, levels? }
+ *   (solo las claves fijadas, en metros / grados)
+ * @returns {Array<Object>} Una solucion por N factible, ordenadas por error:
+ *   { N, aDeg, Dmax, cutActive, cutLevel, levels, floorDiameter, height, edge, error }
+ *   Vacio con perfil por nivel activo.
+ */
+export function solveGeometry(fixed) {
+  if (hasLevelProfile()) return [];
+  const B = state.beltLevels || 0;
+  const removed = state.topCutActive ? getPoleLevel() - state.topCutLevel : 0;
+  const curLevels = getPoleLevel() - (state.cutActive ? state.cutLevel : 0);
+  const [nMin, nMax] = SOLVER_LIMITS.N;
+  const [dMin, dMax] = SOLVER_LIMITS.Dmax;
+  const nList = [];
+  if (fixed.N != null) nList.push(Math.round(fixed.N));
+  else for (let n = nMin; n <= nMax; n++) nList.push(n);
+
+  const solutions = [];
+  for (const N of nList) {
+    if (N < nMin || N > nMax) continue;
+    const pole = N + 2 * B;
+    const topK = pole - removed;
+    // A igual error se prefiere la solucion mas parecida al diseno actual
+    const likeness = (f, cutLevel) => Math.abs((pole - cutLevel) - curLevels) * 100 + Math.abs(f.aDeg - state.aDeg);
+    let best = null;
+    for (const cutLevel of cutCandidates(N, B, topK, fixed)) {
+      const f = fitAngle(N, B, cutLevel, topK, fixed);
+      if (!Number.isFinite(f.Dmax) || f.Dmax < dMin || f.Dmax > dMax) continue;
+      if (fixed.floorDiameter != null && cutLevel <= 0) continue;
+      const cand = { ...f, cutLevel, score: likeness(f, cutLevel) };
+      if (!best || cand.error < best.error - 1e-9 || (cand.error <= best.error + 1e-9 && cand.score < best.score)) best = cand;
+    }
+    if (!best) continue;
+    const { u, Dmax, cutLevel } = best;
+    solutions.push({
+      N,
+      aDeg: best.aDeg,
+      Dmax,
+      cutActive: cutLevel > 0,
+      cutLevel,
+      levels: pole - cutLevel,
+      floorDiameter: u.floorDiameter * Dmax,
+      height: u.height * Dmax,
+      edge: u.edge * Dmax,
+      error: best.error,
+    });
+  }
+
+  solutions.sort((a, b) => (Math.abs(a.error - b.error) > 1e-9 ? a.error - b.error : Math.abs(a.N - state.N) - Math.abs(b.N - state.N)));
+  return solutions;
+}
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { state } from './state.js';
+import { NodeAnalyzer } from './node-analyzer.js';
+import { NodePDFReporter } from './node-pdf-report.js';
+
+/**
+ * stakeout.js
+ *
+ * Replanteo: coordenadas de los conectores en un sistema local de obra, para
+ * estacion total (CSV y puntos COGO LandXML 1.2).
+ *
+ * Punto = centro del cilindro del conector (_instanceConnectorMeshData, con los
+ * traslados de nodo del usuario), en coordenadas visibles (suelo en z = 0, como
+ * NodeAnalyzer.getVertexPosByIdVisible). Los conectores huerfanos ocultos no se exportan.
+ *
+ * Sistema de obra:
+ *   - El origen del modelo (eje del zome, z visible = 0) cae en (originE, originN).
+ *   - bearingDeg = rumbo del eje +X del modelo, en grados desde el norte y en sentido
+ *     horario (90 = +X hacia el este, sin giro).
+ *   - Cota = datumZ + z visible.
+ *
+ * ID = clave del conector en el PDF de conectores (k{nivel visible}_i{i}, X:{k}:{i},
+ * pole_low, pole_top); el ID corto del visor (C0-3, X1-2) va como descripcion.
+ */
+
+export const STAKEOUT_DEFAULTS = {
+  originE: 0,
+  originN: 0,
+  datumZ: 0,
+  bearingDeg: 90,
+};
+
+/**
+ * @param {THREE.Group} structureGroup
+ * @param {Object} generator - StructureGenerator (_instanceConnectorMeshData, _instanceConnectorMap)
+ * @param {{originE?:number, originN?:number, datumZ?:number, bearingDeg?:number}} [site]
+ * @returns {Array<{id:string, connectorId:string, kVisible:number, i:number, isIntersection:boolean,
+ *   x:number, y:number, z:number, e:number, n:number, elev:number,
+ *   dir:{e:number, n:number, z:number}, diameterMm:number, depthMm:number}>}
+ *   x, y, z: modelo (m, visibles); e, n, elev: obra (m); dir: directriz en obra
+ */
+export function collectStakeOutPoints(structureGroup, generator, site = {}) {
+  const data = generator && generator._instanceConnectorMeshData;
+  if (!data || !data.size) return [];
+  const s = { ...STAKEOUT_DEFAULTS, ...site };
+  const az = s.bearingDeg * Math.PI / 180;
+  const sin = Math.sin(az), cos = Math.cos(az);
+  // +X del modelo -> (sin, cos) en (E, N); +Y, 90 grados antihorario -> (-cos, sin)
+  const toE = (x, y) => x * sin - y * cos;
+  const toN = (x, y) => x * cos + y * sin;
+  const zShift = NodeAnalyzer.getVisibleZShift();
+
+  NodePDFReporter._initKeySpace(structureGroup);
+  const points = [];
+  const axis = new THREE.Vector3();
+  for (const d of data.values()) {
+    const infos = generator._instanceConnectorMap ? generator._instanceConnectorMap.get(d.iMesh) : null;
+    const ci = infos ? infos[d.instanceId] : null;
+    if (!ci || ci._hiddenOrphan) continue;
+    const x = d.pos.x, y = d.pos.y, z = d.pos.z - zShift;
+    axis.set(0, 1, 0).applyQuaternion(d.quat);
+    points.push({
+      id: NodePDFReporter._displayKeyVisible(ci.nodeKey),
+      connectorId: ci.id,
+      kVisible: ci.kVisible,
+      i: ci.i,
+      isIntersection: !!ci.isIntersection,
+      x, y, z,
+      e: s.originE + toE(x, y),
+      n: s.originN + toN(x, y),
+      elev: s.datumZ + z,
+      dir: { e: toE(axis.x, axis.y), n: toN(axis.x, axis.y), z: axis.z },
+      diameterMm: ci.diameterMm,
+      depthMm: ci.depthMm,
+    });
+  }
+  points.sort((a, b) => (a.kVisible - b.kVisible) || (a.isIntersection - b.isIntersection) || (a.i - b.i));
+  return points;
+}
+
+export class StakeOutExporter {
+  static exportCSV(points, site = {}) {
+    const s = { ...STAKEOUT_DEFAULTS, ...site };
+    const rows = [
+      ['id', 'conector', 'nivel', 'este_m', 'norte_m', 'cota_m', 'x_modelo_m', 'y_modelo_m', 'z_modelo_m',
+        'directriz_e', 'directriz_n', 'directriz_z', 'diametro_mm', 'profundidad_mm'],
+    ];
+    for (const p of points) {
+      rows.push([p.id, p.connectorId, p.kVisible, p.e.toFixed(4), p.n.toFixed(4), p.elev.toFixed(4),
+        p.x.toFixed(4), p.y.toFixed(4), p.z.toFixed(4),
+        p.dir.e.toFixed(5), p.dir.n.toFixed(5), p.dir.z.toFixed(5), p.diameterMm, p.depthMm]);
+    }
+    const cell = (v) => {
+      const t = String(v == null ? '' : v);
+      return /[",;\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+    };
+    // Sistema de obra en comentarios: la tabla queda con columnas uniformes
+    const header = [
+      `# ZValdivia N${state.N} a${state.aDeg.toFixed(2)} - replanteo de conectores`,
+      `# Origen E=${s.originE} N=${s.originN}, cota base ${s.datumZ}, rumbo +X ${s.bearingDeg}`,
+    ];
+    const csv = [...header, ...rows.map(r => r.map(cell).join(','))].join('\n');
+    this._download(csv, 'csv', 'text/csv');
+  }
+
+  /** Puntos COGO LandXML 1.2 (CgPoint: norte este cota). */
+  static exportLandXML(points, site = {}) {
+    const s = { ...STAKEOUT_DEFAULTS, ...site };
+    const esc = (t) => String(t).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const now = new Date();
+    const pad = (v) => String(v).padStart(2, '0');
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+    const title = `ZValdivia N${state.N} a${state.aDeg.toFixed(2)}`;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<LandXML xmlns="http://www.landxml.org/schema/LandXML-1.2" version="1.2" date="${date}" time="${time}">`,
+      '  <Units>',
+      '    <Metric areaUnit="squareMeter" linearUnit="meter" volumeUnit="cubicMeter" temperatureUnit="celsius" pressureUnit="milliBars" angularUnit="decimal degrees" directionUnit="decimal degrees"/>',
+      '  </Units>',
+      `  <Project name="${esc(title)}" desc="${esc(`Origen E=${s.originE} N=${s.originN}, cota base ${s.datumZ}, rumbo +X ${s.bearingDeg}`)}"/>`,
+      '  <Application name="ZValdivia" manufacturer="ZValdivia"/>',
+      `  <CgPoints name="Conectores">`,
+    ];
+    for (const p of points) {
+      lines.push(`    <CgPoint name="${esc(p.id)}" code="${p.isIntersection ? 'X' : 'C'}${p.kVisible}" desc="${esc(p.connectorId)}">${p.n.toFixed(4)} ${p.e.toFixed(4)} ${p.elev.toFixed(4)}</CgPoint>`);
+    }
+    lines.push('  </CgPoints>', '</LandXML>');
+    this._download(lines.join('\n'), 'xml', 'application/xml');
+  }
+
+  static _filename(ext) {
+    let filename = `replanteo_D${state.Dmax.toFixed(1)}_N${state.N}_a${state.aDeg.toFixed(2)}`;
+    if (state.cutActive) filename += `_cut${state.cutLevel}`;
+    if (state.beltLevels > 0) filename += `_belt${state.beltLevels}`;
+    return `${filename}.${ext}`;
+  }
+
+  static _download(content, ext, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = this._filename(ext);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
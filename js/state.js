@@ -20,6 +20,32 @@ export const state = {
   cutActive: true,
   cutLevel: 4,
   floorDiameter: 6,
+  // Corte superior (oculo/lucernario): elimina los niveles por encima de topCutLevel
+  topCutActive: false,
+  topCutLevel: 9,
+  oculusDiameter: 0,
+  // Sector parcial (medio domo / cuarto de domo): conserva solo las primeras
+  // sectorCount de las N secciones alrededor del eje
+  sectorActive: false,
+  sectorCount: 6,
+  // Planta eliptica: escala independiente X/Y de los anillos (Dx = Dmax*sx, Dy = Dmax*sy)
+  ellipseActive: false,
+  ellipseScaleX: 1,
+  ellipseScaleY: 0.8,
+  // Zonohedro elongado: beltLevels cinturones de rombos verticales insertados en el
+  // ecuador (cada uno agrega 2 anillos K). beltRing/beltHeight son derivados.
+  beltLevels: 0,
+  beltRing: 5,
+  beltHeight: 0,
+  // Perfil variable: angulo (grados) de cada paso vertical. levelAngles[k-1] es el paso
+  // entre los anillos k-1 y k; un valor vacio usa aDeg y los pasos que faltan al final
+  // repiten el ultimo angulo. El ultimo paso lo fija el cierre en el polo.
+  // profileRadii/profileZ (anillos base 0..N) y profileValid son derivados.
+  profileActive: false,
+  levelAngles: [],
+  profileRadii: [],
+  profileZ: [],
+  profileValid: true,
 
   // ── SLICE: VIEW ─────────────────────────────────────────────────────────────
   rhombiVisible: true,
@@ -37,7 +63,19 @@ export const state = {
   // ── SLICE: EDIT ─────────────────────────────────────────────────────────────
   structureConnectorOverrides: {},
   structureIntersectionConnectorOverrides: {},
+  // Overrides de un conector puntual, por clave de vertice (k{k}_i{i}, X:k:i, pole_low/pole_top).
+  // Se aplican campo a campo sobre el override del nivel.
+  structureConnectorNodeOverrides: {},
   structureBeamOverrides: {},
+  // Overrides de una viga puntual, por edgeKey "<aKey>|<bKey>" (ancho, alto y material,
+  // clave de la biblioteca de materials.js).
+  structureBeamEdgeOverrides: {},
+  // Material global de la biblioteca (materials.js) por categoria: { beam?, hub?, plate? }.
+  // Sin entrada se usa MATERIAL_DEFAULTS.
+  structureMaterials: {},
+  // Material de la biblioteca por nivel k: { [k]: { beam?, hub?, plate? } }.
+  // Sin entrada se usa el material global.
+  structureLevelMaterials: {},
   structureExtraBeams: [],
   structureIntersectionFaces: {},
   structureDeletedBeams: [],
@@ -55,13 +93,233 @@ export function clearRhombiData() { rhombiData = []; }
 export function updateStateCalculations() {
   state.aRad = (state.aDeg * Math.PI) / 180;
   state.h1 = (state.Dmax / 2) * Math.tan(state.aRad) * Math.sin(Math.PI / state.N);
-  state.Htotal = state.h1 * state.N;
+  updateProfile();
+
+  // Cinturon: se inserta entre los anillos kE y kE+1 (ecuador). El desplazamiento
+  // vertical de cada cinturon es el largo de arista, asi las caras nuevas son rombos.
+  state.beltLevels = Math.max(0, Math.min(10, Math.round(Number(state.beltLevels) || 0)));
+  state.beltRing = Math.floor((state.N - 1) / 2);
+  {
+    const ra = getBaseRingRadius(state.beltRing), rb = getBaseRingRadius(state.beltRing + 1);
+    const dz = getBaseRingZ(state.beltRing + 1) - getBaseRingZ(state.beltRing);
+    const dxy2 = ra * ra + rb * rb - 2 * ra * rb * Math.cos(Math.PI / state.N);
+    state.beltHeight = Math.sqrt(dxy2 + dz * dz);
+  }
+  state.Htotal = getBaseRingZ(state.N) + state.beltLevels * state.beltHeight;
+
+  // Los cortes no pueden caer dentro del cinturon (sus caras no se parten en triangulos)
+  state.cutLevel = snapOutOfBelt(Math.max(1, Math.min(getPoleLevel() - 1, Math.round(state.cutLevel))), +1);
   if (state.cutActive && state.cutLevel > 0) {
-    const Rk = (state.Dmax / 2) * Math.sin((state.cutLevel * Math.PI) / state.N);
-    state.floorDiameter = 2 * Rk;
+    state.floorDiameter = 2 * getRingRadius(state.cutLevel);
   } else {
     state.floorDiameter = 0;
   }
+  // Corte superior: debe quedar al menos un nivel por encima del suelo
+  if (state.topCutActive) {
+    const minTop = (state.cutActive ? state.cutLevel : 0) + 1;
+    state.topCutLevel = snapOutOfBelt(Math.max(minTop, Math.min(getPoleLevel() - 1, Math.round(state.topCutLevel))), +1);
+    state.oculusDiameter = 2 * getRingRadius(state.topCutLevel);
+  } else {
+    state.oculusDiameter = 0;
+  }
+  // Sector: al menos una seccion y como maximo N (N = zonohedro completo)
+  state.sectorCount = Math.max(1, Math.min(state.N, Math.round(Number(state.sectorCount) || state.N)));
+  // Planta eliptica: escalas acotadas a un rango razonable
+  const clampScale = (v) => Math.max(0.25, Math.min(4, Number(v) || 1));
+  state.ellipseScaleX = clampScale(state.ellipseScaleX);
+  state.ellipseScaleY = clampScale(state.ellipseScaleY);
+}
+
+/**
+ * Perfil variable: alturas de los anillos base segun el angulo de cada paso y radios
+ * que mantienen planas todas las caras.
+ *
+ * Cada cara [B, R, T, L] es simetrica respecto del plano meridiano que pasa por B y T,
+ * asi que es plana si el punto medio de L-R (radio R_k·cos(π/N), altura z_k) queda
+ * sobre la recta B-T. Eso fija R_{k+1} a partir de R_{k-1} y R_k; la altura del polo
+ * cierra la ultima fila. Con angulos distintos las caras son deltoides, no rombos.
+ * El perfil se escala para que su anillo mas ancho coincida con el del zonohedro
+ * uniforme; con todos los angulos iguales a aDeg reproduce el zonohedro uniforme.
+ */
+function updateProfile() {
+  state.profileRadii = [];
+  state.profileZ = [];
+  state.profileValid = true;
+  state.levelAngles = Array.isArray(state.levelAngles) ? state.levelAngles : [];
+  if (!state.profileActive) return;
+
+  const { N } = state;
+  const c = Math.cos(Math.PI / N);
+  const r = Math.sin(Math.PI / N);
+  const angles = state.levelAngles;
+  const angleOf = (k) => {
+    const raw = k <= angles.length ? angles[k - 1] : angles[angles.length - 1];
+    const a = Number(raw);
+    return (raw != null && a >= 0.1 && a <= 89.9) ? a : state.aDeg;
+  };
+
+  const z = [0];
+  for (let k = 1; k < N; k++) z.push(z[k - 1] + r * Math.tan((angleOf(k) * Math.PI) / 180));
+  const R = [0, r];
+  for (let k = 1; k < N - 1; k++) {
+    R.push((R[k] * c * (z[k + 1] - z[k - 1]) - R[k - 1] * (z[k + 1] - z[k])) / (z[k] - z[k - 1]));
+  }
+  R.push(0);
+  const kl = N - 1;
+  z.push((R[kl] * c * z[kl - 1] - R[kl - 1] * z[kl]) / (R[kl] * c - R[kl - 1]));
+
+  // Perfil degenerado (anillos de radio negativo o polo bajo el ultimo anillo)
+  const ok = R.slice(1, N).every(v => Number.isFinite(v) && v > 1e-9)
+    && Number.isFinite(z[N]) && z[N] > z[N - 1];
+  if (!ok) {
+    state.profileValid = false;
+    return;
+  }
+
+  let uniformMax = 0;
+  for (let k = 1; k < N; k++) uniformMax = Math.max(uniformMax, Math.sin((k * Math.PI) / N));
+  const scale = (state.Dmax / 2) * uniformMax / Math.max(...R);
+  state.profileRadii = R.map(v => v * scale);
+  state.profileZ = z.map(v => v * scale);
+}
+
+/**
+ * Lee una lista de angulos por nivel ("60, 55, , 45"). Las entradas vacias o
+ * invalidas quedan en null y usan aDeg.
+ * @param {string} text
+ * @returns {Array<number|null>}
+ */
+export function parseLevelAngles(text) {
+  const parts = String(text || '').split(/[,;]/).map(t => t.trim());
+  while (parts.length && parts[parts.length - 1] === '') parts.pop();
+  return parts.map((t) => {
+    const a = parseFloat(t);
+    return (Number.isFinite(a) && a >= 0.1 && a <= 89.9) ? a : null;
+  });
+}
+
+/** Inverso de parseLevelAngles. */
+export function formatLevelAngles(angles) {
+  return (angles || []).map(a => (a == null ? '' : String(a))).join(', ');
+}
+
+/** Radio del anillo base k (zonohedro sin cinturon), con o sin perfil variable. */
+export function getBaseRingRadius(k) {
+  if (state.profileRadii.length) return state.profileRadii[k];
+  return (state.Dmax / 2) * Math.sin((k * Math.PI) / state.N);
+}
+
+/** Altura del anillo base k (zonohedro sin cinturon), con o sin perfil variable. */
+export function getBaseRingZ(k) {
+  if (state.profileZ.length) return state.profileZ[k];
+  return k * state.h1;
+}
+
+/** Radio del anillo K (antes de la escala de planta eliptica). */
+export function getRingRadius(K) {
+  return getBaseRingRadius(getRingBase(K).k);
+}
+
+/** True si el perfil variable esta activo y es valido (las alturas no son k·h1). */
+export function hasLevelProfile() {
+  return state.profileRadii.length > 0;
+}
+
+/**
+ * Nivel K del polo superior. Sin cinturon es N; cada cinturon agrega 2 anillos.
+ */
+export function getPoleLevel() {
+  return state.N + 2 * (state.beltLevels || 0);
+}
+
+/**
+ * Nivel K (original) del anillo superior visible.
+ * Con corte superior es topCutLevel (anillo del oculo); sin el, el polo superior.
+ */
+export function getTopLevel() {
+  return state.topCutActive ? state.topCutLevel : getPoleLevel();
+}
+
+/**
+ * Anillo base (k del zonohedro sin cinturon) y cantidad de desplazamientos verticales
+ * (beltHeight) del anillo K. Los anillos kE y kE+1 se repiten una vez por cinturon,
+ * alternados; los anillos por encima del cinturon quedan desplazados beltLevels veces.
+ * @param {number} K - Nivel del anillo (0 .. getPoleLevel())
+ * @returns {{k:number, shift:number}}
+ */
+export function getRingBase(K) {
+  return getRingBaseFor(K, state.N, state.beltLevels || 0);
+}
+
+/** getRingBase para un N y cantidad de cinturones arbitrarios (sin leer state). */
+export function getRingBaseFor(K, N, B) {
+  const kE = Math.floor((N - 1) / 2);
+  if (B <= 0 || K <= kE + 1) return { k: K, shift: 0 };
+  if (K <= kE + 1 + 2 * B) {
+    const d = K - kE;
+    return { k: kE + (d % 2), shift: Math.floor(d / 2) };
+  }
+  return { k: K - 2 * B, shift: B };
+}
+
+/** Altura z del anillo K. */
+export function getRingZ(K) {
+  const { k, shift } = getRingBase(K);
+  return getBaseRingZ(k) + shift * state.beltHeight;
+}
+
+/** True si las caras del nivel K son rombos verticales del cinturon. */
+export function isBeltLevel(K) {
+  const B = state.beltLevels || 0;
+  return B > 0 && K > state.beltRing && K <= state.beltRing + 2 * B;
+}
+
+/**
+ * Lleva un nivel de corte fuera del cinturon, hacia arriba (dir > 0) o hacia abajo.
+ * @param {number} K - Nivel candidato
+ * @param {number} dir - +1 (encima del cinturon) o -1 (debajo)
+ */
+export function snapOutOfBelt(K, dir = 1) {
+  if (!isBeltLevel(K)) return K;
+  return dir < 0 ? state.beltRing : state.beltRing + 2 * state.beltLevels + 1;
+}
+
+/** Altura visible entre el suelo (corte o polo inferior) y el anillo superior. */
+export function getVisibleHeight() {
+  return getRingZ(getTopLevel()) - (state.cutActive ? getRingZ(state.cutLevel) : 0);
+}
+
+/** Cantidad de niveles K visibles entre el suelo y el anillo superior. */
+export function getVisibleLevelCount() {
+  return getTopLevel() - (state.cutActive ? state.cutLevel : 0);
+}
+
+/**
+ * Cantidad de secciones (caras por nivel) visibles alrededor del eje.
+ * Con sector activo se conservan las caras i = 0 .. sectorCount-1; sin el, N.
+ */
+export function getSectorCount() {
+  return state.sectorActive ? state.sectorCount : state.N;
+}
+
+/** True si el sector visible no cubre las N secciones (cascara abierta). */
+export function isPartialSector() {
+  return getSectorCount() < state.N;
+}
+
+/**
+ * Escala X/Y de la planta aplicada a los anillos.
+ * Sin planta eliptica devuelve { sx: 1, sy: 1 } (planta circular).
+ */
+export function getFootprintScale() {
+  if (!state.ellipseActive) return { sx: 1, sy: 1 };
+  return { sx: state.ellipseScaleX, sy: state.ellipseScaleY };
+}
+
+/** True si la planta es eliptica (los nodos de un mismo nivel dejan de ser identicos). */
+export function isEllipticalFootprint() {
+  const { sx, sy } = getFootprintScale();
+  return Math.abs(sx - 1) > 1e-9 || Math.abs(sy - 1) > 1e-9;
 }
 
 // ── Reset helpers por slice ──────────────────────────────────────────────────
@@ -69,19 +327,101 @@ export function updateStateCalculations() {
 export function resetEditState() {
   state.structureConnectorOverrides = {};
   state.structureIntersectionConnectorOverrides = {};
+  state.structureConnectorNodeOverrides = {};
   state.structureBeamOverrides = {};
+  state.structureBeamEdgeOverrides = {};
+  state.structureMaterials = {};
+  state.structureLevelMaterials = {};
   state.structureExtraBeams = [];
   state.structureIntersectionFaces = {};
   state.structureDeletedBeams = [];
 }
 
+/**
+ * Override efectivo de un conector: el del nivel k y, encima, el del conector puntual.
+ * @param {number} kOriginal
+ * @param {boolean} isIntersection
+ * @param {string|null} nodeKey - clave del vertice (k{k}_i{i}, X:k:i, pole_low/pole_top)
+ * @returns {{cylDiameterMm?:number, cylDepthMm?:number, offsetMm?:number}|null}
+ */
+export function getConnectorOverride(kOriginal, isIntersection = false, nodeKey = null) {
+  const levelMap = isIntersection ? state.structureIntersectionConnectorOverrides : state.structureConnectorOverrides;
+  const levelOv = (levelMap && typeof levelMap === 'object') ? (levelMap[String(kOriginal)] || null) : null;
+  const nodeMap = state.structureConnectorNodeOverrides;
+  const nodeOv = (nodeKey && nodeMap && typeof nodeMap === 'object') ? (nodeMap[nodeKey] || null) : null;
+  if (!levelOv && !nodeOv) return null;
+  const out = { ...(levelOv || {}) };
+  if (nodeOv) {
+    for (const f of ['cylDiameterMm', 'cylDepthMm', 'offsetMm']) {
+      if (nodeOv[f] != null) out[f] = nodeOv[f];
+    }
+  }
+  return out;
+}
+
+/**
+ * Override efectivo de una viga: el del nivel (max k de sus extremos) y, encima,
+ * el de la viga puntual (edgeKey "<aKey>|<bKey>" ordenada, igual que structureDeletedBeams).
+ * @param {number} kLevelOriginal
+ * @param {string|null} edgeKey
+ * @returns {{beamWidthMm?:number, beamHeightMm?:number, material?:string}|null}
+ */
+export function getBeamOverride(kLevelOriginal, edgeKey = null) {
+  const levelMap = state.structureBeamOverrides;
+  const levelOv = (levelMap && typeof levelMap === 'object') ? (levelMap[String(kLevelOriginal)] || null) : null;
+  const edgeMap = state.structureBeamEdgeOverrides;
+  const edgeOv = (edgeKey && edgeMap && typeof edgeMap === 'object') ? (edgeMap[edgeKey] || null) : null;
+  if (!levelOv && !edgeOv) return null;
+  const out = { ...(levelOv || {}) };
+  if (edgeOv) {
+    for (const f of ['beamWidthMm', 'beamHeightMm', 'material']) {
+      if (edgeOv[f] != null) out[f] = edgeOv[f];
+    }
+  }
+  return out;
+}
+
+/**
+ * Material elegido para una categoria en el nivel k (clave de MATERIAL_LIBRARY, materials.js).
+ * @param {number} kOriginal
+ * @param {'beam'|'hub'|'plate'} category
+ * @returns {string|null} null = material global
+ */
+export function getLevelMaterial(kOriginal, category) {
+  const map = state.structureLevelMaterials;
+  const levelMat = (map && typeof map === 'object') ? map[String(kOriginal)] : null;
+  return (levelMat && typeof levelMat[category] === 'string') ? levelMat[category] : null;
+}
+
+/**
+ * Fija (o borra, con key vacia) el material de una categoria en el nivel k.
+ * @param {number} kOriginal
+ * @param {'beam'|'hub'|'plate'} category
+ * @param {string|null} key
+ */
+export function setLevelMaterial(kOriginal, category, key) {
+  if (!state.structureLevelMaterials || typeof state.structureLevelMaterials !== 'object') {
+    state.structureLevelMaterials = {};
+  }
+  const map = state.structureLevelMaterials;
+  const entry = { ...(map[String(kOriginal)] || {}) };
+  if (key) entry[category] = key;
+  else delete entry[category];
+  if (Object.keys(entry).length) map[String(kOriginal)] = entry;
+  else delete map[String(kOriginal)];
+}
+
 /** Devuelve true si hay ediciones del usuario sobre la estructura actual. */
 export function hasEditState() {
   return (
     Object.keys(state.structureConnectorOverrides).length > 0 ||
     Object.keys(state.structureBeamOverrides).length > 0 ||
+    Object.keys(state.structureBeamEdgeOverrides).length > 0 ||
     Object.keys(state.structureIntersectionFaces).length > 0 ||
     Object.keys(state.structureIntersectionConnectorOverrides).length > 0 ||
+    Object.keys(state.structureConnectorNodeOverrides).length > 0 ||
+    Object.keys(state.structureMaterials).length > 0 ||
+    Object.keys(state.structureLevelMaterials).length > 0 ||
     state.structureExtraBeams.length > 0 ||
     state.structureDeletedBeams.length > 0
   );
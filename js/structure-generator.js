@@ -1,7 +1,11 @@
 import * as THREE from 'three';
-import { state } from './state.js';
-import { getRingVertex } from './geometry.js';
+import { state, getTopLevel, getSectorCount, isPartialSector, getFootprintScale, getPoleLevel, getRingZ, getConnectorOverride, getBeamOverride } from './state.js';
+import { getRingVertex, getFaceVertexIds, getSectorRingIndices } from './geometry.js';
 import { logger } from './logger.js';
+import { detectClashes } from './clash.js';
+import { boltParams, boltLayout, pointAtStation, stationOf } from './bolts.js';
+import { endCutSettings } from './saw.js';
+import { MATERIAL_LIBRARY, resolveMaterialKey } from './materials.js';
 
 /**
  * Genera una estructura 3D para conectores:
@@ -42,10 +46,13 @@ export class StructureGenerator {
     this._cylGeomCache = new Map();
     // Cache de topología (caras visibles + adyacencias) por firma de geometría
     this._topologyCache = { sig: null, faces: null, adjacency: null };
+    // Choques vigas/pletinas de la ultima generacion (clash.js)
+    this.lastClashes = [];
   }
 
   clear() {
     const sharedMats = new Set([this.matConnector, this.matBeam, this.matBeamEdge]);
+    this.lastClashes = [];
 
     const disposeMat = (mat) => {
       if (!mat || typeof mat.dispose !== 'function') return;
@@ -106,21 +113,22 @@ export class StructureGenerator {
     const platThickness = Math.max(0.001, (Number(params.platThicknessMm) || 3) / 1000);
     const platLength    = Math.max(0.001, (Number(params.platLengthMm)    || 120) / 1000);
     const platWidth     = Math.max(0.001, (Number(params.platWidthMm)     || 50) / 1000);
+    // Pernos pletina-viga: mismo patron en todas las pletinas (bolts.js)
+    const bolts = boltParams(params);
+    const boltPlan = boltLayout(bolts, platLength * 1000, platWidth * 1000);
+    if (bolts.count > 0 && !boltPlan.fits) {
+      warnings.push({
+        type: 'BOLT_PATTERN_TOO_BIG',
+        count: bolts.count,
+        needLengthMm: Math.ceil(boltPlan.needLengthMm),
+        needWidthMm: Math.ceil(boltPlan.needWidthMm),
+        platLengthMm: Math.round(platLength * 1000),
+        platWidthMm: Math.round(platWidth * 1000),
+      });
+    }
 
     const startKNode = cutActive ? cutLevel : 0;
 
-    const overrides = (state.structureConnectorOverrides && typeof state.structureConnectorOverrides === 'object')
-      ? state.structureConnectorOverrides
-      : {};
-
-    const overridesIntersection = (state.structureIntersectionConnectorOverrides && typeof state.structureIntersectionConnectorOverrides === 'object')
-      ? state.structureIntersectionConnectorOverrides
-      : {};
-
-  const beamOverrides = (state.structureBeamOverrides && typeof state.structureBeamOverrides === 'object')
-    ? state.structureBeamOverrides
-    : {};
-
     const clampMm = (v, fallback) => {
       const n = Number(v);
       if (!isFinite(n) || n <= 0) return fallback;
@@ -128,15 +136,16 @@ export class StructureGenerator {
     };
 
     /**
-     * Parametrizacion del conector por nivel.
+     * Parametrizacion del conector por nivel, con el override puntual del vertice encima.
      * Incluye offsetMm: traslado adicional a lo largo de la directriz (hacia el interior).
      *
      * @param {number} kOriginal
+     * @param {boolean} isIntersection
+     * @param {string|null} nodeKey - clave del vertice en vertexMap
      * @returns {{diameterMm:number, depthMm:number, offsetMm:number, radius:number, depth:number, offset:number}}
      */
-    const cylForK = (kOriginal, isIntersection = false) => {
-      const src = isIntersection ? overridesIntersection : overrides;
-      const ov = src[String(kOriginal)] || src[kOriginal];
+    const cylForK = (kOriginal, isIntersection = false, nodeKey = null) => {
+      const ov = getConnectorOverride(kOriginal, isIntersection, nodeKey);
       const dMm = ov && ov.cylDiameterMm != null ? clampMm(ov.cylDiameterMm, baseCylDiameterMm) : baseCylDiameterMm;
       const pMm = ov && ov.cylDepthMm != null ? clampMm(ov.cylDepthMm, baseCylDepthMm) : baseCylDepthMm;
       // offset puede ser 0 (permitido)
@@ -149,12 +158,14 @@ export class StructureGenerator {
     };
 
     /**
-     * Parametrizacion de la viga por nivel (kOriginal del nivel de viga).
+     * Parametrizacion de la viga por nivel (kOriginal del nivel de viga), con el override
+     * puntual de la arista encima.
      * @param {number} kLevelOriginal
+     * @param {string|null} edgeKey - "<aKey>|<bKey>" ordenada
      * @returns {{width:number,height:number,widthMm:number,heightMm:number}}
      */
-    const beamForK = (kLevelOriginal) => {
-      const ov = beamOverrides[String(kLevelOriginal)] || beamOverrides[kLevelOriginal];
+    const beamForK = (kLevelOriginal, edgeKey = null) => {
+      const ov = getBeamOverride(kLevelOriginal, edgeKey);
       const wMm = ov && ov.beamWidthMm != null ? clampMm(ov.beamWidthMm, Number(params.beamWidthMm) || 1) : (Number(params.beamWidthMm) || 1);
       const hMm = ov && ov.beamHeightMm != null ? clampMm(ov.beamHeightMm, Number(params.beamHeightMm ?? params.beamThicknessMm) || 1) : (Number(params.beamHeightMm ?? params.beamThicknessMm) || 1);
       return {
@@ -239,6 +250,8 @@ export class StructureGenerator {
 
         // Si hay corte, ignorar aristas con extremos bajo el corte
         if (state.cutActive && (ka < state.cutLevel || kb < state.cutLevel)) continue;
+        // Idem con oculo: extremos sobre el anillo superior
+        if (state.topCutActive && (ka > state.topCutLevel || kb > state.topCutLevel)) continue;
 
         const aKey = this._keyForVertex(ka, ia);
         const bKey = this._keyForVertex(kb, ib);
@@ -277,9 +290,10 @@ export class StructureGenerator {
         extraSet.add(edgeKey(aKey, bKey) + `|${kind}`);
       }
 
-      const { cutActive, cutLevel, h1, Htotal } = state;
-      const z0 = cutActive ? cutLevel * h1 : 0;
-      const globalCenter = new THREE.Vector3(0, 0, z0 + (Htotal - z0) * 0.5);
+      const { cutActive, cutLevel } = state;
+      const z0 = cutActive ? getRingZ(cutLevel) : 0;
+      const zTop = getRingZ(getTopLevel());
+      const globalCenter = new THREE.Vector3(0, 0, z0 + (zTop - z0) * 0.5);
 
       const ensureVertex = (key, data) => {
         if (!vertexMap.has(key)) vertexMap.set(key, data);
@@ -309,8 +323,8 @@ export class StructureGenerator {
         //   (Evita que aparezca X al restaurar solo una diagonal).
 
         // Identificador deterministico del rombo (kFace:iFace)
-        const kFace = Number(vR.k);
-        const iFace = Number(vB.i);
+        const kFace = Number(face.kFace ?? vR.k);
+        const iFace = Number(face.iFace ?? vB.i);
         const faceId = `${kFace}:${iFace}`;
 
         // Key unico para el conector de interseccion por rombo (aunque no exista aun)
@@ -444,7 +458,8 @@ export class StructureGenerator {
     // Estrategia:
     //  • Agrupar conectores por firma (radius_depth) → 1 InstancedMesh por grupo único.
     //  • Cada grupo puede tener conectores con overrides distintos (distintos usuarios):
-    //    si el usuario editó el nivel k, ese conector va a su propio grupo.
+    //    si el usuario editó el nivel k o un conector puntual, ese conector va al grupo
+    //    de sus dimensiones (el traslado no cambia la geometria, solo la matriz).
     //  • Se mantiene _instanceConnectorMap: Map<InstancedMesh, Array<connectorInfo>>
     //    para que pickConnector() resuelva instanceId → connectorInfo en O(1).
     //  • Se mantiene _instanceConnectorMeshData: Map<key, {mesh, instanceId, pos, quat}>
@@ -460,8 +475,9 @@ export class StructureGenerator {
       const { pos, k } = v;
       if (k < startKNode) continue;
       if (cutActive && k < cutLevel) continue;
+      if (state.topCutActive && !v.isIntersection && k > state.topCutLevel) continue;
 
-      const { radius: cylRadius, depth: cylDepth, offset: cylOffset, offsetMm } = cylForK(k, !!v.isIntersection);
+      const { radius: cylRadius, depth: cylDepth, offset: cylOffset, offsetMm } = cylForK(k, !!v.isIntersection, key);
 
       const dir = v.directrix.clone();
       const q = new THREE.Quaternion().setFromUnitVectors(axisY, dir);
@@ -475,9 +491,12 @@ export class StructureGenerator {
         isIntersection: !!v.isIntersection,
         faceK: v.isIntersection ? v.k : undefined,
         faceI: v.isIntersection ? v.i : undefined,
+        isSectorBoundary: !!v.isSectorBoundary,
         diameterMm: Math.round(cylRadius * 2 * 1000),
         depthMm: Math.round(cylDepth * 1000),
         offsetMm: Math.round(offsetMm),
+        nodeKey: key,
+        hasNodeOverride: !!(state.structureConnectorNodeOverrides && state.structureConnectorNodeOverrides[key]),
       };
 
       // Clave de grupo: radio + profundidad (distintos overrides → grupos distintos)
@@ -556,6 +575,7 @@ export class StructureGenerator {
 
       // Solo aristas con ambos extremos visibles
       if (cutActive && (a.k < cutLevel || b.k < cutLevel)) continue;
+      if (state.topCutActive && (a.k > state.topCutLevel || b.k > state.topCutLevel)) continue;
 
       const pA = a.pos;
       const pB = b.pos;
@@ -567,16 +587,18 @@ export class StructureGenerator {
       // Recorte para que la viga tope con la superficie exterior del cilindro en cada nodo.
       // Distancia desde el nodo, a lo largo de la arista, hasta interceptar el cilindro:
       // s = R / |e_perp|, donde e_perp es la componente de la arista perpendicular al eje del cilindro (directriz).
-      const cylA = cylForK(a.k, !!a.isIntersection);
-      const cylB = cylForK(b.k, !!b.isIntersection);
+      const cylA = cylForK(a.k, !!a.isIntersection, e.aKey);
+      const cylB = cylForK(b.k, !!b.isIntersection, e.bKey);
       const trimA = this._trimToCylinderSurface(dir, a.directrix, cylA.radius, len);
       const trimB = this._trimToCylinderSurface(dir, b.directrix, cylB.radius, len);
       const pA2 = pA.clone().addScaledVector(dir, trimA);
       const pB2 = pB.clone().addScaledVector(dir, -trimB);
 
-      // Dimensiones por nivel (edicion interactiva): usar kLevelOriginal = max(kA,kB)
+      // Dimensiones por nivel (edicion interactiva): usar kLevelOriginal = max(kA,kB),
+      // con el override de esta viga puntual encima
       const kLevelOriginal = Math.max(a.k, b.k);
-      const beamDims = beamForK(kLevelOriginal);
+      const beamEdgeKey = e.aKey < e.bKey ? `${e.aKey}|${e.bKey}` : `${e.bKey}|${e.aKey}`;
+      const beamDims = beamForK(kLevelOriginal, beamEdgeKey);
       const beamWidthLocal = beamDims.width;
       const beamHeightLocal = beamDims.height;
 
@@ -635,6 +657,7 @@ export class StructureGenerator {
       // Metadata util para reportes (PDF) y futuros exports
       const aName = `k${this._kVisible(a.k)}`;
       const bName = `k${this._kVisible(b.k)}`;
+      const cuts = endCutSettings(geom.objVertices);
       m.userData.isBeam = true;
       m.userData.beamInfo = {
         kVisible: this._kVisible(Math.max(a.k, b.k)),
@@ -651,17 +674,25 @@ export class StructureGenerator {
         // Normal de la cara del rombo: define la orientación real de la viga
         faceNormal: edgeFaceNormal ? edgeFaceNormal.clone() : null,
         id: this._beamId(a, b),
+        // Ajustes de ingletadora de cada testa (saw.js); plateSawA/B se agregan con las pletinas
+        sawA: cuts ? cuts.start : null,
+        sawB: cuts ? cuts.end : null,
         // Angulo entre arista y directriz en cada extremo (en grados)
         angAdeg: THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(Math.abs(dir.dot(a.directrix)), -1, 1))),
         angBdeg: THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(Math.abs(dir.clone().negate().dot(b.directrix)), -1, 1))),
         widthMm: Math.round(beamWidthLocal * 1000),
         heightMm: Math.round(beamHeightLocal * 1000),
+        edgeKey: beamEdgeKey,
+        hasEdgeOverride: !!(state.structureBeamEdgeOverrides && state.structureBeamEdgeOverrides[beamEdgeKey]),
         // Largo real de extremo a extremo (ya recortado por cilindros)
         lenMm: Math.round(effLen * 1000),
         // Distancia centro-a-centro entre nodos (sin recorte)
         nodeLenMm: Math.round(len * 1000),
         faces: (geom.faces ? geom.faces : null),
         kind: e.kind || 'edge',
+        isSectorBoundary: !!e.isSectorBoundary,
+        // Extremo en un conector de borde: su bisel difiere del de una viga interior
+        touchesSectorBoundary: !!(a.isSectorBoundary || b.isSectorBoundary),
       };
 
       // Nombre por nivel (usar el K mayor para aristas verticales)
@@ -732,6 +763,10 @@ export class StructureGenerator {
             const pm = new THREE.Mesh(geomA, this.matConnector);
             pm.name = `plat_A_${m.name}`;
             pm.userData.isPlate = true;
+            pm.userData.plateInfo = { beamId: m.userData.beamInfo.id, edgeKey: beamEdgeKey, nodeKey: e.aKey, end: 'A' };
+            this._attachBoltHoles(pm, m, 'A', _e, _t, boltPlan.holes, bolts.diameterMm);
+            const plateCut = endCutSettings(geomA.userData.objVertices);
+            m.userData.beamInfo.plateSawA = plateCut ? plateCut.start : null;
             this.group.add(pm);
           }
 
@@ -742,6 +777,10 @@ export class StructureGenerator {
             const pm = new THREE.Mesh(geomB, this.matConnector);
             pm.name = `plat_B_${m.name}`;
             pm.userData.isPlate = true;
+            pm.userData.plateInfo = { beamId: m.userData.beamInfo.id, edgeKey: beamEdgeKey, nodeKey: e.bKey, end: 'B' };
+            this._attachBoltHoles(pm, m, 'B', _e.clone().negate(), _t, boltPlan.holes, bolts.diameterMm);
+            const plateCut = endCutSettings(geomB.userData.objVertices);
+            m.userData.beamInfo.plateSawB = plateCut ? plateCut.start : null;
             this.group.add(pm);
           }
       }
@@ -749,6 +788,12 @@ export class StructureGenerator {
 
     } // fin for (const e of edgeMap.values())
 
+    // 6) Muro de arranque bajo el anillo de corte (solo con corte activo)
+    const riserHeight = Math.max(0, Number(params.riserHeightMm) || 0) / 1000;
+    if (cutActive && riserHeight > 0) {
+      this._buildRiser(vertexMap, riserHeight, beamWidth, beamHeight, warnings);
+    }
+
     // Esto es clave cuando el usuario elimina vigas de aristas para crear aperturas:
     // los conectores que quedan sin conexiones deben desaparecer del 3D.
     // Con InstancedMesh, las instancias huérfanas se escalan a 0 para hacerlas invisibles.
@@ -765,12 +810,12 @@ export class StructureGenerator {
         incident.set(bi.bKey, (incident.get(bi.bKey) || 0) + 1);
       }
 
-      const N = state.N;
+      const poleK = getPoleLevel();
       const keyForConnector = (ci) => {
         if (!ci) return null;
         if (ci.id && String(ci.id).charAt(0) === 'X') return `X:${ci.kOriginal}:${ci.i}`;
         if (ci.kOriginal === 0) return 'pole_low';
-        if (ci.kOriginal === N) return 'pole_top';
+        if (ci.kOriginal === poleK) return 'pole_top';
         return `k${ci.kOriginal}_i${ci.i}`;
       };
 
@@ -795,7 +840,7 @@ export class StructureGenerator {
           const deg = incident.get(key) || 0;
 
           // Polos siempre visibles
-          const isPole = (ci.kOriginal === 0 || ci.kOriginal === N);
+          const isPole = (ci.kOriginal === 0 || ci.kOriginal === poleK);
 
           if (deg === 0 && !isPole) {
             // Escalar a 0 para ocultar (invisible sin eliminar del batch)
@@ -829,10 +874,326 @@ export class StructureGenerator {
         if (dirty) obj.instanceMatrix.needsUpdate = true;
       }
     })(this);
+
+    this._resolveMaterials();
+
+    // 7) Choques entre vigas/pletinas que llegan al mismo conector
+    this.lastClashes = detectClashes(this.group);
+    for (const c of this.lastClashes) {
+      warnings.push({
+        type: 'BEAM_CLASH',
+        nodeKey: c.nodeKey,
+        aId: c.a.id,
+        bId: c.b.id,
+        depthMm: Math.round(c.depthMm * 10) / 10,
+      });
+    }
+
     // Permite a la UI mostrar alertas (por ejemplo, vigas demasiado cortas).
     return { warnings };
   }
 
+  /**
+   * Muro de arranque: extruye hacia abajo el poligono del anillo de corte.
+   * - Solera superior e inferior: un tramo por lado del poligono, con testas a inglete
+   *   (en sector parcial los extremos abiertos quedan a escuadra).
+   * - Pie derecho bajo cada conector del anillo, entre ambas soleras.
+   *
+   * Las soleras van acostadas (alto de viga en planta, ancho de viga en vertical) y los
+   * pies derechos llevan el ancho tangente al anillo y el alto hacia el interior.
+   * La cara exterior del muro queda sobre el poligono del anillo y su cara superior
+   * bajo el punto mas bajo de conectores/vigas ya generados.
+   *
+   * @param {Map} vertexMap
+   * @param {number} riserHeight - Alto total del muro (m), incluye ambas soleras
+   * @param {number} width - Ancho de viga (m)
+   * @param {number} height - Alto de viga (m)
+   * @param {Array} warnings
+   */
+  _buildRiser(vertexMap, riserHeight, width, height, warnings) {
+    const { cutLevel } = state;
+    // Anillo en el orden del sector visible: con sector parcial en nivel par el tramo
+    // empieza en N-1 y pasa por 0, asi que ordenar por i uniria los extremos abiertos
+    const byI = new Map();
+    for (const v of vertexMap.values()) {
+      if (v.k === cutLevel && !v.isIntersection) byI.set(v.i, v);
+    }
+    const ring = getSectorRingIndices(cutLevel).map(i => byI.get(i)).filter(Boolean);
+    if (ring.length < 2) return;
+
+    const postLen = riserHeight - 2 * width;
+    if (postLen < Math.max(width, height) * 0.5) {
+      warnings.push({
+        type: 'RISER_TOO_SHORT',
+        heightMm: Math.round(riserHeight * 1000),
+        minMm: Math.round((2 * width + Math.max(width, height) * 0.5) * 1000),
+      });
+      return;
+    }
+
+    const closed = !isPartialSector();
+    const count = ring.length;
+    const segCount = closed ? count : count - 1;
+    const zTop = this._lowestStructureZ();
+    const zBot = zTop - riserHeight;
+    const halfW = width / 2;
+    const up = new THREE.Vector3(0, 0, 1);
+    const flat = (v, z) => new THREE.Vector3(v.pos.x, v.pos.y, z);
+
+    // Normal inward (horizontal) de cada lado del poligono
+    const sideNormals = [];
+    for (let j = 0; j < segCount; j++) {
+      const p0 = ring[j].pos, p1 = ring[(j + 1) % count].pos;
+      const n = new THREE.Vector3(-(p1.y - p0.y), p1.x - p0.x, 0).normalize();
+      const mid = new THREE.Vector3((p0.x + p1.x) / 2, (p0.y + p1.y) / 2, 0);
+      if (n.dot(mid) > 0) n.negate();
+      sideNormals.push(n);
+    }
+
+    // Inglete por vertice: desplazamiento que mantiene a distancia 1 ambos lados adyacentes
+    const sidesAt = (j) => {
+      const prev = (closed || j > 0) ? sideNormals[(j - 1 + segCount) % segCount] : null;
+      const next = (closed || j < count - 1) ? sideNormals[j % segCount] : null;
+      return [prev, next].filter(Boolean);
+    };
+    const miterAt = (j) => {
+      const ns = sidesAt(j);
+      if (ns.length === 1) return ns[0].clone();
+      return ns[0].clone().add(ns[1]).multiplyScalar(1 / (1 + ns[0].dot(ns[1])));
+    };
+
+    const addMember = (name, kind, startPts, endPts, ends, frame) => {
+      const geom = this._createRiserMemberGeometry(startPts, endPts);
+      const m = new THREE.Mesh(geom.geometry, this.matBeam);
+      m.name = name;
+      m.userData.objVertices = geom.objVertices;
+      m.userData.objQuads = geom.objQuads;
+      m.userData.objFaces = geom.objFaces;
+      m.userData._beamGeomRef = geom.geometry;
+      m.userData.isBeam = true;
+      const len = ends.a.pos.distanceTo(ends.b.pos);
+      const ang = (d) => THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(Math.abs(frame.edgeDir.dot(d)), -1, 1)));
+      const cuts = endCutSettings(geom.objVertices);
+      m.userData.beamInfo = {
+        kVisible: this._kVisible(cutLevel),
+        aKey: ends.a.key,
+        bKey: ends.b.key,
+        a: { name: ends.a.name, k: cutLevel, i: ends.a.i, pos: ends.a.pos, nodePos: ends.a.pos.clone() },
+        b: { name: ends.b.name, k: cutLevel, i: ends.b.i, pos: ends.b.pos, nodePos: ends.b.pos.clone() },
+        aDir: frame.aDir,
+        bDir: frame.bDir,
+        edgeDir: frame.edgeDir,
+        faceNormal: frame.faceNormal,
+        id: name,
+        angAdeg: ang(frame.aDir),
+        angBdeg: ang(frame.bDir),
+        widthMm: Math.round(width * 1000),
+        heightMm: Math.round(height * 1000),
+        lenMm: Math.round(len * 1000),
+        nodeLenMm: Math.round(len * 1000),
+        faces: geom.faces,
+        sawA: cuts ? cuts.start : null,
+        sawB: cuts ? cuts.end : null,
+        kind,
+        isRiser: true,
+        isSectorBoundary: false,
+        touchesSectorBoundary: !!frame.touchesSectorBoundary,
+      };
+      this.group.add(m);
+    };
+
+    // Soleras: marco de viga con e = lado, t = normal inward del lado, w = e x t (vertical)
+    const plates = [
+      { kind: 'riserTop', tag: 'RT', label: 'top', zc: zTop - halfW },
+      { kind: 'riserBottom', tag: 'RB', label: 'bottom', zc: zBot + halfW },
+    ];
+    for (const plate of plates) {
+      for (let j = 0; j < segCount; j++) {
+        const j1 = (j + 1) % count;
+        const va = ring[j], vb = ring[j1];
+        const t = sideNormals[j];
+        const e = new THREE.Vector3(vb.pos.x - va.pos.x, vb.pos.y - va.pos.y, 0).normalize();
+        const w = new THREE.Vector3().crossVectors(e, t).normalize();
+        const miterA = miterAt(j), miterB = miterAt(j1);
+        const section = (v, miter) => {
+          const outer = flat(v, plate.zc);
+          const inner = outer.clone().addScaledVector(miter, height);
+          return [
+            outer.clone().addScaledVector(w, -halfW),
+            outer.clone().addScaledVector(w, +halfW),
+            inner.clone().addScaledVector(w, +halfW),
+            inner.clone().addScaledVector(w, -halfW),
+          ];
+        };
+        addMember(
+          `riser_${plate.label}_${j}`,
+          plate.kind,
+          section(va, miterA),
+          section(vb, miterB),
+          {
+            a: { key: `${plate.tag}:${cutLevel}:${va.i}`, name: plate.tag, i: va.i, pos: flat(va, plate.zc) },
+            b: { key: `${plate.tag}:${cutLevel}:${vb.i}`, name: plate.tag, i: vb.i, pos: flat(vb, plate.zc) },
+          },
+          {
+            // El plano de inglete contiene la vertical y la bisectriz del vertice
+            aDir: miterA.clone().normalize(),
+            bDir: miterB.clone().normalize(),
+            edgeDir: e,
+            faceNormal: t.clone(),
+            touchesSectorBoundary: sidesAt(j).length === 1 || sidesAt(j1).length === 1,
+          }
+        );
+      }
+    }
+
+    // Pies derechos: e = vertical, t = bisectriz inward, w = tangente al anillo
+    for (let j = 0; j < count; j++) {
+      const v = ring[j];
+      const u = miterAt(j).normalize();
+      const w = new THREE.Vector3().crossVectors(up, u).normalize();
+      // Retranqueo para que las esquinas exteriores no sobresalgan de los lados adyacentes
+      let inset = 0;
+      for (const n of sidesAt(j)) {
+        const c = n.dot(u);
+        if (c > 1e-9) inset = Math.max(inset, halfW * Math.abs(n.dot(w)) / c);
+      }
+      const section = (z) => {
+        const outer = flat(v, z).addScaledVector(u, inset);
+        const inner = outer.clone().addScaledVector(u, height);
+        return [
+          outer.clone().addScaledVector(w, -halfW),
+          outer.clone().addScaledVector(w, +halfW),
+          inner.clone().addScaledVector(w, +halfW),
+          inner.clone().addScaledVector(w, -halfW),
+        ];
+      };
+      const z0 = zBot + width, z1 = zTop - width;
+      addMember(
+        `riser_post_${j}`,
+        'riserPost',
+        section(z0),
+        section(z1),
+        {
+          a: { key: `RB:${cutLevel}:${v.i}`, name: 'RB', i: v.i, pos: flat(v, z0).addScaledVector(u, inset) },
+          b: { key: `RT:${cutLevel}:${v.i}`, name: 'RT', i: v.i, pos: flat(v, z1).addScaledVector(u, inset) },
+        },
+        {
+          aDir: u.clone(),
+          bDir: u.clone(),
+          edgeDir: up.clone(),
+          faceNormal: u.clone(),
+          touchesSectorBoundary: sidesAt(j).length === 1,
+        }
+      );
+    }
+  }
+
+  /**
+   * Cota z mas baja de lo generado hasta ahora (conectores, vigas y pletinas).
+   * El muro de arranque se apoya justo debajo.
+   */
+  _lowestStructureZ() {
+    let zMin = Infinity;
+    const axis = new THREE.Vector3();
+    if (this._instanceConnectorMeshData) {
+      for (const d of this._instanceConnectorMeshData.values()) {
+        // Cilindro: semiprofundidad a lo largo del eje + radio en el plano perpendicular
+        axis.set(0, 1, 0).applyQuaternion(d.quat);
+        const c = Math.min(1, Math.abs(axis.z));
+        zMin = Math.min(zMin, d.pos.z - (d.cylDepth / 2) * c - d.cylRadius * Math.sqrt(1 - c * c));
+      }
+    }
+    for (const obj of this.group.children) {
+      const verts = (obj.userData && obj.userData.objVertices)
+        || (obj.geometry && obj.geometry.userData && obj.geometry.userData.objVertices);
+      if (!Array.isArray(verts)) continue;
+      for (const v of verts) if (v.z < zMin) zMin = v.z;
+    }
+    return Number.isFinite(zMin) ? zMin : getRingZ(state.cutLevel);
+  }
+
+  /**
+   * Prisma de 8 vertices para miembros del muro de arranque.
+   * Mismo orden de vertices y caras que _createBeveledBeamGeometry:
+   *   start: 0(-w,0t),1(+w,0t),2(+w,+t),3(-w,+t) / end: 4..7
+   */
+  _createRiserMemberGeometry(startPts, endPts) {
+    const verts = [...startPts, ...endPts];
+    const positions = new Float32Array(8 * 3);
+    for (let i = 0; i < 8; i++) {
+      positions[i * 3 + 0] = verts[i].x;
+      positions[i * 3 + 1] = verts[i].y;
+      positions[i * 3 + 2] = verts[i].z;
+    }
+    const indices = [
+      0, 1, 2, 0, 2, 3,
+      4, 6, 5, 4, 7, 6,
+      0, 5, 1, 0, 4, 5,
+      1, 6, 2, 1, 5, 6,
+      2, 7, 3, 2, 6, 7,
+      3, 4, 0, 3, 7, 4,
+    ];
+    const g = new THREE.BufferGeometry();
+    g.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    g.setIndex(indices);
+    g.computeVertexNormals();
+    g.computeBoundingSphere();
+
+    const objQuads = [
+      [0, 1, 2, 3],
+      [4, 7, 6, 5],
+      [0, 4, 5, 1],
+      [1, 5, 6, 2],
+      [2, 6, 7, 3],
+      [3, 7, 4, 0],
+    ];
+    return {
+      geometry: g,
+      objVertices: verts,
+      objQuads,
+      objFaces: objQuads.map(q => q.slice()),
+      faces: {
+        testaA: [0, 1, 2, 3],
+        testaB: [4, 7, 6, 5],
+        outer:  [0, 4, 5, 1],
+        sideP:  [1, 5, 6, 2],
+        inner:  [2, 6, 7, 3],
+        sideN:  [3, 7, 4, 0],
+      },
+    };
+  }
+
+  /**
+   * Material de la biblioteca de cada pieza (materials.js): materialKey y material
+   * (nombre) en beamInfo, connectorInfo y plateInfo. Se llama al generar y cuando
+   * cambia la seleccion de materiales (no cambia la geometria).
+   */
+  _resolveMaterials() {
+    const assign = (info, key) => {
+      info.materialKey = key;
+      info.material = MATERIAL_LIBRARY[key].name;
+    };
+    const beamK = new Map();
+    for (const obj of this.group.children) {
+      const bi = obj && obj.userData && obj.userData.beamInfo;
+      if (!bi || !bi.a || !bi.b) continue;
+      const k = Math.max(bi.a.k, bi.b.k);
+      beamK.set(bi.id, { k, edgeKey: bi.edgeKey || null });
+      assign(bi, resolveMaterialKey('beam', k, bi.edgeKey || null));
+    }
+    for (const obj of this.group.children) {
+      const pi = obj && obj.userData && obj.userData.plateInfo;
+      if (!pi) continue;
+      const beam = beamK.get(pi.beamId);
+      assign(pi, resolveMaterialKey('plate', beam ? beam.k : NaN));
+    }
+    if (this._instanceConnectorMap) {
+      for (const infos of this._instanceConnectorMap.values()) {
+        for (const ci of infos) if (ci) assign(ci, resolveMaterialKey('hub', ci.kOriginal));
+      }
+    }
+  }
+
   _kVisible(kOriginal) {
     const { cutActive, cutLevel } = state;
     return cutActive ? Math.max(0, kOriginal - cutLevel) : kOriginal;
@@ -862,7 +1223,7 @@ export class StructureGenerator {
   _keyForVertex(k, i) {
     // Colapsar polos (radio = 0)
     if (k === 0) return 'pole_low';
-    if (k === state.N) return 'pole_top';
+    if (k === getPoleLevel()) return 'pole_top';
     return `k${k}_i${i}`;
   }
 
@@ -876,6 +1237,12 @@ export class StructureGenerator {
       `floorD=${f(s.floorDiameter)}`,
       `cut=${s.cutActive ? 1 : 0}`,
       `cutLevel=${f(s.cutLevel)}`,
+      `topCut=${s.topCutActive ? 1 : 0}`,
+      `topCutLevel=${f(s.topCutLevel)}`,
+      `sector=${getSectorCount()}`,
+      `footprint=${f(getFootprintScale().sx)}x${f(getFootprintScale().sy)}`,
+      `belt=${s.beltLevels || 0}`,
+      `profile=${(s.profileZ || []).map(f).join(',')}`,
       `h1=${f(s.h1)}`,
       `Htotal=${f(s.Htotal)}`
     ].join('|');
@@ -884,38 +1251,23 @@ export class StructureGenerator {
   _posForVertex(k, i) {
     // Para polos, i es irrelevante
     if (k === 0) return getRingVertex(0, 0);
-    if (k === state.N) return getRingVertex(state.N, 0);
+    if (k === getPoleLevel()) return getRingVertex(k, 0);
     return getRingVertex(k, i);
   }
 
   _buildVisibleFaces() {
-    const { N, cutActive, cutLevel } = state;
+    const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
     const startK = cutActive ? cutLevel : 1;
+    const endK = topCutActive ? topCutLevel : getPoleLevel() - 1;
+    const M = getSectorCount();
     const faces = [];
 
-    for (let k = startK; k <= N - 1; k++) {
-      for (let i = 0; i < N; i++) {
-        let idxL, idxR;
-        if (k % 2 === 1) {
-          idxL = i;
-          idxR = (i + 1) % N;
-        } else {
-          idxL = (i - 1 + N) % N;
-          idxR = i;
-        }
-
-        const vLeft = { k, i: idxL };
-        const vRight = { k, i: idxR };
-
-        if (cutActive && k === cutLevel) {
-          // Triangulo: anillo (k) con el anillo (k+1)
-          const vTop = { k: k + 1, i };
-          faces.push([vLeft, vRight, vTop]);
-        } else {
-          const vBottom = { k: k - 1, i };
-          const vTop = { k: k + 1, i };
-          faces.push([vBottom, vRight, vTop, vLeft]);
-        }
+    // Misma regla que createRhombi: rombos [B, R, T, L] (tambien los del cinturon),
+    // triangulo del corte [L, R, T] y del oculo [R, L, B]
+    for (let k = startK; k <= endK; k++) {
+      for (let i = 0; i < M; i++) {
+        // kFace/iFace: identificador del rombo (en el cinturon no se deduce de R/B)
+        faces.push(Object.assign(getFaceVertexIds(k, i).ids, { kFace: k, iFace: i }));
       }
     }
 
@@ -927,9 +1279,10 @@ export class StructureGenerator {
     const edgeMap = new Map();
 
     // Centro aproximado para orientar normales (inward)
-    const { cutActive, cutLevel, h1, Htotal } = state;
-    const z0 = cutActive ? cutLevel * h1 : 0;
-    const center = new THREE.Vector3(0, 0, z0 + (Htotal - z0) * 0.5);
+    const { cutActive, cutLevel } = state;
+    const z0 = cutActive ? getRingZ(cutLevel) : 0;
+    const zTop = getRingZ(getTopLevel());
+    const center = new THREE.Vector3(0, 0, z0 + (zTop - z0) * 0.5);
 
     const getVertex = (k, i) => {
       const key = this._keyForVertex(k, i);
@@ -990,6 +1343,20 @@ export class StructureGenerator {
       }
     }
 
+    // Sector parcial: las aristas laterales abiertas (una sola cara, no horizontales)
+    // forman el borde del sector. Se marcan junto con sus conectores.
+    if (isPartialSector()) {
+      for (const e of edgeMap.values()) {
+        if (e.faceNormalsInward.length !== 1) continue;
+        const a = vertexMap.get(e.aKey);
+        const b = vertexMap.get(e.bKey);
+        if (!a || !b || a.k === b.k) continue;
+        e.isSectorBoundary = true;
+        a.isSectorBoundary = true;
+        b.isSectorBoundary = true;
+      }
+    }
+
     return { vertexMap, edgeMap };
   }
 
@@ -1446,7 +1813,7 @@ export class StructureGenerator {
         [4, 7, 6, 5],   // testa libre  → normal +o (hacia exterior)
         [0, 4, 5, 1],   // cara t=0     → normal -td
         [1, 5, 6, 2],   // cara +wd     → normal +wd
-        [3, 7, 6, 2],   // cara t=h     → normal +td  (invertido respecto a vigas: simetría de o)
+        [2, 6, 7, 3],   // cara t=h     → normal +td
         [0, 3, 7, 4],   // cara -wd     → normal -wd
       ];
 
@@ -1456,6 +1823,36 @@ export class StructureGenerator {
     }
   }
 
+  /**
+   * Agujeros de pernos de una pletina y del extremo de viga que la recibe.
+   * Se guardan en userData.boltHoles de ambos meshes (centro en el plano medio, eje w);
+   * s/t se miden desde la testa biselada de cada pieza (bolts.js).
+   *
+   * @param {THREE.Mesh} plate
+   * @param {THREE.Mesh} beam
+   * @param {'A'|'B'} end          - extremo de la viga donde va la pletina
+   * @param {THREE.Vector3} outDir - a lo largo de la viga, alejandose del conector
+   * @param {THREE.Vector3} tDir   - alto de la viga (hacia el interior)
+   * @param {Array<{sMm:number, tMm:number}>} layout
+   * @param {number} diameterMm
+   */
+  _attachBoltHoles(plate, beam, end, outDir, tDir, layout, diameterMm) {
+    const pv = plate.geometry && plate.geometry.userData ? plate.geometry.userData.objVertices : null;
+    const bv = beam.userData.objVertices;
+    if (!layout.length || !Array.isArray(pv) || !Array.isArray(bv) || bv.length !== 8) return;
+
+    const axis = new THREE.Vector3().crossVectors(outDir, tDir).normalize();
+    const beamEnd = end === 'A' ? bv.slice(0, 4) : bv.slice(4, 8);
+    plate.userData.boltHoles = [];
+    if (!Array.isArray(beam.userData.boltHoles)) beam.userData.boltHoles = [];
+    layout.forEach((h, idx) => {
+      const center = pointAtStation(pv.slice(0, 4), outDir, tDir, h.sMm, h.tMm);
+      plate.userData.boltHoles.push({ n: idx + 1, center, axis, diameterMm, sMm: h.sMm, tMm: h.tMm });
+      const st = stationOf(beamEnd, outDir, tDir, center);
+      beam.userData.boltHoles.push({ n: idx + 1, end, center, axis, diameterMm, sMm: st.sMm, tMm: st.tMm });
+    });
+  }
+
   _projectPerp(v, axis) {
     // v - axis*(v axis)
     return v.clone().sub(axis.clone().multiplyScalar(v.dot(axis)));
@@ -1466,18 +1863,14 @@ export class StructureGenerator {
    * @param {number} kOriginal
    * @param {boolean} isIntersection
    * @param {{cylDiameterMm:number, cylDepthMm:number}} baseParams
+   * @param {string|null} nodeKey - clave del vertice para incluir su override puntual
    * @returns {{diameterMm:number, depthMm:number, offsetMm:number, radius:number, depth:number, offset:number}}
    */
-  getCylParamsForK(kOriginal, isIntersection = false, baseParams = null) {
+  getCylParamsForK(kOriginal, isIntersection = false, baseParams = null, nodeKey = null) {
     const bp = baseParams || (this._lastParams || {});
     const baseCylDiameterMm = Number(bp.cylDiameterMm) || 1;
     const baseCylDepthMm = Number(bp.cylDepthMm) || 1;
-    const overrides = (state.structureConnectorOverrides && typeof state.structureConnectorOverrides === 'object')
-      ? state.structureConnectorOverrides : {};
-    const overridesIntersection = (state.structureIntersectionConnectorOverrides && typeof state.structureIntersectionConnectorOverrides === 'object')
-      ? state.structureIntersectionConnectorOverrides : {};
-    const src = isIntersection ? overridesIntersection : overrides;
-    const ov = src[String(kOriginal)] || src[kOriginal];
+    const ov = getConnectorOverride(kOriginal, isIntersection, nodeKey);
     const clampMm = (v, fallback) => { const n = Number(v); return (!isFinite(n) || n <= 0) ? fallback : n; };
     const dMm = ov && ov.cylDiameterMm != null ? clampMm(ov.cylDiameterMm, baseCylDiameterMm) : baseCylDiameterMm;
     const pMm = ov && ov.cylDepthMm != null ? clampMm(ov.cylDepthMm, baseCylDepthMm) : baseCylDepthMm;
@@ -1,5 +1,6 @@
-import { state, updateStateCalculations, rhombiData, hasEditState, resetEditState } from './state.js';
+import { state, updateStateCalculations, rhombiData, hasEditState, resetEditState, parseLevelAngles, formatLevelAngles } from './state.js';
 import { logger } from './logger.js';
+import { BOLT_DEFAULTS } from './bolts.js';
 
 // ── Mixins ─────────────────────────────────────────────────────────────────
 import { applyNotificationMixin }     from './ui/notification-mixin.js';
@@ -8,6 +9,14 @@ import { applyPanelMixin }            from './ui/panel-mixin.js';
 import { applyConnectorEditorMixin }  from './ui/connector-editor-mixin.js';
 import { applyBeamEditorMixin }       from './ui/beam-editor-mixin.js';
 import { applyDiagonalMixin }         from './ui/diagonal-mixin.js';
+import { applySolverMixin }           from './ui/solver-mixin.js';
+import { applyAnalysisMixin }         from './ui/analysis-mixin.js';
+import { applyClashMixin }            from './ui/clash-mixin.js';
+import { applyHubSizingMixin }        from './ui/hub-sizing-mixin.js';
+import { applyCutPlanMixin }          from './ui/cut-plan-mixin.js';
+import { applyBOMMixin }              from './ui/bom-mixin.js';
+import { applyHubPrintMixin }         from './ui/hub-print-mixin.js';
+import { applyStakeOutMixin }         from './ui/stakeout-mixin.js';
 
 /**
  * UIManager — orquesta la interfaz de usuario.
@@ -19,6 +28,14 @@ import { applyDiagonalMixin }         from './ui/diagonal-mixin.js';
  *   ConnectorEditorMixin  – tooltip y modal de conectores
  *   BeamEditorMixin       – tooltip, modal y visor de vigas
  *   DiagonalMixin         – vigas extra, diagonales y selección múltiple
+ *   SolverMixin           – solver de geometría por restricciones múltiples
+ *   AnalysisMixin         – análisis estructural (FEM) de la estructura generada
+ *   ClashMixin            – choques entre vigas y pletinas en los conectores
+ *   HubSizingMixin        – diámetro mínimo de conectores por nivel
+ *   CutPlanMixin          – plan de corte de vigas desde largos comerciales
+ *   BOMMixin              – lista de materiales: masa, centro de gravedad y costo
+ *   HubPrintMixin         – conectores imprimibles en 3D (STL / 3MF)
+ *   StakeOutMixin         – replanteo de conectores en coordenadas de obra
  *
  * Este archivo contiene únicamente: constructor, getDOMElements,
  * setupCollapsibleGroups, setupEventListeners, los toggles de visibilidad,
@@ -42,6 +59,14 @@ export class UIManager {
     this.getDOMElements();
     this.setupEventListeners();
     this._initConnectorEditModal();
+    this._initSolverPanel();
+    this._initAnalysisPanel();
+    this._initClashPanel();
+    this._initHubSizingPanel();
+    this._initCutPlanPanel();
+    this._initBOMPanel();
+    this._initHubPrintPanel();
+    this._initStakeOutPanel();
 
     // Iniciar panel principal colapsado
     this.setMainPanelCollapsed(true);
@@ -90,9 +115,19 @@ export class UIManager {
     this.platThicknessMm = document.getElementById('platThicknessMm');
     this.platLengthMm = document.getElementById('platLengthMm');
     this.platWidthMm = document.getElementById('platWidthMm');
+    this.boltCount = document.getElementById('boltCount');
+    this.boltDiameterMm = document.getElementById('boltDiameterMm');
+    this.boltEndMm = document.getElementById('boltEndMm');
+    this.boltEdgeMm = document.getElementById('boltEdgeMm');
+    this.boltGaugeMm = document.getElementById('boltGaugeMm');
+    this.riserHeightMm = document.getElementById('riserHeightMm');
     this.generateStructureBtn = document.getElementById('generateStructureBtn');
     this.toggleStructureVisible = document.getElementById('toggleStructureVisible');
     this.exportStructureObjBtn = document.getElementById('exportStructureObjBtn');
+    this.exportStructureBtlxBtn = document.getElementById('exportStructureBtlxBtn');
+    this.exportStructureDxfBtn = document.getElementById('exportStructureDxfBtn');
+    this.exportStructureIfcBtn = document.getElementById('exportStructureIfcBtn');
+    this.exportSceneGlbBtn = document.getElementById('exportSceneGlbBtn');
 
     // Diagonales / aristas extra
     this.toggleDiagonalModeBtn = document.getElementById('toggleDiagonalModeBtn');
@@ -108,6 +143,88 @@ export class UIManager {
     this.cutLevelNum = document.getElementById('cutLevelNum');
     this.cutLevelRange = document.getElementById('cutLevelRange');
 
+    // Corte superior (oculo)
+    this.topCutBtn = document.getElementById('topCutBtn');
+    this.topCutLevelNum = document.getElementById('topCutLevelNum');
+    this.topCutLevelRange = document.getElementById('topCutLevelRange');
+
+    // Sector parcial (medio domo / cuarto de domo)
+    this.sectorBtn = document.getElementById('sectorBtn');
+    this.sectorCountNum = document.getElementById('sectorCountNum');
+    this.sectorCountRange = document.getElementById('sectorCountRange');
+
+    // Planta eliptica (escala X/Y de los anillos)
+    this.ellipseBtn = document.getElementById('ellipseBtn');
+    this.ellipseScaleXNum = document.getElementById('ellipseScaleXNum');
+    this.ellipseScaleXRange = document.getElementById('ellipseScaleXRange');
+    this.ellipseScaleYNum = document.getElementById('ellipseScaleYNum');
+    this.ellipseScaleYRange = document.getElementById('ellipseScaleYRange');
+
+    // Zonohedro elongado (cinturon de rombos verticales)
+    this.beltLevelsNum = document.getElementById('beltLevelsNum');
+    this.beltLevelsRange = document.getElementById('beltLevelsRange');
+    this.profileBtn = document.getElementById('profileBtn');
+    this.levelAnglesInput = document.getElementById('levelAnglesInput');
+
+    // Solver de geometria (los campos se leen por id en el mixin)
+    this.solverRunBtn = document.getElementById('solverRunBtn');
+    this.solverProfileNote = document.getElementById('solverProfileNote');
+    this.solverResults = document.getElementById('solverResults');
+
+    // Analisis estructural
+    this.clashCheckBtn = document.getElementById('clashCheckBtn');
+    this.clashResults = document.getElementById('clashResults');
+    this.hubClearanceMm = document.getElementById('hubClearanceMm');
+    this.hubBearingMm = document.getElementById('hubBearingMm');
+    this.hubAutoSizeBtn = document.getElementById('hubAutoSizeBtn');
+    this.hubSizingResults = document.getElementById('hubSizingResults');
+    this.cutStockLengthMm = document.getElementById('cutStockLengthMm');
+    this.cutKerfMm = document.getElementById('cutKerfMm');
+    this.cutTrimMm = document.getElementById('cutTrimMm');
+    this.cutPlanPdfBtn = document.getElementById('cutPlanPdfBtn');
+    this.cutPlanCsvBtn = document.getElementById('cutPlanCsvBtn');
+    this.cutPlanResults = document.getElementById('cutPlanResults');
+    this.bomBeamMaterial = document.getElementById('bomBeamMaterial');
+    this.bomBeamPrice = document.getElementById('bomBeamPrice');
+    this.bomHubMaterial = document.getElementById('bomHubMaterial');
+    this.bomHubPrice = document.getElementById('bomHubPrice');
+    this.bomPlateMaterial = document.getElementById('bomPlateMaterial');
+    this.bomPlatePrice = document.getElementById('bomPlatePrice');
+    this.bomBoltPrice = document.getElementById('bomBoltPrice');
+    this.bomLevelMaterials = document.getElementById('bomLevelMaterials');
+    this.bomPdfBtn = document.getElementById('bomPdfBtn');
+    this.bomCsvBtn = document.getElementById('bomCsvBtn');
+    this.bomResults = document.getElementById('bomResults');
+    this.hubSocketDepthMm = document.getElementById('hubSocketDepthMm');
+    this.hubSocketTolMm = document.getElementById('hubSocketTolMm');
+    this.hubStlBtn = document.getElementById('hubStlBtn');
+    this.hub3mfBtn = document.getElementById('hub3mfBtn');
+    this.hubPrintResults = document.getElementById('hubPrintResults');
+    this.stakeOriginE = document.getElementById('stakeOriginE');
+    this.stakeOriginN = document.getElementById('stakeOriginN');
+    this.stakeDatumZ = document.getElementById('stakeDatumZ');
+    this.stakeBearingDeg = document.getElementById('stakeBearingDeg');
+    this.stakeCsvBtn = document.getElementById('stakeCsvBtn');
+    this.stakeXmlBtn = document.getElementById('stakeXmlBtn');
+    this.stakeOutResults = document.getElementById('stakeOutResults');
+    this.femSupports = document.getElementById('femSupports');
+    this.femJoints = document.getElementById('femJoints');
+    this.femSectorWall = document.getElementById('femSectorWall');
+    this.femSnow = document.getElementById('femSnow');
+    this.femSnowExposure = document.getElementById('femSnowExposure');
+    this.femSnowCase = document.getElementById('femSnowCase');
+    this.femSelfWeight = document.getElementById('femSelfWeight');
+    this.femPointLoads = document.getElementById('femPointLoads');
+    this.femWindActive = document.getElementById('femWindActive');
+    this.femWindCode = document.getElementById('femWindCode');
+    this.femWindExposure = document.getElementById('femWindExposure');
+    this.femWindSpeed = document.getElementById('femWindSpeed');
+    this.femWindDir = document.getElementById('femWindDir');
+    this.femWindShowBtn = document.getElementById('femWindShowBtn');
+    this.femRunBtn = document.getElementById('femRunBtn');
+    this.femClearBtn = document.getElementById('femClearBtn');
+    this.femResults = document.getElementById('femResults');
+
     // Rotation control
     this.rotationSpeed = document.getElementById('rotationSpeed');
 
@@ -120,6 +237,16 @@ export class UIManager {
     this.infoRhombusSide = document.getElementById('infoRhombusSide');
     this.infoTriangleBase = document.getElementById('infoTriangleBase');
     this.triangleBaseInfo = document.getElementById('triangleBaseInfo');
+    this.infoOculusDiameter = document.getElementById('infoOculusDiameter');
+    this.oculusDiameterInfo = document.getElementById('oculusDiameterInfo');
+    this.infoBeltHeight = document.getElementById('infoBeltHeight');
+    this.beltHeightInfo = document.getElementById('beltHeightInfo');
+    this.infoVolume = document.getElementById('infoVolume');
+    this.infoShellArea = document.getElementById('infoShellArea');
+    this.infoFloorArea = document.getElementById('infoFloorArea');
+    this.floorAreaInfo = document.getElementById('floorAreaInfo');
+    this.infoHeadroom = document.getElementById('infoHeadroom');
+    this.headroomInfo = document.getElementById('headroomInfo');
     
     // Badges
     this.badgeN = document.getElementById('badgeN');
@@ -214,6 +341,18 @@ export class UIManager {
     if (this.exportStructureObjBtn) {
       this.exportStructureObjBtn.addEventListener('click', () => this.handleExportStructureOBJ());
     }
+    if (this.exportStructureBtlxBtn) {
+      this.exportStructureBtlxBtn.addEventListener('click', () => this.handleExportStructureBTLx());
+    }
+    if (this.exportStructureDxfBtn) {
+      this.exportStructureDxfBtn.addEventListener('click', () => this.handleExportStructureDXF());
+    }
+    if (this.exportStructureIfcBtn) {
+      this.exportStructureIfcBtn.addEventListener('click', () => this.handleExportStructureIFC());
+    }
+    if (this.exportSceneGlbBtn) {
+      this.exportSceneGlbBtn.addEventListener('click', () => this.handleExportSceneGLB());
+    }
 
     // Main panel collapse toggle
     if (this.toggleMainPanelBtn)
@@ -269,6 +408,69 @@ export class UIManager {
       });
     }
 
+    // Oculo (corte superior)
+    if (this.topCutLevelNum) {
+      this.topCutLevelNum.addEventListener('input', () => {
+        this.debouncedSyncTopCutInputs('num');
+      });
+    }
+    if (this.topCutLevelRange) {
+      this.topCutLevelRange.addEventListener('input', () => {
+        this.debouncedSyncTopCutInputs('range');
+      });
+    }
+
+    // Sector parcial
+    if (this.sectorCountNum) {
+      this.sectorCountNum.addEventListener('input', () => {
+        this.debouncedSyncSectorInputs('num');
+      });
+    }
+    if (this.sectorCountRange) {
+      this.sectorCountRange.addEventListener('input', () => {
+        this.debouncedSyncSectorInputs('range');
+      });
+    }
+
+    // Planta eliptica
+    if (this.ellipseScaleXNum) {
+      this.ellipseScaleXNum.addEventListener('input', () => {
+        this.debouncedSyncEllipseInputs('xNum');
+      });
+    }
+    if (this.ellipseScaleXRange) {
+      this.ellipseScaleXRange.addEventListener('input', () => {
+        this.debouncedSyncEllipseInputs('xRange');
+      });
+    }
+    if (this.ellipseScaleYNum) {
+      this.ellipseScaleYNum.addEventListener('input', () => {
+        this.debouncedSyncEllipseInputs('yNum');
+      });
+    }
+    if (this.ellipseScaleYRange) {
+      this.ellipseScaleYRange.addEventListener('input', () => {
+        this.debouncedSyncEllipseInputs('yRange');
+      });
+    }
+
+    // Cinturon
+    if (this.beltLevelsNum) {
+      this.beltLevelsNum.addEventListener('input', () => {
+        this.debouncedSyncBeltInputs('num');
+      });
+    }
+    if (this.beltLevelsRange) {
+      this.beltLevelsRange.addEventListener('input', () => {
+        this.debouncedSyncBeltInputs('range');
+      });
+    }
+    if (this.levelAnglesInput) {
+      this.levelAnglesInput.addEventListener('input', () => {
+        this.debouncedSyncProfileInput();
+      });
+    }
+
     // Button controls
     if (this.facesBtn) 
       this.facesBtn.addEventListener('click', () => this.toggleFaces());
@@ -305,6 +507,14 @@ export class UIManager {
       this.rotationBtn.addEventListener('click', () => this.toggleRotation());
     if (this.cutBtn) 
       this.cutBtn.addEventListener('click', () => this.toggleCut());
+    if (this.topCutBtn)
+      this.topCutBtn.addEventListener('click', () => this.toggleTopCut());
+    if (this.sectorBtn)
+      this.sectorBtn.addEventListener('click', () => this.toggleSector());
+    if (this.ellipseBtn)
+      this.ellipseBtn.addEventListener('click', () => this.toggleEllipse());
+    if (this.profileBtn)
+      this.profileBtn.addEventListener('click', () => this.toggleProfile());
 
     // Rotation speed control
     if (this.rotationSpeed) 
@@ -448,6 +658,9 @@ export class UIManager {
 
   toggleCut() {
     state.cutActive = !state.cutActive;
+    // El oculo debe quedar sobre el nuevo suelo
+    updateStateCalculations();
+    this.updateTopCutLevelDisplay();
     if (this.cutBtn) {
       this.cutBtn.classList.toggle('active', state.cutActive);
       // Actualizar solo el texto del span, manteniendo el SVG
@@ -471,6 +684,93 @@ export class UIManager {
     this.updateGeometryInfo();
   }
 
+  toggleTopCut() {
+    state.topCutActive = !state.topCutActive;
+    // Recalcula (y acota) topCutLevel respecto del corte inferior
+    updateStateCalculations();
+    this.updateTopCutLevelDisplay();
+    this._updateTopCutButton();
+    this.updateHeightDisplay();
+    this.updateBadges();
+
+    this.sceneManager.requestRebuild();
+    this.updateFacesCount();
+    this.updateGeometryInfo();
+  }
+
+  _updateTopCutButton() {
+    if (!this.topCutBtn) return;
+    this.topCutBtn.classList.toggle('active', !!state.topCutActive);
+    const btnText = this.topCutBtn.querySelector('span');
+    if (btnText) {
+      btnText.textContent = state.topCutActive ? 'Quitar oculo' : 'Crear oculo';
+    }
+  }
+
+  toggleSector() {
+    state.sectorActive = !state.sectorActive;
+    updateStateCalculations();
+    this.updateSectorCountDisplay();
+    this._updateSectorButton();
+
+    this.sceneManager.requestRebuild();
+    this.updateFacesCount();
+  }
+
+  _updateSectorButton() {
+    if (!this.sectorBtn) return;
+    this.sectorBtn.classList.toggle('active', !!state.sectorActive);
+    const btnText = this.sectorBtn.querySelector('span');
+    if (btnText) {
+      btnText.textContent = state.sectorActive ? 'Quitar sector' : 'Crear sector';
+    }
+  }
+
+  toggleEllipse() {
+    state.ellipseActive = !state.ellipseActive;
+    updateStateCalculations();
+    this.updateEllipseScaleDisplay();
+    this._updateEllipseButton();
+
+    this.sceneManager.requestRebuild();
+    this.updateGeometryInfo();
+  }
+
+  _updateEllipseButton() {
+    if (!this.ellipseBtn) return;
+    this.ellipseBtn.classList.toggle('active', !!state.ellipseActive);
+    const btnText = this.ellipseBtn.querySelector('span');
+    if (btnText) {
+      btnText.textContent = state.ellipseActive ? 'Planta circular' : 'Estirar planta';
+    }
+  }
+
+  toggleProfile() {
+    state.profileActive = !state.profileActive;
+    state.levelAngles = parseLevelAngles(this.levelAnglesInput ? this.levelAnglesInput.value : '');
+    this.updateState();
+    this._updateProfileButton();
+    this._notifyInvalidProfile();
+
+    this.sceneManager.requestRebuild();
+    this.updateFacesCount();
+  }
+
+  _updateProfileButton() {
+    if (!this.profileBtn) return;
+    this.profileBtn.classList.toggle('active', !!state.profileActive);
+    const btnText = this.profileBtn.querySelector('span');
+    if (btnText) {
+      btnText.textContent = state.profileActive ? 'Perfil uniforme' : 'Aplicar perfil';
+    }
+  }
+
+  _notifyInvalidProfile() {
+    if (state.profileActive && !state.profileValid) {
+      this.showNotification('Perfil invalido: los anillos se cruzan. Se usa el perfil uniforme', 'error');
+    }
+  }
+
   updateRotationSpeed(e) {
     const speedValue = parseFloat(e.target.value);
     state.rotationSpeed = speedValue / 100;
@@ -497,6 +797,11 @@ export class UIManager {
     const platThicknessMm = Number((this.platThicknessMm && this.platThicknessMm.value) ? this.platThicknessMm.value : 3);
     const platLengthMm = Number((this.platLengthMm && this.platLengthMm.value) ? this.platLengthMm.value : 120);
     const platWidthMm = Number((this.platWidthMm && this.platWidthMm.value) ? this.platWidthMm.value : 50);
+    const riserHeightMm = Number((this.riserHeightMm && this.riserHeightMm.value) ? this.riserHeightMm.value : 0);
+    const bolt = (el, fallback) => {
+      const v = Number((el && el.value !== '') ? el.value : fallback);
+      return Number.isFinite(v) && v >= 0 ? v : fallback;
+    };
 
     if (!cylDiameterMm || !cylDepthMm || !beamHeightMm || !beamWidthMm) {
       this.showNotification('Ingresa diametro/profundidad del conector y alto/ancho de la viga (mm).', 'error');
@@ -517,6 +822,12 @@ export class UIManager {
         platThicknessMm: platThicknessMm > 0 ? platThicknessMm : 3,
         platLengthMm: platLengthMm > 0 ? platLengthMm : 120,
         platWidthMm: platWidthMm > 0 ? platWidthMm : 50,
+        riserHeightMm: riserHeightMm > 0 ? riserHeightMm : 0,
+        boltCount: Math.floor(bolt(this.boltCount, BOLT_DEFAULTS.boltCount)),
+        boltDiameterMm: bolt(this.boltDiameterMm, BOLT_DEFAULTS.boltDiameterMm) || BOLT_DEFAULTS.boltDiameterMm,
+        boltEndMm: bolt(this.boltEndMm, BOLT_DEFAULTS.boltEndMm),
+        boltEdgeMm: bolt(this.boltEdgeMm, BOLT_DEFAULTS.boltEdgeMm),
+        boltGaugeMm: bolt(this.boltGaugeMm, BOLT_DEFAULTS.boltGaugeMm) || BOLT_DEFAULTS.boltGaugeMm,
       });
       this._maybeShowStructureWarnings();
       // Por defecto, dejar visible al generar
@@ -545,6 +856,46 @@ export class UIManager {
     }
   }
 
+  handleExportStructureBTLx() {
+    try {
+      const types = this.sceneManager.exportConnectorStructureBTLx();
+      this.showNotification(`BTLx descargado: ${types} tipo(s) de viga.`, 'success');
+    } catch (err) {
+      logger.error(err);
+      this.showNotification('No se pudo exportar BTLx. Genera la estructura primero.', 'error');
+    }
+  }
+
+  handleExportStructureDXF() {
+    try {
+      const types = this.sceneManager.exportConnectorStructureDXF();
+      this.showNotification(`DXF descargado: ${types} tipo(s) de viga.`, 'success');
+    } catch (err) {
+      logger.error(err);
+      this.showNotification('No se pudo exportar DXF. Genera la estructura primero.', 'error');
+    }
+  }
+
+  handleExportStructureIFC() {
+    try {
+      const n = this.sceneManager.exportConnectorStructureIFC();
+      this.showNotification(`IFC descargado: ${n.members} vigas, ${n.fasteners} conectores, ${n.plates} pletinas.`, 'success');
+    } catch (err) {
+      logger.error(err);
+      this.showNotification('No se pudo exportar IFC. Genera la estructura primero.', 'error');
+    }
+  }
+
+  async handleExportSceneGLB() {
+    try {
+      const n = await this.sceneManager.exportSceneGLB();
+      this.showNotification(`GLB descargado: ${n.shell} malla(s), ${n.beams} vigas, ${n.connectors} conectores, ${n.plates} pletinas.`, 'success');
+    } catch (err) {
+      logger.error(err);
+      this.showNotification('No se pudo exportar GLB. La escena esta vacia.', 'error');
+    }
+  }
+
     /**
    * Actualiza todos los botones segun el estado actual
    */
@@ -567,6 +918,10 @@ export class UIManager {
       if (this.platThicknessMm && Number.isFinite(Number(p.platThicknessMm))) this.platThicknessMm.value = String(Number(p.platThicknessMm));
       if (this.platLengthMm && Number.isFinite(Number(p.platLengthMm))) this.platLengthMm.value = String(Number(p.platLengthMm));
       if (this.platWidthMm && Number.isFinite(Number(p.platWidthMm))) this.platWidthMm.value = String(Number(p.platWidthMm));
+      if (this.riserHeightMm) this.riserHeightMm.value = String(Number(p.riserHeightMm) || 0);
+      for (const f of Object.keys(BOLT_DEFAULTS)) {
+        if (this[f]) this[f].value = String(Number.isFinite(Number(p[f])) ? Number(p[f]) : BOLT_DEFAULTS[f]);
+      }
     }
     if (this.toggleStructureVisible) {
       this.toggleStructureVisible.checked = !!state.structureVisible;
@@ -650,9 +1005,16 @@ export class UIManager {
       }
     }
 
+    this._updateTopCutButton();
+    this._updateSectorButton();
+    this._updateEllipseButton();
+    this._updateProfileButton();
+    if (this.levelAnglesInput) this.levelAnglesInput.value = formatLevelAngles(state.levelAngles);
+
     // Toggle diameter controls
     this.toggleDiameterControls();
     this.updateCutLevelDisplay();
+    this.updateBeltLevelsDisplay();
     this.updateGeometryInfo();
     this.updateBadges();
   }
@@ -676,6 +1038,14 @@ export class UIManager {
     // Registrar hook: después de cualquier regeneración de estructura,
     // reaplicar el modo "Vigas en arista" si estaba activo.
     this.sceneManager._onAfterGenerate = () => {
+      this._invalidateStructuralAnalysis();
+      this._refreshClashView();
+      this._clearHubSizing();
+      this._clearCutPlan();
+      this._clearBOM();
+      this._renderBOMLevels();
+      this._clearHubPrint();
+      this._clearStakeOut();
       if (!this._beamEdgeMode) return;
       const gen = this.sceneManager.structureGenerator;
       if (!gen) return;
@@ -700,3 +1070,11 @@ applyPanelMixin(UIManager.prototype);
 applyConnectorEditorMixin(UIManager.prototype);
 applyBeamEditorMixin(UIManager.prototype);
 applyDiagonalMixin(UIManager.prototype);
+applySolverMixin(UIManager.prototype);
+applyAnalysisMixin(UIManager.prototype);
+applyClashMixin(UIManager.prototype);
+applyHubSizingMixin(UIManager.prototype);
+applyCutPlanMixin(UIManager.prototype);
+applyBOMMixin(UIManager.prototype);
+applyHubPrintMixin(UIManager.prototype);
+applyStakeOutMixin(UIManager.prototype);
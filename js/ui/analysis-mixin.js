@@ -0,0 +1,300 @@
+import { state, getPoleLevel } from '../state.js';
+import { analyzeFrame } from '../fem.js';
+import { MATERIAL_LIBRARY } from '../materials.js';
+import { WIND_CODES, computeWindPressures, windNodalLoads } from '../wind.js';
+import { SNOW_CASES, computeSnowLoads, snowFaceLoads } from '../snow.js';
+
+// Vigas mas solicitadas que se listan en el panel
+const ANALYSIS_TOP_BEAMS = 8;
+
+export function applyAnalysisMixin(proto) {
+
+  proto._initAnalysisPanel = function() {
+    if (this.femRunBtn) this.femRunBtn.addEventListener('click', () => this.runStructuralAnalysis());
+    if (this.femClearBtn) this.femClearBtn.addEventListener('click', () => this.clearStructuralAnalysis());
+
+    this._fillWindExposures();
+    if (this.femWindCode) {
+      this.femWindCode.addEventListener('change', () => {
+        this._fillWindExposures();
+        this._refreshWindOverlay();
+      });
+    }
+    for (const el of [this.femWindExposure, this.femWindSpeed, this.femWindDir]) {
+      if (el) el.addEventListener('change', () => this._refreshWindOverlay());
+    }
+    if (this.femWindShowBtn) this.femWindShowBtn.addEventListener('click', () => this.toggleWindOverlay());
+  };
+
+  /** Opciones de terreno/exposicion segun la norma elegida (conserva la eleccion si existe). */
+  proto._fillWindExposures = function() {
+    if (!this.femWindExposure) return;
+    const spec = WIND_CODES[this.femWindCode ? this.femWindCode.value : 'en'] || WIND_CODES.en;
+    const prev = this.femWindExposure.value;
+    this.femWindExposure.innerHTML = spec.exposures
+      .map(e => `<option value="${e.id}">${e.label}</option>`)
+      .join('');
+    this.femWindExposure.value = spec.exposures.some(e => e.id === prev) ? prev : spec.defaultExposure;
+  };
+
+  /** Presiones de viento con los datos del panel (null y aviso si no son validos). */
+  proto._computeWindFromPanel = function() {
+    const speed = this.femWindSpeed ? Number(this.femWindSpeed.value) : NaN;
+    const dir = this.femWindDir ? Number(this.femWindDir.value) : 0;
+    if (!Number.isFinite(speed) || speed <= 0) {
+      this.showNotification('Velocidad de viento invalida', 'error');
+      return null;
+    }
+    if (!Number.isFinite(dir)) {
+      this.showNotification('Direccion de viento invalida', 'error');
+      return null;
+    }
+    return computeWindPressures({
+      code: this.femWindCode ? this.femWindCode.value : 'en',
+      exposure: this.femWindExposure ? this.femWindExposure.value : undefined,
+      speed,
+      directionDeg: dir,
+    });
+  };
+
+  /** Datos de nieve del panel; la acumulacion usa la direccion del viento. */
+  proto._snowOptionsFromPanel = function() {
+    const sk = this.femSnow ? Number(this.femSnow.value) : 0;
+    const dir = this.femWindDir ? Number(this.femWindDir.value) : 0;
+    return {
+      sk,
+      Ce: this.femSnowExposure ? Number(this.femSnowExposure.value) : 1,
+      directionDeg: Number.isFinite(dir) ? dir : 0,
+    };
+  };
+
+  /** Cargas de nieve para el reporte PDF (null sin nieve). */
+  proto.getSnowReport = function() {
+    const opts = this._snowOptionsFromPanel();
+    if (!Number.isFinite(opts.sk) || opts.sk <= 0) return null;
+    return computeSnowLoads(opts);
+  };
+
+  proto.toggleWindOverlay = function() {
+    if (this._windOverlayShown) {
+      this._setWindOverlayShown(false);
+      return;
+    }
+    const wind = this._computeWindFromPanel();
+    if (!wind) return;
+    this.sceneManager.setWindOverlay(wind);
+    this._setWindOverlayShown(true);
+  };
+
+  proto._setWindOverlayShown = function(shown) {
+    this._windOverlayShown = shown;
+    if (!shown && this.sceneManager.clearWindOverlay) this.sceneManager.clearWindOverlay();
+    if (this.femWindShowBtn) {
+      const label = this.femWindShowBtn.querySelector('span');
+      if (label) label.textContent = shown ? 'Ocultar presiones' : 'Ver presiones';
+    }
+  };
+
+  /** Cambiaron los datos del viento: redibujar si el mapa esta a la vista. */
+  proto._refreshWindOverlay = function() {
+    if (!this._windOverlayShown) return;
+    const wind = this._computeWindFromPanel();
+    if (wind) this.sceneManager.setWindOverlay(wind);
+    else this._setWindOverlayShown(false);
+  };
+
+  /** Clave del generador -> clave con nivel visible (la que ve el usuario). */
+  proto._femKeyVisible = function(key) {
+    const shift = state.cutActive ? state.cutLevel : 0;
+    let m = /^k(\d+)_i(\d+)$/.exec(key);
+    if (m) return `k${Number(m[1]) - shift}_i${m[2]}`;
+    m = /^X:(\d+):(\d+)$/.exec(key);
+    if (m) return `X:${Number(m[1]) - shift}:${m[2]}`;
+    return key;
+  };
+
+  /** Clave con nivel visible -> clave del generador (null si no es valida). */
+  proto._femKeyOriginal = function(keyVisible) {
+    const shift = state.cutActive ? state.cutLevel : 0;
+    if (keyVisible === 'pole_low' || keyVisible === 'pole_top') return keyVisible;
+    let m = /^k(\d+)_i(\d+)$/i.exec(keyVisible);
+    if (m) {
+      const k = Number(m[1]) + shift;
+      if (k === 0) return 'pole_low';
+      if (k === getPoleLevel()) return 'pole_top';
+      return `k${k}_i${m[2]}`;
+    }
+    m = /^X:(\d+):(\d+)$/i.exec(keyVisible);
+    if (m) return `X:${Number(m[1]) + shift}:${m[2]}`;
+    return null;
+  };
+
+  /**
+   * Lee las cargas puntuales: "nodo: Fz" o "nodo: Fx, Fy, Fz" separadas por ';'.
+   * @returns {{loads:Array<{key:string,fx:number,fy:number,fz:number}>, invalid:string[]}}
+   */
+  proto._parseAnalysisPointLoads = function(text) {
+    const loads = [];
+    const invalid = [];
+    for (const raw of String(text || '').split(';')) {
+      const entry = raw.trim();
+      if (!entry) continue;
+      const sep = entry.lastIndexOf(':');
+      const key = sep > 0 ? this._femKeyOriginal(entry.slice(0, sep).trim()) : null;
+      const vals = sep > 0 ? entry.slice(sep + 1).split(',').map(v => Number(v.trim())) : [];
+      if (!key || !(vals.length === 1 || vals.length === 3) || vals.some(v => !Number.isFinite(v))) {
+        invalid.push(entry);
+        continue;
+      }
+      const [fx, fy, fz] = vals.length === 1 ? [0, 0, vals[0]] : vals;
+      loads.push({ key, fx, fy, fz });
+    }
+    return { loads, invalid };
+  };
+
+  proto.runStructuralAnalysis = function() {
+    const group = this.sceneManager && this.sceneManager.structureGroup;
+    if (!state.structureParams || !group || !group.children.length) {
+      this.showNotification('Genera primero la estructura para conectores', 'error');
+      return;
+    }
+
+    const snowOpts = this._snowOptionsFromPanel();
+    if (!Number.isFinite(snowOpts.sk) || snowOpts.sk < 0) {
+      this.showNotification('Carga de nieve invalida', 'error');
+      return;
+    }
+    const snowCase = this.femSnowCase ? this.femSnowCase.value : 'balanced';
+    const snow = snowOpts.sk > 0 ? computeSnowLoads(snowOpts) : null;
+    const { loads, invalid } = this._parseAnalysisPointLoads(this.femPointLoads ? this.femPointLoads.value : '');
+    if (invalid.length) {
+      this.showNotification(`Carga puntual invalida: ${invalid[0]}`, 'error');
+      return;
+    }
+
+    let wind = null;
+    if (this.femWindActive && this.femWindActive.checked) {
+      wind = this._computeWindFromPanel();
+      if (!wind) return;
+    }
+
+    let result;
+    try {
+      result = analyzeFrame(group, {
+        supports: this.femSupports ? this.femSupports.value : 'pinned',
+        joints: this.femJoints ? this.femJoints.value : 'rigid',
+        sectorBoundary: this.femSectorWall ? this.femSectorWall.checked : true,
+        selfWeight: this.femSelfWeight ? this.femSelfWeight.checked : true,
+        snowFaces: snow ? snowFaceLoads(snow, snowCase) : [],
+        pointLoads: loads,
+        windLoads: wind ? windNodalLoads(wind) : [],
+        // Combinaciones de la misma norma que el viento
+        code: wind ? wind.code : 'en',
+        // Material resuelto por StructureGenerator para cada viga
+        materialFor: (info) => MATERIAL_LIBRARY[info.materialKey] || null,
+      });
+    } catch (err) {
+      this._analysisResult = null;
+      if (this.sceneManager.clearBeamUtilization) this.sceneManager.clearBeamUtilization();
+      if (this.femResults) this.femResults.innerHTML = '';
+      this.showNotification(err && err.message ? err.message : 'No se pudo analizar la estructura', 'error');
+      return;
+    }
+
+    const missing = loads.filter(l => !result.nodes.some(n => n.key === l.key));
+    if (missing.length) {
+      this.showNotification(`Nodo sin vigas, carga ignorada: ${this._femKeyVisible(missing[0].key)}`, 'info');
+    }
+
+    this._analysisResult = result;
+    this.sceneManager.setBeamUtilization(result.beams);
+    if (wind && this._windOverlayShown) this.sceneManager.setWindOverlay(wind);
+    this._renderAnalysisResults(result, wind, snow ? { snow, snowCase } : null);
+    if (this.sceneManager.markDirty) this.sceneManager.markDirty();
+  };
+
+  proto.clearStructuralAnalysis = function() {
+    this._analysisResult = null;
+    if (this.sceneManager && this.sceneManager.clearBeamUtilization) this.sceneManager.clearBeamUtilization();
+    if (this.femResults) this.femResults.innerHTML = '';
+  };
+
+  /** La estructura se regenero: los resultados ya no corresponden a los meshes. */
+  proto._invalidateStructuralAnalysis = function() {
+    if (!this._analysisResult) return;
+    this._analysisResult = null;
+    if (this.femResults) {
+      this.femResults.innerHTML = '<div class="mini-help">La estructura cambió. Vuelve a calcular.</div>';
+    }
+  };
+
+  proto._renderAnalysisResults = function(r, wind = null, snowInfo = null) {
+    if (!this.femResults) return;
+    const f1 = (v) => (Number.isFinite(v) ? v.toFixed(1) : '—');
+    const f2 = (v) => (Number.isFinite(v) ? v.toFixed(2) : '—');
+    const pct = (v) => `${Math.round(v * 100)}%`;
+    const beamLabel = (b) => `${this._femKeyVisible(b.info.aKey)}–${this._femKeyVisible(b.info.bKey)}`;
+
+    const rows = [
+      ['Aprovechamiento máx.', pct(r.max.utilization), r.max.utilization > 1],
+      ['Tracción máx. (kN)', f2(r.max.tension)],
+      ['Compresión máx. (kN)', f2(-r.max.compression)],
+      ['Momento máx. (kN·m)', f2(r.max.moment)],
+      ['Desplazamiento máx. ELS (mm)', f1(r.max.dispMm)],
+      ['Arranque máx. ELU (kN)', f2(r.max.uplift), r.max.uplift > 1e-6],
+      ['Carga ELU / ΣRz (kN)', `${f2(r.totals.load)} / ${f2(r.totals.reaction.z)}`],
+      ['Apoyos', `${r.supportCount} ${r.supports === 'fixed' ? 'empotrados' : 'articulados'}`
+        + `${r.sectorSupportCount ? ` (${r.sectorSupportCount} en el muro)` : ''}`],
+    ];
+    let html = '<div class="fem-summary">';
+    for (const [label, value, over] of rows) {
+      html += `<span>${label}</span><span class="fem-value${over ? ' fem-over' : ''}">${value}</span>`;
+    }
+    html += '</div>';
+
+    const top = [...r.beams].sort((a, b) => b.utilization - a.utilization).slice(0, ANALYSIS_TOP_BEAMS);
+    html += '<table class="fem-table"><thead><tr><th>Viga</th><th>N (kN)</th><th>M (kN·m)</th><th>η</th></tr></thead><tbody>';
+    for (const b of top) {
+      const N = Math.abs(b.nMin) > Math.abs(b.nMax) ? b.nMin : b.nMax;
+      html += `<tr><td>${beamLabel(b)}</td><td>${f2(N)}</td><td>${f2(Math.max(b.myMax, b.mzMax))}</td>`
+        + `<td class="${b.utilization > 1 ? 'fem-over' : ''}" title="${b.combo || ''}">${pct(b.utilization)}</td></tr>`;
+    }
+    html += '</tbody></table>';
+
+    html += '<details><summary>Reacciones ELU, envolvente (kN)</summary><table class="fem-table"><thead><tr><th>Nodo</th><th>Rh máx</th><th>Rz máx</th><th>Rz mín</th></tr></thead><tbody>';
+    for (const n of r.nodes.filter(n => n.isSupport)) {
+      const env = n.reactionEnvelope;
+      html += `<tr><td>${this._femKeyVisible(n.key)}</td><td>${f2(env.hMax)}</td><td>${f2(env.zMax)}</td>`
+        + `<td class="${env.zMin < 0 ? 'fem-over' : ''}">${f2(env.zMin)}</td></tr>`;
+    }
+    html += '</tbody></table></details>';
+
+    const disp = [...r.nodes].sort((a, b) => b.dispMm.total - a.dispMm.total).slice(0, ANALYSIS_TOP_BEAMS);
+    html += '<details><summary>Desplazamientos ELS (mm)</summary><table class="fem-table"><thead><tr><th>Nodo</th><th>dx</th><th>dy</th><th>dz</th></tr></thead><tbody>';
+    for (const n of disp) {
+      html += `<tr><td>${this._femKeyVisible(n.key)}</td><td>${f1(n.dispMm.x)}</td><td>${f1(n.dispMm.y)}</td><td>${f1(n.dispMm.z)}</td></tr>`;
+    }
+    html += '</tbody></table></details>';
+
+    if (snowInfo) {
+      const { snow, snowCase } = snowInfo;
+      html += `<div class="mini-help">Nieve ${SNOW_CASES[snowCase] || ''}: sk = ${f2(snow.sk)} kN/m², Ce = ${f2(snow.Ce)}, `
+        + `μ3 = ${f2(snow.mu3)} · total ${f2(snowCase === 'drift' ? snow.totals.drift : snow.totals.balanced)} kN</div>`;
+    }
+    if (r.totals.snowLost > 1e-6) {
+      html += `<div class="mini-help">Nieve sin nodos donde apoyar: ${f2(r.totals.snowLost)} kN (caras sin vigas).</div>`;
+    }
+    if (wind) {
+      const c = wind.coefficients;
+      const R = wind.resultant;
+      html += `<div class="mini-help">Viento ${WIND_CODES[wind.code].label}, terreno ${wind.exposure}: `
+        + `q = ${f2(wind.qRef / 1000)} kN/m² a ${f1(wind.zRef)} m · Cpe A/B/C = ${f2(c.A)} / ${f2(c.B)} / ${f2(c.C)} · `
+        + `resultante H = ${f2(Math.hypot(R.x, R.y) / 1000)} kN, V = ${f2(R.z / 1000)} kN</div>`;
+    }
+    html += `<div class="mini-help">G = ${f2(r.totals.G)} kN · Q = ${f2(r.totals.Q)} kN`
+      + `${wind ? ` · W↓ = ${f2(r.totals.W)} kN` : ''} · ELU ${r.totals.code === 'asce' ? 'ASCE 7' : 'EN 1990'}: `
+      + `${r.combinations.map(c => c.label).join(' | ')} (ΣRz con la primera)</div>`;
+    this.femResults.innerHTML = html;
+  };
+
+}
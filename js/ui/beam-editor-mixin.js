@@ -1,8 +1,10 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { state } from '../state.js';
+import { state, getPoleLevel, getBeamOverride, getLevelMaterial, setLevelMaterial } from '../state.js';
+import { MATERIAL_LIBRARY, MATERIAL_KINDS, isMaterialFor } from '../materials.js';
 import { BeamPDFReporter } from '../beam-pdf-report.js';
 import { logger } from '../logger.js';
+import { SAW_REFERENCES, SAW_SIDES_NOTE, formatSawSettings } from '../saw.js';
 
 export function applyBeamEditorMixin(proto) {
 
@@ -101,8 +103,10 @@ export function applyBeamEditorMixin(proto) {
       (ra.i != null && rb.i != null && ra.i !== rb.i) ? (ra.i > rb.i) :
       false;
 
+    const sawEnds = this._beamSawEnds(bi);
     if (shouldSwap) {
       const tmp = aName; aName = bName; bName = tmp;
+      sawEnds.reverse();
     }
 
     if (this._beamTooltipTitle) {
@@ -114,8 +118,10 @@ export function applyBeamEditorMixin(proto) {
       const nn = (nodeLenMm!=null) ? `Nodo–Nodo: ${nodeLenMm} mm` : null;
       const cn = (aName && bName) ? `Conecta: ${aName} ↔ ${bName}` : null;
       const info = [cn, nn].filter(Boolean).join(' · ');
+      const saw = sawEnds.filter(s => s.cut).map(s => `${s.plate ? 'pletina ' : ''}${s.name}: ${formatSawSettings(s.plate || s.cut)}`).join(' / ');
       const hint = '2º toque: editar (aplica al nivel)';
-      this._beamTooltipSub.textContent = info ? `${info} — ${hint}` : hint;
+      const txt = info ? `${info} — ${hint}` : hint;
+      this._beamTooltipSub.textContent = saw ? `${txt}\nCortes ${saw}` : txt;
     }
 
     this._beamTooltipHit = hit;
@@ -208,6 +214,22 @@ export function applyBeamEditorMixin(proto) {
     body.className = 'zv-modal-body';
     modal.appendChild(body);
 
+    const rowS = document.createElement('div');
+    rowS.className = 'zv-modal-row';
+    rowS.innerHTML = '<div class="zv-modal-label">Aplicar a</div>';
+    const selS = document.createElement('select');
+    selS.className = 'zv-modal-input';
+    selS.id = 'beamEditScope';
+    for (const [value, label] of [['edge', 'Esta viga'], ['level', 'Todo el nivel']]) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      selS.appendChild(opt);
+    }
+    rowS.appendChild(selS);
+    body.appendChild(rowS);
+    this._beamModalScope = selS;
+
     const rowW = document.createElement('div');
     rowW.className = 'zv-modal-row';
     rowW.innerHTML = '<div class="zv-modal-label">Ancho B (mm)</div>';
@@ -232,12 +254,41 @@ export function applyBeamEditorMixin(proto) {
     body.appendChild(rowH);
     this._beamModalHeight = inH;
 
+    const rowM = document.createElement('div');
+    rowM.className = 'zv-modal-row';
+    rowM.innerHTML = '<div class="zv-modal-label">Material</div>';
+    const inM = document.createElement('select');
+    inM.className = 'zv-modal-input';
+    const optDefault = document.createElement('option');
+    optDefault.value = '';
+    optDefault.textContent = 'Por defecto';
+    inM.appendChild(optDefault);
+    for (const [key, mat] of Object.entries(MATERIAL_LIBRARY)) {
+      if (!MATERIAL_KINDS.beam.includes(mat.kind)) continue;
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = mat.name;
+      inM.appendChild(opt);
+    }
+    rowM.appendChild(inM);
+    body.appendChild(rowM);
+    this._beamModalMaterial = inM;
+
+    const rowSaw = document.createElement('div');
+    rowSaw.className = 'zv-modal-row';
+    rowSaw.innerHTML = '<div class="zv-modal-label">Cortes de ingletadora</div>';
+    const saw = document.createElement('div');
+    saw.className = 'zv-modal-info';
+    rowSaw.appendChild(saw);
+    body.appendChild(rowSaw);
+    this._beamModalSaw = saw;
+
     const rowBtns = document.createElement('div');
     rowBtns.className = 'zv-modal-row zv-modal-row-inline';
 
     const btnRestore = document.createElement('button');
     btnRestore.className = 'zv-btn zv-btn-secondary';
-    btnRestore.textContent = 'Restaurar dimensiones del nivel';
+    btnRestore.textContent = 'Restaurar';
     rowBtns.appendChild(btnRestore);
 
     body.appendChild(rowBtns);
@@ -279,6 +330,7 @@ export function applyBeamEditorMixin(proto) {
     btnRestore.addEventListener('click', () => this._restoreBeamEditModal());
     btnDelete.addEventListener('click', () => this._deleteSelectedBeamFromModal());
     btnView.addEventListener('click', () => this._openBeamViewerFromEditModal());
+    selS.addEventListener('change', () => this._fillBeamEditInputs());
 
     // Usar AbortController para poder remover el listener al destruir el modal
     this._beamModalAbortCtrl = new AbortController();
@@ -1107,9 +1159,9 @@ export function applyBeamEditorMixin(proto) {
 
     // BUG-M3 fix: identificar polos por kOriginal (0 = polo bajo, N = polo alto).
     // Antes se comparaba ci.id con 'pole_low'/'pole_top' pero el generador asigna 'C0-0'.
-    const N = state ? state.N : null;
+    const poleK = state ? getPoleLevel() : null;
     if (k === 0) return 'pole_low';
-    if (N != null && k === N) return 'pole_top';
+    if (poleK != null && k === poleK) return 'pole_top';
 
     if (!isFinite(k) || !isFinite(i)) return null;
     return `k${k}_i${i}`;
@@ -1123,9 +1175,9 @@ export function applyBeamEditorMixin(proto) {
     // Fallback (sin conectores centrales): derivar desde (k,i)
     const vKey = (k, i) => {
       // BUG-M4 fix: colapsar k==0/N a polos para que el fallback sea consistente con los conectores reales.
-      const _N = (state && state.N) ? state.N : null;
+      const _poleK = (state && state.N) ? getPoleLevel() : null;
       if (k === 0) return 'pole_low';
-      if (_N != null && k === _N) return 'pole_top';
+      if (_poleK != null && k === _poleK) return 'pole_top';
       return `k${k}_i${i}`;
     };
     const ak = (bi && bi.a) ? bi.a.k : null;
@@ -1144,12 +1196,6 @@ export function applyBeamEditorMixin(proto) {
     if (!this._beamModalOverlay) this._initBeamEditModal();
 
     const kLevelOriginal = hit.kLevelOriginal;
-    const baseW = Number(state.structureParams.beamWidthMm) || 1;
-    const baseH = Number(state.structureParams.beamHeightMm ?? state.structureParams.beamThicknessMm) || 1;
-
-    const ov = (state.structureBeamOverrides && (state.structureBeamOverrides[String(kLevelOriginal)] || state.structureBeamOverrides[kLevelOriginal])) || null;
-    const currentW = ov && ov.beamWidthMm != null ? Number(ov.beamWidthMm) : (hit.widthMm != null ? Number(hit.widthMm) : baseW);
-    const currentH = ov && ov.beamHeightMm != null ? Number(ov.beamHeightMm) : (hit.heightMm != null ? Number(hit.heightMm) : baseH);
 
     this._beamEditHit = hit;
     // Reset UI estado
@@ -1167,12 +1213,14 @@ export function applyBeamEditorMixin(proto) {
 
     const kv = (hit.kVisible != null) ? hit.kVisible : kLevelOriginal;
     this._beamModalTitle.textContent = `Editar viga (nivel k${kv})`;
-    if (this._beamModalSubtitle) {
-      this._beamModalSubtitle.textContent = 'Se aplicará a todas las vigas del mismo nivel';
-    }
 
-    this._beamModalWidth.value = String(Math.round(currentW));
-    this._beamModalHeight.value = String(Math.round(currentH));
+    // Alcance por defecto: la viga puntual si ya tiene override propio, si no el nivel
+    const ek = this._beamEditKey();
+    const hasEdgeOv = !!(ek && state.structureBeamEdgeOverrides && state.structureBeamEdgeOverrides[ek]);
+    this._beamModalScope.value = hasEdgeOv ? 'edge' : 'level';
+    this._beamModalScope.disabled = !ek;
+    this._fillBeamEditInputs();
+    this._fillBeamSawInfo();
 
     this._beamModalOverlay.classList.remove('zv-hidden');
     setTimeout(() => {
@@ -1184,6 +1232,66 @@ export function applyBeamEditorMixin(proto) {
     }, 0);
   };
 
+  /**
+   * Ajustes de ingletadora de cada extremo (A, B). Con conector de pletinas la testa
+   * que se corta es la de la pletina; la de la viga se indica igual para el armado.
+   */
+  proto._beamSawEnds = function(bi) {
+    if (!bi) return [];
+    return [
+      { name: (bi.a && bi.a.name) || 'A', cut: bi.sawA || null, plate: bi.plateSawA || null },
+      { name: (bi.b && bi.b.name) || 'B', cut: bi.sawB || null, plate: bi.plateSawB || null },
+    ];
+  };
+
+  /** Cortes de ambos extremos en el modal (solo lectura; dependen del bisel generado). */
+  proto._fillBeamSawInfo = function() {
+    if (!this._beamModalSaw) return;
+    const hit = this._beamEditHit;
+    const bi = hit && hit.mesh && hit.mesh.userData ? hit.mesh.userData.beamInfo : null;
+    const ends = this._beamSawEnds(bi).filter(s => s.cut);
+    if (!ends.length) {
+      this._beamModalSaw.textContent = 'Sin datos de corte para esta viga.';
+      return;
+    }
+    this._beamModalSaw.innerHTML = ends.map(s => {
+      let html = `<div><b>${s.name}</b> — ${formatSawSettings(s.cut)}<br>${SAW_REFERENCES[s.cut.reference]}</div>`;
+      if (s.plate) html += `<div>Pletina ${s.name} — ${formatSawSettings(s.plate)}<br>${SAW_REFERENCES[s.plate.reference]}</div>`;
+      return html;
+    }).join('') + `<div>${SAW_SIDES_NOTE}</div>`;
+  };
+
+  /** edgeKey de la viga en edicion (null si no se puede identificar). */
+  proto._beamEditKey = function() {
+    const hit = this._beamEditHit;
+    const bi = hit && hit.mesh && hit.mesh.userData ? hit.mesh.userData.beamInfo : null;
+    return this._edgeKeyFromBeamInfo(bi);
+  };
+
+  /** Muestra en el modal los valores efectivos de la viga para el alcance elegido. */
+  proto._fillBeamEditInputs = function() {
+    const hit = this._beamEditHit;
+    if (!hit || !state.structureParams) return;
+    const baseW = Number(state.structureParams.beamWidthMm) || 1;
+    const baseH = Number(state.structureParams.beamHeightMm ?? state.structureParams.beamThicknessMm) || 1;
+    const scope = this._beamModalScope.value;
+    const ov = getBeamOverride(hit.kLevelOriginal, scope === 'edge' ? this._beamEditKey() : null);
+    const currentW = ov && ov.beamWidthMm != null ? Number(ov.beamWidthMm) : baseW;
+    const currentH = ov && ov.beamHeightMm != null ? Number(ov.beamHeightMm) : baseH;
+
+    this._beamModalWidth.value = String(Math.round(currentW));
+    this._beamModalHeight.value = String(Math.round(currentH));
+    // Material: el de la viga puntual o el del nivel (state.structureLevelMaterials)
+    const edgeOv = scope === 'edge' && state.structureBeamEdgeOverrides ? state.structureBeamEdgeOverrides[this._beamEditKey()] : null;
+    const material = scope === 'edge' ? (edgeOv && edgeOv.material) : getLevelMaterial(hit.kLevelOriginal, 'beam');
+    this._beamModalMaterial.value = isMaterialFor('beam', material) ? material : '';
+    if (this._beamModalSubtitle) {
+      this._beamModalSubtitle.textContent = scope === 'edge'
+        ? 'Se aplicará solo a esta viga'
+        : 'Se aplicará a todas las vigas del mismo nivel';
+    }
+  };
+
   proto._deleteSelectedBeamFromModal = function() {
     const hit = this._beamEditHit;
     if (!hit || !hit.mesh) return;
@@ -1222,26 +1330,39 @@ export function applyBeamEditorMixin(proto) {
 
     const wMm = Number(this._beamModalWidth.value);
     const hMm = Number(this._beamModalHeight.value);
+    const material = isMaterialFor('beam', this._beamModalMaterial.value) ? this._beamModalMaterial.value : null;
 
     if (!isFinite(wMm) || wMm <= 0 || !isFinite(hMm) || hMm <= 0) {
       this.showNotification('Valores inválidos. Usa números positivos en mm.', 'error');
       return;
     }
 
-    const k = hit.kLevelOriginal;
-    if (!state.structureBeamOverrides || typeof state.structureBeamOverrides !== 'object') {
-      state.structureBeamOverrides = {};
-    }
+    const values = { beamWidthMm: wMm, beamHeightMm: hMm };
 
-    state.structureBeamOverrides[String(k)] = {
-      beamWidthMm: wMm,
-      beamHeightMm: hMm,
-    };
+    if (this._beamModalScope.value === 'edge') {
+      if (material) values.material = material;
+      const ek = this._beamEditKey();
+      if (!ek) {
+        this.showNotification('No se pudo identificar la viga.', 'error');
+        return;
+      }
+      if (!state.structureBeamEdgeOverrides || typeof state.structureBeamEdgeOverrides !== 'object') {
+        state.structureBeamEdgeOverrides = {};
+      }
+      state.structureBeamEdgeOverrides[ek] = values;
+    } else {
+      const k = hit.kLevelOriginal;
+      if (!state.structureBeamOverrides || typeof state.structureBeamOverrides !== 'object') {
+        state.structureBeamOverrides = {};
+      }
+      state.structureBeamOverrides[String(k)] = values;
+      setLevelMaterial(k, 'beam', material);
+    }
 
     try {
       this.sceneManager.generateConnectorStructure(state.structureParams);
       this._maybeShowStructureWarnings();
-      this.showNotification('Vigas actualizadas', 'success');
+      this.showNotification(this._beamModalScope.value === 'edge' ? 'Viga actualizada' : 'Vigas actualizadas', 'success');
       this._closeBeamEditModal();
     } catch (err) {
       console.error(err);
@@ -1254,28 +1375,25 @@ export function applyBeamEditorMixin(proto) {
     if (!hit || !hit.mesh) return;
     if (!state.structureParams) return;
 
-    const k = hit.kLevelOriginal;
-    const keyStr = String(k);
+    const isEdge = this._beamModalScope.value === 'edge';
+    const map = isEdge ? state.structureBeamEdgeOverrides : state.structureBeamOverrides;
+    const keyStr = isEdge ? this._beamEditKey() : String(hit.kLevelOriginal);
 
     // Si no hay override, nada que restaurar
-    if (!state.structureBeamOverrides || !state.structureBeamOverrides[keyStr]) {
-      this.showNotification('Esta viga ya usa los valores globales.', 'info');
+    if (!keyStr || !map || !map[keyStr]) {
+      this.showNotification(isEdge ? 'Esta viga ya usa los valores del nivel.' : 'Esta viga ya usa los valores globales.', 'info');
       return;
     }
 
-    // Eliminar override del nivel
-    delete state.structureBeamOverrides[keyStr];
+    delete map[keyStr];
 
-    // Actualizar inputs del modal a los valores base
-    const baseW = Number(state.structureParams.beamWidthMm) || 1;
-    const baseH = Number(state.structureParams.beamHeightMm ?? state.structureParams.beamThicknessMm) || 1;
-    if (this._beamModalWidth) this._beamModalWidth.value = String(Math.round(baseW));
-    if (this._beamModalHeight) this._beamModalHeight.value = String(Math.round(baseH));
+    // Actualizar inputs del modal a los valores que quedan vigentes
+    this._fillBeamEditInputs();
 
     try {
       this.sceneManager.generateConnectorStructure(state.structureParams);
       this._maybeShowStructureWarnings();
-      this.showNotification('Dimensiones restauradas a valores globales.', 'success');
+      this.showNotification(isEdge ? 'Viga restaurada a valores del nivel.' : 'Dimensiones restauradas a valores globales.', 'success');
       this._closeBeamEditModal();
     } catch (err) {
       console.error(err);
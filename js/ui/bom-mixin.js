@@ -0,0 +1,191 @@
+import { state, setLevelMaterial } from '../state.js';
+import { MATERIAL_LIBRARY, MATERIAL_KINDS, getGlobalMaterial } from '../materials.js';
+import { BOM_DEFAULTS, computeBOM } from '../bom.js';
+import { BOMReporter } from '../bom-report.js';
+import { logger } from '../logger.js';
+
+function appendMaterialOptions(select, kinds) {
+  for (const [key, mat] of Object.entries(MATERIAL_LIBRARY)) {
+    if (!kinds.includes(mat.kind)) continue;
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = mat.name;
+    select.appendChild(opt);
+  }
+}
+
+export function applyBOMMixin(proto) {
+
+  proto._initBOMPanel = function() {
+    // Selects desde la biblioteca (material global en state.structureMaterials);
+    // el precio se rellena con el del material elegido
+    const setup = (select, price, category) => {
+      if (!select) return;
+      select.innerHTML = '';
+      appendMaterialOptions(select, MATERIAL_KINDS[category]);
+      select.value = getGlobalMaterial(category);
+      const fill = () => {
+        const mat = MATERIAL_LIBRARY[select.value];
+        if (price && mat) price.value = String(mat.price);
+      };
+      select.addEventListener('change', () => {
+        if (!state.structureMaterials || typeof state.structureMaterials !== 'object') state.structureMaterials = {};
+        state.structureMaterials[category] = select.value;
+        fill();
+        this._refreshStructureMaterials();
+      });
+      fill();
+    };
+    setup(this.bomBeamMaterial, this.bomBeamPrice, 'beam');
+    setup(this.bomHubMaterial, this.bomHubPrice, 'hub');
+    setup(this.bomPlateMaterial, this.bomPlatePrice, 'plate');
+    if (this.bomBoltPrice) this.bomBoltPrice.value = String(BOM_DEFAULTS.boltUnitPrice);
+
+    if (this.bomPdfBtn) this.bomPdfBtn.addEventListener('click', () => this.exportBOM('pdf'));
+    if (this.bomCsvBtn) this.bomCsvBtn.addEventListener('click', () => this.exportBOM('csv'));
+  };
+
+  proto._computeBOM = function() {
+    const sg = this.sceneManager && this.sceneManager.structureGroup;
+    if (!sg || !sg.children.length) {
+      this.showNotification('Genera primero la estructura para conectores', 'error');
+      return null;
+    }
+    const price = (el) => {
+      const v = Number(el && el.value);
+      return isFinite(v) && v >= 0 ? v : NaN;
+    };
+    const prices = { beam: price(this.bomBeamPrice), hub: price(this.bomHubPrice), plate: price(this.bomPlatePrice) };
+    const boltUnitPrice = price(this.bomBoltPrice);
+    if ([prices.beam, prices.hub, prices.plate, boltUnitPrice].some(v => !isFinite(v))) {
+      this.showNotification('Precios invalidos. Usa numeros positivos.', 'error');
+      return null;
+    }
+    return computeBOM(sg, this.sceneManager.structureGenerator, {
+      prices,
+      boltUnitPrice,
+    });
+  };
+
+  proto.exportBOM = function(format) {
+    const bom = this._computeBOM();
+    if (!bom) return;
+    if (!bom.lines.length) {
+      this.showNotification('No hay piezas en la estructura', 'error');
+      return;
+    }
+    this._renderBOM(bom);
+    try {
+      if (format === 'csv') BOMReporter.generateCSV(bom);
+      else BOMReporter.generatePDF(bom);
+    } catch (err) {
+      logger.error('Lista de materiales:', err);
+      this.showNotification('Error generando la lista de materiales', 'error');
+      return;
+    }
+    this.showNotification(`Lista de materiales: ${bom.totals.massKg.toFixed(0)} kg`, 'success');
+  };
+
+  proto._clearBOM = function() {
+    if (this.bomResults) this.bomResults.innerHTML = '';
+  };
+
+  /**
+   * Tabla de materiales por nivel de la estructura generada. "Global" = el material
+   * elegido arriba; el resto se guarda en state.structureLevelMaterials.
+   */
+  proto._renderBOMLevels = function() {
+    this._syncBOMGlobalMaterials();
+    if (!this.bomLevelMaterials) return;
+    this.bomLevelMaterials.innerHTML = '';
+    const sg = this.sceneManager && this.sceneManager.structureGroup;
+    const gen = this.sceneManager && this.sceneManager.structureGenerator;
+    if (!sg || !sg.children.length) return;
+
+    // Niveles presentes: k original -> k visible (vigas por max k, conectores por kOriginal)
+    const levels = new Map();
+    for (const obj of sg.children) {
+      const info = obj && obj.userData && obj.userData.beamInfo;
+      if (info && info.a && info.b) levels.set(Math.max(info.a.k, info.b.k), info.kVisible);
+    }
+    if (gen && gen._instanceConnectorMap) {
+      for (const infos of gen._instanceConnectorMap.values()) {
+        for (const ci of infos) if (ci && !levels.has(ci.kOriginal)) levels.set(ci.kOriginal, ci.kVisible);
+      }
+    }
+    if (!levels.size) return;
+
+    const table = document.createElement('table');
+    table.className = 'fem-table';
+    table.innerHTML = '<thead><tr><th>Nivel</th><th>Vigas</th><th>Conectores</th><th>Pletinas</th></tr></thead>';
+    const body = document.createElement('tbody');
+    for (const k of [...levels.keys()].sort((a, b) => a - b)) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.textContent = `k${levels.get(k)}`;
+      row.appendChild(cell);
+      for (const category of ['beam', 'hub', 'plate']) {
+        const select = document.createElement('select');
+        select.className = 'param-number';
+        const opt = document.createElement('option');
+        opt.value = '';
+        opt.textContent = 'Global';
+        select.appendChild(opt);
+        appendMaterialOptions(select, MATERIAL_KINDS[category]);
+        const current = state.structureLevelMaterials && state.structureLevelMaterials[String(k)];
+        select.value = (current && MATERIAL_LIBRARY[current[category]]) ? current[category] : '';
+        select.addEventListener('change', () => this._setBOMLevelMaterial(k, category, select.value));
+        const td = document.createElement('td');
+        td.appendChild(select);
+        row.appendChild(td);
+      }
+      body.appendChild(row);
+    }
+    table.appendChild(body);
+    this.bomLevelMaterials.appendChild(table);
+  };
+
+  proto._setBOMLevelMaterial = function(k, category, key) {
+    setLevelMaterial(k, category, key);
+    this._refreshStructureMaterials();
+  };
+
+  /** Selects globales segun state.structureMaterials (diseno cargado o compartido). */
+  proto._syncBOMGlobalMaterials = function() {
+    const rows = [
+      [this.bomBeamMaterial, this.bomBeamPrice, 'beam'],
+      [this.bomHubMaterial, this.bomHubPrice, 'hub'],
+      [this.bomPlateMaterial, this.bomPlatePrice, 'plate'],
+    ];
+    for (const [select, price, category] of rows) {
+      const key = getGlobalMaterial(category);
+      if (!select || select.value === key) continue;
+      select.value = key;
+      if (price) price.value = String(MATERIAL_LIBRARY[key].price);
+    }
+  };
+
+  /** Reasigna el material de cada pieza sin regenerar la geometria. */
+  proto._refreshStructureMaterials = function() {
+    const gen = this.sceneManager && this.sceneManager.structureGenerator;
+    if (gen && gen.group && gen.group.children.length) gen._resolveMaterials();
+    this._clearBOM();
+    this._invalidateStructuralAnalysis();
+  };
+
+  proto._renderBOM = function(bom) {
+    if (!this.bomResults) return;
+    const names = { beam: 'Vigas', hub: 'Conectores', plate: 'Pletinas', bolt: 'Pernos' };
+    let html = '<table class="fem-table"><thead><tr><th>Partida</th><th>Masa (kg)</th><th>Costo</th></tr></thead><tbody>';
+    for (const [cat, t] of Object.entries(bom.totals.byCategory)) {
+      html += `<tr><td>${names[cat] || cat}</td><td>${t.massKg.toFixed(1)}</td><td>${t.cost.toFixed(2)}</td></tr>`;
+    }
+    html += `<tr><td><b>Total</b></td><td>${bom.totals.massKg.toFixed(1)}</td><td>${bom.totals.cost.toFixed(2)}</td></tr>`;
+    html += '</tbody></table>';
+    if (bom.cog) {
+      html += `<div class="mini-help">Centro de gravedad (m): x ${bom.cog.x.toFixed(3)}, y ${bom.cog.y.toFixed(3)}, z ${bom.cog.z.toFixed(3)}</div>`;
+    }
+    this.bomResults.innerHTML = html;
+  };
+
+}
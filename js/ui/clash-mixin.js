@@ -0,0 +1,66 @@
+// Choques listados en el panel (el resto se resume en una linea)
+const CLASH_LIST_MAX = 20;
+
+export function applyClashMixin(proto) {
+
+  proto._initClashPanel = function() {
+    if (this.clashCheckBtn) this.clashCheckBtn.addEventListener('click', () => this.toggleClashView());
+  };
+
+  proto._currentClashes = function() {
+    const gen = this.sceneManager && this.sceneManager.structureGenerator;
+    return (gen && Array.isArray(gen.lastClashes)) ? gen.lastClashes : [];
+  };
+
+  /** Muestra/oculta la lista de choques y su resaltado en la escena. */
+  proto.toggleClashView = function() {
+    const group = this.sceneManager && this.sceneManager.structureGroup;
+    if (!this._clashViewActive && (!group || !group.children.length)) {
+      this.showNotification('Genera primero la estructura para conectores', 'error');
+      return;
+    }
+    this._setClashViewActive(!this._clashViewActive);
+  };
+
+  proto._setClashViewActive = function(active) {
+    this._clashViewActive = active;
+    if (this.clashCheckBtn) {
+      const label = this.clashCheckBtn.querySelector('span');
+      if (label) label.textContent = active ? 'Ocultar choques' : 'Revisar choques';
+    }
+    if (!active) {
+      if (this.sceneManager.clearClashHighlight) this.sceneManager.clearClashHighlight();
+      if (this.clashResults) this.clashResults.innerHTML = '';
+      return;
+    }
+    const clashes = this._currentClashes();
+    this.sceneManager.setClashHighlight(clashes);
+    this._renderClashList(clashes);
+    if (this.sceneManager.markDirty) this.sceneManager.markDirty();
+  };
+
+  /** La estructura se regenero: recalcular la vista si estaba abierta. */
+  proto._refreshClashView = function() {
+    if (this._clashViewActive) this._setClashViewActive(true);
+  };
+
+  proto._renderClashList = function(clashes) {
+    if (!this.clashResults) return;
+    if (!clashes.length) {
+      this.clashResults.innerHTML = '<div class="mini-help">Sin choques entre vigas y pletinas.</div>';
+      return;
+    }
+    const label = (p) => (p.kind === 'plate' ? p.id : `Viga ${p.id}`);
+    let html = `<div class="mini-help">${clashes.length} choque(s). Solape = profundidad de interpenetración.</div>`;
+    html += '<table class="fem-table"><thead><tr><th>Conector</th><th>Pieza</th><th>Pieza</th><th>Solape (mm)</th></tr></thead><tbody>';
+    for (const c of clashes.slice(0, CLASH_LIST_MAX)) {
+      html += `<tr><td>${this._femKeyVisible(c.nodeKey)}</td><td>${label(c.a)}</td><td>${label(c.b)}</td><td>${c.depthMm.toFixed(1)}</td></tr>`;
+    }
+    html += '</tbody></table>';
+    if (clashes.length > CLASH_LIST_MAX) {
+      html += `<div class="mini-help">… y ${clashes.length - CLASH_LIST_MAX} más.</div>`;
+    }
+    this.clashResults.innerHTML = html;
+  };
+
+}
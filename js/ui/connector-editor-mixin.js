@@ -1,6 +1,14 @@
-import { state } from '../state.js';
+import { state, getPoleLevel, getConnectorOverride, isEllipticalFootprint, isPartialSector, getSectorCount } from '../state.js';
+import { getRingVertex, getFaceVertexIds, getSectorRingIndices } from '../geometry.js';
 import { logger } from '../logger.js';
 
+// Alcance de la edicion de un conector
+const CONNECTOR_SCOPES = [
+  { value: 'node', label: 'Este conector' },
+  { value: 'level', label: 'Todo el nivel' },
+  { value: 'symmetric', label: 'Todos los simetricos' },
+];
+
 export function applyConnectorEditorMixin(proto) {
 
   proto.editConnectorForSelection = function(hit) {
@@ -67,7 +75,7 @@ export function applyConnectorEditorMixin(proto) {
   // Texto tooltip
   const kv = (hit.kVisible != null) ? hit.kVisible : hit.kOriginal;
   const isPoleLow = (hit.kOriginal === 0);
-  const isPoleTop = (hit.kOriginal === state.N);
+  const isPoleTop = (hit.kOriginal === getPoleLevel());
   let typeLabel = 'Nivel intermedio';
   if (state.cutActive) {
     // Con corte activo, el nivel visible mas bajo (kVisible=0) es el "suelo".
@@ -149,6 +157,24 @@ export function applyConnectorEditorMixin(proto) {
     const body = document.createElement('div');
     body.className = 'zv-modal-body';
 
+    // Row 0: alcance (conector puntual / nivel / simetricos)
+    const row0 = document.createElement('div');
+    row0.className = 'zv-modal-row';
+    const labS = document.createElement('label');
+    labS.textContent = 'Aplicar a';
+    labS.className = 'zv-modal-label';
+    const selS = document.createElement('select');
+    selS.className = 'zv-modal-input';
+    selS.id = 'connectorEditScope';
+    for (const sc of CONNECTOR_SCOPES) {
+      const opt = document.createElement('option');
+      opt.value = sc.value;
+      opt.textContent = sc.label;
+      selS.appendChild(opt);
+    }
+    row0.appendChild(labS);
+    row0.appendChild(selS);
+
     const row1 = document.createElement('div');
     row1.className = 'zv-modal-row';
     const labD = document.createElement('label');
@@ -213,6 +239,7 @@ export function applyConnectorEditorMixin(proto) {
     rowPreset.appendChild(btnMid);
     rowPreset.appendChild(btnZero);
 
+    body.appendChild(row0);
     body.appendChild(row1);
     body.appendChild(row2);
     body.appendChild(row3);
@@ -223,7 +250,7 @@ export function applyConnectorEditorMixin(proto) {
 
     const btnRestore = document.createElement('button');
     btnRestore.className = 'zv-btn zv-btn-secondary';
-    btnRestore.textContent = 'Restaurar global';
+    btnRestore.textContent = 'Restaurar';
 
     const btnCancel = document.createElement('button');
     btnCancel.className = 'zv-btn zv-btn-secondary';
@@ -251,6 +278,7 @@ export function applyConnectorEditorMixin(proto) {
     this._connectorModalDiameter = inpD;
     this._connectorModalDepth = inpP;
     this._connectorModalOffset = inpO;
+    this._connectorModalScope = selS;
     this._connectorModalRestoreBtn = btnRestore;
     this._connectorModalPresetEdgeBtn = btnEdge;
     this._connectorModalPresetMidBtn = btnMid;
@@ -264,6 +292,8 @@ export function applyConnectorEditorMixin(proto) {
     btnCancel.addEventListener('click', close);
     btnApply.addEventListener('click', () => this._applyConnectorEditModal());
     btnRestore.addEventListener('click', () => this._restoreConnectorEditModal());
+    // Al cambiar el alcance se muestran los valores vigentes para ese alcance
+    selS.addEventListener('change', () => this._fillConnectorEditInputs());
 
     // Presets (no aplican hasta que el usuario toque "Aplicar")
     // Se calculan desde la geometria real: la cara exterior del cilindro queda a ras con
@@ -309,14 +339,7 @@ export function applyConnectorEditorMixin(proto) {
     if (!this._connectorModalOverlay) this._initConnectorEditModal();
 
     const k = hit.kOriginal;
-    const baseD = Number(state.structureParams.cylDiameterMm) || 1;
-    const baseP = Number(state.structureParams.cylDepthMm) || 1;
     const isIntersection = !!hit.isIntersection;
-    const mapName = isIntersection ? 'structureIntersectionConnectorOverrides' : 'structureConnectorOverrides';
-    const ov = (state[mapName] && (state[mapName][String(k)] || state[mapName][k])) || null;
-    const currentD = ov && ov.cylDiameterMm != null ? Number(ov.cylDiameterMm) : baseD;
-    const currentP = ov && ov.cylDepthMm != null ? Number(ov.cylDepthMm) : baseP;
-    const currentO = ov && ov.offsetMm != null ? Number(ov.offsetMm) : 0;
 
     const labelK = (hit.kVisible != null) ? hit.kVisible : k;
     this._connectorEditHit = hit;
@@ -332,7 +355,7 @@ export function applyConnectorEditorMixin(proto) {
 
     // Subtitulo: k visible + tipo (polo/suelo/intermedio)
     const isPoleLow = (hit.kOriginal === 0);
-    const isPoleTop = (hit.kOriginal === state.N);
+    const isPoleTop = (hit.kOriginal === getPoleLevel());
     const isFloorVisible = (state.cutActive && (hit.kVisible != null) && Number(hit.kVisible) === 0);
     let typeLabel = 'Nivel intermedio';
     if (state.cutActive) {
@@ -345,12 +368,15 @@ export function applyConnectorEditorMixin(proto) {
     if (this._connectorModalSubtitle) {
       const kv = (hit.kVisible != null) ? hit.kVisible : '—';
       // El usuario siempre trabaja con niveles visibles (K). Evitar mostrar "k original" para no confundir.
-      this._connectorModalSubtitle.textContent = `k: ${kv} | ${typeLabel}`;
+      const iv = (!isPoleLow && !isPoleTop && hit.i != null) ? ` | i: ${hit.i}` : '';
+      this._connectorModalSubtitle.textContent = `k: ${kv}${iv} | ${typeLabel}`;
     }
 
-    this._connectorModalDiameter.value = String(Math.round(currentD));
-    this._connectorModalDepth.value = String(Math.round(currentP));
-    if (this._connectorModalOffset) this._connectorModalOffset.value = String(Math.round(isFinite(currentO) ? Math.max(0, currentO) : 0));
+    // Alcance por defecto: el conector puntual si ya tiene override propio, si no el nivel
+    const nodeKey = this._connectorNodeKey(hit);
+    const hasNodeOv = !!(state.structureConnectorNodeOverrides && state.structureConnectorNodeOverrides[nodeKey]);
+    if (this._connectorModalScope) this._connectorModalScope.value = hasNodeOv ? 'node' : 'level';
+    this._fillConnectorEditInputs();
 
     this._connectorModalOverlay.classList.remove('zv-hidden');
     // Foco al primer input
@@ -382,40 +408,142 @@ export function applyConnectorEditorMixin(proto) {
     } catch (e) {}
   };
 
+  /** Clave de vertice del conector (misma que usa el generador en vertexMap). */
+  proto._connectorNodeKey = function(hit) {
+    if (hit.nodeKey) return hit.nodeKey;
+    const k = hit.kOriginal;
+    if (hit.isIntersection) return `X:${k}:${hit.i}`;
+    if (k === 0) return 'pole_low';
+    if (k === getPoleLevel()) return 'pole_top';
+    return `k${k}_i${hit.i}`;
+  };
+
+  proto._connectorEditScope = function() {
+    return (this._connectorModalScope && this._connectorModalScope.value) || 'level';
+  };
+
+  /** Muestra en el modal los valores efectivos del conector para el alcance elegido. */
+  proto._fillConnectorEditInputs = function() {
+    const hit = this._connectorEditHit;
+    if (!hit || !state.structureParams) return;
+    const baseD = Number(state.structureParams.cylDiameterMm) || 1;
+    const baseP = Number(state.structureParams.cylDepthMm) || 1;
+    const nodeKey = this._connectorEditScope() === 'level' ? null : this._connectorNodeKey(hit);
+    const ov = getConnectorOverride(hit.kOriginal, !!hit.isIntersection, nodeKey);
+    const currentD = ov && ov.cylDiameterMm != null ? Number(ov.cylDiameterMm) : baseD;
+    const currentP = ov && ov.cylDepthMm != null ? Number(ov.cylDepthMm) : baseP;
+    const currentO = ov && ov.offsetMm != null ? Number(ov.offsetMm) : 0;
+
+    this._connectorModalDiameter.value = String(Math.round(currentD));
+    this._connectorModalDepth.value = String(Math.round(currentP));
+    if (this._connectorModalOffset) this._connectorModalOffset.value = String(Math.round(isFinite(currentO) ? Math.max(0, currentO) : 0));
+  };
+
+  /** Niveles k afectados por una edicion de nivel (sin corte los dos polos van acoplados). */
+  proto._connectorLevelTargets = function(hit) {
+    const k = hit.kOriginal;
+    // Conectores de interseccion: se editan por nivel del rombo (kFace) y NO se acoplan polos.
+    if (hit.isIntersection) return [k];
+    const isPoleLow = k === 0;
+    const isPoleTop = k === getPoleLevel();
+    if ((isPoleLow || isPoleTop) && !state.cutActive) return [0, getPoleLevel()];
+    return [k];
+  };
+
+  /**
+   * Claves de los conectores geometricamente iguales a este en su nivel.
+   * Planta circular: todo el anillo (simetria de rotacion). Planta eliptica: las
+   * imagenes especulares respecto de los ejes X e Y (hasta 4 conectores).
+   * Sector parcial: solo los conectores visibles del sector; los del borde abierto
+   * tienen otras barras y no son simetricos de ninguno (se editan solos).
+   */
+  proto._symmetricConnectorKeys = function(hit) {
+    const k = hit.kOriginal;
+    if (!hit.isIntersection && (k === 0 || k === getPoleLevel())) return [this._connectorNodeKey(hit)];
+
+    const { N } = state;
+    const posOf = (i) => {
+      if (!hit.isIntersection) return getRingVertex(k, i);
+      const ids = getFaceVertexIds(k, i).ids;
+      const c = { x: 0, y: 0 };
+      for (const v of ids) {
+        const p = getRingVertex(v.k, v.i);
+        c.x += p.x / ids.length;
+        c.y += p.y / ids.length;
+      }
+      return c;
+    };
+    const keyOf = (i) => (hit.isIntersection ? `X:${k}:${i}` : `k${k}_i${i}`);
+    let all = Array.from({ length: N }, (_, i) => i);
+    if (isPartialSector()) {
+      if (hit.isIntersection) {
+        all = all.slice(0, getSectorCount());
+      } else {
+        const ring = getSectorRingIndices(k);
+        if (hit.i === ring[0] || hit.i === ring[ring.length - 1]) return [keyOf(hit.i)];
+        all = ring.slice(1, -1);
+      }
+    }
+    if (!isEllipticalFootprint()) return all.map(keyOf);
+
+    const ref = posOf(hit.i);
+    const tol = 1e-6 * state.Dmax;
+    return all
+      .filter((i) => {
+        const p = posOf(i);
+        return Math.abs(Math.abs(p.x) - Math.abs(ref.x)) < tol && Math.abs(Math.abs(p.y) - Math.abs(ref.y)) < tol;
+      })
+      .map(keyOf);
+  };
+
+  /** Borra los overrides puntuales de los niveles dados (una edicion de nivel los reemplaza). */
+  proto._clearConnectorNodeOverridesForLevels = function(levels, isIntersection) {
+    const map = state.structureConnectorNodeOverrides;
+    if (!map || typeof map !== 'object') return;
+    const poleK = getPoleLevel();
+    for (const key of Object.keys(map)) {
+      let kKey = null;
+      let m = /^X:(\d+):\d+$/.exec(key);
+      if (m) {
+        if (isIntersection) kKey = Number(m[1]);
+      } else if (!isIntersection) {
+        m = /^k(\d+)_i\d+$/.exec(key);
+        if (m) kKey = Number(m[1]);
+        else if (key === 'pole_low') kKey = 0;
+        else if (key === 'pole_top') kKey = poleK;
+      }
+      if (kKey != null && levels.includes(kKey)) delete map[key];
+    }
+  };
+
   proto._restoreConnectorEditModal = function() {
     const hit = this._connectorEditHit;
     if (!hit || typeof hit.kOriginal !== 'number') return;
     if (!state.structureParams) return;
 
-    const k = hit.kOriginal;
     const isIntersection = !!hit.isIntersection;
-    const targets = [];
-    if (isIntersection) targets.push(k);
-    else {
-      const isPoleLow = k === 0;
-      const isPoleTop = k === state.N;
-      if ((isPoleLow || isPoleTop) && !state.cutActive) targets.push(0, state.N);
-      else targets.push(k);
-    }
-
-    const mapName = isIntersection ? 'structureIntersectionConnectorOverrides' : 'structureConnectorOverrides';
-    if (state[mapName] && typeof state[mapName] === 'object') {
-      for (const kk of targets) {
-        delete state[mapName][String(kk)];
+    const scope = this._connectorEditScope();
+    if (scope === 'level') {
+      const targets = this._connectorLevelTargets(hit);
+      const mapName = isIntersection ? 'structureIntersectionConnectorOverrides' : 'structureConnectorOverrides';
+      if (state[mapName] && typeof state[mapName] === 'object') {
+        for (const kk of targets) {
+          delete state[mapName][String(kk)];
+        }
       }
+      this._clearConnectorNodeOverridesForLevels(targets, isIntersection);
+    } else if (state.structureConnectorNodeOverrides && typeof state.structureConnectorNodeOverrides === 'object') {
+      const keys = scope === 'symmetric' ? this._symmetricConnectorKeys(hit) : [this._connectorNodeKey(hit)];
+      for (const key of keys) delete state.structureConnectorNodeOverrides[key];
     }
 
-    // Refrescar inputs a valores globales (offset global = 0)
-    const baseD = Number(state.structureParams.cylDiameterMm) || 1;
-    const baseP = Number(state.structureParams.cylDepthMm) || 1;
-    this._connectorModalDiameter.value = String(Math.round(baseD));
-    this._connectorModalDepth.value = String(Math.round(baseP));
-    if (this._connectorModalOffset) this._connectorModalOffset.value = '0';
+    // Refrescar inputs a los valores que quedan vigentes (nivel o global)
+    this._fillConnectorEditInputs();
 
     try {
       this.sceneManager.generateConnectorStructure(state.structureParams);
       this._maybeShowStructureWarnings();
-      this.showNotification('Nivel restaurado a valores globales', 'success');
+      this.showNotification(scope === 'level' ? 'Nivel restaurado a valores globales' : 'Conector restaurado a valores del nivel', 'success');
     } catch (err) {
       console.error(err);
       this.showNotification('No se pudo restaurar la estructura', 'error');
@@ -436,30 +564,34 @@ export function applyConnectorEditorMixin(proto) {
       return;
     }
 
-    const k = hit.kOriginal;
     const isIntersection = !!hit.isIntersection;
-    const targets = [];
-    if (isIntersection) {
-      // Conectores de interseccion: se editan por nivel del rombo (kFace) y NO se acoplan polos.
-      targets.push(k);
+    const scope = this._connectorEditScope();
+    const values = { cylDiameterMm: dMm, cylDepthMm: pMm, offsetMm: oMm };
+    let count = 0;
+
+    if (scope === 'level') {
+      const targets = this._connectorLevelTargets(hit);
+      const mapName = isIntersection ? 'structureIntersectionConnectorOverrides' : 'structureConnectorOverrides';
+      if (!state[mapName] || typeof state[mapName] !== 'object') state[mapName] = {};
+      for (const kk of targets) {
+        state[mapName][String(kk)] = { ...values };
+      }
+      // El nivel completo queda con estos valores: se descartan los overrides puntuales del nivel
+      this._clearConnectorNodeOverridesForLevels(targets, isIntersection);
     } else {
-      const isPoleLow = k === 0;
-      const isPoleTop = k === state.N;
-      if ((isPoleLow || isPoleTop) && !state.cutActive) targets.push(0, state.N);
-      else targets.push(k);
-    }
-
-    const mapName = isIntersection ? 'structureIntersectionConnectorOverrides' : 'structureConnectorOverrides';
-    if (!state[mapName] || typeof state[mapName] !== 'object') state[mapName] = {};
-    for (const kk of targets) {
-      state[mapName][String(kk)] = { cylDiameterMm: dMm, cylDepthMm: pMm, offsetMm: oMm };
+      if (!state.structureConnectorNodeOverrides || typeof state.structureConnectorNodeOverrides !== 'object') {
+        state.structureConnectorNodeOverrides = {};
+      }
+      const keys = scope === 'symmetric' ? this._symmetricConnectorKeys(hit) : [this._connectorNodeKey(hit)];
+      for (const key of keys) state.structureConnectorNodeOverrides[key] = { ...values };
+      count = keys.length;
     }
 
     try {
       // Regenerar SIN tocar la camara. Solo reemplaza los meshes de estructura.
       this.sceneManager.generateConnectorStructure(state.structureParams);
       this._maybeShowStructureWarnings();
-      this.showNotification('Conectores actualizados', 'success');
+      this.showNotification(scope === 'level' ? 'Conectores actualizados' : `${count} conector(es) actualizado(s)`, 'success');
       this._closeConnectorEditModal();
     } catch (err) {
       console.error(err);
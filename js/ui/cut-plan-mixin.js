@@ -0,0 +1,77 @@
+import { collectBeamPieces, optimizeCutStock } from '../cutting-stock.js';
+import { CutPlanReporter } from '../cut-plan-report.js';
+import { logger } from '../logger.js';
+
+// El material viene de un input libre del modal de vigas
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+export function applyCutPlanMixin(proto) {
+
+  proto._initCutPlanPanel = function() {
+    if (this.cutPlanPdfBtn) this.cutPlanPdfBtn.addEventListener('click', () => this.exportCutPlan('pdf'));
+    if (this.cutPlanCsvBtn) this.cutPlanCsvBtn.addEventListener('click', () => this.exportCutPlan('csv'));
+  };
+
+  /** Plan de corte de la estructura actual con los parametros del panel (null si no se puede). */
+  proto._computeCutPlan = function() {
+    const sg = this.sceneManager && this.sceneManager.structureGroup;
+    if (!sg || !sg.children.length) {
+      this.showNotification('Genera primero la estructura para conectores', 'error');
+      return null;
+    }
+    const stockLengthMm = Number(this.cutStockLengthMm && this.cutStockLengthMm.value);
+    const kerfMm = Number(this.cutKerfMm && this.cutKerfMm.value);
+    const trimMm = Number(this.cutTrimMm && this.cutTrimMm.value);
+    if (!isFinite(stockLengthMm) || stockLengthMm <= 0 || !isFinite(kerfMm) || kerfMm < 0 || !isFinite(trimMm) || trimMm < 0
+      || stockLengthMm - 2 * trimMm <= 0) {
+      this.showNotification('Valores invalidos. Usa numeros positivos en mm.', 'error');
+      return null;
+    }
+    const pieces = collectBeamPieces(sg);
+    if (!pieces.length) {
+      this.showNotification('No hay vigas en la estructura', 'error');
+      return null;
+    }
+    return optimizeCutStock(pieces, { stockLengthMm, kerfMm, trimMm });
+  };
+
+  proto.exportCutPlan = function(format) {
+    const plan = this._computeCutPlan();
+    if (!plan) return;
+    this._renderCutPlan(plan);
+    try {
+      if (format === 'csv') CutPlanReporter.generateCSV(plan);
+      else CutPlanReporter.generatePDF(plan);
+    } catch (err) {
+      logger.error('Plan de corte:', err);
+      this.showNotification('Error generando el plan de corte', 'error');
+      return;
+    }
+    if (plan.oversize.length) {
+      this.showNotification(`${plan.oversize.length} viga(s) exceden el largo util de la tabla`, 'warning');
+    } else {
+      this.showNotification(`Plan de corte: ${plan.totals.boards} tabla(s), desperdicio ${plan.totals.wastePct.toFixed(1)}%`, 'success');
+    }
+  };
+
+  proto._clearCutPlan = function() {
+    if (this.cutPlanResults) this.cutPlanResults.innerHTML = '';
+  };
+
+  proto._renderCutPlan = function(plan) {
+    if (!this.cutPlanResults) return;
+    let html = '<table class="fem-table"><thead><tr><th>Sección</th><th>Tablas</th><th>Piezas</th><th>Desperdicio</th></tr></thead><tbody>';
+    for (const g of plan.groups) {
+      const n = g.boards.reduce((s, b) => s + b.pieces.length, 0);
+      const name = g.material ? `${g.section} ${escapeHtml(g.material)}` : g.section;
+      html += `<tr><td>${name}</td><td>${g.boards.length}</td><td>${n}</td><td>${g.wastePct.toFixed(1)}%</td></tr>`;
+    }
+    html += `<tr><td><b>Total</b></td><td>${plan.totals.boards}</td><td>${plan.totals.pieces}</td><td>${plan.totals.wastePct.toFixed(1)}%</td></tr>`;
+    html += '</tbody></table>';
+    if (plan.oversize.length) {
+      html += `<div class="mini-help">${plan.oversize.length} viga(s) más largas que el largo útil (${plan.params.usableMm} mm) quedan fuera del plan.</div>`;
+    }
+    this.cutPlanResults.innerHTML = html;
+  };
+
+}
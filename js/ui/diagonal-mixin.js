@@ -1,5 +1,6 @@
 import * as THREE from 'three';
-import { state } from '../state.js';
+import { state, getSectorCount, getPoleLevel } from '../state.js';
+import { getFaceVertexIds } from '../geometry.js';
 import { logger } from '../logger.js';
 
 export function applyDiagonalMixin(proto) {
@@ -96,6 +97,14 @@ export function applyDiagonalMixin(proto) {
   // Mantener overrides de conectores normales y vigas, pero limpiar overrides de interseccion
   // ya que los nodos centrales dependen de las diagonales.
   state.structureIntersectionConnectorOverrides = {};
+  const nodeOv = state.structureConnectorNodeOverrides || {};
+  for (const key of Object.keys(nodeOv)) {
+    if (key.startsWith('X:')) delete nodeOv[key];
+  }
+  const edgeOv = state.structureBeamEdgeOverrides || {};
+  for (const key of Object.keys(edgeOv)) {
+    if (key.includes('X:')) delete edgeOv[key];
+  }
   this._diagFirstHit = null;
   try {
     // Regenerar estructura conservando params y overrides
@@ -371,7 +380,7 @@ export function applyDiagonalMixin(proto) {
 
         if (!isFinite(k)) return null;
         if (k === 0) return 'pole_low';
-        if (k === state.N) return 'pole_top';
+        if (k === getPoleLevel()) return 'pole_top';
         return `k${k}_i${i}`;
       };
 
@@ -412,7 +421,7 @@ export function applyDiagonalMixin(proto) {
   };
 
   proto._findQuadFaceContaining = function(hitA, hitB) {
-  const { N, cutActive, cutLevel } = state;
+  const { cutActive, cutLevel } = state;
 
   const vA = { k: Number(hitA.kOriginal), i: Number(hitA.i) };
   const vB = { k: Number(hitB.kOriginal), i: Number(hitB.i) };
@@ -420,32 +429,23 @@ export function applyDiagonalMixin(proto) {
 
   // Build visible faces using the same rules as StructureGenerator._buildVisibleFaces()
   const startK = cutActive ? cutLevel : 1;
+  // Los triangulos del oculo (nivel topCutLevel) no admiten diagonales
+  const poleK = getPoleLevel();
+  const endK = state.topCutActive ? state.topCutLevel - 1 : poleK - 1;
 
-  const same = (p, q) => (p.k === q.k && p.i === q.i) || (p.k === q.k && (p.k === 0 || p.k === N));
+  const same = (p, q) => (p.k === q.k && p.i === q.i) || (p.k === q.k && (p.k === 0 || p.k === poleK));
   const inFace = (verts, p) => verts.some(v => same(v, p));
 
-  for (let k = startK; k <= N - 1; k++) {
-    for (let i = 0; i < N; i++) {
-      let idxL, idxR;
-      if (k % 2 === 1) {
-        idxL = i;
-        idxR = (i + 1) % N;
-      } else {
-        idxL = (i - 1 + N) % N;
-        idxR = i;
-      }
-
-      const vLeft = { k, i: idxL };
-      const vRight = { k, i: idxR };
-
+  for (let k = startK; k <= endK; k++) {
+    for (let i = 0; i < getSectorCount(); i++) {
       if (cutActive && k === cutLevel) {
         // Triangulo del corte (no admite diagonales internas)
         continue;
       }
 
-      const vBottom = { k: k - 1, i };
-      const vTop = { k: k + 1, i };
-      const verts = [vBottom, vRight, vTop, vLeft];
+      // [bottom, right, top, left]; en el cinturon el rombo es vertical pero con el mismo orden
+      const verts = getFaceVertexIds(k, i).ids;
+      const [vBottom, vRight, vTop, vLeft] = verts;
 
       if (inFace(verts, vA) && inFace(verts, vB)) {
         return {
@@ -597,7 +597,7 @@ export function applyDiagonalMixin(proto) {
     k = Number(k);
     i = Number(i);
     if (k === 0) return 'pole_low';
-    if (k === state.N) return 'pole_top';
+    if (k === getPoleLevel()) return 'pole_top';
     return `k${k}_i${i}`;
   };
   const faceId = `${face.kFace}:${face.iFace}`;
@@ -746,7 +746,7 @@ try {
     }
     // Polos
     if (k === 0) return 'pole_low';
-    if (k === state.N) return 'pole_top';
+    if (k === getPoleLevel()) return 'pole_top';
     return `k${k}_i${i}`;
   };
   const edgeKey2 = (aKey, bKey) => (aKey < bKey) ? `${aKey}|${bKey}` : `${bKey}|${aKey}`;
@@ -858,30 +858,17 @@ try {
         return;
       }
     } else {
-      const { N, cutActive, cutLevel } = state;
+      const { cutActive, cutLevel } = state;
       const startK = cutActive ? cutLevel : 1;
+      const endK = state.topCutActive ? state.topCutLevel - 1 : getPoleLevel() - 1;
       const applyAllLevels = (scope === 'all');
 
-      for (let k = startK; k <= N - 1; k++) {
+      for (let k = startK; k <= endK; k++) {
         if (!applyAllLevels && k !== face.kFace) continue;
         if (cutActive && k === cutLevel) continue;
 
-        for (let i = 0; i < N; i++) {
-          let idxL, idxR;
-          if (k % 2 === 1) {
-            idxL = i;
-            idxR = (i + 1) % N;
-          } else {
-            idxL = (i - 1 + N) % N;
-            idxR = i;
-          }
-          const vLeft = { k, i: idxL };
-          const vRight = { k, i: idxR };
-          const vBottom = { k: k - 1, i };
-          const vTop = { k: k + 1, i };
-          const verts = [vBottom, vRight, vTop, vLeft];
-
-          const f = { verts };
+        for (let i = 0; i < getSectorCount(); i++) {
+          const f = { verts: getFaceVertexIds(k, i).ids };
           const t = edgeById(f, this._diagModalSelEdgeId);
           addEdge(t.a, t.b, { kind: 'edge', scope, edgeSel: this._diagModalSelEdgeId }, null, null, null, null);
         }
@@ -962,7 +949,7 @@ try {
       anyChange++;
     }
   } else {
-    const { N, cutActive, cutLevel } = state;
+    const { cutActive, cutLevel } = state;
     const startK = cutActive ? cutLevel : 1;
     const applyAllLevels = (scope === 'all');
 
@@ -974,13 +961,11 @@ try {
       if (!Array.isArray(state.structureDeletedBeams) || state.structureDeletedBeams.length === 0) return false;
       const del = new Set(state.structureDeletedBeams);
       // Construir llaves de vertices (incluye posibilidad de X)
-      let idxL, idxR;
-      if (k % 2 === 1) { idxL = i; idxR = (i + 1) % N; }
-      else { idxL = (i - 1 + N) % N; idxR = i; }
-      const lKey = vKey(k, idxL, null);
-      const rKey = vKey(k, idxR, null);
-      const bKey = vKey(k - 1, i, null);
-      const tKey = vKey(k + 1, i, null);
+      const [vB, vR, vT, vL] = getFaceVertexIds(k, i).ids;
+      const lKey = vKey(vL.k, vL.i, null);
+      const rKey = vKey(vR.k, vR.i, null);
+      const bKey = vKey(vB.k, vB.i, null);
+      const tKey = vKey(vT.k, vT.i, null);
       const xKey = vKey(k, i, 'X');
 
       // ⚠️ Importante: usar el mismo formateo determinístico de keys.
@@ -991,28 +976,18 @@ try {
       return del.has(edgeKey2(bKey, tKey)) || del.has(edgeKey2(bKey, xKey)) || del.has(edgeKey2(xKey, tKey));
     };
 
-    for (let k = startK; k <= N - 1; k++) {
+    const endK = state.topCutActive ? state.topCutLevel - 1 : getPoleLevel() - 1;
+    for (let k = startK; k <= endK; k++) {
       if (!applyAllLevels && k !== face.kFace) continue;
       if (cutActive && k === cutLevel) continue;
-      for (let i = 0; i < N; i++) {
+      for (let i = 0; i < getSectorCount(); i++) {
         const faceId = `${k}:${i}`;
         const suppressed = isSuppressed(k, i, kind);
         if (suppressed && faceId !== selectedFaceId) {
           // Respetar aperturas/vanos hechos por el usuario (excepto el rombo tocado).
           continue;
         }
-        let idxL, idxR;
-        if (k % 2 === 1) {
-          idxL = i;
-          idxR = (i + 1) % N;
-        } else {
-          idxL = (i - 1 + N) % N;
-          idxR = i;
-        }
-        const vLeft = { k, i: idxL };
-        const vRight = { k, i: idxR };
-        const vBottom = { k: k - 1, i };
-        const vTop = { k: k + 1, i };
+        const [vBottom, vRight, vTop, vLeft] = getFaceVertexIds(k, i).ids;
         const t = (kind === 'diagV') ? { a: vBottom, b: vTop } : { a: vLeft, b: vRight };
         const o = (kind === 'diagV') ? { a: vLeft, b: vRight } : { a: vBottom, b: vTop };
         const oppKey = keyOf(o.a, o.b);
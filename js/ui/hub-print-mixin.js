@@ -0,0 +1,63 @@
+import { HUB_PRINT_DEFAULTS, collectHubTypes, HubPrintExporter } from '../hub-print.js';
+import { logger } from '../logger.js';
+
+export function applyHubPrintMixin(proto) {
+
+  proto._initHubPrintPanel = function() {
+    if (this.hubSocketDepthMm && !this.hubSocketDepthMm.value) this.hubSocketDepthMm.value = String(HUB_PRINT_DEFAULTS.socketDepthMm);
+    if (this.hubSocketTolMm && !this.hubSocketTolMm.value) this.hubSocketTolMm.value = String(HUB_PRINT_DEFAULTS.toleranceMm);
+    if (this.hubStlBtn) this.hubStlBtn.addEventListener('click', () => this.exportHubPrint('stl'));
+    if (this.hub3mfBtn) this.hub3mfBtn.addEventListener('click', () => this.exportHubPrint('3mf'));
+  };
+
+  proto.exportHubPrint = function(format) {
+    const sg = this.sceneManager && this.sceneManager.structureGroup;
+    if (!sg || !sg.children.length) {
+      this.showNotification('Genera primero la estructura para conectores', 'error');
+      return;
+    }
+    const socketDepthMm = Number(this.hubSocketDepthMm && this.hubSocketDepthMm.value);
+    const toleranceMm = Number(this.hubSocketTolMm && this.hubSocketTolMm.value);
+    if (!isFinite(socketDepthMm) || socketDepthMm <= 0 || !isFinite(toleranceMm) || toleranceMm < 0) {
+      this.showNotification('Profundidad o tolerancia invalida', 'error');
+      return;
+    }
+
+    const types = collectHubTypes(sg, this.sceneManager.structureGenerator);
+    if (!types.length) {
+      this.showNotification('No hay conectores para exportar', 'error');
+      return;
+    }
+    this._renderHubPrint(types);
+    try {
+      const options = { socketDepthMm, toleranceMm };
+      if (format === '3mf') HubPrintExporter.export3MF(types, options);
+      else HubPrintExporter.exportSTL(types, options);
+    } catch (err) {
+      logger.error('Conectores imprimibles:', err);
+      this.showNotification('Error exportando conectores imprimibles', 'error');
+      return;
+    }
+    const total = types.reduce((s, t) => s + t.count, 0);
+    this.showNotification(`Conectores imprimibles: ${types.length} tipos, ${total} piezas`, 'success');
+    const blank = types.filter(t => t.engraved === false).map(t => t.label);
+    if (blank.length) {
+      this.showNotification(`ID sin grabar (no cabe en la tapa): ${blank.join(', ')}`, 'warning');
+    }
+  };
+
+  proto._clearHubPrint = function() {
+    if (this.hubPrintResults) this.hubPrintResults.innerHTML = '';
+  };
+
+  proto._renderHubPrint = function(types) {
+    if (!this.hubPrintResults) return;
+    let html = '<table class="fem-table"><thead><tr><th>Tipo</th><th>Cant.</th><th>Ø x H (mm)</th><th>Encajes</th></tr></thead><tbody>';
+    for (const t of types) {
+      html += `<tr><td>${t.label}</td><td>${t.count}</td><td>${t.diameterMm.toFixed(0)} x ${t.heightMm.toFixed(0)}</td><td>${t.sockets.length}</td></tr>`;
+    }
+    html += '</tbody></table>';
+    this.hubPrintResults.innerHTML = html;
+  };
+
+}
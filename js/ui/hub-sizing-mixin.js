@@ -0,0 +1,93 @@
+import { state } from '../state.js';
+import { computeHubSizes } from '../hub-sizing.js';
+
+export function applyHubSizingMixin(proto) {
+
+  proto._initHubSizingPanel = function() {
+    if (this.hubAutoSizeBtn) this.hubAutoSizeBtn.addEventListener('click', () => this.autoSizeHubs());
+  };
+
+  /**
+   * Calcula el diametro minimo de cada nivel y lo escribe como override de nivel
+   * (profundidad y offset vigentes se conservan). Igual que una edicion de nivel en
+   * el modal, descarta los overrides puntuales de esos niveles.
+   */
+  proto.autoSizeHubs = function() {
+    const sm = this.sceneManager;
+    const gen = sm && sm.structureGenerator;
+    if (!state.structureParams || !gen || !sm.structureGroup || !sm.structureGroup.children.length) {
+      this.showNotification('Genera primero la estructura para conectores', 'error');
+      return;
+    }
+
+    const clearanceMm = Number(this.hubClearanceMm && this.hubClearanceMm.value);
+    const bearingMm = Number(this.hubBearingMm && this.hubBearingMm.value);
+    if (!isFinite(clearanceMm) || clearanceMm < 0 || !isFinite(bearingMm) || bearingMm < 0) {
+      this.showNotification('Valores invalidos. Usa numeros positivos en mm.', 'error');
+      return;
+    }
+
+    const levels = computeHubSizes(sm.structureGroup, { clearanceMm, bearingMm });
+    if (!levels.length) {
+      this.showNotification('No hay conectores con vigas para dimensionar', 'error');
+      return;
+    }
+
+    const targets = { false: [], true: [] };
+    for (const lv of levels) {
+      const base = gen.getCylParamsForK(lv.k, lv.isIntersection, state.structureParams);
+      lv.previousMm = base.diameterMm;
+      if (!isFinite(lv.diameterMm)) continue;
+      const mapName = lv.isIntersection ? 'structureIntersectionConnectorOverrides' : 'structureConnectorOverrides';
+      if (!state[mapName] || typeof state[mapName] !== 'object') state[mapName] = {};
+      state[mapName][String(lv.k)] = { cylDiameterMm: lv.diameterMm, cylDepthMm: base.depthMm, offsetMm: base.offsetMm };
+      targets[lv.isIntersection].push(lv.k);
+    }
+    this._clearConnectorNodeOverridesForLevels(targets.false, false);
+    this._clearConnectorNodeOverridesForLevels(targets.true, true);
+
+    try {
+      sm.generateConnectorStructure(state.structureParams);
+      this._maybeShowStructureWarnings();
+    } catch (err) {
+      console.error(err);
+      this.showNotification('No se pudo actualizar la estructura', 'error');
+      return;
+    }
+    // Despues de regenerar: _onAfterGenerate limpia el reporte anterior
+    this._renderHubSizing(levels);
+    const unresolved = levels.filter(lv => !isFinite(lv.diameterMm)).length;
+    if (unresolved) {
+      this.showNotification(`${unresolved} nivel(es) sin solucion: hay vigas superpuestas en planta del conector`, 'warning');
+    } else {
+      this.showNotification(`Conectores dimensionados en ${levels.length} nivel(es)`, 'success');
+    }
+  };
+
+  proto._clearHubSizing = function() {
+    if (this.hubSizingResults) this.hubSizingResults.innerHTML = '';
+  };
+
+  proto._renderHubSizing = function(levels) {
+    if (!this.hubSizingResults) return;
+    const shift = state.cutActive ? state.cutLevel : 0;
+    const govern = (lv) => {
+      if (!isFinite(lv.diameterMm)) return `Sin solución: ${lv.beams.join(' / ')} superpuestas`;
+      if (lv.governing === 'bearing') return `Apoyo ${lv.beams[0]}`;
+      const ang = lv.angleDeg != null ? ` (${lv.angleDeg.toFixed(1)}°)` : '';
+      return `Separación ${lv.beams.join(' / ')}${ang}`;
+    };
+    let html = '<div class="mini-help">Diámetro mínimo por nivel, redondeado hacia arriba. Gobierna: restricción más exigente y su conector.</div>';
+    html += '<table class="fem-table"><thead><tr><th>Nivel</th><th>Antes</th><th>Mínimo</th><th>Nuevo</th><th>Gobierna</th></tr></thead><tbody>';
+    for (const lv of levels) {
+      const name = `${lv.isIntersection ? 'X' : 'k'}${Math.max(0, lv.k - shift)}`;
+      const req = isFinite(lv.requiredMm) ? lv.requiredMm.toFixed(1) : '—';
+      const next = isFinite(lv.diameterMm) ? String(lv.diameterMm) : '—';
+      html += `<tr><td>${name}</td><td>${Math.round(lv.previousMm)}</td><td>${req}</td><td>${next}</td>`
+        + `<td>${govern(lv)} en ${this._femKeyVisible(lv.nodeKey)}</td></tr>`;
+    }
+    html += '</tbody></table>';
+    this.hubSizingResults.innerHTML = html;
+  };
+
+}
@@ -1,4 +1,4 @@
-import { state, updateStateCalculations } from '../state.js';
+import { state, updateStateCalculations, getPoleLevel, snapOutOfBelt, parseLevelAngles } from '../state.js';
 
 export function applyInputSyncMixin(proto) {
 
@@ -141,10 +141,13 @@ export function applyInputSyncMixin(proto) {
   proto.performCutSync = function() {
     // Convertir niveles visibles a cutLevel interno (K desde abajo)
     const visibleLevels = parseInt((this.cutLevelNum && this.cutLevelNum.value) ? this.cutLevelNum.value : '') || 5;
-    state.cutLevel = state.N - visibleLevels;
+    const prevCutLevel = state.cutLevel;
+    state.cutLevel = getPoleLevel() - visibleLevels;
 
-    // Asegurar limites validos
-    state.cutLevel = Math.max(1, Math.min(state.N - 1, state.cutLevel));
+    // Asegurar limites validos; el corte salta el cinturon en la direccion del cambio
+    state.cutLevel = Math.max(1, Math.min(getPoleLevel() - 1, state.cutLevel));
+    state.cutLevel = snapOutOfBelt(state.cutLevel, state.cutLevel < prevCutLevel ? -1 : +1);
+    this.updateCutLevelDisplay();
 
     if (state.cutActive) {
       //   NUEVO: Actualizar altura visible
@@ -166,6 +169,174 @@ export function applyInputSyncMixin(proto) {
     }
   };
 
+  proto.debouncedSyncTopCutInputs = function(source) {
+    this.syncTopCutValues(source);
+    if (this._topCutDebounceTimer) clearTimeout(this._topCutDebounceTimer);
+    this._topCutDebounceTimer = setTimeout(() => {
+      this._topCutDebounceTimer = null;
+      this.performTopCutSync();
+    }, 150);
+  };
+
+  proto.syncTopCutValues = function(source) {
+    if (source === 'num') {
+      if (this.topCutLevelRange && this.topCutLevelNum)
+        this.topCutLevelRange.value = this.topCutLevelNum.value;
+    } else {
+      if (this.topCutLevelNum && this.topCutLevelRange)
+        this.topCutLevelNum.value = this.topCutLevelRange.value;
+    }
+  };
+
+  proto.performTopCutSync = function() {
+    // Convertir niveles retirados (desde el polo) a topCutLevel interno (K desde abajo)
+    const removedLevels = parseInt((this.topCutLevelNum && this.topCutLevelNum.value) ? this.topCutLevelNum.value : '') || 2;
+    const prevTopCutLevel = state.topCutLevel;
+    state.topCutLevel = snapOutOfBelt(getPoleLevel() - removedLevels, (getPoleLevel() - removedLevels) < prevTopCutLevel ? -1 : +1);
+
+    // updateStateCalculations acota topCutLevel por encima del suelo
+    updateStateCalculations();
+
+    if (state.topCutActive) {
+      this.updateTopCutLevelDisplay();
+      this.updateHeightDisplay();
+      this.sceneManager.requestRebuild();
+      this.updateFacesCount();
+      this.updateGeometryInfo();
+      this.updateBadges();
+    }
+  };
+
+  proto.debouncedSyncSectorInputs = function(source) {
+    this.syncSectorValues(source);
+    if (this._sectorDebounceTimer) clearTimeout(this._sectorDebounceTimer);
+    this._sectorDebounceTimer = setTimeout(() => {
+      this._sectorDebounceTimer = null;
+      this.performSectorSync();
+    }, 150);
+  };
+
+  proto.syncSectorValues = function(source) {
+    if (source === 'num') {
+      if (this.sectorCountRange && this.sectorCountNum)
+        this.sectorCountRange.value = this.sectorCountNum.value;
+    } else {
+      if (this.sectorCountNum && this.sectorCountRange)
+        this.sectorCountNum.value = this.sectorCountRange.value;
+    }
+  };
+
+  proto.performSectorSync = function() {
+    state.sectorCount = parseInt((this.sectorCountNum && this.sectorCountNum.value) ? this.sectorCountNum.value : '') || state.N;
+
+    // updateStateCalculations acota sectorCount a [1, N]
+    updateStateCalculations();
+
+    if (state.sectorActive) {
+      this.updateSectorCountDisplay();
+      this.sceneManager.requestRebuild();
+      this.updateFacesCount();
+    }
+  };
+
+  proto.debouncedSyncEllipseInputs = function(source) {
+    this.syncEllipseValues(source);
+    if (this._ellipseDebounceTimer) clearTimeout(this._ellipseDebounceTimer);
+    this._ellipseDebounceTimer = setTimeout(() => {
+      this._ellipseDebounceTimer = null;
+      this.performEllipseSync();
+    }, 150);
+  };
+
+  proto.syncEllipseValues = function(source) {
+    if (source === 'xNum') {
+      if (this.ellipseScaleXRange && this.ellipseScaleXNum)
+        this.ellipseScaleXRange.value = this.ellipseScaleXNum.value;
+    } else if (source === 'xRange') {
+      if (this.ellipseScaleXNum && this.ellipseScaleXRange)
+        this.ellipseScaleXNum.value = this.ellipseScaleXRange.value;
+    } else if (source === 'yNum') {
+      if (this.ellipseScaleYRange && this.ellipseScaleYNum)
+        this.ellipseScaleYRange.value = this.ellipseScaleYNum.value;
+    } else {
+      if (this.ellipseScaleYNum && this.ellipseScaleYRange)
+        this.ellipseScaleYNum.value = this.ellipseScaleYRange.value;
+    }
+  };
+
+  proto.performEllipseSync = function() {
+    state.ellipseScaleX = parseFloat((this.ellipseScaleXNum && this.ellipseScaleXNum.value) ? this.ellipseScaleXNum.value : '') || 1;
+    state.ellipseScaleY = parseFloat((this.ellipseScaleYNum && this.ellipseScaleYNum.value) ? this.ellipseScaleYNum.value : '') || 1;
+
+    // updateStateCalculations acota las escalas a [0.25, 4]
+    updateStateCalculations();
+
+    if (state.ellipseActive) {
+      this.updateEllipseScaleDisplay();
+      this.sceneManager.requestRebuild();
+      this.updateGeometryInfo();
+    }
+  };
+
+  proto.debouncedSyncBeltInputs = function(source) {
+    this.syncBeltValues(source);
+    if (this._beltDebounceTimer) clearTimeout(this._beltDebounceTimer);
+    this._beltDebounceTimer = setTimeout(() => {
+      this._beltDebounceTimer = null;
+      this.performBeltSync();
+    }, 150);
+  };
+
+  proto.syncBeltValues = function(source) {
+    if (source === 'num') {
+      if (this.beltLevelsRange && this.beltLevelsNum)
+        this.beltLevelsRange.value = this.beltLevelsNum.value;
+    } else {
+      if (this.beltLevelsNum && this.beltLevelsRange)
+        this.beltLevelsNum.value = this.beltLevelsRange.value;
+    }
+  };
+
+  proto.performBeltSync = function() {
+    const prevBelt = state.beltLevels || 0;
+    const nextBelt = Math.max(0, Math.min(10, parseInt((this.beltLevelsNum && this.beltLevelsNum.value) ? this.beltLevelsNum.value : '') || 0));
+    if (nextBelt === prevBelt) return;
+
+    // Los cortes por encima del cinturon conservan su anillo: se desplazan 2 K por cinturon
+    const beltTop = state.beltRing + 2 * prevBelt;
+    const delta = 2 * (nextBelt - prevBelt);
+    if (state.cutLevel > beltTop) state.cutLevel += delta;
+    if (state.topCutLevel > beltTop) state.topCutLevel += delta;
+    state.beltLevels = nextBelt;
+
+    // updateStateCalculations recalcula beltHeight y Htotal
+    updateStateCalculations();
+
+    this.updateState();
+    this.sceneManager.requestRebuild();
+    this.updateFacesCount();
+    this.updateBadges();
+  };
+
+  proto.debouncedSyncProfileInput = function() {
+    if (this._profileDebounceTimer) clearTimeout(this._profileDebounceTimer);
+    this._profileDebounceTimer = setTimeout(() => {
+      this._profileDebounceTimer = null;
+      this.performProfileSync();
+    }, 300);
+  };
+
+  proto.performProfileSync = function() {
+    state.levelAngles = parseLevelAngles(this.levelAnglesInput ? this.levelAnglesInput.value : '');
+    if (!state.profileActive) return;
+
+    // updateStateCalculations recalcula radios y alturas del perfil
+    this.updateState();
+    this._notifyInvalidProfile();
+    this.sceneManager.requestRebuild();
+    this.updateFacesCount();
+  };
+
   proto.updateRotationSpeed = function(e) {
     const speedValue = parseFloat(e.target.value);
     state.rotationSpeed = speedValue / 100;
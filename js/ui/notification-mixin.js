@@ -118,11 +118,22 @@ export function applyNotificationMixin(proto) {
     if (!warnings || warnings.length === 0) return;
 
     const tooShort = warnings.filter(w => w && w.type === 'BEAM_TOO_SHORT');
-    if (tooShort.length > 0) {
+    const riser = warnings.find(w => w && w.type === 'RISER_TOO_SHORT');
+    const clashes = warnings.filter(w => w && w.type === 'BEAM_CLASH');
+    const bolts = warnings.find(w => w && w.type === 'BOLT_PATTERN_TOO_BIG');
+    if (riser) {
+      this.showNotification(`Advertencia: el muro de arranque (${riser.heightMm} mm) es demasiado bajo para soleras y pies derechos; minimo ${riser.minMm} mm.`, 'warning');
+    } else if (tooShort.length > 0) {
       const sample = tooShort[0];
       const sampleId = (sample && sample.beamId) ? ` (${sample.beamId})` : '';
       const msg = `Advertencia: ${tooShort.length} viga(s) quedaron demasiado cortas para el bisel${sampleId}. Ajusta diametro/profundidad de conectores o dimensiones de viga.`;
       this.showNotification(msg, 'warning');
+    } else if (bolts) {
+      this.showNotification(`Advertencia: ${bolts.count} perno(s) no caben en la pletina (${bolts.platLengthMm} x ${bolts.platWidthMm} mm); el patron necesita ${bolts.needLengthMm} x ${bolts.needWidthMm} mm.`, 'warning');
+    } else if (clashes.length > 0) {
+      const worst = clashes.reduce((m, w) => (w.depthMm > m.depthMm ? w : m), clashes[0]);
+      const where = this._femKeyVisible ? this._femKeyVisible(worst.nodeKey) : worst.nodeKey;
+      this.showNotification(`Advertencia: ${clashes.length} choque(s) entre vigas/pletinas en conectores (max ${worst.depthMm} mm en ${where}). Usa "Revisar choques".`, 'warning');
     } else {
       this.showNotification(`Advertencia: ${warnings.length} evento(s) durante la generacion de estructura.`, 'warning');
     }
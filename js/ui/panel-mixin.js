@@ -1,4 +1,6 @@
-import { state, updateStateCalculations, rhombiData } from '../state.js';
+import { state, updateStateCalculations, rhombiData, getVisibleLevelCount, getFootprintScale, isEllipticalFootprint, getPoleLevel, getRingRadius, hasLevelProfile, getVisibleHeight } from '../state.js';
+import { getRingVertex } from '../geometry.js';
+import { computeMetrics } from '../metrics.js';
 
 export function applyPanelMixin(proto) {
 
@@ -31,9 +33,8 @@ export function applyPanelMixin(proto) {
   proto.showHeightIndicator = function() {
     if (!this.heightIndicator || !this.heightIndicatorInput) return;
 
-    // Calcular altura total visible
-    const nivelesVisibles = state.cutActive ? state.N - state.cutLevel : state.N;
-    const alturaVisible = state.h1 * nivelesVisibles;
+    // Calcular altura total visible (incluye el cinturon si existe)
+    const alturaVisible = getVisibleHeight();
 
     // Actualizar valor en el input (3 decimales)
     this.heightIndicatorInput.value = alturaVisible.toFixed(3);
@@ -132,8 +133,40 @@ export function applyPanelMixin(proto) {
       return;
     }
 
+    // Con perfil variable los angulos por nivel fijan la forma: la altura solo escala con Dmax
+    if (hasLevelProfile()) {
+      this.showNotification('Con perfil variable la altura se ajusta con los angulos por nivel', 'error');
+      return;
+    }
+
+    // Con cinturon la altura no es lineal en h1 (beltHeight = sqrt(cuerda² + h1²)):
+    // se busca el angulo por biseccion, la altura visible crece con el angulo.
+    if (state.beltLevels > 0) {
+      const prevDeg = state.aDeg;
+      const heightAt = (deg) => {
+        state.aDeg = deg;
+        updateStateCalculations();
+        return getVisibleHeight();
+      };
+      const minHeight = heightAt(0.1);
+      const maxHeight = heightAt(89);
+      if (inputValue < minHeight || inputValue > maxHeight) {
+        heightAt(prevDeg);
+        this.showNotification(`Altura fuera de rango: ${minHeight.toFixed(3)} – ${maxHeight.toFixed(3)} m`, 'error');
+        return;
+      }
+      let lo = 0.1, hi = 89;
+      for (let it = 0; it < 60; it++) {
+        const mid = 0.5 * (lo + hi);
+        if (heightAt(mid) < inputValue) lo = mid; else hi = mid;
+      }
+      heightAt(prevDeg);
+      this._applyHeightAngle(0.5 * (lo + hi), inputValue);
+      return;
+    }
+
     // Calcular altura minima y maxima posible
-    const nivelesVisibles = state.cutActive ? state.N - state.cutLevel : state.N;
+    const nivelesVisibles = getVisibleLevelCount();
     
     // Altura minima: con angulo de 0.1°
     const minAngle = 0.1 * Math.PI / 180;
@@ -173,6 +206,10 @@ export function applyPanelMixin(proto) {
       return;
     }
 
+    this._applyHeightAngle(aDeg_needed, inputValue);
+  };
+
+  proto._applyHeightAngle = function(aDeg_needed, inputValue) {
     // Actualizar el estado y los controles
     state.aDeg = aDeg_needed;
     
@@ -218,14 +255,38 @@ export function applyPanelMixin(proto) {
   };
 
   proto.updateCutLevelDisplay = function() {
-    const visibleLevels = state.N - state.cutLevel;
+    const visibleLevels = getPoleLevel() - state.cutLevel;
     if (this.cutLevelNum) this.cutLevelNum.value = visibleLevels;
     if (this.cutLevelRange) this.cutLevelRange.value = visibleLevels;
   };
 
+  proto.updateTopCutLevelDisplay = function() {
+    const removedLevels = getPoleLevel() - state.topCutLevel;
+    if (this.topCutLevelNum) this.topCutLevelNum.value = removedLevels;
+    if (this.topCutLevelRange) this.topCutLevelRange.value = removedLevels;
+  };
+
+  proto.updateSectorCountDisplay = function() {
+    if (this.sectorCountNum) this.sectorCountNum.value = state.sectorCount;
+    if (this.sectorCountRange) this.sectorCountRange.value = state.sectorCount;
+  };
+
+  proto.updateEllipseScaleDisplay = function() {
+    if (this.ellipseScaleXNum) this.ellipseScaleXNum.value = state.ellipseScaleX.toFixed(2);
+    if (this.ellipseScaleXRange) this.ellipseScaleXRange.value = state.ellipseScaleX;
+    if (this.ellipseScaleYNum) this.ellipseScaleYNum.value = state.ellipseScaleY.toFixed(2);
+    if (this.ellipseScaleYRange) this.ellipseScaleYRange.value = state.ellipseScaleY;
+  };
+
+  proto.updateBeltLevelsDisplay = function() {
+    if (this.beltLevelsNum) this.beltLevelsNum.value = state.beltLevels;
+    if (this.beltLevelsRange) this.beltLevelsRange.value = state.beltLevels;
+    if (this.infoBeltHeight) this.infoBeltHeight.textContent = (state.beltLevels * state.beltHeight).toFixed(3);
+    if (this.beltHeightInfo) this.beltHeightInfo.style.display = state.beltLevels > 0 ? 'flex' : 'none';
+  };
+
   proto.updateHeightDisplay = function() {
-    const nivelesVisibles = state.cutActive ? (state.N - state.cutLevel) : state.N;
-    const alturaVisible = state.h1 * nivelesVisibles;
+    const alturaVisible = getVisibleHeight();
     if (this.infoH) this.infoH.textContent = alturaVisible.toFixed(3);
   };
 
@@ -256,7 +317,7 @@ export function applyPanelMixin(proto) {
     updateStateCalculations();
 
     // Actualizar rango del plano de corte para niveles visibles
-    const maxVisibleLevels = state.N - 1;
+    const maxVisibleLevels = getPoleLevel() - 1;
     if (this.cutLevelRange) {
       this.cutLevelRange.max = maxVisibleLevels;
       this.cutLevelRange.min = 1;
@@ -267,11 +328,36 @@ export function applyPanelMixin(proto) {
     }
 
     // Asegurar que cutLevel este dentro del rango valido
-    if (state.cutLevel >= state.N - 1) state.cutLevel = state.N - 1;
+    if (state.cutLevel >= getPoleLevel() - 1) state.cutLevel = getPoleLevel() - 1;
     if (state.cutLevel < 1) state.cutLevel = 1;
 
+    // Rango del oculo: niveles retirados desde el polo
+    const maxRemovedLevels = getPoleLevel() - 1 - (state.cutActive ? state.cutLevel : 0);
+    if (this.topCutLevelRange) {
+      this.topCutLevelRange.max = Math.max(1, maxRemovedLevels);
+      this.topCutLevelRange.min = 1;
+    }
+    if (this.topCutLevelNum) {
+      this.topCutLevelNum.max = Math.max(1, maxRemovedLevels);
+      this.topCutLevelNum.min = 1;
+    }
+
+    // Rango del sector: 1..N secciones
+    if (this.sectorCountRange) {
+      this.sectorCountRange.max = state.N;
+      this.sectorCountRange.min = 1;
+    }
+    if (this.sectorCountNum) {
+      this.sectorCountNum.max = state.N;
+      this.sectorCountNum.min = 1;
+    }
+
     // Actualizar display con niveles visibles
     this.updateCutLevelDisplay();
+    this.updateTopCutLevelDisplay();
+    this.updateSectorCountDisplay();
+    this.updateEllipseScaleDisplay();
+    this.updateBeltLevelsDisplay();
 
     //   CAMBIO: Usar updateHeightDisplay() en lugar de asignar directamente
     this.updateHeightDisplay();
@@ -286,6 +372,9 @@ export function applyPanelMixin(proto) {
     
     //   NUEVO: Actualizar controles de diametro
     this.toggleDiameterControls();
+
+    // Solver: reflejar el diseno actual en los parametros no fijados
+    this.syncSolverInputs();
   };
 
   proto.updateBadges = function() {
@@ -307,7 +396,7 @@ export function applyPanelMixin(proto) {
       if (state.cutActive) {
         this.badgeLevels.style.display = 'inline-flex';
         // Mostrar niveles visibles (no cutLevel interno)
-        const visibleLevels = state.N - state.cutLevel;
+        const visibleLevels = getPoleLevel() - state.cutLevel;
         this.badgeLevelsValue.textContent = visibleLevels;
       } else {
         this.badgeLevels.style.display = 'none';
@@ -315,9 +404,8 @@ export function applyPanelMixin(proto) {
     }
     // Actualizar badge de altura total
     if (this.badgeHeight && this.badgeHeightValue) {
-      if (state.cutActive) {
-        const nivelesVisibles = state.N - state.cutLevel;
-        const alturaVisible = state.h1 * nivelesVisibles;
+      if (state.cutActive || state.topCutActive) {
+        const alturaVisible = getVisibleHeight();
         this.badgeHeightValue.textContent = `${alturaVisible.toFixed(3)}m`;
         this.badgeHeight.style.display = 'inline-flex';
       } else {
@@ -329,7 +417,8 @@ export function applyPanelMixin(proto) {
   proto.updateDmaxFromFloorDiameter = function() {
     const floorDiameter = Math.max(0.1, parseFloat((this.floorDiameterNum && this.floorDiameterNum.value) ? this.floorDiameterNum.value : '') || 6);
     
-    const sineFactor = Math.sin((state.cutLevel * Math.PI) / state.N);
+    // El radio de cada anillo es proporcional a Dmax (tambien con perfil variable)
+    const sineFactor = 2 * getRingRadius(state.cutLevel) / state.Dmax;
     
     if (sineFactor > 0.001) {  // Evitar division por cero
       state.Dmax = floorDiameter / sineFactor;
@@ -354,14 +443,18 @@ export function applyPanelMixin(proto) {
   proto.updateGeometryInfo = function() {
     const { N, Dmax, h1, cutActive, cutLevel, aRad, floorDiameter } = state;
 
+    // Planta eliptica: los diametros se muestran como X x Y
+    const { sx, sy } = getFootprintScale();
+    const fmtDiameter = (d) => (isEllipticalFootprint() ? `${(d * sx).toFixed(2)}×${(d * sy).toFixed(2)}` : d.toFixed(3));
+
     // Calcular diametro del poligono en el piso de corte
     if (cutActive) {
       // Mostrar el diametro del piso que el usuario esta controlando
-      if (this.infoDiameter) this.infoDiameter.textContent = floorDiameter.toFixed(3);
+      if (this.infoDiameter) this.infoDiameter.textContent = fmtDiameter(floorDiameter);
       if (this.diameterLabel) this.diameterLabel.textContent = '  piso';
     } else {
       // Mostrar Dmax cuando no hay corte
-      if (this.infoDiameter) this.infoDiameter.textContent = Dmax.toFixed(3);
+      if (this.infoDiameter) this.infoDiameter.textContent = fmtDiameter(Dmax);
       if (this.diameterLabel) this.diameterLabel.textContent = 'Dmax';
     }
 
@@ -372,23 +465,67 @@ export function applyPanelMixin(proto) {
     const Rk = (Dmax / 2) * Math.sin((k * Math.PI) / N);
     const step = (2 * Math.PI) / N;
 
-    // Distancia entre dos vertices consecutivos en el mismo nivel
-    const chordLength = 2 * Rk * Math.sin(step / 2);
-
+    // Proyeccion horizontal de la arista (k=1 -> k=2, giro de π/N): es R1 para todo N
     // Altura entre niveles es h1
     // El lado del rombo usa teorema de Pitagoras
-    const rhombusSide = Math.sqrt(chordLength * chordLength + h1 * h1);
-    if (this.infoRhombusSide) this.infoRhombusSide.textContent = rhombusSide.toFixed(3);
+    const rhombusSide = Math.sqrt(Rk * Rk + h1 * h1);
+    if (isEllipticalFootprint() || hasLevelProfile()) {
+      // Planta eliptica: los lados varian alrededor del anillo -> rango min-max del nivel k=1.
+      // Perfil variable: varian ademas de un nivel a otro -> rango sobre todos los niveles.
+      const levels = hasLevelProfile() ? Array.from({ length: getPoleLevel() }, (_, j) => j) : [k];
+      let minSide = Infinity, maxSide = 0;
+      for (const kk of levels) {
+        for (let i = 0; i < N; i++) {
+          const d = getRingVertex(kk, i).distanceTo(getRingVertex(kk + 1, i));
+          minSide = Math.min(minSide, d);
+          maxSide = Math.max(maxSide, d);
+        }
+      }
+      if (this.infoRhombusSide) this.infoRhombusSide.textContent = `${minSide.toFixed(3)}–${maxSide.toFixed(3)}`;
+    } else if (this.infoRhombusSide) {
+      this.infoRhombusSide.textContent = rhombusSide.toFixed(3);
+    }
 
     // Calcular base del triangulo en el piso de corte (si esta activo)
     if (cutActive) {
-      const RkCut = (Dmax / 2) * Math.sin((cutLevel * Math.PI) / N);
+      const RkCut = getRingRadius(cutLevel);
       const triangleBase = 2 * RkCut * Math.sin(step / 2);
       if (this.infoTriangleBase) this.infoTriangleBase.textContent = triangleBase.toFixed(3);
       if (this.triangleBaseInfo) this.triangleBaseInfo.style.display = 'flex';
     } else {
       if (this.triangleBaseInfo) this.triangleBaseInfo.style.display = 'none';
     }
+
+    // Diametro del oculo (anillo superior)
+    if (state.topCutActive) {
+      if (this.infoOculusDiameter) this.infoOculusDiameter.textContent = fmtDiameter(state.oculusDiameter);
+      if (this.oculusDiameterInfo) this.oculusDiameterInfo.style.display = 'flex';
+    } else {
+      if (this.oculusDiameterInfo) this.oculusDiameterInfo.style.display = 'none';
+    }
+
+    this.scheduleMetricsInfo();
+  };
+
+  /** Volumen, superficie y areas de piso: diferido porque recorre toda la cascara. */
+  proto.scheduleMetricsInfo = function() {
+    if (this._metricsTimer) clearTimeout(this._metricsTimer);
+    this._metricsTimer = setTimeout(() => {
+      this._metricsTimer = null;
+      this.updateMetricsInfo();
+    }, 200);
+  };
+
+  proto.updateMetricsInfo = function() {
+    const m = computeMetrics();
+    if (this.infoVolume) this.infoVolume.textContent = m.volume.toFixed(2);
+    if (this.infoShellArea) this.infoShellArea.textContent = m.shellArea.toFixed(2);
+
+    const show = state.cutActive ? 'flex' : 'none';
+    if (this.floorAreaInfo) this.floorAreaInfo.style.display = show;
+    if (this.headroomInfo) this.headroomInfo.style.display = show;
+    if (this.infoFloorArea) this.infoFloorArea.textContent = m.floorArea.toFixed(2);
+    if (this.infoHeadroom) this.infoHeadroom.textContent = m.headroom.map(h => h.area.toFixed(2)).join(' / ');
   };
 
   proto.updateFacesCount = function() {
@@ -0,0 +1,149 @@
+import { state, updateStateCalculations, getPoleLevel, getVisibleHeight, hasLevelProfile } from '../state.js';
+import { solveGeometry, SOLVER_PARAMS } from '../solver.js';
+
+// Sufijo de los ids del panel: solverFix<Sufijo> (checkbox) y solverVal<Sufijo> (valor)
+const SOLVER_FIELD_IDS = {
+  N: 'N',
+  aDeg: 'ADeg',
+  Dmax: 'Dmax',
+  floorDiameter: 'Floor',
+  height: 'Height',
+  edge: 'Edge',
+  levels: 'Levels',
+};
+
+const SOLVER_MAX_RESULTS = 20;
+
+export function applySolverMixin(proto) {
+
+  proto._solverField = function(param) {
+    const suffix = SOLVER_FIELD_IDS[param];
+    return {
+      fix: document.getElementById(`solverFix${suffix}`),
+      val: document.getElementById(`solverVal${suffix}`),
+    };
+  };
+
+  proto._initSolverPanel = function() {
+    for (const p of SOLVER_PARAMS) {
+      const { fix, val } = this._solverField(p);
+      // Escribir un valor lo fija automaticamente
+      if (val && fix) val.addEventListener('input', () => { fix.checked = true; });
+    }
+    if (this.solverRunBtn) this.solverRunBtn.addEventListener('click', () => this.runGeometrySolver());
+    this.syncSolverInputs();
+  };
+
+  /** Muestra los valores actuales del diseno en los parametros no fijados. */
+  proto.syncSolverInputs = function() {
+    const current = {
+      N: String(state.N),
+      aDeg: state.aDeg.toFixed(2),
+      Dmax: state.Dmax.toFixed(3),
+      floorDiameter: (state.cutActive ? state.floorDiameter : state.Dmax).toFixed(3),
+      height: getVisibleHeight().toFixed(3),
+      edge: state.beltHeight.toFixed(3),
+      levels: String(getPoleLevel() - (state.cutActive ? state.cutLevel : 0)),
+    };
+    for (const p of SOLVER_PARAMS) {
+      const { fix, val } = this._solverField(p);
+      if (val && !(fix && fix.checked)) val.value = current[p];
+    }
+    this._updateSolverAvailability();
+  };
+
+  /**
+   * El solver trabaja con el zonohedro de angulo unico: con perfil por nivel se
+   * deshabilita el boton y se descartan las soluciones ya listadas.
+   */
+  proto._updateSolverAvailability = function() {
+    const blocked = hasLevelProfile();
+    if (this.solverRunBtn) this.solverRunBtn.disabled = blocked;
+    if (this.solverProfileNote) this.solverProfileNote.style.display = blocked ? '' : 'none';
+    if (blocked && this._solverSolutions && this._solverSolutions.length) this._renderSolverResults([]);
+  };
+
+  proto.runGeometrySolver = function() {
+    // El solver trabaja con el zonohedro de angulo unico
+    if (hasLevelProfile()) {
+      this.showNotification('Desactiva el perfil variable para usar el solver', 'error');
+      return;
+    }
+
+    const fixed = {};
+    for (const p of SOLVER_PARAMS) {
+      const { fix, val } = this._solverField(p);
+      if (!fix || !fix.checked || !val) continue;
+      const v = parseFloat(val.value);
+      if (!Number.isFinite(v) || v <= 0) {
+        this.showNotification('Valor invalido en un parametro fijado', 'error');
+        return;
+      }
+      fixed[p] = v;
+    }
+
+    const count = Object.keys(fixed).length;
+    if (count < 2) {
+      this.showNotification('Fija al menos dos parametros para resolver', 'error');
+      return;
+    }
+
+    const solutions = solveGeometry(fixed);
+    this._renderSolverResults(solutions.slice(0, SOLVER_MAX_RESULTS));
+    if (!solutions.length) {
+      this.showNotification('No hay soluciones factibles para esas restricciones', 'error');
+    }
+  };
+
+  proto._renderSolverResults = function(solutions) {
+    if (!this.solverResults) return;
+    this.solverResults.innerHTML = '';
+    this._solverSolutions = solutions;
+
+    solutions.forEach((s) => {
+      const row = document.createElement('button');
+      row.type = 'button';
+      row.className = 'solver-result';
+      const err = s.error * 100;
+      row.innerHTML = `
+        <span class="solver-result-main">N=${s.N} · α=${s.aDeg.toFixed(2)}° · Dmax=${s.Dmax.toFixed(3)} m</span>
+        <span class="solver-result-sub">${s.cutActive ? `Ø piso ${s.floorDiameter.toFixed(3)} m · ` : ''}H ${s.height.toFixed(3)} m · lado ${s.edge.toFixed(3)} m · ${s.levels} niv.</span>
+        <span class="solver-result-err">${err < 0.01 ? 'exacta' : `±${err.toFixed(2)}%`}</span>`;
+      row.addEventListener('click', () => this.applySolverSolution(s));
+      this.solverResults.appendChild(row);
+    });
+  };
+
+  /** Aplica una solucion del solver al state y a los controles principales. */
+  proto.applySolverSolution = function(sol) {
+    if (!sol) return;
+    if (hasLevelProfile()) {
+      this.showNotification('Desactiva el perfil variable para usar el solver', 'error');
+      return;
+    }
+    // El oculo conserva la cantidad de niveles retirados desde el polo
+    const removed = state.topCutActive ? getPoleLevel() - state.topCutLevel : 0;
+
+    if (this.nNum) this.nNum.value = sol.N;
+    if (this.nRange) this.nRange.value = sol.N;
+    if (this.aNum) this.aNum.value = sol.aDeg.toFixed(2);
+    if (this.aRange) this.aRange.value = sol.aDeg.toFixed(2);
+    if (this.dmaxNum) this.dmaxNum.value = sol.Dmax.toFixed(3);
+    if (this.dmaxRange) this.dmaxRange.value = sol.Dmax.toFixed(3);
+
+    state.N = sol.N;
+    state.cutActive = sol.cutActive;
+    if (sol.cutActive) state.cutLevel = sol.cutLevel;
+    if (state.topCutActive) state.topCutLevel = getPoleLevel() - removed;
+    updateStateCalculations();
+
+    this.updateState();
+    this.updateAllButtons();
+    this.sceneManager.requestRebuild();
+    if (this.sceneManager.markDirty) this.sceneManager.markDirty();
+    this.updateFacesCount();
+
+    this.showNotification(`Solucion aplicada: N=${sol.N}, α=${sol.aDeg.toFixed(2)}°, Dmax=${sol.Dmax.toFixed(3)} m`, 'success');
+  };
+
+}
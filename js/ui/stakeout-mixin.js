@@ -0,0 +1,77 @@
+import { STAKEOUT_DEFAULTS, collectStakeOutPoints, StakeOutExporter } from '../stakeout.js';
+import { logger } from '../logger.js';
+
+export function applyStakeOutMixin(proto) {
+
+  proto._initStakeOutPanel = function() {
+    const init = (el, value) => {
+      if (el && !el.value) el.value = String(value);
+    };
+    init(this.stakeOriginE, STAKEOUT_DEFAULTS.originE);
+    init(this.stakeOriginN, STAKEOUT_DEFAULTS.originN);
+    init(this.stakeDatumZ, STAKEOUT_DEFAULTS.datumZ);
+    init(this.stakeBearingDeg, STAKEOUT_DEFAULTS.bearingDeg);
+    if (this.stakeCsvBtn) this.stakeCsvBtn.addEventListener('click', () => this.exportStakeOut('csv'));
+    if (this.stakeXmlBtn) this.stakeXmlBtn.addEventListener('click', () => this.exportStakeOut('xml'));
+  };
+
+  proto.exportStakeOut = function(format) {
+    const sg = this.sceneManager && this.sceneManager.structureGroup;
+    if (!sg || !sg.children.length) {
+      this.showNotification('Genera primero la estructura para conectores', 'error');
+      return;
+    }
+    const site = {
+      originE: Number(this.stakeOriginE && this.stakeOriginE.value),
+      originN: Number(this.stakeOriginN && this.stakeOriginN.value),
+      datumZ: Number(this.stakeDatumZ && this.stakeDatumZ.value),
+      bearingDeg: Number(this.stakeBearingDeg && this.stakeBearingDeg.value),
+    };
+    if (Object.values(site).some(v => !isFinite(v))) {
+      this.showNotification('Sistema de obra invalido. Usa numeros.', 'error');
+      return;
+    }
+
+    const points = collectStakeOutPoints(sg, this.sceneManager.structureGenerator, site);
+    if (!points.length) {
+      this.showNotification('No hay conectores para exportar', 'error');
+      return;
+    }
+    this._renderStakeOut(points);
+    try {
+      if (format === 'xml') StakeOutExporter.exportLandXML(points, site);
+      else StakeOutExporter.exportCSV(points, site);
+    } catch (err) {
+      logger.error('Replanteo:', err);
+      this.showNotification('Error exportando el replanteo', 'error');
+      return;
+    }
+    this.showNotification(`Replanteo: ${points.length} puntos`, 'success');
+  };
+
+  proto._clearStakeOut = function() {
+    if (this.stakeOutResults) this.stakeOutResults.innerHTML = '';
+  };
+
+  proto._renderStakeOut = function(points) {
+    if (!this.stakeOutResults) return;
+    // Resumen por nivel: cantidad y cota de los centros
+    const levels = new Map();
+    for (const p of points) {
+      const key = `${p.isIntersection ? 'X' : 'k'}${p.kVisible}`;
+      if (!levels.has(key)) levels.set(key, { count: 0, zMin: Infinity, zMax: -Infinity });
+      const l = levels.get(key);
+      l.count++;
+      l.zMin = Math.min(l.zMin, p.elev);
+      l.zMax = Math.max(l.zMax, p.elev);
+    }
+    let html = '<table class="fem-table"><thead><tr><th>Nivel</th><th>Puntos</th><th>Cota (m)</th></tr></thead><tbody>';
+    for (const [key, l] of levels) {
+      const cota = l.zMax - l.zMin < 0.0005 ? l.zMin.toFixed(3) : `${l.zMin.toFixed(3)} – ${l.zMax.toFixed(3)}`;
+      html += `<tr><td>${key}</td><td>${l.count}</td><td>${cota}</td></tr>`;
+    }
+    html += '</tbody></table>';
+    this.stakeOutResults.innerHTML = html;
+  };
+
+}
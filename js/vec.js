@@ -0,0 +1,44 @@
+/**
+ * vec.js
+ *
+ * Operaciones de vectores 3D sobre objetos {x, y, z}. Aceptan tambien THREE.Vector3
+ * (mismas propiedades) y devuelven objetos planos sin mutar los argumentos, para que
+ * los modulos de calculo (fem, saw, clash, csg...) no dependan de THREE.
+ */
+
+export const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+export const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+export const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+export const scale = (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s });
+export const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t });
+
+/** Unitario, o null si el vector es nulo. */
+export const norm = (a) => {
+  const L = Math.hypot(a.x, a.y, a.z);
+  return L > 1e-12 ? scale(a, 1 / L) : null;
+};
+
+/** Componente de v perpendicular al unitario u. */
+export const perp = (v, u) => {
+  const d = dot(v, u);
+  return { x: v.x - u.x * d, y: v.y - u.y * d, z: v.z - u.z * d };
+};
+
+/**
+ * Normal de Newell de un poligono (sin normalizar: |n| = 2·area). Estable con
+ * vertices casi alineados o caras que no son exactamente planas (testas biseladas).
+ * @param {Array<{x:number,y:number,z:number}>} pts - vertices en orden
+ */
+export function newell(pts) {
+  const n = { x: 0, y: 0, z: 0 };
+  for (let j = 0; j < pts.length; j++) {
+    const p = pts[j], q = pts[(j + 1) % pts.length];
+    n.x += (p.y - q.y) * (p.z + q.z);
+    n.y += (p.z - q.z) * (p.x + q.x);
+    n.z += (p.x - q.x) * (p.y + q.y);
+  }
+  return n;
+}
+
+/** Normal unitaria de Newell, o null si el poligono es degenerado. */
+export const newellNormal = (pts) => norm(newell(pts));
@@ -0,0 +1,324 @@
+/**
+ * wind.js
+ *
+ * Cargas de viento sobre la cupula con coeficientes de presion de norma.
+ *
+ * Presion de referencia:
+ *   - EN 1991-1-4: qp(z) = [1 + 7·Iv(z)]·½·ρ·(cr(z)·vb)²  (4.8), categoria de terreno 0..IV.
+ *   - ASCE 7-16:   qz = 0.613·Kz·Kzt·Kd·Ke·V²  (26.10-1), exposicion B/C/D, Kd = 0.95 (cupulas).
+ * Ambas se evaluan en lo alto de la cupula (z = h + f sobre el terreno).
+ *
+ * Coeficientes exteriores de cupula con base circular (EN Fig. 7.12, ASCE Fig. 27.3-2,
+ * caso A): valores en A (base a barlovento), B (corona) y C (base a sotavento) segun
+ * f/d y h/d. El coeficiente es constante en los planos perpendiculares al viento y se
+ * interpola linealmente A -> B -> C segun la posicion de la cara a lo largo del viento.
+ * Las tablas son lecturas de los graficos de cada norma: revisar contra la edicion
+ * vigente antes de presentar un calculo.
+ *
+ * Cada cara de NodeAnalyzer.buildFaces (rombos y triangulos, sin tapas) recibe la
+ * fuerza p·A segun su normal (p > 0 empuja hacia adentro) y la reparte a partes
+ * iguales entre sus vertices, con las mismas claves de nodo que StructureGenerator.
+ *
+ * Unidades: m/s, Pa, m², N. Las cargas nodales para fem.js se entregan en kN.
+ */
+
+import { state, getPoleLevel, getSectorCount, getRingZ } from './state.js';
+import { getFaceVertexIds, getRingVertex } from './geometry.js';
+import { NodeAnalyzer } from './node-analyzer.js';
+import { newell } from './vec.js';
+
+export const WIND_CODES = {
+  en: {
+    label: 'EN 1991-1-4',
+    exposures: [
+      { id: '0', label: '0 · Mar / costa abierta' },
+      { id: 'I', label: 'I · Lagos, sin obstaculos' },
+      { id: 'II', label: 'II · Campo abierto' },
+      { id: 'III', label: 'III · Suburbano / bosque' },
+      { id: 'IV', label: 'IV · Urbano denso' },
+    ],
+    defaultExposure: 'II',
+    // vb de la norma es la media de 10 min: W entra como accion variable (fem.js, combinaciones 'en')
+  },
+  asce: {
+    label: 'ASCE 7-16',
+    exposures: [
+      { id: 'B', label: 'B · Urbano / suburbano' },
+      { id: 'C', label: 'C · Terreno abierto' },
+      { id: 'D', label: 'D · Costa / agua abierta' },
+    ],
+    defaultExposure: 'C',
+    // V es la rafaga de 3 s de estado limite ultimo: W con 1.0 (fem.js, combinaciones 'asce')
+  },
+};
+
+// EN 1991-1-4 Tabla 4.1: longitud de rugosidad z0 y altura minima zmin (m)
+const EN_TERRAIN = {
+  '0': { z0: 0.003, zmin: 1 },
+  I: { z0: 0.01, zmin: 1 },
+  II: { z0: 0.05, zmin: 2 },
+  III: { z0: 0.3, zmin: 5 },
+  IV: { z0: 1.0, zmin: 10 },
+};
+const AIR_DENSITY = 1.25;
+
+// ASCE 7-16 Tabla 26.11-1: exponente alfa y altura gradiente zg (m)
+const ASCE_EXPOSURE = {
+  B: { alpha: 7.0, zg: 365.76 },
+  C: { alpha: 9.5, zg: 274.32 },
+  D: { alpha: 11.5, zg: 213.36 },
+};
+const ASCE_KD_DOME = 0.95;
+// Factor de rafaga para estructuras rigidas (26.11.1)
+const ASCE_GUST = 0.85;
+
+/**
+ * Coeficientes en A / B / C. Filas: h/d (hd), columnas: f/d (fd).
+ * Fuera de rango se toma el borde (f/d <= 0.5, h/d <= 1).
+ */
+const CPE_TABLES = {
+  en: {
+    hd: [0, 0.25, 1],
+    fd: [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+    A: [
+      [0.0, 0.3, 0.5, 0.65, 0.75, 0.8],
+      [-0.5, -0.2, 0.1, 0.3, 0.45, 0.55],
+      [-0.8, -0.6, -0.35, -0.15, 0.05, 0.2],
+    ],
+    B: [
+      [-0.2, -0.45, -0.7, -0.9, -1.05, -1.2],
+      [-0.5, -0.7, -0.9, -1.05, -1.15, -1.25],
+      [-0.8, -0.9, -1.0, -1.1, -1.2, -1.3],
+    ],
+    C: [
+      [-0.2, -0.15, -0.1, -0.05, 0.0, 0.0],
+      [-0.3, -0.3, -0.3, -0.3, -0.3, -0.3],
+      [-0.4, -0.4, -0.4, -0.4, -0.4, -0.4],
+    ],
+  },
+  asce: {
+    hd: [0, 0.25, 0.5],
+    fd: [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+    A: [
+      [-0.1, 0.2, 0.4, 0.55, 0.7, 0.8],
+      [-0.6, -0.3, 0.0, 0.2, 0.35, 0.5],
+      [-0.9, -0.6, -0.3, -0.1, 0.1, 0.25],
+    ],
+    B: [
+      [-0.3, -0.5, -0.75, -0.95, -1.1, -1.2],
+      [-0.55, -0.75, -0.95, -1.1, -1.2, -1.3],
+      [-0.8, -0.95, -1.1, -1.2, -1.3, -1.4],
+    ],
+    C: [
+      [-0.3, -0.2, -0.1, -0.05, 0.0, 0.0],
+      [-0.4, -0.35, -0.3, -0.3, -0.3, -0.3],
+      [-0.5, -0.45, -0.4, -0.4, -0.4, -0.4],
+    ],
+  },
+};
+
+function interp1(xs, ys, x) {
+  if (x <= xs[0]) return ys[0];
+  for (let j = 1; j < xs.length; j++) {
+    if (x <= xs[j]) {
+      const t = (x - xs[j - 1]) / (xs[j] - xs[j - 1]);
+      return ys[j - 1] + t * (ys[j] - ys[j - 1]);
+    }
+  }
+  return ys[ys.length - 1];
+}
+
+/** Interpolacion bilineal en la tabla de un punto (A, B o C). */
+function tableValue(table, rows, hd, fd) {
+  const byRow = rows.map(row => interp1(table.fd, row, fd));
+  return interp1(table.hd, byRow, hd);
+}
+
+/** Coeficientes de la norma en A, B y C para las proporciones dadas. */
+export function domePressureCoefficients(code, fd, hd) {
+  const table = CPE_TABLES[code] || CPE_TABLES.en;
+  return {
+    A: tableValue(table, table.A, hd, fd),
+    B: tableValue(table, table.B, hd, fd),
+    C: tableValue(table, table.C, hd, fd),
+  };
+}
+
+/** Presion de referencia (Pa) a la altura z (m sobre el terreno). */
+export function referenceVelocityPressure(code, speed, exposure, z) {
+  const v = Math.max(0, Number(speed) || 0);
+  if (code === 'asce') {
+    const e = ASCE_EXPOSURE[exposure] || ASCE_EXPOSURE.C;
+    // Bajo 4.6 m (15 ft) Kz se mantiene constante
+    const Kz = 2.01 * Math.pow(Math.max(z, 4.57) / e.zg, 2 / e.alpha);
+    return 0.613 * Kz * ASCE_KD_DOME * v * v;
+  }
+  const t = EN_TERRAIN[exposure] || EN_TERRAIN.II;
+  const zz = Math.max(z, t.zmin);
+  const kr = 0.19 * Math.pow(t.z0 / 0.05, 0.07);
+  const cr = kr * Math.log(zz / t.z0);
+  const Iv = 1 / Math.log(zz / t.z0);
+  return (1 + 7 * Iv) * 0.5 * AIR_DENSITY * (cr * v) * (cr * v);
+}
+
+/** Clave de nodo de StructureGenerator para un ID de NodeAnalyzer. */
+function generatorKey(id) {
+  const p = NodeAnalyzer.parseVertexId(id);
+  if (!p) return null;
+  if (p.type === 'X') return `X:${p.faceId}`;
+  if (p.k === 0) return 'pole_low';
+  if (p.k === getPoleLevel()) return 'pole_top';
+  return `k${p.k}_i${p.i}`;
+}
+
+/** Posicion (coordenadas del generador, sin traslado de corte) de un ID de NodeAnalyzer. */
+function vertexPosition(id) {
+  const p = NodeAnalyzer.parseVertexId(id);
+  if (!p) return null;
+  if (p.type === 'X') {
+    const [k, i] = String(p.faceId).split(':').map(Number);
+    const pts = getFaceVertexIds(k, i).ids.map(v => getRingVertex(v.k, v.i));
+    return {
+      x: pts.reduce((s, q) => s + q.x, 0) / pts.length,
+      y: pts.reduce((s, q) => s + q.y, 0) / pts.length,
+      z: pts.reduce((s, q) => s + q.z, 0) / pts.length,
+    };
+  }
+  const v = getRingVertex(p.k, (p.k === 0 || p.k === getPoleLevel()) ? 0 : p.i);
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+/** Firma de la geometria que usan las cargas (caras, diagonales y muro de arranque). */
+export function windGeometryKey() {
+  const s = state;
+  return [
+    s.N, s.aDeg, s.Dmax, s.cutActive, s.cutLevel, s.topCutActive, s.topCutLevel,
+    getSectorCount(), s.ellipseActive, s.ellipseScaleX, s.ellipseScaleY, s.beltLevels,
+    (s.profileZ || []).join(','),
+    JSON.stringify(s.structureExtraBeams || []),
+    Object.keys(s.structureIntersectionFaces || {}).sort().join(','),
+    s.structureParams ? s.structureParams.riserHeightMm : '',
+  ].join('|');
+}
+
+/**
+ * Presiones de viento en cada cara visible.
+ * @param {{code?:'en'|'asce', speed:number, exposure?:string, directionDeg?:number, cpi?:number}} options
+ *   speed en m/s; directionDeg = direccion de donde sopla, medida en planta desde +X (antihorario)
+ * @returns {{
+ *   code:string, speed:number, exposure:string, directionDeg:number, key:string,
+ *   qRef:number, zRef:number, d:number, f:number, h:number, coefficients:{A:number,B:number,C:number},
+ *   faces:Array<{type:string, level:number, keys:string[], points:Array<{x:number,y:number,z:number}>,
+ *     centroid:{x:number,y:number,z:number}, normal:{x:number,y:number,z:number}, area:number,
+ *     cpe:number, pressure:number, force:{x:number,y:number,z:number}}>,
+ *   resultant:{x:number,y:number,z:number}
+ * }} normal hacia afuera; pressure en Pa (> 0 hacia la cara); force en N
+ */
+export function computeWindPressures(options = {}) {
+  const code = options.code === 'asce' ? 'asce' : 'en';
+  const spec = WIND_CODES[code];
+  const exposure = spec.exposures.some(e => e.id === options.exposure) ? options.exposure : spec.defaultExposure;
+  const speed = Math.max(0, Number(options.speed) || 0);
+  const directionDeg = Number(options.directionDeg) || 0;
+  const cpi = Number(options.cpi) || 0;
+
+  const { cutActive, cutLevel, topCutActive, topCutLevel } = state;
+  const kBot = cutActive ? cutLevel : 0;
+  const kTop = topCutActive ? topCutLevel : getPoleLevel();
+  const params = state.structureParams || {};
+  const riser = cutActive ? Math.max(0, Number(params.riserHeightMm) || 0) / 1000 : 0;
+  const zGround = getRingZ(kBot) - riser;
+
+  // Proporciones de la cupula: d = diametro maximo, h = altura hasta ese anillo, f = flecha sobre el
+  let rMax = 0, zEq = getRingZ(kBot);
+  for (let K = kBot; K <= kTop; K++) {
+    if (K === 0 || K === getPoleLevel()) continue;
+    for (let i = 0; i < state.N; i++) {
+      const v = getRingVertex(K, i);
+      const r = Math.hypot(v.x, v.y);
+      if (r > rMax + 1e-9) { rMax = r; zEq = v.z; }
+    }
+  }
+  const zTopAbs = getRingZ(kTop);
+  const d = 2 * rMax;
+  const h = Math.max(0, zEq - zGround);
+  const f = Math.max(0, zTopAbs - zEq);
+  const zRef = zTopAbs - zGround;
+  const coefficients = domePressureCoefficients(code, d > 0 ? f / d : 0, d > 0 ? h / d : 0);
+  const qRef = referenceVelocityPressure(code, speed, exposure, zRef);
+  const gust = code === 'asce' ? ASCE_GUST : 1;
+
+  // Direccion hacia donde sopla (en planta)
+  const th = (directionDeg * Math.PI) / 180;
+  const wx = -Math.cos(th), wy = -Math.sin(th);
+
+  const faces = [];
+  const resultant = { x: 0, y: 0, z: 0 };
+  for (const face of NodeAnalyzer.buildFaces()) {
+    if (face.type === 'cut-cap' || face.type === 'top-cap') continue;
+    const points = face.vertices.map(vertexPosition);
+    if (points.some(p => !p)) continue;
+
+    // Normal de Newell (|n| = 2·area) orientada hacia afuera del eje
+    const n = newell(points);
+    const c = { x: 0, y: 0, z: 0 };
+    for (const p of points) {
+      c.x += p.x / points.length;
+      c.y += p.y / points.length;
+      c.z += p.z / points.length;
+    }
+    const len = Math.hypot(n.x, n.y, n.z);
+    if (len < 1e-12) continue;
+    const sgn = (n.x * c.x + n.y * c.y < 0) ? -1 : 1;
+    const normal = { x: (sgn * n.x) / len, y: (sgn * n.y) / len, z: (sgn * n.z) / len };
+    const area = 0.5 * len;
+
+    // Posicion a lo largo del viento: -1 en A (barlovento), 0 en B, +1 en C (sotavento)
+    const s = rMax > 0 ? Math.max(-1, Math.min(1, (c.x * wx + c.y * wy) / rMax)) : 0;
+    const { A, B, C } = coefficients;
+    const cpe = s < 0 ? B + (A - B) * -s : B + (C - B) * s;
+    const pressure = qRef * (gust * cpe - cpi);
+    const force = { x: -pressure * area * normal.x, y: -pressure * area * normal.y, z: -pressure * area * normal.z };
+    resultant.x += force.x; resultant.y += force.y; resultant.z += force.z;
+
+    faces.push({
+      type: face.type,
+      level: face.level,
+      keys: face.vertices.map(generatorKey),
+      points,
+      centroid: c,
+      normal,
+      area,
+      cpe,
+      pressure,
+      force,
+    });
+  }
+
+  return {
+    code, speed, exposure, directionDeg, key: windGeometryKey(),
+    qRef, zRef, d, f, h, coefficients,
+    faces, resultant,
+  };
+}
+
+/**
+ * Reparte la fuerza de cada cara entre sus vertices.
+ * @param {ReturnType<typeof computeWindPressures>} wind
+ * @returns {Array<{key:string, fx:number, fy:number, fz:number}>} kN por nodo
+ */
+export function windNodalLoads(wind) {
+  const acc = new Map();
+  for (const face of (wind && wind.faces) || []) {
+    const keys = [...new Set(face.keys.filter(Boolean))];
+    if (!keys.length) continue;
+    for (const key of keys) {
+      const prev = acc.get(key) || { key, fx: 0, fy: 0, fz: 0 };
+      prev.fx += face.force.x / keys.length / 1000;
+      prev.fy += face.force.y / keys.length / 1000;
+      prev.fz += face.force.z / keys.length / 1000;
+      acc.set(key, prev);
+    }
+  }
+  return [...acc.values()];
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { state } from '../js/state.js';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { MATERIAL_LIBRARY } from '../js/materials.js';
+import { computeBOM } from '../js/bom.js';
+
+test('BOM: volumen de cada pletina = largo x ancho x espesor', () => {
+  const group = new THREE.Group();
+  new StructureGenerator(group).generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const bom = computeBOM(group);
+  const plates = bom.lines.filter(l => l.category === 'plate');
+  assert.ok(plates.length > 0, 'la estructura por defecto lleva pletinas');
+
+  const expectedMm3 = 120 * 50 * 3;
+  for (const ln of plates) {
+    const unitMm3 = (ln.volumeM3 / ln.count) * 1e9;
+    assert.ok(Math.abs(unitMm3 - expectedMm3) < 1, `${ln.label}: ${unitMm3.toFixed(1)} mm³, esperado ${expectedMm3}`);
+    assert.ok(Math.abs(ln.massKg - ln.volumeM3 * MATERIAL_LIBRARY.S235.density) < 1e-9);
+  }
+});
+
+test('Materiales: cada pieza guarda el suyo (viga puntual > nivel > global) y la BOM lo usa', () => {
+  const saved = { levels: state.structureLevelMaterials, globals: state.structureMaterials, edges: state.structureBeamEdgeOverrides };
+  const group = new THREE.Group();
+  const gen = new StructureGenerator(group);
+  gen.generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const k = state.cutLevel + 2;
+  const beamsAtK = group.children.filter(o => o.userData.isBeam && Math.max(o.userData.beamInfo.a.k, o.userData.beamInfo.b.k) === k);
+  const edgeBeam = beamsAtK[0].userData.beamInfo;
+  state.structureMaterials = { beam: 'C16' };
+  state.structureLevelMaterials = { [String(k)]: { beam: 'GL28h', hub: 'AL6061', plate: 'S355' } };
+  state.structureBeamEdgeOverrides = { [edgeBeam.edgeKey]: { material: 'GL24h' } };
+  try {
+    gen._resolveMaterials();
+    assert.equal(edgeBeam.materialKey, 'GL24h');
+    assert.equal(edgeBeam.material, MATERIAL_LIBRARY.GL24h.name);
+    assert.ok(beamsAtK.slice(1).every(o => o.userData.beamInfo.materialKey === 'GL28h'));
+    const others = group.children.filter(o => o.userData.isBeam && !beamsAtK.includes(o));
+    assert.ok(others.length > 0 && others.every(o => o.userData.beamInfo.materialKey === 'C16'));
+
+    const bom = computeBOM(group, gen);
+    const byCat = (cat, name) => bom.lines.filter(l => l.category === cat && l.material === name).reduce((s, l) => s + l.count, 0);
+    assert.ok(byCat('beam', MATERIAL_LIBRARY.GL28h.name) > 0, 'vigas del nivel en GL28h');
+    assert.ok(byCat('beam', MATERIAL_LIBRARY.C16.name) > 0, 'el resto en el material global');
+
+    let hubsAtK = 0;
+    for (const infos of gen._instanceConnectorMap.values()) hubsAtK += infos.filter(ci => ci.kOriginal === k).length;
+    assert.equal(byCat('hub', MATERIAL_LIBRARY.AL6061.name), hubsAtK);
+
+    const platesAtK = group.children.filter(o => o.userData.isPlate && beamsAtK.some(b => b.userData.beamInfo.id === o.userData.plateInfo.beamId));
+    assert.ok(platesAtK.every(o => o.userData.plateInfo.materialKey === 'S355'));
+    assert.equal(byCat('plate', MATERIAL_LIBRARY.S355.name), platesAtK.length);
+  } finally {
+    state.structureLevelMaterials = saved.levels;
+    state.structureMaterials = saved.globals;
+    state.structureBeamEdgeOverrides = saved.edges;
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { detectClashes } from '../js/clash.js';
+
+/**
+ * Viga hexaedrica con el layout de _createBeveledBeamGeometry: eje desde `start` segun
+ * `dir` por `len`, ancho segun `w`, alto segun `t` (testa inicio 0-3, fin 4-7).
+ */
+function beam(id, nodeKeys, start, dir, w, t, len, width, height) {
+  const s = new THREE.Vector3(...start);
+  const e = new THREE.Vector3(...dir).normalize();
+  const W = new THREE.Vector3(...w).normalize();
+  const T = new THREE.Vector3(...t).normalize();
+  const corner = (base, sw, st) => base.clone().addScaledVector(W, sw * width / 2).addScaledVector(T, st * height);
+  const end = s.clone().addScaledVector(e, len);
+  const pts = [];
+  for (const base of [s, end]) pts.push(corner(base, -1, 0), corner(base, 1, 0), corner(base, 1, 1), corner(base, -1, 1));
+  const geom = new THREE.BufferGeometry().setFromPoints(pts);
+  const mesh = new THREE.Mesh(geom);
+  mesh.userData = { isBeam: true, beamInfo: { id, aKey: nodeKeys[0], bKey: nodeKeys[1], edgeKey: `${id}|edge` } };
+  return mesh;
+}
+
+test('Choques: SAT separa por la normal de la pieza girada y mide la profundidad', () => {
+  const r = Math.SQRT1_2;
+  // Viga de referencia a lo largo de X, 100 x 100 mm
+  const a = beam('A', ['n', 'a'], [0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1], 1, 0.1, 0.1);
+  // Viga a 45° que pasa junto a la esquina (1, 0.05): las cajas alineadas de ambas se
+  // solapan, pero el lateral de la viga girada (eje de SAT fuera de los de A) las separa
+  const near = (offset) => beam('B', ['n', 'b'], [1 + offset * r - 0.5 * r, 0.05 + offset * r + 0.5 * r, 0],
+    [r, -r, 0], [r, r, 0], [0, 0, 1], 1, 0.1, 0.1);
+
+  const apart = new THREE.Group();
+  apart.add(a, near(0.1));
+  assert.deepEqual(detectClashes(apart), []);
+
+  // Con el eje a 30 mm de la esquina la viga de 100 mm entra 20 mm
+  const hit = new THREE.Group();
+  hit.add(a.clone(), near(0.03));
+  const clashes = detectClashes(hit);
+  assert.equal(clashes.length, 1);
+  assert.equal(clashes[0].nodeKey, 'n');
+  assert.ok(Math.abs(clashes[0].depthMm - 20) < 1e-3, `${clashes[0].depthMm}`);
+
+  // Sin conector comun no se comparan
+  const other = new THREE.Group();
+  const c = near(0.03);
+  c.userData.beamInfo.aKey = 'm';
+  other.add(a.clone(), c);
+  assert.deepEqual(detectClashes(other), []);
+});
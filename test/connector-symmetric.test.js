@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { state } from '../js/state.js';
+import { getSectorRingIndices } from '../js/geometry.js';
+import { applyConnectorEditorMixin } from '../js/ui/connector-editor-mixin.js';
+
+test('Simetricos en sector parcial: solo conectores visibles y sin los del borde', () => {
+  const saved = { sectorActive: state.sectorActive, sectorCount: state.sectorCount };
+  Object.assign(state, { sectorActive: true, sectorCount: 6 });
+  try {
+    const editor = {};
+    applyConnectorEditorMixin(editor);
+    const k = 5;
+    const ring = getSectorRingIndices(k);
+    const inner = ring.slice(1, -1);
+
+    const keys = editor._symmetricConnectorKeys({ kOriginal: k, i: inner[0], isIntersection: false });
+    assert.deepEqual(keys, inner.map(i => `k${k}_i${i}`));
+
+    const edge = ring[ring.length - 1];
+    assert.deepEqual(editor._symmetricConnectorKeys({ kOriginal: k, i: edge, isIntersection: false }), [`k${k}_i${edge}`]);
+
+    const faces = editor._symmetricConnectorKeys({ kOriginal: k, i: 2, isIntersection: true });
+    assert.deepEqual(faces, [0, 1, 2, 3, 4, 5].map(i => `X:${k}:${i}`));
+  } finally {
+    Object.assign(state, saved);
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimizeCutStock } from '../js/cutting-stock.js';
+
+const piece = (lengthMm, label, section = '60x120', material = 'Madera C24') => ({
+  id: label, type: label, label, lengthMm, section, material,
+});
+
+test('Plan de corte: Best Fit Decreasing elige la tabla que deja menos sobrante', () => {
+  // Tras 2500 | 2400 + 550 quedan 500 y 10 mm libres: First Fit pondria la de 40 en
+  // la primera tabla, Best Fit en la segunda
+  const pieces = [piece(40, 'd'), piece(2500, 'a'), piece(550, 'c'), piece(2400, 'b')];
+  const plan = optimizeCutStock(pieces, { stockLengthMm: 3000, kerfMm: 0, trimMm: 0 });
+  assert.equal(plan.groups.length, 1);
+  const boards = plan.groups[0].boards.map(b => ({ labels: b.pieces.map(p => p.label), offcutMm: b.offcutMm }));
+  assert.deepEqual(boards, [
+    { labels: ['b', 'c', 'd'], offcutMm: 10 },
+    { labels: ['a'], offcutMm: 500 },
+  ]);
+  assert.equal(plan.totals.boards, 2);
+  assert.equal(plan.totals.pieces, 4);
+  assert.equal(plan.totals.pieceMm, 5490);
+  assert.equal(plan.totals.stockMm, 6000);
+  assert.ok(Math.abs(plan.totals.wastePct - 8.5) < 1e-9);
+});
+
+test('Plan de corte: despunte, corte de sierra, secciones separadas y piezas largas', () => {
+  // Util = 3000 - 2·10 = 2980; 1000 + 5 + 1000 + 5 + 970 = 2980 llena la tabla justa
+  const pieces = [
+    piece(1000, 'a1'), piece(1000, 'a2'), piece(970, 'a3'), piece(971, 'a4'),
+    piece(1000, 'g1', '60x120', 'Laminada GL24h'),
+    piece(2981, 'x1'),
+  ];
+  const plan = optimizeCutStock(pieces, { stockLengthMm: 3000, kerfMm: 5, trimMm: 10 });
+  assert.equal(plan.params.usableMm, 2980);
+  assert.deepEqual(plan.oversize.map(p => p.label), ['x1']);
+  assert.deepEqual(plan.groups.map(g => `${g.section}|${g.material}`), ['60x120|Laminada GL24h', '60x120|Madera C24']);
+
+  const c24 = plan.groups[1];
+  assert.deepEqual(c24.boards.map(b => b.pieces.map(p => p.label)), [['a1', 'a2', 'a3'], ['a4']]);
+  assert.deepEqual(c24.boards.map(b => b.offcutMm), [0, 2980 - 971]);
+  assert.ok(Math.abs(c24.wastePct - (1 - 3941 / 6000) * 100) < 1e-9);
+  assert.equal(plan.totals.boards, 3);
+  assert.equal(plan.totals.pieces, 5);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { state, updateStateCalculations } from '../js/state.js';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { analyzeFrame, buildFrameModel, FEM_COMBINATIONS } from '../js/fem.js';
+
+function generateDome() {
+  updateStateCalculations();
+  const group = new THREE.Group();
+  new StructureGenerator(group).generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  return group;
+}
+
+const near = (a, b, tol, msg) => assert.ok(Math.abs(a - b) <= tol, `${msg}: ${a} != ${b}`);
+
+test('FEM: con viento se resuelve la envolvente de una sola norma, con G favorable', () => {
+  const group = generateDome();
+  // Succion uniforme: 0.3 kN hacia arriba en cada nodo que no es del anillo de apoyo
+  const { nodes } = buildFrameModel(group);
+  const zMin = Math.min(...nodes.map(n => n.z));
+  const windLoads = nodes.filter(n => n.z > zMin + 1e-6).map(n => ({ key: n.key, fz: 0.3 }));
+
+  const noWind = analyzeFrame(group, {});
+  assert.deepEqual(noWind.combinations.map(c => c.label), [FEM_COMBINATIONS.en[0].label]);
+
+  for (const code of ['en', 'asce']) {
+    const r = analyzeFrame(group, { windLoads, code });
+    assert.equal(r.totals.code, code);
+    assert.deepEqual(r.combinations.map(c => c.label), FEM_COMBINATIONS[code].map(c => c.label));
+    for (const c of r.combinations) near(c.reaction.z, c.load, 1e-6 * Math.abs(c.load) + 1e-9, `${code} ${c.label}`);
+
+    // La de G favorable es la que mas levanta: la carga vertical neta es la menor
+    const fav = r.combinations[r.combinations.length - 1];
+    for (const c of r.combinations) assert.ok(fav.load <= c.load + 1e-9, `${code}: ${fav.label} vs ${c.label}`);
+    const zMinEnv = Math.min(...r.nodes.filter(n => n.isSupport).map(n => n.reactionEnvelope.zMin));
+    assert.ok(r.max.uplift > 0, `${code}: la succion levanta los apoyos`);
+    near(r.max.uplift, -zMinEnv, 1e-9, `${code} arranque`);
+    assert.ok(r.max.tension >= noWind.max.tension);
+  }
+});
+
+test('FEM: equilibrio, ΣRz igual a la carga mayorada (peso propio + puntual)', () => {
+  const group = generateDome();
+  const { nodes } = buildFrameModel(group);
+  const top = nodes.reduce((a, b) => (b.z > a.z ? b : a));
+  // Como celosia el zonoedro sin diagonales es un mecanismo: solo uniones rigidas
+  for (const supports of ['pinned', 'fixed']) {
+    const r = analyzeFrame(group, { supports, pointLoads: [{ key: top.key, fz: -2 }] });
+    const c = FEM_COMBINATIONS.en[0];
+    const expected = c.G * r.totals.G + c.Q * 2;
+    assert.ok(r.totals.G > 0);
+    near(r.totals.load, expected, 1e-9, `${supports} carga`);
+    near(r.totals.reaction.z, expected, 1e-6 * expected, `${supports} ΣRz`);
+    near(r.totals.reaction.x, 0, 1e-6 * expected, `${supports} ΣRx`);
+    near(r.totals.reaction.y, 0, 1e-6 * expected, `${supports} ΣRy`);
+  }
+});
+
+test('FEM: sector parcial apoyado en el muro por el borde abierto', () => {
+  const saved = { sectorActive: state.sectorActive, sectorCount: state.sectorCount };
+  try {
+    const full = analyzeFrame(generateDome(), {});
+    assert.equal(full.sectorSupportCount, 0);
+
+    Object.assign(state, { sectorActive: true, sectorCount: 6 });
+    const group = generateDome();
+    const wall = analyzeFrame(group, {});
+    const free = analyzeFrame(group, { sectorBoundary: false });
+    const { nodes } = buildFrameModel(group);
+    const zMin = Math.min(...nodes.map(n => n.z));
+    const edge = nodes.filter(n => n.isSectorBoundary && n.z > zMin + 1e-6);
+    assert.ok(edge.length > 0, 'el sector tiene nodos de borde sobre el anillo');
+    assert.equal(wall.sectorSupportCount, edge.length);
+    assert.equal(free.sectorSupportCount, 0);
+    assert.equal(wall.supportCount, free.supportCount + edge.length);
+    // Con el borde colgando el sector se deforma mas que la cupula completa
+    assert.ok(free.max.dispMm > full.max.dispMm);
+    assert.ok(wall.max.dispMm < free.max.dispMm);
+    near(wall.totals.reaction.z, wall.totals.load, 1e-6 * wall.totals.load, 'ΣRz sector');
+  } finally {
+    Object.assign(state, saved);
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { NodeAnalyzer } from '../js/node-analyzer.js';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { GLBExporter } from '../js/gltf.js';
+
+// GLTFExporter lee los Blob con FileReader (solo existe en navegadores)
+class FileReaderShim {
+  readAsArrayBuffer(blob) {
+    blob.arrayBuffer().then((buf) => { this.result = buf; this.onloadend && this.onloadend(); });
+  }
+  readAsDataURL(blob) {
+    blob.arrayBuffer().then((buf) => {
+      this.result = `data:${blob.type};base64,${Buffer.from(buf).toString('base64')}`;
+      this.onloadend && this.onloadend();
+    });
+  }
+}
+
+// Matriz local de un nodo glTF (matrix o TRS)
+function nodeMatrix(node) {
+  if (node.matrix) return new THREE.Matrix4().fromArray(node.matrix);
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3().fromArray(node.translation || [0, 0, 0]),
+    new THREE.Quaternion().fromArray(node.rotation || [0, 0, 0, 1]),
+    new THREE.Vector3().fromArray(node.scale || [1, 1, 1]));
+}
+
+async function exportGLB(groups, generator) {
+  let blob = null;
+  const saved = { URL: globalThis.URL, document: globalThis.document, FileReader: globalThis.FileReader };
+  globalThis.URL = { createObjectURL: (b) => { blob = b; return 'blob:'; }, revokeObjectURL() {} };
+  globalThis.document = { createElement: () => ({ click() {} }), body: { appendChild() {}, removeChild() {} } };
+  globalThis.FileReader = FileReaderShim;
+  try {
+    await GLBExporter.exportSceneToGLB(groups, generator);
+  } finally {
+    Object.assign(globalThis, saved);
+  }
+  const buf = Buffer.from(await blob.arrayBuffer());
+  const jsonLen = buf.readUInt32LE(12);
+  return JSON.parse(buf.subarray(20, 20 + jsonLen).toString('utf8'));
+}
+
+test('GLB: raiz girada a Y arriba con el desplazamiento visible dentro', async () => {
+  const structureGroup = new THREE.Group();
+  const generator = new StructureGenerator(structureGroup);
+  generator.generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const gltf = await exportGLB({ rhombiGroup: new THREE.Group(), capGroup: new THREE.Group(), structureGroup }, generator);
+
+  const root = gltf.nodes[gltf.scenes[gltf.scene || 0].nodes[0]];
+  assert.equal(root.name, 'ZValdivia');
+  // Z del modelo (arriba en la app) debe quedar en +Y del glTF
+  const up = new THREE.Vector3(0, 0, 1).transformDirection(nodeMatrix(root));
+  assert.ok(up.distanceTo(new THREE.Vector3(0, 1, 0)) < 1e-6, `Z -> ${up.toArray()}`);
+
+  const model = gltf.nodes[root.children[0]];
+  assert.equal(model.name, 'Modelo');
+  const t = new THREE.Vector3().setFromMatrixPosition(nodeMatrix(model)).toArray();
+  assert.ok(Math.abs(t[2] + NodeAnalyzer.getVisibleZShift()) < 1e-6);
+  assert.ok(Math.abs(t[0]) < 1e-9 && Math.abs(t[1]) < 1e-9);
+});
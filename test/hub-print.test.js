@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { collectHubTypes, buildHubSolid } from '../js/hub-print.js';
+
+test('Conectores imprimibles: un tipo por nivel en el modelo por defecto', () => {
+  const group = new THREE.Group();
+  const generator = new StructureGenerator(group);
+  generator.generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const types = collectHubTypes(group, generator);
+  assert.ok(types.length > 0);
+  const labels = types.map(t => t.label);
+  assert.ok(!labels.some(l => /^[CX]\d+[A-Z]/.test(l)), `variantes fantasma: ${labels.join(', ')}`);
+});
+
+test('Conectores imprimibles: todas las etiquetas de variante se pueden grabar', () => {
+  const type = { label: '', diameterMm: 150, heightMm: 40, sockets: [] };
+  for (const label of ['C3', 'C3I', 'C3Z', 'X12-27']) {
+    type.label = label;
+    assert.ok(buildHubSolid(type, { segments: 12 }).length > 0, label);
+    assert.equal(type.engraved, true, label);
+  }
+  type.label = 'C3?';
+  assert.throws(() => buildHubSolid(type, { segments: 12 }), /No se puede grabar/);
+});
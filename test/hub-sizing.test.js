@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { computeHubSizes } from '../js/hub-sizing.js';
+
+// Nodo k1_i0 con directriz vertical y vigas horizontales en los angulos dados (grados)
+function hubNode(anglesDeg, widthMm, heightMm = 120) {
+  const group = new THREE.Group();
+  for (const deg of anglesDeg) {
+    const a = (deg * Math.PI) / 180;
+    const mesh = new THREE.Mesh();
+    mesh.userData = {
+      isBeam: true,
+      beamInfo: {
+        id: `V${deg}`,
+        aKey: 'k1_i0',
+        bKey: `k2_i${deg}`,
+        a: { k: 1, nodePos: new THREE.Vector3(0, 0, 0) },
+        b: { k: 2, nodePos: new THREE.Vector3(Math.cos(a), Math.sin(a), 0) },
+        aDir: new THREE.Vector3(0, 0, 1),
+        edgeDir: new THREE.Vector3(Math.cos(a), Math.sin(a), 0),
+        // Alto segun la directriz: en la proyeccion solo cuenta el ancho
+        faceNormal: new THREE.Vector3(0, 0, 1),
+        widthMm,
+        heightMm,
+      },
+    };
+    group.add(mesh);
+  }
+  return group;
+}
+
+test('Conectores: separacion entre vigas vecinas = semiancho·cot(φ/2) a cada lado', () => {
+  const [hub] = computeHubSizes(hubNode([0, 60, 200], 60), { clearanceMm: 5, roundMm: 5 });
+  const h = 30 + 2.5;
+  const expected = 2 * h / Math.tan(Math.PI / 6);
+  assert.equal(hub.k, 1);
+  assert.equal(hub.governing, 'separation');
+  assert.deepEqual(hub.beams, ['V0', 'V60']);
+  assert.ok(Math.abs(hub.angleDeg - 60) < 1e-9);
+  assert.ok(Math.abs(hub.requiredMm - expected) < 1e-6, `${hub.requiredMm} != ${expected}`);
+  assert.equal(hub.diameterMm, 115);
+});
+
+test('Conectores: con vigas angostas y abiertas manda el apoyo de la testa', () => {
+  const [hub] = computeHubSizes(hubNode([0, 120, 240], 20), { clearanceMm: 0, bearingMm: 40, roundMm: 5 });
+  // Separacion: 2·10·cot(60°) = 11.5 mm; apoyo: todo el ancho (20 < 40)
+  assert.equal(hub.governing, 'bearing');
+  assert.ok(Math.abs(hub.separationMm - 20 / Math.tan(Math.PI / 3)) < 1e-6);
+  assert.ok(Math.abs(hub.requiredMm - 20) < 1e-9);
+  assert.equal(hub.diameterMm, 20);
+});
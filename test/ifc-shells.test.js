@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { IFCExporter } from '../js/ifc.js';
+
+// Captura del IFC que el exportador descargaria
+function exportIFC(group, generator) {
+  let content = null;
+  const saved = { Blob: globalThis.Blob, URL: globalThis.URL, document: globalThis.document };
+  globalThis.Blob = class { constructor(parts) { content = parts.join(''); } };
+  globalThis.URL = { createObjectURL: () => 'blob:', revokeObjectURL() {} };
+  globalThis.document = { createElement: () => ({ click() {} }), body: { appendChild() {}, removeChild() {} } };
+  try {
+    IFCExporter.exportStructureToIFC(group, generator);
+  } finally {
+    Object.assign(globalThis, saved);
+  }
+  return content;
+}
+
+test('IFC: cada IfcClosedShell de vigas y pletinas esta orientado de forma consistente', () => {
+  const group = new THREE.Group();
+  const generator = new StructureGenerator(group);
+  generator.generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const ifc = exportIFC(group, generator);
+
+  const ent = new Map();
+  for (const m of ifc.matchAll(/^#(\d+)=([A-Z0-9]+)\((.*)\);$/gm)) ent.set(m[1], { type: m[2], args: m[3] });
+  const refs = (s) => [...s.matchAll(/#(\d+)/g)].map(m => m[1]);
+  const loopOfFace = (faceId) => refs(ent.get(refs(ent.get(faceId).args)[0]).args)[0];
+
+  const plateShells = new Set();
+  for (const e of ent.values()) {
+    if (e.type !== 'IFCPLATE') continue;
+    // IFCPLATE -> IFCPRODUCTDEFINITIONSHAPE -> IFCSHAPEREPRESENTATION -> IFCFACETEDBREP -> IFCCLOSEDSHELL
+    const pds = ent.get(refs(e.args)[1]);
+    const rep = ent.get(refs(pds.args)[0]);
+    const brep = ent.get(refs(rep.args)[1]);
+    plateShells.add(refs(brep.args)[0]);
+  }
+  assert.ok(plateShells.size > 0, 'la estructura por defecto lleva pletinas');
+
+  let shells = 0;
+  for (const [id, e] of ent) {
+    if (e.type !== 'IFCCLOSEDSHELL') continue;
+    shells++;
+    const edges = new Set();
+    for (const faceId of refs(e.args)) {
+      const pts = refs(ent.get(loopOfFace(faceId)).args);
+      for (let i = 0; i < pts.length; i++) {
+        const key = `${pts[i]}>${pts[(i + 1) % pts.length]}`;
+        assert.ok(!edges.has(key), `shell #${id}${plateShells.has(id) ? ' (pletina)' : ''}: arista ${key} repetida`);
+        edges.add(key);
+      }
+    }
+    for (const key of edges) {
+      const [a, b] = key.split('>');
+      assert.ok(edges.has(`${b}>${a}`), `shell #${id}: arista ${key} sin opuesta`);
+    }
+  }
+  assert.ok(shells >= plateShells.size);
+});
+
+test('IFC: vigas, conectores y pletinas llevan su material resuelto', () => {
+  const group = new THREE.Group();
+  const generator = new StructureGenerator(group);
+  generator.generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const ifc = exportIFC(group, generator);
+
+  const ent = new Map();
+  for (const m of ifc.matchAll(/^#(\d+)=([A-Z0-9]+)\((.*)\);$/gm)) ent.set(m[1], { type: m[2], args: m[3] });
+  const refs = (s) => [...s.matchAll(/#(\d+)/g)].map(m => m[1]);
+
+  const materialOf = new Map();
+  for (const e of ent.values()) {
+    if (e.type !== 'IFCRELASSOCIATESMATERIAL') continue;
+    const ids = refs(e.args);
+    const name = ent.get(ids[ids.length - 1]).args.match(/^'([^']*)'/)[1];
+    for (const id of ids.slice(0, -1)) materialOf.set(id, name);
+  }
+  const expected = { IFCMEMBER: 'Madera C24', IFCMECHANICALFASTENER: 'Acero S235', IFCPLATE: 'Acero S235' };
+  const seen = {};
+  for (const [id, e] of ent) {
+    if (!expected[e.type]) continue;
+    seen[e.type] = (seen[e.type] || 0) + 1;
+    assert.equal(materialOf.get(id), expected[e.type], `${e.type} #${id}`);
+  }
+  assert.deepEqual(Object.keys(seen).sort(), Object.keys(expected).sort());
+  assert.match(ifc, /DesignTransferView/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
+import { state, updateStateCalculations, getPoleLevel } from '../js/state.js';
+import { getRingVertex } from '../js/geometry.js';
+import { computeMetrics } from '../js/metrics.js';
+
+// Volumen de una malla cerrada (teorema de la divergencia sobre sus triangulos)
+function meshVolume(geometry) {
+  const pos = geometry.getAttribute('position');
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+  let v = 0;
+  for (let i = 0; i < pos.count; i += 3) {
+    a.fromBufferAttribute(pos, i);
+    b.fromBufferAttribute(pos, i + 1);
+    c.fromBufferAttribute(pos, i + 2);
+    v += a.dot(b.clone().cross(c)) / 6;
+  }
+  return Math.abs(v);
+}
+
+test('Metricas: el volumen de la cupula cortada es el de la envolvente convexa de sus vertices', () => {
+  const saved = { cutActive: state.cutActive, cutLevel: state.cutLevel };
+  try {
+    for (const cutLevel of [0, 2, 3, 5]) {
+      // Nivel 0 = zonoedro completo, sin corte
+      Object.assign(state, { cutActive: cutLevel > 0, cutLevel });
+      updateStateCalculations();
+      // El zonoedro es convexo y el corte es un plano horizontal: la cupula es la
+      // envolvente convexa de los anillos desde el de corte hasta el polo
+      const pts = [];
+      for (let k = cutLevel; k <= getPoleLevel(); k++) {
+        for (let i = 0; i < state.N; i++) {
+          const p = getRingVertex(k, i);
+          pts.push(new THREE.Vector3(p.x, p.y, p.z));
+        }
+      }
+      const hull = meshVolume(new ConvexGeometry(pts));
+      const m = computeMetrics();
+      assert.ok(hull > 0);
+      assert.ok(Math.abs(m.volume - hull) <= 1e-7 * hull, `corte ${cutLevel}: ${m.volume} != ${hull}`);
+      assert.ok(Math.abs(m.slabs.reduce((s, b) => s + b.volume, 0) - m.volume) <= 1e-12 * hull);
+    }
+  } finally {
+    Object.assign(state, saved);
+    updateStateCalculations();
+  }
+});
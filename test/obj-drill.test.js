@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { StructureOBJExporter } from '../js/export.js';
+
+// Captura del OBJ que el exportador descargaria
+function exportOBJ(group) {
+  let content = null;
+  const saved = { Blob: globalThis.Blob, URL: globalThis.URL, document: globalThis.document };
+  globalThis.Blob = class { constructor(parts) { content = parts.join(''); } };
+  globalThis.URL = { createObjectURL: () => 'blob:', revokeObjectURL() {} };
+  globalThis.document = { createElement: () => ({ click() {} }), body: { appendChild() {}, removeChild() {} } };
+  try {
+    StructureOBJExporter.exportStructureToOBJ(group);
+  } finally {
+    Object.assign(globalThis, saved);
+  }
+  return content;
+}
+
+// Caras (indices globales base-1) de cada objeto "o nombre"
+function objFacesByName(obj) {
+  const out = new Map();
+  let cur = null;
+  for (const line of obj.split('\n')) {
+    if (line.startsWith('o ')) {
+      cur = [];
+      out.set(line.slice(2), cur);
+    } else if (line.startsWith('f ') && cur) {
+      cur.push(line.slice(2).trim().split(/\s+/).map(Number));
+    }
+  }
+  return out;
+}
+
+// Solido cerrado y orientado: cada arista dirigida una sola vez y con su opuesta
+function assertClosedOriented(name, faces) {
+  const edges = new Map();
+  for (const f of faces) {
+    for (let i = 0; i < f.length; i++) {
+      const key = `${f[i]}>${f[(i + 1) % f.length]}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+  for (const [key, n] of edges) {
+    assert.equal(n, 1, `${name}: arista ${key} repetida`);
+    const [a, b] = key.split('>');
+    assert.ok(edges.has(`${b}>${a}`), `${name}: arista ${key} sin opuesta`);
+  }
+}
+
+test('OBJ de estructura: vigas y pletinas perforadas son solidos cerrados', () => {
+  const group = new THREE.Group();
+  new StructureGenerator(group).generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+    boltCount: 2, boltDiameterMm: 12, boltEndMm: 30, boltEdgeMm: 15, boltGaugeMm: 40,
+  });
+  const drilled = (pred) => group.children.find(o => pred(o.userData) && Array.isArray(o.userData.boltHoles) && o.userData.boltHoles.length);
+  const beam = drilled(ud => ud.isBeam);
+  const plate = drilled(ud => ud.isPlate);
+  assert.ok(beam && plate, 'la estructura por defecto debe tener vigas y pletinas con pernos');
+
+  const faces = objFacesByName(exportOBJ(group));
+  for (const mesh of [beam, plate]) {
+    const f = faces.get(mesh.name);
+    assert.ok(f && f.length > 6, `${mesh.name}: sin caras perforadas`);
+    assertClosedOriented(mesh.name, f);
+  }
+});
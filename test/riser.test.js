@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { state } from '../js/state.js';
+import { getSectorRingIndices } from '../js/geometry.js';
+import { StructureGenerator } from '../js/structure-generator.js';
+
+test('Muro de arranque en sector parcial: soleras solo entre vertices consecutivos del sector', () => {
+  const saved = { sectorActive: state.sectorActive, sectorCount: state.sectorCount, cutActive: state.cutActive, cutLevel: state.cutLevel };
+  Object.assign(state, { sectorActive: true, sectorCount: 6, cutActive: true, cutLevel: 4 });
+  try {
+    const group = new THREE.Group();
+    new StructureGenerator(group).generate({
+      cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+      platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50, riserHeightMm: 600,
+    });
+    const idx = getSectorRingIndices(state.cutLevel);
+    const expected = new Set();
+    for (let j = 0; j + 1 < idx.length; j++) expected.add(`${idx[j]}-${idx[j + 1]}`);
+
+    for (const kind of ['riserTop', 'riserBottom']) {
+      const got = group.children
+        .map(o => o.userData.beamInfo)
+        .filter(bi => bi && bi.kind === kind)
+        .map(bi => `${bi.a.i}-${bi.b.i}`);
+      assert.deepEqual(new Set(got), expected, kind);
+      assert.equal(got.length, expected.size, kind);
+    }
+  } finally {
+    Object.assign(state, saved);
+  }
+});
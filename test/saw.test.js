@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { updateStateCalculations } from '../js/state.js';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { sawSettings, endCutSettings, formatSawSettings } from '../js/saw.js';
+
+// Pieza a lo largo de +X saliendo por la testa; ancho Y, alto Z (exterior -> interior)
+const d = { x: 1, y: 0, z: 0 };
+const w = { x: 0, y: 1, z: 0 };
+const t = { x: 0, y: 0, z: 1 };
+const rad = (g) => (g * Math.PI) / 180;
+const close = (a, b, msg) => assert.ok(Math.abs(a - b) < 1e-6, `${msg}: ${a} != ${b}`);
+
+test('Ingletadora: bisel conocido da inglete, inclinacion y cara larga', () => {
+  // Bisel puro de 30° hacia el interior: con el lateral en la mesa es un inglete puro,
+  // punta larga en la cara exterior
+  const bevel = sawSettings({ x: Math.cos(rad(30)), y: 0, z: Math.sin(rad(30)) }, d, w, t);
+  assert.equal(bevel.reference, 'side');
+  close(bevel.miterDeg, 30, 'inglete');
+  close(bevel.tiltDeg, 0, 'inclinacion');
+  assert.equal(bevel.miterLong, 'outer');
+  assert.equal(bevel.tiltLong, null);
+
+  // Mismo bisel con la normal hacia el exterior: la punta larga pasa a la cara interior
+  const mirror = sawSettings({ x: Math.cos(rad(30)), y: 0, z: -Math.sin(rad(30)) }, d, w, t);
+  close(mirror.miterDeg, 30, 'inglete espejo');
+  assert.equal(mirror.miterLong, 'inner');
+
+  // Compuesto: n = (d·cos m + g·sin m)·cos b + h·sin b con m = 20°, b = 10°, guia = ±w
+  const m = rad(20), b = rad(10);
+  const n = { x: Math.cos(m) * Math.cos(b), y: -Math.sin(m) * Math.cos(b), z: Math.sin(b) };
+  const cut = sawSettings(n, d, w, t);
+  close(cut.miterDeg, 20, 'inglete compuesto');
+  close(cut.tiltDeg, 10, 'inclinacion compuesta');
+  // Testa a la derecha (+X) mirando la cara exterior desde fuera: superior = d x t = -Y.
+  // n apunta a -Y, asi que el lateral superior queda corto y el inferior largo.
+  assert.equal(cut.miterLong, 'lower');
+  assert.equal(cut.tiltLong, 'outer');
+  assert.match(formatSawSettings(cut), /^Ing 20\.0° \(larga lateral inferior\) · Incl 10\.0° \(larga cara exterior\)$/);
+});
+
+test('Ingletadora: la cara larga coincide con la geometria de cada testa', () => {
+  updateStateCalculations();
+  const group = new THREE.Group();
+  new StructureGenerator(group).generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const beams = group.children.filter(o => o.userData && o.userData.isBeam && o.userData.objVertices);
+  assert.ok(beams.length > 0);
+  let sided = 0;
+  const v = (p) => new THREE.Vector3(p.x, p.y, p.z);
+  for (const beam of beams) {
+    const verts = beam.userData.objVertices.map(v);
+    const cuts = endCutSettings(verts);
+    const e = verts[4].clone().sub(verts[0]).normalize();
+    const tDir = verts[3].clone().sub(verts[0]).normalize();
+    // Testa inicio 0(-w, ext) 1(+w, ext) 2(+w, int) 3(-w, int); fin igual + 4
+    for (const [cut, dir, base] of [[cuts.start, e.clone().negate(), 0], [cuts.end, e, 4]]) {
+      const reach = (idx) => idx.reduce((s, i) => s + verts[base + i].dot(dir), 0) / idx.length;
+      const upper = new THREE.Vector3().crossVectors(dir, tDir);
+      const upperIdx = [0, 1, 2, 3].filter(i => verts[base + i].dot(upper) > verts[base].clone().add(verts[base + 2]).multiplyScalar(0.5).dot(upper));
+      const lowerIdx = [0, 1, 2, 3].filter(i => !upperIdx.includes(i));
+      const tLong = cut.reference === 'outer' ? cut.tiltLong : cut.miterLong;
+      const uLong = cut.reference === 'outer' ? cut.miterLong : cut.tiltLong;
+      // La cara larga es la que llega mas lejos por la testa
+      if (tLong || uLong) sided++;
+      if (tLong) assert.equal(tLong, reach([0, 1]) > reach([2, 3]) ? 'outer' : 'inner', beam.name);
+      if (uLong) assert.equal(uLong, reach(upperIdx) > reach(lowerIdx) ? 'upper' : 'lower', beam.name);
+    }
+  }
+  assert.ok(sided > beams.length, 'la mayoria de las testas van biseladas');
+});
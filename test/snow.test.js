@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { state, updateStateCalculations, getPoleLevel } from '../js/state.js';
+import { getRingVertex } from '../js/geometry.js';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { analyzeFrame } from '../js/fem.js';
+
+// snow.js usa la normal de caras de pdf-report.js, que publica THREE en window al cargarse
+globalThis.window = globalThis.window || globalThis;
+const { snowShapeCoefficient, computeSnowLoads, snowFaceLoads } = await import('../js/snow.js');
+
+// Area de la envolvente convexa en planta (cadena monotona)
+function hullArea(pts) {
+  const p = pts.map(v => [v.x, v.y]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const turn = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => {
+    const h = [];
+    for (const q of list) {
+      while (h.length >= 2 && turn(h[h.length - 2], h[h.length - 1], q) <= 0) h.pop();
+      h.push(q);
+    }
+    return h.slice(0, -1);
+  };
+  const hull = [...half(p), ...half(p.slice().reverse())];
+  let a = 0;
+  for (let i = 0; i < hull.length; i++) {
+    const [x0, y0] = hull[i], [x1, y1] = hull[(i + 1) % hull.length];
+    a += x0 * y1 - x1 * y0;
+  }
+  return Math.abs(a) / 2;
+}
+
+test('Nieve: μ1 de la Tabla 5.2 segun la pendiente', () => {
+  assert.equal(snowShapeCoefficient(0), 0.8);
+  assert.equal(snowShapeCoefficient(30), 0.8);
+  assert.ok(Math.abs(snowShapeCoefficient(45) - 0.4) < 1e-12);
+  assert.equal(snowShapeCoefficient(60), 0);
+  assert.equal(snowShapeCoefficient(80), 0);
+});
+
+test('Nieve: la proyeccion de las caras es la planta de la cupula y la carga llega entera a fem.js', () => {
+  updateStateCalculations();
+  const snow = computeSnowLoads({ sk: 1.2, Ce: 1 });
+  const pts = [];
+  for (let k = state.cutLevel; k <= getPoleLevel(); k++) {
+    for (let i = 0; i < state.N; i++) pts.push(getRingVertex(k, i));
+  }
+  const plan = hullArea(pts);
+  assert.ok(Math.abs(snow.totals.areaPlan - plan) < 1e-9 * plan, `${snow.totals.areaPlan} != ${plan}`);
+
+  const expected = snow.faces.reduce((s, f) => s + f.muBalanced * 1.2 * f.areaPlan, 0);
+  assert.ok(Math.abs(snow.totals.balanced - expected) < 1e-9);
+  assert.ok(snow.totals.balanced <= 0.8 * 1.2 * plan + 1e-9);
+
+  // Desequilibrada: mas carga a sotavento (s > 0) que a barlovento
+  const side = (sign) => snow.faces.filter(f => sign * f.s > 0).reduce((s, f) => s + f.drift * f.areaPlan, 0);
+  assert.ok(side(1) > side(-1));
+
+  const group = new THREE.Group();
+  new StructureGenerator(group).generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  const r = analyzeFrame(group, { selfWeight: false, snowFaces: snowFaceLoads(snow, 'balanced') });
+  assert.ok(Math.abs(r.totals.Q - snow.totals.balanced) < 1e-9 * snow.totals.balanced);
+  assert.equal(r.totals.snowLost, 0);
+});
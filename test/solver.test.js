@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { state, updateStateCalculations } from '../js/state.js';
+import { solveGeometry } from '../js/solver.js';
+
+test('Solver: sin soluciones con perfil por nivel activo', () => {
+  const saved = { profileActive: state.profileActive, levelAngles: state.levelAngles };
+  const fixed = { Dmax: state.Dmax, height: 3 };
+  try {
+    assert.ok(solveGeometry(fixed).length > 0, 'zonohedro uniforme');
+
+    Object.assign(state, { profileActive: true, levelAngles: [45, 42, 39, 36, 33] });
+    updateStateCalculations();
+    assert.ok(state.profileValid);
+    assert.deepEqual(solveGeometry(fixed), []);
+  } finally {
+    Object.assign(state, saved);
+    updateStateCalculations();
+  }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { StructureGenerator } from '../js/structure-generator.js';
+import { collectStakeOutPoints, StakeOutExporter } from '../js/stakeout.js';
+
+function buildDome() {
+  const group = new THREE.Group();
+  const generator = new StructureGenerator(group);
+  generator.generate({
+    cylDiameterMm: 150, cylDepthMm: 100, beamHeightMm: 120, beamWidthMm: 60,
+    platThicknessMm: 3, platLengthMm: 120, platWidthMm: 50,
+  });
+  return { group, generator };
+}
+
+// Captura del CSV que el exportador descargaria
+function exportCSV(points, site) {
+  let content = null;
+  const saved = { Blob: globalThis.Blob, URL: globalThis.URL, document: globalThis.document };
+  globalThis.Blob = class { constructor(parts) { content = parts.join(''); } };
+  globalThis.URL = { createObjectURL: () => 'blob:', revokeObjectURL() {} };
+  globalThis.document = { createElement: () => ({ click() {} }), body: { appendChild() {}, removeChild() {} } };
+  try {
+    StakeOutExporter.exportCSV(points, site);
+  } finally {
+    Object.assign(globalThis, saved);
+  }
+  return content;
+}
+
+test('Replanteo: rumbo, origen y cota base llevan el modelo a obra sin deformarlo', () => {
+  const { group, generator } = buildDome();
+  const model = collectStakeOutPoints(group, generator);
+  assert.ok(model.length > 0);
+  // Por defecto (rumbo 90) +X va al este y +Y al norte
+  for (const p of model) {
+    assert.ok(Math.abs(p.e - p.x) < 1e-12 && Math.abs(p.n - p.y) < 1e-12 && Math.abs(p.elev - p.z) < 1e-12);
+  }
+
+  const site = { originE: 1000, originN: 2000, datumZ: 50, bearingDeg: 30 };
+  const pts = collectStakeOutPoints(group, generator, site);
+  assert.equal(pts.length, model.length);
+  const az = (30 * Math.PI) / 180;
+  for (const p of pts) {
+    // +X del modelo con rumbo 30: 30 grados al este del norte
+    assert.ok(Math.abs((p.e - 1000) - (p.x * Math.sin(az) - p.y * Math.cos(az))) < 1e-9);
+    assert.ok(Math.abs((p.n - 2000) - (p.x * Math.cos(az) + p.y * Math.sin(az))) < 1e-9);
+    assert.ok(Math.abs(p.elev - (50 + p.z)) < 1e-9);
+    assert.ok(Math.abs(Math.hypot(p.dir.e, p.dir.n, p.dir.z) - 1) < 1e-9);
+  }
+  // Movimiento rigido: se conservan las distancias en planta
+  for (let j = 1; j < pts.length; j++) {
+    const a = pts[j - 1], b = pts[j];
+    const dSite = Math.hypot(b.e - a.e, b.n - a.n);
+    const dModel = Math.hypot(b.x - a.x, b.y - a.y);
+    assert.ok(Math.abs(dSite - dModel) < 1e-9);
+  }
+});
+
+test('Replanteo: el CSV lleva el sistema de obra en comentarios y filas de ancho uniforme', () => {
+  const { group, generator } = buildDome();
+  const site = { originE: 1000, originN: 2000, datumZ: 50, bearingDeg: 30 };
+  const pts = collectStakeOutPoints(group, generator, site);
+  const lines = exportCSV(pts, site).split('\n');
+
+  const comments = lines.filter(l => l.startsWith('#'));
+  const rows = lines.filter(l => !l.startsWith('#'));
+  assert.ok(comments.some(l => l.includes('E=1000') && l.includes('N=2000') && l.includes('cota base 50') && l.includes('rumbo +X 30')));
+  // Comentarios solo al inicio, luego encabezado y un punto por fila
+  assert.ok(lines.slice(0, comments.length).every(l => l.startsWith('#')));
+  assert.equal(rows.length, pts.length + 1);
+  assert.equal(rows[0].split(',')[0], 'id');
+  for (const r of rows) assert.equal(r.split(',').length, 14, r);
+  assert.equal(Number(rows[1].split(',')[3]), Number(pts[0].e.toFixed(4)));
+});
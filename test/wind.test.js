@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateStateCalculations } from '../js/state.js';
+import { domePressureCoefficients, referenceVelocityPressure, computeWindPressures, windNodalLoads } from '../js/wind.js';
+
+const rel = (a, b, tol, msg) => assert.ok(Math.abs(a - b) <= tol * Math.abs(b), `${msg}: ${a} != ${b}`);
+
+test('Viento: presion de referencia contra los valores tabulados de cada norma', () => {
+  // EN 1991-1-4 Fig. 4.2: ce(10 m) ≈ 2.35 en terreno II -> qp = ce·½·ρ·vb²
+  rel(referenceVelocityPressure('en', 26, 'II', 10), 2.35 * 0.5 * 1.25 * 26 * 26, 0.01, 'EN II 10 m');
+  // Bajo zmin se toma zmin: igual a 5 m que a 2 m en terreno III
+  assert.equal(referenceVelocityPressure('en', 26, 'III', 2), referenceVelocityPressure('en', 26, 'III', 5));
+  // ASCE 7-16 Tabla 26.10-1: Kz = 0.98 a 30 ft (9.14 m) en exposicion C; Kd = 0.95
+  rel(referenceVelocityPressure('asce', 50, 'C', 9.144), 0.613 * 0.98 * 0.95 * 50 * 50, 0.01, 'ASCE C 30 ft');
+});
+
+test('Viento: coeficientes de cupula en los nodos de la tabla', () => {
+  assert.deepEqual(domePressureCoefficients('en', 0.5, 0), { A: 0.8, B: -1.2, C: 0 });
+  assert.deepEqual(domePressureCoefficients('en', 0.5, 1), { A: 0.2, B: -1.3, C: -0.4 });
+  // Fuera de rango se toma el borde
+  assert.deepEqual(domePressureCoefficients('en', 0.8, 2), domePressureCoefficients('en', 0.5, 1));
+});
+
+test('Viento: la resultante va a sotavento y las cargas nodales la conservan', () => {
+  updateStateCalculations();
+  for (const [directionDeg, axis, sign] of [[0, 'x', -1], [90, 'y', -1], [180, 'x', 1]]) {
+    const wind = computeWindPressures({ code: 'en', speed: 26, directionDeg });
+    assert.ok(wind.faces.length > 0);
+    assert.ok(sign * wind.resultant[axis] > 0, `direccion ${directionDeg}`);
+    // Cupula rebajada: la succion en la corona levanta
+    assert.ok(wind.resultant.z > 0);
+    const loads = windNodalLoads(wind);
+    const sum = loads.reduce((s, l) => ({ x: s.x + l.fx, y: s.y + l.fy, z: s.z + l.fz }), { x: 0, y: 0, z: 0 });
+    for (const c of ['x', 'y', 'z']) assert.ok(Math.abs(sum[c] * 1000 - wind.resultant[c]) < 1e-6, c);
+  }
+});